@@ -2,25 +2,30 @@
 /**
  * Analytics & Reporting Dashboard.
  *
+ * The page is a mount point for the reports app (src/admin/reports), which
+ * reads `brooklyn-ai/v1/reports`.
+ *
  * @package BrooklynAI\Admin
  */
 
 namespace BrooklynAI\Admin;
 
-use BrooklynAI\Plugin;
-
 if ( ! defined( 'ABSPATH' ) ) {
 	exit;
 }
 
 class Reports_Page {
+	private const SCRIPT_HANDLE = 'batp-reports';
+
+	private string $hook_suffix = '';
 
 	public function register(): void {
 		add_action( 'admin_menu', array( $this, 'add_menu' ) );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_assets' ) );
 	}
 
 	public function add_menu(): void {
-		add_submenu_page(
+		$this->hook_suffix = (string) add_submenu_page(
 			'brooklyn-ai-planner',
 			__( 'Analytics & Reports', 'brooklyn-ai-planner' ),
 			__( 'Reports', 'brooklyn-ai-planner' ),
@@ -30,92 +35,45 @@ class Reports_Page {
 		);
 	}
 
-	public function render(): void {
-		$supabase = Plugin::instance()->supabase();
+	public function enqueue_assets( string $hook_suffix ): void {
+		$asset_file = BATP_PLUGIN_PATH . 'build/admin/reports.asset.php';
+		if ( $hook_suffix !== $this->hook_suffix || ! file_exists( $asset_file ) ) {
+			return;
+		}
 
-		// Default: Last 30 days
-		$response = $supabase->rpc( 'get_analytics_stats' );
+		$asset = require $asset_file;
 
-		$data = array(
-			'itineraries' => 0,
-			'clicks'      => array(
-				'website'    => 0,
-				'phone'      => 0,
-				'directions' => 0,
-			),
+		wp_enqueue_script(
+			self::SCRIPT_HANDLE,
+			BATP_PLUGIN_URL . 'build/admin/reports.js',
+			$asset['dependencies'],
+			$asset['version'],
+			true
 		);
+		wp_set_script_translations( self::SCRIPT_HANDLE, 'brooklyn-ai-planner' );
 
-		$error = null;
+		wp_enqueue_style(
+			self::SCRIPT_HANDLE,
+			BATP_PLUGIN_URL . 'build/admin/reports.css',
+			array( 'wp-components' ),
+			$asset['version']
+		);
+	}
 
-		if ( is_wp_error( $response ) ) {
-			$error = $response->get_error_message();
-			// Fallback for dev/demo if RPC missing
-			if ( strpos( $error, 'function' ) !== false ) {
-				$error .= ' (Please run migration 060_analytics_reporting.sql)';
-			}
-		} else {
-			$data = $response;
+	public function render(): void {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return;
 		}
 
 		?>
-		<div class="wrap">
+		<div class="wrap batp-reports">
 			<h1><?php esc_html_e( 'Brooklyn AI Reports', 'brooklyn-ai-planner' ); ?></h1>
-			
-			<?php if ( $error ) : ?>
-				<div class="notice notice-error"><p><?php echo esc_html( $error ); ?></p></div>
-			<?php endif; ?>
-
-			<div class="batp-reports-grid" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px; margin-top: 20px;">
-				
-				<!-- Card: Itineraries -->
-				<div class="card" style="padding: 20px; text-align: center;">
-					<h2 style="margin-top: 0; font-size: 1.2em; color: #64748b;">Itineraries Generated</h2>
-					<p style="font-size: 3em; margin: 10px 0; font-weight: bold; color: #1649FF;">
-						<?php echo esc_html( number_format_i18n( $data['itineraries'] ?? 0 ) ); ?>
-					</p>
-					<p class="description">Last 30 Days</p>
-				</div>
-
-				<!-- Card: Website Clicks -->
-				<div class="card" style="padding: 20px; text-align: center;">
-					<h2 style="margin-top: 0; font-size: 1.2em; color: #64748b;">Website Clicks</h2>
-					<p style="font-size: 3em; margin: 10px 0; font-weight: bold; color: #F2AE01;">
-						<?php echo esc_html( number_format_i18n( $data['clicks']['website'] ?? 0 ) ); ?>
-					</p>
-				</div>
-
-				<!-- Card: Phone Clicks -->
-				<div class="card" style="padding: 20px; text-align: center;">
-					<h2 style="margin-top: 0; font-size: 1.2em; color: #64748b;">Phone Calls</h2>
-					<p style="font-size: 3em; margin: 10px 0; font-weight: bold; color: #10b981;">
-						<?php echo esc_html( number_format_i18n( $data['clicks']['phone'] ?? 0 ) ); ?>
-					</p>
-				</div>
-
-				<!-- Card: Directions -->
-				<div class="card" style="padding: 20px; text-align: center;">
-					<h2 style="margin-top: 0; font-size: 1.2em; color: #64748b;">Directions Requests</h2>
-					<p style="font-size: 3em; margin: 10px 0; font-weight: bold; color: #6366f1;">
-						<?php echo esc_html( number_format_i18n( $data['clicks']['directions'] ?? 0 ) ); ?>
-					</p>
-				</div>
+			<div id="batp-reports-app">
+				<p class="description"><?php esc_html_e( 'Loading reports…', 'brooklyn-ai-planner' ); ?></p>
+				<noscript>
+					<div class="notice notice-warning"><p><?php esc_html_e( 'Reports require JavaScript.', 'brooklyn-ai-planner' ); ?></p></div>
+				</noscript>
 			</div>
-
-			<hr style="margin: 30px 0;">
-
-			<h2>Actions</h2>
-			<p>
-				<button class="button button-primary" onclick="window.print()">Download PDF / Print</button>
-				<a href="mailto:?subject=Brooklyn AI Report&body=Here is the monthly report." class="button button-secondary">Email Report</a>
-			</p>
-
-			<style>
-				@media print {
-					#adminmenumain, #wpadminbar, .notice, .submit, hr { display: none; }
-					.wrap { margin: 0; padding: 20px; }
-					body { background: #fff; }
-				}
-			</style>
 		</div>
 		<?php
 	}
@@ -7,7 +7,11 @@
 
 namespace BrooklynAI\API;
 
+use BrooklynAI\Analytics_Report;
+use BrooklynAI\Engine;
 use BrooklynAI\Plugin;
+use DateTimeImmutable;
+use DateTimeZone;
 use WP_REST_Controller;
 use WP_REST_Server;
 use WP_REST_Request;
@@ -33,6 +37,40 @@ class REST_Controller extends WP_REST_Controller {
 	 */
 	protected $rest_base = 'itinerary';
 
+	/**
+	 * Upper bound on venues a shared itinerary link may request.
+	 */
+	private const MAX_SHARED_VENUES = 20;
+
+	/**
+	 * Uncached shared-venue lookups allowed per client IP and rate-limit window.
+	 */
+	private const VENUE_LOOKUP_LIMIT = 30;
+
+	/**
+	 * Interactions the front end may record through the events route.
+	 */
+	private const TRACKED_EVENTS = array(
+		'website_click',
+		'phone_click',
+		'directions_click',
+		'share_open',
+		'share_link_copy',
+		'share_email',
+		'share_sms',
+		'share_native',
+		'itinerary_shown',
+		'card_impression',
+		'tab_switch',
+		'filter_change',
+		'dwell_time',
+	);
+
+	// Mirrors MAX_BATCH_SIZE in frontend/analytics.js.
+	private const MAX_EVENT_BATCH = 25;
+
+	private const MAX_REPORT_DAYS = 366;
+
 	/**
 	 * Register the routes.
 	 */
@@ -50,6 +88,19 @@ class REST_Controller extends WP_REST_Controller {
 			)
 		);
 
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/refine',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'refine_item' ),
+					'permission_callback' => array( $this, 'create_item_permissions_check' ),
+					'args'                => $this->get_refine_args(),
+				),
+			)
+		);
+
 		register_rest_route(
 			$this->namespace,
 			'/events',
@@ -60,11 +111,9 @@ class REST_Controller extends WP_REST_Controller {
 					'permission_callback' => array( $this, 'create_item_permissions_check' ),
 					'args'                => array(
 						'action_type' => array(
-							'required'          => true,
-							'type'              => 'string',
-							'validate_callback' => function ( $param ) {
-								return in_array( $param, array( 'website_click', 'phone_click', 'directions_click' ), true );
-							},
+							'required' => false,
+							'type'     => 'string',
+							'enum'     => self::TRACKED_EVENTS,
 						),
 						'venue_id'    => array(
 							'required' => false,
@@ -74,6 +123,28 @@ class REST_Controller extends WP_REST_Controller {
 							'required' => false,
 							'type'     => 'object',
 						),
+						'events'      => array(
+							'required' => false,
+							'type'     => 'array',
+							'minItems' => 1,
+							'maxItems' => self::MAX_EVENT_BATCH,
+							'items'    => array(
+								'type'       => 'object',
+								'properties' => array(
+									'action_type' => array(
+										'type'     => 'string',
+										'enum'     => self::TRACKED_EVENTS,
+										'required' => true,
+									),
+									'venue_id'    => array(
+										'type' => 'string',
+									),
+									'metadata'    => array(
+										'type' => 'object',
+									),
+								),
+							),
+						),
 						'nonce'       => array(
 							'required' => true,
 							'type'     => 'string',
@@ -82,6 +153,87 @@ class REST_Controller extends WP_REST_Controller {
 				),
 			)
 		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/progress/(?P<token>[a-f0-9-]{16,64})',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_progress' ),
+					'permission_callback' => '__return_true',
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'cancel_progress' ),
+					'permission_callback' => array( $this, 'cancel_permissions_check' ),
+					'args'                => array(
+						'nonce' => array(
+							'required' => true,
+							'type'     => 'string',
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/nonce',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'refresh_nonce' ),
+					'permission_callback' => '__return_true',
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/venues',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_venues' ),
+					'permission_callback' => '__return_true',
+					'args'                => array(
+						'slugs' => array(
+							'required' => true,
+							'type'     => 'array',
+							'items'    => array(
+								'type' => 'string',
+							),
+							'maxItems' => self::MAX_SHARED_VENUES,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/reports',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_report' ),
+					'permission_callback' => array( $this, 'reports_permissions_check' ),
+					'args'                => array(
+						'from' => array(
+							'required' => false,
+							'type'     => 'string',
+							'pattern'  => '^\\d{4}-\\d{2}-\\d{2}$',
+						),
+						'to'   => array(
+							'required' => false,
+							'type'     => 'string',
+							'pattern'  => '^\\d{4}-\\d{2}-\\d{2}$',
+						),
+					),
+				),
+			)
+		);
 	}
 
 	/**
@@ -99,12 +251,24 @@ class REST_Controller extends WP_REST_Controller {
 			return new WP_Error( 'batp_invalid_nonce', 'Security check failed.', array( 'status' => 403 ) );
 		}
 
+		// Either a batch (`events`) or a single event at the top level.
+		if ( isset( $params['events'] ) ) {
+			$events = $params['events'];
+		} elseif ( isset( $params['action_type'] ) ) {
+			$events = array( $params );
+		} else {
+			return new WP_Error( 'batp_invalid_input', 'Provide action_type or events.', array( 'status' => 400 ) );
+		}
+
 		$logger = Plugin::instance()->analytics();
-		$result = $logger->log(
-			$params['action_type'],
-			array(
-				'venue_id' => $params['venue_id'] ?? null,
-				'metadata' => $params['metadata'] ?? array(),
+		$result = $logger->log_batch(
+			array_map(
+				static fn( array $event ): array => array(
+					'action_type' => $event['action_type'],
+					'venue_id'    => $event['venue_id'] ?? null,
+					'metadata'    => $event['metadata'] ?? array(),
+				),
+				$events
 			)
 		);
 
@@ -116,6 +280,179 @@ class REST_Controller extends WP_REST_Controller {
 		return rest_ensure_response( array( 'success' => true ) );
 	}
 
+	/**
+	 * Return venue records for a shared itinerary permalink.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_venues( $request ) {
+		$slugs = array_values( array_unique( array_filter( array_map( 'sanitize_title', (array) $request->get_param( 'slugs' ) ) ) ) );
+
+		if ( empty( $slugs ) ) {
+			return new WP_Error( 'batp_invalid_input', __( 'No venues requested.', 'brooklyn-ai-planner' ), array( 'status' => 400 ) );
+		}
+
+		// Records are cached per slug, so reopening a shared link does not
+		// reach Supabase; only lookups that do count against the rate limit.
+		$cache   = Plugin::instance()->cache();
+		$records = array();
+		foreach ( $slugs as $slug ) {
+			$cached = $cache->get( 'shared_venue', array( 'slug' => $slug ) );
+			if ( is_array( $cached ) ) {
+				$records[ $slug ] = $cached;
+			}
+		}
+
+		$uncached = array_values( array_diff( $slugs, array_keys( $records ) ) );
+		if ( ! empty( $uncached ) ) {
+			$allowed = Plugin::instance()->security()->enforce_rate_limit( null, 'venues', self::VENUE_LOOKUP_LIMIT );
+			if ( is_wp_error( $allowed ) ) {
+				return $allowed;
+			}
+
+			$loaded = Plugin::instance()->engine()->hydrate_candidates( $uncached );
+			if ( is_wp_error( $loaded ) ) {
+				return $loaded;
+			}
+
+			foreach ( $loaded as $candidate ) {
+				$records[ $candidate['slug'] ] = $candidate;
+				$cache->set( 'shared_venue', array( 'slug' => $candidate['slug'] ), $candidate );
+			}
+		}
+
+		$candidates = array();
+		foreach ( $slugs as $slug ) {
+			if ( isset( $records[ $slug ] ) ) {
+				$candidates[] = $records[ $slug ];
+			}
+		}
+
+		$found = wp_list_pluck( $candidates, 'slug' );
+
+		return rest_ensure_response(
+			array(
+				'candidates' => $candidates,
+				'missing'    => array_values( array_diff( $slugs, $found ) ),
+			)
+		);
+	}
+
+	/**
+	 * Analytics report for the Reports admin page. Defaults to the last
+	 * 30 days, ending today.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_report( $request ) {
+		$zone  = new DateTimeZone( Analytics_Report::TIMEZONE );
+		$today = new DateTimeImmutable( 'today', $zone );
+		$to    = $this->parse_report_date( $request->get_param( 'to' ), $zone ) ?? $today;
+		$from  = $this->parse_report_date( $request->get_param( 'from' ), $zone ) ?? $to->modify( '-29 days' );
+
+		if ( $from > $to || $from->diff( $to )->days >= self::MAX_REPORT_DAYS ) {
+			return new WP_Error(
+				'batp_invalid_input',
+				/* translators: %d: maximum number of days in a report. */
+				sprintf( __( 'Choose a start date on or before the end date, at most %d days apart.', 'brooklyn-ai-planner' ), self::MAX_REPORT_DAYS ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$report = ( new Analytics_Report( Plugin::instance()->supabase() ) )->build( $from, $to );
+		if ( is_wp_error( $report ) ) {
+			return $report;
+		}
+
+		return rest_ensure_response( $report );
+	}
+
+	/**
+	 * Reports expose site-wide usage, so they are limited to administrators.
+	 *
+	 * @return bool
+	 */
+	public function reports_permissions_check() {
+		return current_user_can( 'manage_options' );
+	}
+
+	/**
+	 * @param mixed        $value Date as Y-m-d.
+	 * @param DateTimeZone $zone  Venue-local time zone.
+	 */
+	private function parse_report_date( $value, DateTimeZone $zone ): ?DateTimeImmutable {
+		if ( ! is_string( $value ) || '' === $value ) {
+			return null;
+		}
+
+		$date = DateTimeImmutable::createFromFormat( '!Y-m-d', $value, $zone );
+
+		return $date && $date->format( 'Y-m-d' ) === $value ? $date : null;
+	}
+
+	/**
+	 * Issue a fresh itinerary nonce for pages left open past the nonce lifetime.
+	 *
+	 * Clients call this without an X-WP-Nonce header, so the nonce is minted for
+	 * the same (anonymous) REST user that will verify it on the retried request.
+	 *
+	 * @return WP_REST_Response
+	 */
+	public function refresh_nonce() {
+		nocache_headers();
+
+		return rest_ensure_response(
+			array(
+				'nonce' => wp_create_nonce( 'batp_generate_itinerary' ),
+			)
+		);
+	}
+
+	/**
+	 * Report pipeline progress for an in-flight itinerary request.
+	 *
+	 * The token is generated by the client and sent as `progress_token` with
+	 * the itinerary request; it only exposes stage names and states.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function get_progress( $request ) {
+		$progress = Plugin::instance()->engine()->get_progress( (string) $request['token'] );
+
+		if ( null === $progress ) {
+			return new WP_Error( 'batp_progress_not_found', __( 'No progress recorded for this request yet.', 'brooklyn-ai-planner' ), array( 'status' => 404 ) );
+		}
+
+		return rest_ensure_response( $progress );
+	}
+
+	/**
+	 * Cancel an in-flight itinerary request before its next pipeline stage.
+	 *
+	 * @param WP_REST_Request $request
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function cancel_progress( $request ) {
+		if ( ! Plugin::instance()->engine()->cancel_generation( (string) $request['token'] ) ) {
+			return new WP_Error( 'batp_invalid_input', __( 'Invalid progress token.', 'brooklyn-ai-planner' ), array( 'status' => 400 ) );
+		}
+
+		return rest_ensure_response( array( 'cancelled' => true ) );
+	}
+
+	/**
+	 * Cancelling needs the nonce the itinerary request was made with.
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error
+	 */
+	public function cancel_permissions_check( $request ) {
+		return Plugin::instance()->security()->verify_nonce( (string) $request->get_param( 'nonce' ), 'batp_generate_itinerary' );
+	}
+
 	/**
 	 * Check if a given request has access to create items.
 	 *
@@ -163,6 +500,62 @@ class REST_Controller extends WP_REST_Controller {
 		return rest_ensure_response( $result );
 	}
 
+	/**
+	 * Revise a generated itinerary from a free-text instruction.
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function refine_item( $request ) {
+		$result = Plugin::instance()->engine()->refine_itinerary( $request->get_json_params() );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Endpoint args for refining an itinerary: the original request plus the
+	 * current stops, the venues to choose from and the instruction.
+	 *
+	 * @return array
+	 */
+	protected function get_refine_args() {
+		$args = $this->get_endpoint_args_for_item_schema( WP_REST_Server::CREATABLE );
+		unset( $args['progress_token'] );
+
+		return array_merge(
+			$args,
+			array(
+				'instruction'     => array(
+					'required'  => true,
+					'type'      => 'string',
+					'minLength' => 1,
+					'maxLength' => Engine::REFINE_MAX_LENGTH,
+				),
+				'slugs'           => array(
+					'required' => true,
+					'type'     => 'array',
+					'items'    => array(
+						'type' => 'string',
+					),
+					'minItems' => 1,
+					'maxItems' => self::MAX_SHARED_VENUES,
+				),
+				'candidate_slugs' => array(
+					'required' => false,
+					'type'     => 'array',
+					'items'    => array(
+						'type' => 'string',
+					),
+					'maxItems' => self::MAX_SHARED_VENUES,
+				),
+			)
+		);
+	}
+
 	/**
 	 * Get the endpoint args for creating an item.
 	 *
@@ -171,43 +564,77 @@ class REST_Controller extends WP_REST_Controller {
 	 */
 	public function get_endpoint_args_for_item_schema( $method = WP_REST_Server::CREATABLE ) {
 		return array(
-			'nonce'        => array(
+			'nonce'                     => array(
 				'required'          => true,
 				'type'              => 'string',
 				'validate_callback' => function ( $param ) {
 					return is_string( $param ) && ! empty( $param );
 				},
 			),
-			'interests'    => array(
+			'interests'                 => array(
 				'required' => true,
 				'type'     => 'array',
 				'items'    => array(
 					'type' => 'string',
 				),
 			),
-			'time_window'  => array(
+			'time_window'               => array(
 				'required' => false,
 				'type'     => 'integer',
+				'minimum'  => 30,
+				'maximum'  => 720,
 				'default'  => 240,
 			),
-			'budget'       => array(
+			'start_time'                => array(
+				'required' => false,
+				'type'     => 'string',
+				'pattern'  => '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}$',
+			),
+			'budget'                    => array(
 				'required' => false,
 				'type'     => 'string',
 				'enum'     => array( 'low', 'medium', 'high' ),
 				'default'  => 'medium',
 			),
-			'neighborhood' => array(
+			'party_size'                => array(
+				'required' => false,
+				'type'     => 'integer',
+				'minimum'  => 1,
+				'maximum'  => 20,
+				'default'  => 2,
+			),
+			'accessibility_preferences' => array(
+				'required' => false,
+				'type'     => 'array',
+				'items'    => array(
+					'type' => 'string',
+					'enum' => Engine::ACCESSIBILITY_PREFERENCES,
+				),
+			),
+			'neighborhood'              => array(
 				'required' => false, // Used for geocoding if lat/lng missing
 				'type'     => 'string',
 			),
-			'latitude'     => array(
+			'latitude'                  => array(
 				'required' => false,
 				'type'     => 'number',
 			),
-			'longitude'    => array(
+			'longitude'                 => array(
 				'required' => false,
 				'type'     => 'number',
 			),
+			'variants'                  => array(
+				'required' => false,
+				'type'     => 'integer',
+				'minimum'  => 1,
+				'maximum'  => Engine::MAX_VARIANTS,
+				'default'  => 1,
+			),
+			'progress_token'            => array(
+				'required' => false,
+				'type'     => 'string',
+				'pattern'  => '^[a-f0-9-]{16,64}$',
+			),
 		);
 	}
 }
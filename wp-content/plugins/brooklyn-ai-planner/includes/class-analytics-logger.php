@@ -26,24 +26,22 @@ class Analytics_Logger {
 	 * @return true|WP_Error
 	 */
 	public function log( string $action_type, array $context = array() ) {
-		$action  = sanitize_text_field( $action_type );
-		$seed    = isset( $context['session_hash'] ) ? $context['session_hash'] : '';
-		$session = $this->hash_session( $seed );
-
-		// Ensure venue_id is null if empty/missing (Supabase rejects empty string for UUID)
-		$raw_venue_id = isset( $context['venue_id'] ) ? $context['venue_id'] : null;
-		$venue_id     = ( null !== $raw_venue_id && '' !== $raw_venue_id ) ? sanitize_text_field( $raw_venue_id ) : null;
-
-		$metadata = isset( $context['metadata'] ) ? $context['metadata'] : null;
+		return $this->log_batch( array( array( 'action_type' => $action_type ) + $context ) );
+	}
 
-		$payload = array(
-			'action_type'  => $action,
-			'session_hash' => $session,
-			'venue_id'     => $venue_id,
-			'metadata'     => $metadata,
-		);
+	/**
+	 * Inserts several events in one request.
+	 *
+	 * @param array<int, array{action_type:string,session_hash?:string,venue_id?:string,metadata?:array<string, mixed>}> $events
+	 * @return true|WP_Error
+	 */
+	public function log_batch( array $events ) {
+		if ( empty( $events ) ) {
+			return true;
+		}
 
-		$response = $this->client->insert( 'analytics_logs', $payload );
+		$rows     = array_map( array( $this, 'build_row' ), array_values( $events ) );
+		$response = $this->client->insert( 'analytics_logs', $rows );
 
 		if ( is_wp_error( $response ) ) {
 			return $response;
@@ -52,6 +50,25 @@ class Analytics_Logger {
 		return true;
 	}
 
+	/**
+	 * @param array{action_type:string,session_hash?:string,venue_id?:string,metadata?:array<string, mixed>} $event
+	 * @return array<string, mixed>
+	 */
+	private function build_row( array $event ): array {
+		$seed = isset( $event['session_hash'] ) ? $event['session_hash'] : '';
+
+		// Ensure venue_id is null if empty/missing (Supabase rejects empty string for UUID)
+		$raw_venue_id = isset( $event['venue_id'] ) ? $event['venue_id'] : null;
+		$venue_id     = ( null !== $raw_venue_id && '' !== $raw_venue_id ) ? sanitize_text_field( $raw_venue_id ) : null;
+
+		return array(
+			'action_type'  => sanitize_text_field( $event['action_type'] ),
+			'session_hash' => $this->hash_session( $seed ),
+			'venue_id'     => $venue_id,
+			'metadata'     => isset( $event['metadata'] ) ? $event['metadata'] : null,
+		);
+	}
+
 	private function hash_session( string $seed ): string {
 		if ( '' === $seed ) {
 			$user_agent = isset( $_SERVER['HTTP_USER_AGENT'] ) ? $_SERVER['HTTP_USER_AGENT'] : '';
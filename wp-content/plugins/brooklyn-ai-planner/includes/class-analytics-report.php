@@ -0,0 +1,256 @@
+<?php
+/**
+ * Aggregates `analytics_logs` rows for the Reports admin page.
+ *
+ * Days are venue-local (America/New_York). An itinerary is counted once per
+ * completed `llm` or `cache_hit` stage; stage failure rates compare
+ * `engine_error` with `engine_stage_complete` rows per stage.
+ *
+ * @package BrooklynAI
+ */
+
+namespace BrooklynAI;
+
+use BrooklynAI\Clients\Supabase_Client;
+use DateTimeImmutable;
+use DateTimeZone;
+use Exception;
+use WP_Error;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+final class Analytics_Report {
+	public const TIMEZONE = 'America/New_York';
+
+	/**
+	 * Client events counted as clicks, in display order.
+	 */
+	public const CLICK_EVENTS = array(
+		'website_click',
+		'phone_click',
+		'directions_click',
+		'share_link_copy',
+		'share_email',
+		'share_sms',
+		'share_native',
+	);
+
+	private const ITINERARY_STAGES = array( 'llm', 'cache_hit' );
+
+	private const PAGE_SIZE = 1000;
+
+	// Beyond this the report says it is truncated rather than paging on.
+	private const MAX_ROWS = 50000;
+
+	private const MAX_VENUES = 100;
+
+	private Supabase_Client $client;
+
+	public function __construct( Supabase_Client $client ) {
+		$this->client = $client;
+	}
+
+	/**
+	 * Builds the report for an inclusive range of days.
+	 *
+	 * @param DateTimeImmutable $from First day (venue-local midnight).
+	 * @param DateTimeImmutable $to   Last day (venue-local midnight).
+	 * @return array<string, mixed>|WP_Error
+	 */
+	public function build( DateTimeImmutable $from, DateTimeImmutable $to ) {
+		$end  = $to->modify( '+1 day' );
+		$rows = $this->fetch_rows( $from, $end );
+		if ( is_wp_error( $rows ) ) {
+			return $rows;
+		}
+
+		$report              = self::summarize( $rows, $from, $end );
+		$report['truncated'] = count( $rows ) >= self::MAX_ROWS;
+		$report['venues']    = $this->attach_venue_names( $report['venues'] );
+
+		return $report;
+	}
+
+	/**
+	 * Turns log rows into totals, a daily series and breakdowns.
+	 *
+	 * @param array<int, array<string, mixed>> $rows  Rows with action_type, venue_id, metadata and created_at.
+	 * @param DateTimeImmutable                $start Range start (inclusive).
+	 * @param DateTimeImmutable                $end   Range end (exclusive).
+	 * @return array<string, mixed>
+	 */
+	public static function summarize( array $rows, DateTimeImmutable $start, DateTimeImmutable $end ): array {
+		$zone  = new DateTimeZone( self::TIMEZONE );
+		$empty = array_fill_keys( array_merge( array( 'itineraries' ), self::CLICK_EVENTS ), 0 );
+
+		$series = array();
+		for ( $day = $start; $day < $end; $day = $day->modify( '+1 day' ) ) {
+			$series[ $day->format( 'Y-m-d' ) ] = array( 'date' => $day->format( 'Y-m-d' ) ) + $empty;
+		}
+
+		$totals    = $empty;
+		$venues    = array();
+		$interests = array();
+		$stages    = array();
+
+		foreach ( $rows as $row ) {
+			$action   = (string) ( $row['action_type'] ?? '' );
+			$metadata = is_array( $row['metadata'] ?? null ) ? $row['metadata'] : array();
+			$date     = self::local_date( $row['created_at'] ?? '', $zone );
+			if ( null === $date || ! isset( $series[ $date ] ) ) {
+				continue;
+			}
+
+			if ( 'engine_stage_complete' === $action || 'engine_error' === $action ) {
+				$stage = (string) ( $metadata['stage'] ?? 'unknown' );
+				if ( ! isset( $stages[ $stage ] ) ) {
+					$stages[ $stage ] = array(
+						'stage'     => $stage,
+						'completed' => 0,
+						'failed'    => 0,
+						'codes'     => array(),
+					);
+				}
+
+				if ( 'engine_error' === $action ) {
+					++$stages[ $stage ]['failed'];
+					$code                               = (string) ( $metadata['code'] ?? 'unknown' );
+					$stages[ $stage ]['codes'][ $code ] = ( $stages[ $stage ]['codes'][ $code ] ?? 0 ) + 1;
+					continue;
+				}
+
+				++$stages[ $stage ]['completed'];
+				if ( in_array( $stage, self::ITINERARY_STAGES, true ) ) {
+					++$series[ $date ]['itineraries'];
+					++$totals['itineraries'];
+					foreach ( (array) ( $metadata['interests'] ?? array() ) as $interest ) {
+						$interest               = (string) $interest;
+						$interests[ $interest ] = ( $interests[ $interest ] ?? 0 ) + 1;
+					}
+				}
+				continue;
+			}
+
+			$venue_id = isset( $row['venue_id'] ) && '' !== $row['venue_id'] ? (string) $row['venue_id'] : null;
+			if ( null !== $venue_id && ! isset( $venues[ $venue_id ] ) ) {
+				$venues[ $venue_id ] = array(
+					'venue_id'    => $venue_id,
+					'impressions' => 0,
+					'clicks'      => 0,
+				) + array_fill_keys( self::CLICK_EVENTS, 0 );
+			}
+
+			if ( 'card_impression' === $action && null !== $venue_id ) {
+				++$venues[ $venue_id ]['impressions'];
+			} elseif ( in_array( $action, self::CLICK_EVENTS, true ) ) {
+				++$series[ $date ][ $action ];
+				++$totals[ $action ];
+				if ( null !== $venue_id ) {
+					++$venues[ $venue_id ][ $action ];
+					++$venues[ $venue_id ]['clicks'];
+				}
+			}
+		}
+
+		usort(
+			$venues,
+			static fn( array $a, array $b ): int => array( $b['clicks'], $b['impressions'] ) <=> array( $a['clicks'], $a['impressions'] )
+		);
+		arsort( $interests );
+
+		$stage_rows = array();
+		foreach ( $stages as $entry ) {
+			$runs                  = $entry['completed'] + $entry['failed'];
+			$entry['failure_rate'] = $runs > 0 ? round( $entry['failed'] / $runs, 4 ) : 0;
+			arsort( $entry['codes'] );
+			$stage_rows[] = $entry;
+		}
+		usort( $stage_rows, static fn( array $a, array $b ): int => $b['failure_rate'] <=> $a['failure_rate'] );
+
+		$interest_rows = array();
+		foreach ( $interests as $interest => $count ) {
+			$interest_rows[] = array(
+				'interest'    => (string) $interest,
+				'itineraries' => $count,
+				'share'       => $totals['itineraries'] > 0 ? round( $count / $totals['itineraries'], 4 ) : 0,
+			);
+		}
+
+		return array(
+			'from'      => $start->format( 'Y-m-d' ),
+			'to'        => $end->modify( '-1 day' )->format( 'Y-m-d' ),
+			'totals'    => $totals,
+			'series'    => array_values( $series ),
+			'venues'    => array_slice( array_values( $venues ), 0, self::MAX_VENUES ),
+			'interests' => $interest_rows,
+			'stages'    => $stage_rows,
+		);
+	}
+
+	/**
+	 * @param DateTimeImmutable $start Range start (inclusive).
+	 * @param DateTimeImmutable $end   Range end (exclusive).
+	 * @return array<int, array<string, mixed>>|WP_Error
+	 */
+	private function fetch_rows( DateTimeImmutable $start, DateTimeImmutable $end ) {
+		$actions = array_merge( self::CLICK_EVENTS, array( 'card_impression', 'engine_stage_complete', 'engine_error' ) );
+		$rows    = array();
+
+		do {
+			$page = $this->client->select(
+				'analytics_logs',
+				array(
+					'select'  => 'action_type,venue_id,metadata,created_at',
+					'order'   => 'created_at.asc',
+					'limit'   => self::PAGE_SIZE,
+					'offset'  => count( $rows ),
+					'filters' => array(
+						'created_at'  => array( 'gte.' . $start->format( DATE_ATOM ), 'lt.' . $end->format( DATE_ATOM ) ),
+						'action_type' => 'in.(' . implode( ',', $actions ) . ')',
+					),
+				)
+			);
+			if ( is_wp_error( $page ) ) {
+				return $page;
+			}
+
+			$rows = array_merge( $rows, $page );
+		} while ( count( $page ) === self::PAGE_SIZE && count( $rows ) < self::MAX_ROWS );
+
+		return $rows;
+	}
+
+	/**
+	 * Adds venue names; ids stay as the label when the lookup fails.
+	 *
+	 * @param array<int, array<string, mixed>> $venues Venue rows.
+	 * @return array<int, array<string, mixed>>
+	 */
+	private function attach_venue_names( array $venues ): array {
+		if ( empty( $venues ) ) {
+			return $venues;
+		}
+
+		$records = $this->client->select_in( 'venues', 'id', array_column( $venues, 'venue_id' ), array( 'select' => 'id,name' ) );
+		$names   = is_wp_error( $records ) ? array() : array_column( $records, 'name', 'id' );
+
+		return array_map(
+			static fn( array $venue ): array => array( 'name' => (string) ( $names[ $venue['venue_id'] ] ?? $venue['venue_id'] ) ) + $venue,
+			$venues
+		);
+	}
+
+	private static function local_date( mixed $timestamp, DateTimeZone $zone ): ?string {
+		if ( ! is_string( $timestamp ) || '' === $timestamp ) {
+			return null;
+		}
+
+		try {
+			return ( new DateTimeImmutable( $timestamp ) )->setTimezone( $zone )->format( 'Y-m-d' );
+		} catch ( Exception $e ) {
+			return null;
+		}
+	}
+}
@@ -0,0 +1,292 @@
+<?php
+/**
+ * Opening-hours parsing for venue `hours` records.
+ *
+ * Mirrors src/brooklyn-ai-planner/frontend/opening-hours.js: hours may be
+ * weekday-keyed text ("9 AM–5 PM"), Google `weekday_text` lines or Google
+ * `periods` (legacy `{day, time}` or new `{day, hour, minute}`), optionally
+ * wrapped in `opening_hours` / `regularOpeningHours` and JSON-encoded. Times
+ * are venue-local (America/New_York) minutes from midnight; overnight ranges
+ * close after 1440.
+ *
+ * @package BrooklynAI
+ */
+
+namespace BrooklynAI;
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+final class Opening_Hours {
+	private const WEEKDAYS = array( 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday' );
+
+	private const CLOCK_PATTERN = '/^(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?$|^(noon|midnight)$/i';
+
+	/**
+	 * Ranges per weekday.
+	 *
+	 * @param mixed $hours Raw venue hours.
+	 * @return array<int, array<int, array{open:int,close:int}>|null>|null Seven entries indexed by
+	 *         weekday (0 = Sunday; null for unknown days), or null when unrecognised.
+	 */
+	public static function for_week( $hours ): ?array {
+		$value = is_string( $hours ) ? json_decode( $hours, true ) ?? $hours : $hours;
+
+		if ( is_string( $value ) ) {
+			// A plain string applies to every day.
+			$ranges = self::parse_ranges( $value );
+			return null === $ranges ? null : array_fill( 0, 7, $ranges );
+		}
+		if ( ! is_array( $value ) || empty( $value ) ) {
+			return null;
+		}
+
+		foreach ( array( 'regularOpeningHours', 'opening_hours' ) as $wrapper ) {
+			if ( isset( $value[ $wrapper ] ) && is_array( $value[ $wrapper ] ) ) {
+				$value = $value[ $wrapper ];
+				break;
+			}
+		}
+
+		if ( ! empty( $value['periods'] ) && is_array( $value['periods'] ) ) {
+			$days = self::from_periods( $value['periods'] );
+			if ( null !== $days ) {
+				return $days;
+			}
+		}
+
+		$map = $value;
+		foreach ( array( 'weekday_text', 'weekdayDescriptions' ) as $lines ) {
+			if ( isset( $value[ $lines ] ) && is_array( $value[ $lines ] ) ) {
+				$map = self::from_weekday_lines( $value[ $lines ] );
+				break;
+			}
+		}
+		if ( array_is_list( $map ) ) {
+			$map = self::from_weekday_lines( $map );
+		}
+
+		$days = array();
+		foreach ( self::WEEKDAYS as $day ) {
+			$days[] = isset( $map[ $day ] ) && is_string( $map[ $day ] ) ? self::parse_ranges( $map[ $day ] ) : null;
+		}
+
+		return array_filter( $days, 'is_array' ) ? $days : null;
+	}
+
+	/**
+	 * Longest stretch a venue is open within a window, counting overnight
+	 * ranges from the previous day and windows that run past midnight.
+	 *
+	 * @param mixed $hours   Raw venue hours.
+	 * @param int   $weekday Weekday the window starts on (0 = Sunday).
+	 * @param int   $start   Window start, minutes from midnight.
+	 * @param int   $end     Window end, minutes from midnight (may exceed 1440).
+	 * @return int|null Minutes, or null when the day's hours are unknown.
+	 */
+	public static function open_minutes_within( $hours, int $weekday, int $start, int $end ): ?int {
+		$week = self::for_week( $hours );
+		if ( null === $week || null === $week[ $weekday ] ) {
+			return null;
+		}
+
+		$longest = 0;
+		foreach ( array( -1, 0, 1 ) as $offset ) {
+			$day = $week[ ( $weekday + $offset + 7 ) % 7 ] ?? array();
+			foreach ( $day as $range ) {
+				$open    = max( $start, $range['open'] + $offset * 1440 );
+				$close   = min( $end, $range['close'] + $offset * 1440 );
+				$longest = max( $longest, $close - $open );
+			}
+		}
+
+		return $longest;
+	}
+
+	/**
+	 * Parses a day's hours text ("11:30am - 2pm, 5pm - 10pm", "Closed",
+	 * "Open 24 hours").
+	 *
+	 * @param string $text Hours text for one day.
+	 * @return array<int, array{open:int,close:int}>|null Ranges, [] when closed, null when unparseable.
+	 */
+	private static function parse_ranges( string $text ): ?array {
+		$value = trim( $text );
+		if ( '' === $value ) {
+			return null;
+		}
+		if ( preg_match( '/closed/i', $value ) ) {
+			return array();
+		}
+		if ( preg_match( '/24\s*hours/i', $value ) ) {
+			return array(
+				array(
+					'open'  => 0,
+					'close' => 1440,
+				),
+			);
+		}
+
+		$ranges = array();
+		foreach ( preg_split( '/\s*[,;]\s*/', $value ) as $part ) {
+			$bounds = preg_split( '/\s*(?:-|–|—|\bto\b)\s*/iu', $part );
+			if ( 2 !== count( $bounds ) ) {
+				return null;
+			}
+
+			$open  = self::parse_clock( $bounds[0] );
+			$close = self::parse_clock( $bounds[1] );
+			if ( null === $open || null === $close ) {
+				return null;
+			}
+
+			// "9–5 PM": a bare opening hour borrows the closing meridiem when sensible.
+			$open_minutes = $open['minutes'];
+			if ( null === $open['meridiem'] && 'pm' === $close['meridiem'] ) {
+				$as_pm        = $open_minutes < 720 ? $open_minutes + 720 : $open_minutes;
+				$open_minutes = $as_pm < $close['minutes'] ? $as_pm : $open_minutes;
+			}
+
+			$close_minutes = $close['minutes'];
+			if ( $close_minutes <= $open_minutes ) {
+				$close_minutes += 1440; // Overnight.
+			}
+
+			$ranges[] = array(
+				'open'  => $open_minutes,
+				'close' => $close_minutes,
+			);
+		}
+
+		return $ranges;
+	}
+
+	/**
+	 * @param string $text Clock text such as "9", "9:30 AM" or "noon".
+	 * @return array{minutes:int,meridiem:string|null}|null
+	 */
+	private static function parse_clock( string $text ): ?array {
+		if ( ! preg_match( self::CLOCK_PATTERN, trim( $text ), $match ) ) {
+			return null;
+		}
+
+		if ( ! empty( $match[4] ) ) {
+			$noon = 'noon' === strtolower( $match[4] );
+			return array(
+				'minutes'  => $noon ? 720 : 0,
+				'meridiem' => $noon ? 'pm' : 'am',
+			);
+		}
+
+		$hour   = (int) $match[1];
+		$minute = isset( $match[2] ) && '' !== $match[2] ? (int) $match[2] : 0;
+		if ( $hour > 23 || $minute > 59 ) {
+			return null;
+		}
+
+		$meridiem = ! empty( $match[3] ) ? str_replace( '.', '', strtolower( $match[3] ) ) : null;
+		if ( 'pm' === $meridiem && $hour < 12 ) {
+			$hour += 12;
+		} elseif ( 'am' === $meridiem && 12 === $hour ) {
+			$hour = 0;
+		}
+
+		return array(
+			'minutes'  => $hour * 60 + $minute,
+			'meridiem' => $meridiem,
+		);
+	}
+
+	/**
+	 * Converts Google `periods` into ranges per weekday. A single period
+	 * without `close` means open around the clock.
+	 *
+	 * @param array<int, mixed> $periods Google periods.
+	 * @return array<int, array<int, array{open:int,close:int}>>|null Null when malformed.
+	 */
+	private static function from_periods( array $periods ): ?array {
+		if ( 1 === count( $periods ) && isset( $periods[0]['open'] ) && ! isset( $periods[0]['close'] ) ) {
+			return array_fill(
+				0,
+				7,
+				array(
+					array(
+						'open'  => 0,
+						'close' => 1440,
+					),
+				)
+			);
+		}
+
+		$days = array_fill( 0, 7, array() );
+		foreach ( $periods as $period ) {
+			$open  = is_array( $period ) ? ( $period['open'] ?? null ) : null;
+			$close = is_array( $period ) ? ( $period['close'] ?? null ) : null;
+			if ( ! is_array( $open ) || ! is_array( $close ) || ! self::is_weekday( $open['day'] ?? null ) ) {
+				return null;
+			}
+
+			$open_minutes  = self::period_minutes( $open );
+			$close_minutes = self::period_minutes( $close );
+			if ( null === $open_minutes || null === $close_minutes ) {
+				return null;
+			}
+
+			// A period that closes on a later day becomes an overnight range.
+			$close_day = self::is_weekday( $close['day'] ?? null ) ? $close['day'] : $open['day'];
+			$close_at  = $close_minutes + ( ( $close_day - $open['day'] + 7 ) % 7 ) * 1440;
+			if ( $close_at <= $open_minutes ) {
+				$close_at += 1440;
+			}
+
+			$days[ $open['day'] ][] = array(
+				'open'  => $open_minutes,
+				'close' => $close_at,
+			);
+		}
+
+		return $days;
+	}
+
+	/**
+	 * @param array<string, mixed> $point `open` or `close` of a Google period.
+	 * @return int|null Minutes from midnight, or null when malformed.
+	 */
+	private static function period_minutes( array $point ): ?int {
+		if ( isset( $point['time'] ) && is_string( $point['time'] ) ) {
+			return preg_match( '/^(\d{2}):?(\d{2})$/', $point['time'], $match )
+				? (int) $match[1] * 60 + (int) $match[2]
+				: null;
+		}
+		if ( isset( $point['hour'] ) && is_int( $point['hour'] ) ) {
+			return $point['hour'] * 60 + (int) ( $point['minute'] ?? 0 );
+		}
+
+		return null;
+	}
+
+	/**
+	 * @param mixed $day Raw weekday.
+	 */
+	private static function is_weekday( $day ): bool {
+		return is_int( $day ) && $day >= 0 && $day <= 6;
+	}
+
+	/**
+	 * Parses weekday text lines ("Monday: 9 AM – 5 PM") into a map.
+	 *
+	 * @param array<int, mixed> $lines Text lines.
+	 * @return array<string, string> Text per weekday name.
+	 */
+	private static function from_weekday_lines( array $lines ): array {
+		$map = array();
+		foreach ( $lines as $line ) {
+			if ( is_string( $line ) && preg_match( '/^(\w+):\s*(.*)$/u', $line, $match ) && in_array( $match[1], self::WEEKDAYS, true ) ) {
+				$map[ $match[1] ] = $match[2];
+			}
+		}
+
+		return $map;
+	}
+}
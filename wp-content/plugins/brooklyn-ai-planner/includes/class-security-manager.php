@@ -28,22 +28,26 @@ class Security_Manager {
 	/**
 	 * Enforce rate limit per client IP.
 	 *
+	 * @param string|null $ip     Client IP; detected when null.
+	 * @param string      $bucket Counter name for endpoints limited separately from itinerary requests.
+	 * @param int|null    $limit  Requests per window; defaults to the itinerary limit.
 	 * @return true|WP_Error
 	 */
-	public function enforce_rate_limit( ?string $ip = null ) {
-		if ( $this->rate_limit_requests <= 0 ) {
+	public function enforce_rate_limit( ?string $ip = null, string $bucket = '', ?int $limit = null ) {
+		$limit = $limit ?? $this->rate_limit_requests;
+		if ( $limit <= 0 ) {
 			return true;
 		}
 
 		$ip      = $ip ? sanitize_text_field( $ip ) : $this->detect_ip();
 		$ip_hash = md5( $ip );
-		$key     = 'batp_limit_' . $ip_hash;
+		$key     = 'batp_limit_' . ( '' === $bucket ? '' : sanitize_key( $bucket ) . '_' ) . $ip_hash;
 		$count   = (int) get_transient( $key );
 
-		if ( $count >= $this->rate_limit_requests ) {
+		if ( $count >= $limit ) {
 			return new WP_Error(
 				'batp_rate_limited',
-				__( 'Too many itinerary requests. Please try again later.', 'brooklyn-ai-planner' ),
+				__( 'Too many requests. Please try again later.', 'brooklyn-ai-planner' ),
 				array( 'status' => 429 )
 			);
 		}
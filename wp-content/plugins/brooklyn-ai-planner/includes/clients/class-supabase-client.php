@@ -23,7 +23,10 @@ class Supabase_Client {
 	}
 
 	/**
-	 * Select rows from a table with optional limit/order controls.
+	 * Select rows from a table with optional limit/offset/order controls.
+	 *
+	 * `filters` maps column names to PostgREST operators ("gte.2025-01-01");
+	 * a list of operators applies each of them, e.g. both ends of a range.
 	 *
 	 * @param array<string, mixed> $options
 	 * @return array<int, array<string, mixed>>|WP_Error
@@ -31,6 +34,7 @@ class Supabase_Client {
 	public function select( string $table, array $options = array() ) {
 		$select = isset( $options['select'] ) && is_string( $options['select'] ) ? $options['select'] : '*';
 		$limit  = isset( $options['limit'] ) && is_numeric( $options['limit'] ) ? (int) $options['limit'] : null;
+		$offset = isset( $options['offset'] ) && is_numeric( $options['offset'] ) ? (int) $options['offset'] : null;
 		$order  = isset( $options['order'] ) && is_string( $options['order'] ) ? $options['order'] : null;
 
 		$query_args = array( 'select' => $select );
@@ -39,12 +43,17 @@ class Supabase_Client {
 			$query_args['limit'] = $limit;
 		}
 
+		if ( null !== $offset ) {
+			$query_args['offset'] = $offset;
+		}
+
 		if ( null !== $order ) {
 			$query_args['order'] = $order;
 		}
 
-		$query = http_build_query( $query_args, '', '&', PHP_QUERY_RFC3986 );
-		$path  = sprintf( '/rest/v1/%s?%s', urlencode( $table ), $query );
+		$query  = http_build_query( $query_args, '', '&', PHP_QUERY_RFC3986 );
+		$query .= $this->build_filter_query( isset( $options['filters'] ) && is_array( $options['filters'] ) ? $options['filters'] : array() );
+		$path   = sprintf( '/rest/v1/%s?%s', urlencode( $table ), $query );
 
 		return $this->request( 'GET', $path, array() );
 	}
@@ -268,6 +277,27 @@ class Supabase_Client {
 		return $this->request( 'GET', '/rest/v1/venues?select=id&limit=1', array() );
 	}
 
+	/**
+	 * Column filters as query string pairs. Columns may repeat, which
+	 * http_build_query() cannot express.
+	 *
+	 * @param array<string, string|array<int, string>> $filters Operators keyed by column.
+	 */
+	private function build_filter_query( array $filters ): string {
+		$query = '';
+		foreach ( $filters as $column => $operators ) {
+			$column = sanitize_key( (string) $column );
+			if ( '' === $column ) {
+				continue;
+			}
+			foreach ( (array) $operators as $operator ) {
+				$query .= '&' . $column . '=' . rawurlencode( (string) $operator );
+			}
+		}
+
+		return $query;
+	}
+
 	/**
 	 * @return array<string, string>
 	 */
@@ -0,0 +1,15 @@
+/**
+ * Mounts the reports app on the Brooklyn AI Reports admin page.
+ */
+import { createRoot } from '@wordpress/element';
+
+/**
+ * Internal dependencies
+ */
+import ReportsApp from './reports-app';
+import './reports.scss';
+
+const container = document.getElementById( 'batp-reports-app' );
+if ( container ) {
+	createRoot( container ).render( <ReportsApp /> );
+}
@@ -0,0 +1,147 @@
+/**
+ * Daily time-series chart drawn as inline SVG.
+ */
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 40 };
+
+/**
+ * Rounds the axis maximum up to 1, 2 or 5 times a power of ten.
+ *
+ * @param {number} value Largest value.
+ * @return {number} Axis maximum.
+ */
+const niceMax = ( value ) => {
+	if ( value <= 1 ) {
+		return 1;
+	}
+	const magnitude = 10 ** Math.floor( Math.log10( value ) );
+	const step = [ 1, 2, 5, 10 ].find( ( s ) => s * magnitude >= value );
+	return step * magnitude;
+};
+
+/**
+ * @param {Object} props        Component props.
+ * @param {string} props.title  Chart title, also its accessible name.
+ * @param {Array}  props.series Lines ({key, label, color}).
+ * @param {Array}  props.data   Report `series` (one entry per day).
+ * @return {Element} Chart.
+ */
+export default function LineChart( { title, series, data } ) {
+	const max = niceMax(
+		Math.max(
+			0,
+			...data.flatMap( ( day ) =>
+				series.map( ( line ) => day[ line.key ] || 0 )
+			)
+		)
+	);
+	const plotWidth = WIDTH - PADDING.left - PADDING.right;
+	const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+	const x = ( index ) =>
+		PADDING.left +
+		( data.length > 1 ? ( index / ( data.length - 1 ) ) * plotWidth : 0 );
+	const y = ( value ) =>
+		PADDING.top + plotHeight - ( value / max ) * plotHeight;
+
+	const ticks = [ 0, max / 2, max ];
+	const labelled = [
+		...new Set( [
+			0,
+			Math.floor( ( data.length - 1 ) / 2 ),
+			data.length - 1,
+		] ),
+	].filter( ( index ) => index >= 0 );
+
+	return (
+		<figure className="batp-reports-chart">
+			<figcaption className="batp-reports-chart__title">
+				{ title }
+			</figcaption>
+			<svg
+				viewBox={ `0 0 ${ WIDTH } ${ HEIGHT }` }
+				role="img"
+				aria-label={ title }
+				className="batp-reports-chart__svg"
+			>
+				{ ticks.map( ( tick ) => (
+					<g key={ tick }>
+						<line
+							className="batp-reports-chart__grid"
+							x1={ PADDING.left }
+							x2={ WIDTH - PADDING.right }
+							y1={ y( tick ) }
+							y2={ y( tick ) }
+						/>
+						<text
+							className="batp-reports-chart__tick"
+							x={ PADDING.left - 6 }
+							y={ y( tick ) }
+							textAnchor="end"
+							dominantBaseline="middle"
+						>
+							{ Number.isInteger( tick )
+								? tick
+								: tick.toFixed( 1 ) }
+						</text>
+					</g>
+				) ) }
+				{ labelled.map( ( index ) => (
+					<text
+						key={ index }
+						className="batp-reports-chart__tick"
+						x={ x( index ) }
+						y={ HEIGHT - 8 }
+						textAnchor={ index === 0 ? 'start' : 'middle' }
+					>
+						{ data[ index ].date }
+					</text>
+				) ) }
+				{ series.map( ( line ) => (
+					<g key={ line.key }>
+						<polyline
+							fill="none"
+							stroke={ line.color }
+							strokeWidth="2"
+							points={ data
+								.map(
+									( day, index ) =>
+										`${ x( index ) },${ y(
+											day[ line.key ] || 0
+										) }`
+								)
+								.join( ' ' ) }
+						/>
+						{ data.map( ( day, index ) => (
+							<circle
+								key={ day.date }
+								cx={ x( index ) }
+								cy={ y( day[ line.key ] || 0 ) }
+								r="3"
+								fill={ line.color }
+							>
+								<title>{ `${ line.label }, ${ day.date }: ${
+									day[ line.key ] || 0
+								}` }</title>
+							</circle>
+						) ) }
+					</g>
+				) ) }
+			</svg>
+			{ series.length > 1 && (
+				<ul className="batp-reports-chart__legend">
+					{ series.map( ( line ) => (
+						<li key={ line.key }>
+							<span
+								className="batp-reports-chart__swatch"
+								style={ { background: line.color } }
+							/>
+							{ line.label }
+						</li>
+					) ) }
+				</ul>
+			) }
+		</figure>
+	);
+}
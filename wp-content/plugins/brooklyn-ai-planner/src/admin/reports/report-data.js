@@ -0,0 +1,123 @@
+/**
+ * Date ranges, table columns and CSV output for the reports app. Kept free
+ * of WordPress packages so it can be unit tested.
+ */
+
+export const RANGE_PRESETS = [ 7, 30, 90 ];
+
+// Mirrors Analytics_Report::CLICK_EVENTS.
+export const CLICK_SERIES = [
+	{ key: 'website_click', label: 'Website', color: '#F2AE01' },
+	{ key: 'phone_click', label: 'Phone', color: '#10b981' },
+	{ key: 'directions_click', label: 'Directions', color: '#6366f1' },
+	{ key: 'share_link_copy', label: 'Link copied', color: '#0ea5e9' },
+	{ key: 'share_email', label: 'Email', color: '#ef4444' },
+	{ key: 'share_sms', label: 'SMS', color: '#a855f7' },
+	{ key: 'share_native', label: 'Share sheet', color: '#64748b' },
+];
+
+export const ITINERARY_SERIES = [
+	{ key: 'itineraries', label: 'Itineraries', color: '#1649FF' },
+];
+
+/**
+ * @param {string} date ISO calendar date.
+ * @param {number} days Days to add (may be negative).
+ * @return {string} ISO calendar date.
+ */
+export const shiftDate = ( date, days ) => {
+	const shifted = new Date( `${ date }T00:00:00Z` );
+	shifted.setUTCDate( shifted.getUTCDate() + days );
+	return shifted.toISOString().slice( 0, 10 );
+};
+
+/**
+ * @param {number} days  Days in the range, today included.
+ * @param {string} today ISO calendar date.
+ * @return {{from: string, to: string}} Range.
+ */
+export const presetRange = ( days, today ) => ( {
+	from: shiftDate( today, 1 - days ),
+	to: today,
+} );
+
+/**
+ * @param {{from: string, to: string}} range Range.
+ * @param {string}                     today ISO calendar date.
+ * @return {number|null} Matching preset, or null for a custom range.
+ */
+export const matchPreset = ( range, today ) =>
+	RANGE_PRESETS.find(
+		( days ) =>
+			range.to === today && range.from === presetRange( days, today ).from
+	) ?? null;
+
+/**
+ * @param {number} rate Ratio between 0 and 1.
+ * @return {string} Percentage, e.g. "12.5%".
+ */
+export const formatRate = ( rate ) =>
+	`${ ( ( rate || 0 ) * 100 ).toFixed( 1 ) }%`;
+
+/**
+ * Adds click-through rate to the venue breakdown.
+ *
+ * @param {Array} venues Report `venues`.
+ * @return {Array} Rows.
+ */
+export const getVenueRows = ( venues = [] ) =>
+	venues.map( ( venue ) => ( {
+		...venue,
+		ctr: venue.impressions ? venue.clicks / venue.impressions : null,
+	} ) );
+
+/**
+ * Flattens each stage's error codes into one cell.
+ *
+ * @param {Array} stages Report `stages`.
+ * @return {Array} Rows.
+ */
+export const getStageRows = ( stages = [] ) =>
+	stages.map( ( stage ) => ( {
+		...stage,
+		errors: Object.entries( stage.codes || {} )
+			.map( ( [ code, count ] ) => `${ code } (${ count })` )
+			.join( ', ' ),
+	} ) );
+
+/**
+ * Spreadsheet apps run cells that start with =, +, - or @ as formulas;
+ * venue names and error codes are prefixed with an apostrophe so they stay
+ * text.
+ *
+ * @param {*} value Cell value.
+ * @return {string} CSV cell.
+ */
+const toCsvCell = ( value ) => {
+	if ( value === null || value === undefined ) {
+		return '';
+	}
+	if ( typeof value === 'number' ) {
+		return String( value );
+	}
+
+	const text = /^[=+\-@\t\r]/.test( String( value ) )
+		? `'${ value }`
+		: String( value );
+	return /[",\r\n]/.test( text ) ? `"${ text.replace( /"/g, '""' ) }"` : text;
+};
+
+/**
+ * @param {Array<{key: string, label: string}>} columns Columns.
+ * @param {Array<Object>}                       rows    Rows.
+ * @return {string} CSV with a header row and CRLF line endings.
+ */
+export const toCsv = ( columns, rows ) =>
+	[
+		columns.map( ( column ) => column.label ),
+		...rows.map( ( row ) =>
+			columns.map( ( column ) => row[ column.key ] )
+		),
+	]
+		.map( ( cells ) => cells.map( toCsvCell ).join( ',' ) )
+		.join( '\r\n' );
@@ -0,0 +1,86 @@
+/**
+ * Breakdown table with a CSV export of the same rows.
+ */
+import { __ } from '@wordpress/i18n';
+import { Button } from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import { downloadBlob } from '../../brooklyn-ai-planner/frontend/download';
+import { toCsv } from './report-data';
+
+/**
+ * @param {Object}   props              Component props.
+ * @param {string}   props.title        Heading.
+ * @param {Array}    props.columns      Columns ({key, label, format?}); `format` only affects display.
+ * @param {Array}    props.rows         Rows.
+ * @param {string}   props.filename     CSV file name.
+ * @param {string}   props.emptyMessage Shown instead of an empty table.
+ * @param {Function} props.children     Optional content between heading and table.
+ * @return {Element} Section.
+ */
+export default function ReportTable( {
+	title,
+	columns,
+	rows,
+	filename,
+	emptyMessage,
+	children,
+} ) {
+	const exportCsv = () =>
+		downloadBlob(
+			new Blob( [ toCsv( columns, rows ) ], {
+				type: 'text/csv;charset=utf-8',
+			} ),
+			filename
+		);
+
+	return (
+		<section className="batp-reports-section">
+			<div className="batp-reports-section__header">
+				<h2>{ title }</h2>
+				<Button
+					variant="secondary"
+					icon="download"
+					disabled={ rows.length === 0 }
+					onClick={ exportCsv }
+				>
+					{ __( 'Export CSV', 'brooklyn-ai-planner' ) }
+				</Button>
+			</div>
+			{ children }
+			{ rows.length === 0 ? (
+				<p className="description">{ emptyMessage }</p>
+			) : (
+				<table className="widefat striped batp-reports-table">
+					<thead>
+						<tr>
+							{ columns.map( ( column ) => (
+								<th key={ column.key } scope="col">
+									{ column.label }
+								</th>
+							) ) }
+						</tr>
+					</thead>
+					<tbody>
+						{ rows.map( ( row, index ) => (
+							<tr key={ index }>
+								{ columns.map( ( column ) => (
+									<td key={ column.key }>
+										{ column.format
+											? column.format(
+													row[ column.key ],
+													row
+											  )
+											: row[ column.key ] }
+									</td>
+								) ) }
+							</tr>
+						) ) }
+					</tbody>
+				</table>
+			) }
+		</section>
+	);
+}
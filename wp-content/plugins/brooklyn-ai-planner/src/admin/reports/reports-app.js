@@ -0,0 +1,357 @@
+/**
+ * Reports dashboard: date range, totals, daily charts and breakdown tables
+ * from `brooklyn-ai/v1/reports`.
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import { useEffect, useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import { addQueryArgs } from '@wordpress/url';
+import {
+	Button,
+	Flex,
+	FlexItem,
+	Notice,
+	SelectControl,
+	Spinner,
+	TextControl,
+} from '@wordpress/components';
+
+/**
+ * Internal dependencies
+ */
+import { todayInNewYork } from '../../shared/new-york-time';
+import LineChart from './line-chart';
+import ReportTable from './report-table';
+import {
+	CLICK_SERIES,
+	formatRate,
+	getStageRows,
+	getVenueRows,
+	ITINERARY_SERIES,
+	matchPreset,
+	presetRange,
+	RANGE_PRESETS,
+} from './report-data';
+
+const DEFAULT_PRESET = 30;
+
+const formatPercent = ( value ) =>
+	value === null ? '—' : formatRate( value );
+
+const FailureRate = ( { rate } ) => (
+	<span className="batp-reports-rate">
+		<span className="batp-reports-rate__bar" aria-hidden="true">
+			<span style={ { width: formatRate( rate ) } } />
+		</span>
+		{ formatRate( rate ) }
+	</span>
+);
+
+export default function ReportsApp() {
+	const today = todayInNewYork();
+	const [ range, setRange ] = useState( () =>
+		presetRange( DEFAULT_PRESET, today )
+	);
+	const [ report, setReport ] = useState( null );
+	const [ error, setError ] = useState( '' );
+	const [ isLoading, setIsLoading ] = useState( true );
+
+	useEffect( () => {
+		if ( ! range.from || ! range.to || range.from > range.to ) {
+			return;
+		}
+
+		const controller = new window.AbortController();
+		setIsLoading( true );
+		setError( '' );
+		apiFetch( {
+			path: addQueryArgs( '/brooklyn-ai/v1/reports', range ),
+			signal: controller.signal,
+		} )
+			.then( setReport )
+			.catch( ( err ) => {
+				if ( err?.name !== 'AbortError' ) {
+					setError(
+						err?.message ||
+							__(
+								'Could not load reports.',
+								'brooklyn-ai-planner'
+							)
+					);
+				}
+			} )
+			.finally( () => {
+				if ( ! controller.signal.aborted ) {
+					setIsLoading( false );
+				}
+			} );
+
+		return () => controller.abort();
+	}, [ range ] );
+
+	const preset = matchPreset( range, today );
+	const filename = ( name ) =>
+		`brooklyn-ai-${ name }-${ range.from }-to-${ range.to }.csv`;
+	const totals = report?.totals || {};
+	const totalClicks = CLICK_SERIES.reduce(
+		( sum, line ) => sum + ( totals[ line.key ] || 0 ),
+		0
+	);
+
+	const summary = [
+		{
+			label: __( 'Itineraries generated', 'brooklyn-ai-planner' ),
+			value: totals.itineraries,
+		},
+		{ label: __( 'Clicks', 'brooklyn-ai-planner' ), value: totalClicks },
+		...CLICK_SERIES.slice( 0, 3 ).map( ( line ) => ( {
+			label: line.label,
+			value: totals[ line.key ],
+		} ) ),
+	];
+
+	return (
+		<div className="batp-reports-app">
+			<Flex
+				className="batp-reports-toolbar"
+				align="flex-end"
+				justify="flex-start"
+				wrap
+			>
+				<FlexItem>
+					<SelectControl
+						__nextHasNoMarginBottom
+						label={ __( 'Date range', 'brooklyn-ai-planner' ) }
+						value={ preset === null ? 'custom' : String( preset ) }
+						options={ [
+							...RANGE_PRESETS.map( ( days ) => ( {
+								value: String( days ),
+								label: sprintf(
+									/* translators: %d: number of days. */
+									__( 'Last %d days', 'brooklyn-ai-planner' ),
+									days
+								),
+							} ) ),
+							{
+								value: 'custom',
+								label: __( 'Custom', 'brooklyn-ai-planner' ),
+							},
+						] }
+						onChange={ ( value ) =>
+							value !== 'custom' &&
+							setRange( presetRange( Number( value ), today ) )
+						}
+					/>
+				</FlexItem>
+				<FlexItem>
+					<TextControl
+						__nextHasNoMarginBottom
+						type="date"
+						label={ __( 'From', 'brooklyn-ai-planner' ) }
+						value={ range.from }
+						max={ range.to }
+						onChange={ ( from ) => setRange( { ...range, from } ) }
+					/>
+				</FlexItem>
+				<FlexItem>
+					<TextControl
+						__nextHasNoMarginBottom
+						type="date"
+						label={ __( 'To', 'brooklyn-ai-planner' ) }
+						value={ range.to }
+						min={ range.from }
+						max={ today }
+						onChange={ ( to ) => setRange( { ...range, to } ) }
+					/>
+				</FlexItem>
+				<FlexItem>
+					<Button
+						variant="tertiary"
+						icon="printer"
+						onClick={ () => window.print() }
+					>
+						{ __( 'Print', 'brooklyn-ai-planner' ) }
+					</Button>
+				</FlexItem>
+				{ isLoading && (
+					<FlexItem>
+						<Spinner />
+					</FlexItem>
+				) }
+			</Flex>
+
+			{ error && (
+				<Notice status="error" isDismissible={ false }>
+					{ error }
+				</Notice>
+			) }
+			{ report?.truncated && (
+				<Notice status="warning" isDismissible={ false }>
+					{ __(
+						'This range has more events than a report can read; totals cover the earliest ones. Choose a shorter range for complete figures.',
+						'brooklyn-ai-planner'
+					) }
+				</Notice>
+			) }
+
+			{ report && (
+				<>
+					<div className="batp-reports-summary">
+						{ summary.map( ( card ) => (
+							<div
+								key={ card.label }
+								className="batp-reports-card"
+							>
+								<span className="batp-reports-card__label">
+									{ card.label }
+								</span>
+								<span className="batp-reports-card__value">
+									{ ( card.value || 0 ).toLocaleString() }
+								</span>
+							</div>
+						) ) }
+					</div>
+
+					<ReportTable
+						title={ __( 'Daily activity', 'brooklyn-ai-planner' ) }
+						columns={ [
+							{
+								key: 'date',
+								label: __( 'Date', 'brooklyn-ai-planner' ),
+							},
+							...ITINERARY_SERIES,
+							...CLICK_SERIES,
+						] }
+						rows={ report.series }
+						filename={ filename( 'daily' ) }
+						emptyMessage=""
+					>
+						<div className="batp-reports-charts">
+							<LineChart
+								title={ __(
+									'Itineraries per day',
+									'brooklyn-ai-planner'
+								) }
+								series={ ITINERARY_SERIES }
+								data={ report.series }
+							/>
+							<LineChart
+								title={ __(
+									'Clicks per day by type',
+									'brooklyn-ai-planner'
+								) }
+								series={ CLICK_SERIES }
+								data={ report.series }
+							/>
+						</div>
+					</ReportTable>
+
+					<ReportTable
+						title={ __( 'Venues', 'brooklyn-ai-planner' ) }
+						columns={ [
+							{
+								key: 'name',
+								label: __( 'Venue', 'brooklyn-ai-planner' ),
+							},
+							{
+								key: 'impressions',
+								label: __(
+									'Impressions',
+									'brooklyn-ai-planner'
+								),
+							},
+							{
+								key: 'clicks',
+								label: __( 'Clicks', 'brooklyn-ai-planner' ),
+							},
+							...CLICK_SERIES.slice( 0, 3 ),
+							{
+								key: 'ctr',
+								label: __(
+									'Click rate',
+									'brooklyn-ai-planner'
+								),
+								format: formatPercent,
+							},
+						] }
+						rows={ getVenueRows( report.venues ) }
+						filename={ filename( 'venues' ) }
+						emptyMessage={ __(
+							'No venue interactions in this range.',
+							'brooklyn-ai-planner'
+						) }
+					/>
+
+					<ReportTable
+						title={ __( 'Interests', 'brooklyn-ai-planner' ) }
+						columns={ [
+							{
+								key: 'interest',
+								label: __( 'Interest', 'brooklyn-ai-planner' ),
+							},
+							{
+								key: 'itineraries',
+								label: __(
+									'Itineraries',
+									'brooklyn-ai-planner'
+								),
+							},
+							{
+								key: 'share',
+								label: __(
+									'Share of itineraries',
+									'brooklyn-ai-planner'
+								),
+								format: formatRate,
+							},
+						] }
+						rows={ report.interests }
+						filename={ filename( 'interests' ) }
+						emptyMessage={ __(
+							'No itineraries in this range.',
+							'brooklyn-ai-planner'
+						) }
+					/>
+
+					<ReportTable
+						title={ __( 'Pipeline stages', 'brooklyn-ai-planner' ) }
+						columns={ [
+							{
+								key: 'stage',
+								label: __( 'Stage', 'brooklyn-ai-planner' ),
+							},
+							{
+								key: 'completed',
+								label: __( 'Completed', 'brooklyn-ai-planner' ),
+							},
+							{
+								key: 'failed',
+								label: __( 'Failed', 'brooklyn-ai-planner' ),
+							},
+							{
+								key: 'failure_rate',
+								label: __(
+									'Failure rate',
+									'brooklyn-ai-planner'
+								),
+								format: ( rate ) => (
+									<FailureRate rate={ rate } />
+								),
+							},
+							{
+								key: 'errors',
+								label: __( 'Errors', 'brooklyn-ai-planner' ),
+							},
+						] }
+						rows={ getStageRows( report.stages ) }
+						filename={ filename( 'stages' ) }
+						emptyMessage={ __(
+							'No pipeline runs in this range.',
+							'brooklyn-ai-planner'
+						) }
+					/>
+				</>
+			) }
+		</div>
+	);
+}
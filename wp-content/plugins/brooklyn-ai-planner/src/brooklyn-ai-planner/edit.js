@@ -15,7 +15,6 @@ import {
 	useBlockProps,
 	InspectorControls,
 	PanelColorSettings,
-	RichText,
 } from '@wordpress/block-editor';
 import { PanelBody, TextControl } from '@wordpress/components';
 
@@ -27,6 +26,13 @@ import { PanelBody, TextControl } from '@wordpress/components';
  */
 import './editor.scss';
 
+/**
+ * Internal dependencies
+ */
+import InterestsPanel from './editor/interests-panel';
+import FormDefaultsPanel from './editor/form-defaults-panel';
+import PlannerPreview from './editor/planner-preview';
+
 /**
  * The edit function describes the structure of your block in the context of the
  * editor. This represents what the editor will render when the block is used.
@@ -40,7 +46,9 @@ import './editor.scss';
  * @return {Element} Element to render.
  */
 export default function Edit( { attributes, setAttributes } ) {
-	const blockProps = useBlockProps( { className: 'batp-itinerary-block' } );
+	const blockProps = useBlockProps( {
+		className: 'batp-container batp-itinerary-block',
+	} );
 	const { heading, subheading, ctaLabel, highlightColor } = attributes;
 
 	return (
@@ -72,6 +80,14 @@ export default function Edit( { attributes, setAttributes } ) {
 						}
 					/>
 				</PanelBody>
+				<InterestsPanel
+					interests={ attributes.interests }
+					onChange={ ( interests ) => setAttributes( { interests } ) }
+				/>
+				<FormDefaultsPanel
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+				/>
 				<PanelColorSettings
 					title={ __( 'Highlight color', 'brooklyn-ai-planner' ) }
 					colorSettings={ [
@@ -88,37 +104,10 @@ export default function Edit( { attributes, setAttributes } ) {
 				{ ...blockProps }
 				style={ { '--batp-highlight-color': highlightColor } }
 			>
-				<RichText
-					tagName="h2"
-					className="batp-itinerary-block__heading"
-					value={ heading }
-					onChange={ ( value ) =>
-						setAttributes( { heading: value } )
-					}
-					placeholder={ __(
-						'Plan your perfect Brooklyn day',
-						'brooklyn-ai-planner'
-					) }
-				/>
-				<RichText
-					tagName="p"
-					className="batp-itinerary-block__subheading"
-					value={ subheading }
-					onChange={ ( value ) =>
-						setAttributes( { subheading: value } )
-					}
-					placeholder={ __(
-						'Tell us what you love…',
-						'brooklyn-ai-planner'
-					) }
+				<PlannerPreview
+					attributes={ attributes }
+					setAttributes={ setAttributes }
 				/>
-				<button
-					type="button"
-					className="batp-itinerary-block__cta"
-					style={ { backgroundColor: highlightColor } }
-				>
-					{ ctaLabel }
-				</button>
 			</div>
 		</>
 	);
@@ -0,0 +1,151 @@
+/**
+ * Inspector panel for the duration options and the form's starting values
+ * (duration, neighborhood and budget).
+ */
+import { __ } from '@wordpress/i18n';
+import {
+	Button,
+	Flex,
+	FlexBlock,
+	FlexItem,
+	PanelBody,
+	SelectControl,
+	TextControl,
+} from '@wordpress/components';
+
+const BUDGET_OPTIONS = [
+	{ value: 'low', label: __( 'Low ($)', 'brooklyn-ai-planner' ) },
+	{ value: 'medium', label: __( 'Medium ($$)', 'brooklyn-ai-planner' ) },
+	{ value: 'high', label: __( 'High ($$$)', 'brooklyn-ai-planner' ) },
+];
+
+/**
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Attribute setter.
+ * @return {Element} Panel.
+ */
+export default function FormDefaultsPanel( { attributes, setAttributes } ) {
+	const { durations, defaultDuration, defaultNeighborhood, defaultBudget } =
+		attributes;
+
+	const setDurations = ( next ) => {
+		const changes = { durations: next };
+		// Keep the default pointing at an option that still exists.
+		if (
+			next.length &&
+			! next.some( ( option ) => option.hours === defaultDuration )
+		) {
+			changes.defaultDuration = next[ 0 ].hours;
+		}
+		setAttributes( changes );
+	};
+
+	const updateDuration = ( index, changes ) => {
+		const next = durations.map( ( option, i ) =>
+			i === index ? { ...option, ...changes } : option
+		);
+		// Editing the default option's hours carries the default along.
+		if (
+			'hours' in changes &&
+			durations[ index ].hours === defaultDuration
+		) {
+			setAttributes( {
+				durations: next,
+				defaultDuration: changes.hours,
+			} );
+			return;
+		}
+		setDurations( next );
+	};
+
+	const addDuration = () => {
+		const hours = Math.max( 0, ...durations.map( ( o ) => o.hours ) ) + 1;
+		setDurations( [ ...durations, { hours, label: `${ hours } hours` } ] );
+	};
+
+	return (
+		<PanelBody
+			title={ __( 'Form defaults', 'brooklyn-ai-planner' ) }
+			initialOpen={ false }
+		>
+			<TextControl
+				label={ __( 'Default neighborhood', 'brooklyn-ai-planner' ) }
+				value={ defaultNeighborhood }
+				onChange={ ( value ) =>
+					setAttributes( { defaultNeighborhood: value } )
+				}
+			/>
+			<SelectControl
+				label={ __( 'Default budget', 'brooklyn-ai-planner' ) }
+				value={ defaultBudget }
+				options={ BUDGET_OPTIONS }
+				onChange={ ( value ) =>
+					setAttributes( { defaultBudget: value } )
+				}
+			/>
+			<SelectControl
+				label={ __( 'Default duration', 'brooklyn-ai-planner' ) }
+				value={ String( defaultDuration ) }
+				options={ durations.map( ( option ) => ( {
+					value: String( option.hours ),
+					label: option.label,
+				} ) ) }
+				onChange={ ( value ) =>
+					setAttributes( { defaultDuration: Number( value ) } )
+				}
+			/>
+
+			<p className="components-base-control__label">
+				{ __( 'Duration options', 'brooklyn-ai-planner' ) }
+			</p>
+			{ durations.map( ( option, index ) => (
+				<Flex key={ index } align="flex-end">
+					<FlexItem className="batp-inspector-duration__hours">
+						<TextControl
+							type="number"
+							min={ 0.5 }
+							max={ 24 }
+							step={ 0.5 }
+							label={ __( 'Hours', 'brooklyn-ai-planner' ) }
+							value={ option.hours }
+							onChange={ ( value ) =>
+								updateDuration( index, {
+									hours: Number( value ),
+								} )
+							}
+						/>
+					</FlexItem>
+					<FlexBlock>
+						<TextControl
+							label={ __( 'Label', 'brooklyn-ai-planner' ) }
+							value={ option.label }
+							onChange={ ( label ) =>
+								updateDuration( index, { label } )
+							}
+						/>
+					</FlexBlock>
+					<FlexItem>
+						<Button
+							icon="trash"
+							isDestructive
+							label={ __(
+								'Remove duration',
+								'brooklyn-ai-planner'
+							) }
+							disabled={ durations.length <= 1 }
+							onClick={ () =>
+								setDurations(
+									durations.filter( ( _, i ) => i !== index )
+								)
+							}
+						/>
+					</FlexItem>
+				</Flex>
+			) ) }
+			<Button variant="secondary" onClick={ addDuration }>
+				{ __( 'Add duration', 'brooklyn-ai-planner' ) }
+			</Button>
+		</PanelBody>
+	);
+}
@@ -0,0 +1,186 @@
+/**
+ * Inspector panel for the interest chips: visibility, label, emoji, order and
+ * which chips start selected. Stock interests keep their slug (the value the
+ * engine searches on); interests added here derive it from their label.
+ */
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	Button,
+	CheckboxControl,
+	Flex,
+	FlexBlock,
+	FlexItem,
+	PanelBody,
+	TextControl,
+	ToggleControl,
+} from '@wordpress/components';
+
+/**
+ * @param {string} text Label text.
+ * @return {string} Slug accepted by the render callback (`sanitize_key`).
+ */
+const toSlug = ( text ) =>
+	String( text )
+		.toLowerCase()
+		.normalize( 'NFD' )
+		.replace( /[\u0300-\u036f]/g, '' )
+		.replace( /[^a-z0-9]+/g, '_' )
+		.replace( /^_+|_+$/g, '' );
+
+/**
+ * @param {Object}   props           Component props.
+ * @param {Array}    props.interests `interests` attribute.
+ * @param {Function} props.onChange  Called with the updated array.
+ * @return {Element} Panel.
+ */
+export default function InterestsPanel( { interests, onChange } ) {
+	const update = ( index, changes ) =>
+		onChange(
+			interests.map( ( interest, i ) =>
+				i === index ? { ...interest, ...changes } : interest
+			)
+		);
+
+	const move = ( index, offset ) => {
+		const next = [ ...interests ];
+		const [ moved ] = next.splice( index, 1 );
+		next.splice( index + offset, 0, moved );
+		onChange( next );
+	};
+
+	const remove = ( index ) =>
+		onChange( interests.filter( ( _, i ) => i !== index ) );
+
+	const add = () => {
+		const taken = new Set( interests.map( ( interest ) => interest.slug ) );
+		let slug = 'custom';
+		for ( let n = 2; taken.has( slug ); n++ ) {
+			slug = `custom_${ n }`;
+		}
+		onChange( [
+			...interests,
+			{
+				slug,
+				emoji: '✨',
+				label: __( 'New interest', 'brooklyn-ai-planner' ),
+				enabled: true,
+				selected: false,
+				custom: true,
+			},
+		] );
+	};
+
+	return (
+		<PanelBody
+			title={ __( 'Interests', 'brooklyn-ai-planner' ) }
+			initialOpen={ false }
+		>
+			{ interests.map( ( interest, index ) => (
+				<div
+					// Custom slugs follow the label, so they can't key the row.
+					key={ index }
+					className="batp-inspector-interest"
+				>
+					<Flex align="center">
+						<FlexBlock>
+							<CheckboxControl
+								__nextHasNoMarginBottom
+								label={ `${ interest.emoji } ${ interest.label }` }
+								help={
+									interest.enabled
+										? null
+										: __( 'Hidden', 'brooklyn-ai-planner' )
+								}
+								checked={ !! interest.enabled }
+								onChange={ ( enabled ) =>
+									update( index, { enabled } )
+								}
+							/>
+						</FlexBlock>
+						<FlexItem>
+							<Button
+								size="small"
+								icon="arrow-up-alt2"
+								label={ __( 'Move up', 'brooklyn-ai-planner' ) }
+								disabled={ index === 0 }
+								onClick={ () => move( index, -1 ) }
+							/>
+							<Button
+								size="small"
+								icon="arrow-down-alt2"
+								label={ __(
+									'Move down',
+									'brooklyn-ai-planner'
+								) }
+								disabled={ index === interests.length - 1 }
+								onClick={ () => move( index, 1 ) }
+							/>
+							<Button
+								size="small"
+								icon="trash"
+								isDestructive
+								label={ sprintf(
+									/* translators: %s: interest label. */
+									__( 'Remove %s', 'brooklyn-ai-planner' ),
+									interest.label
+								) }
+								onClick={ () => remove( index ) }
+							/>
+						</FlexItem>
+					</Flex>
+					{ interest.enabled && (
+						<>
+							<Flex align="flex-start">
+								<FlexItem className="batp-inspector-interest__emoji">
+									<TextControl
+										__nextHasNoMarginBottom
+										label={ __(
+											'Emoji',
+											'brooklyn-ai-planner'
+										) }
+										value={ interest.emoji }
+										onChange={ ( emoji ) =>
+											update( index, { emoji } )
+										}
+									/>
+								</FlexItem>
+								<FlexBlock>
+									<TextControl
+										__nextHasNoMarginBottom
+										label={ __(
+											'Label',
+											'brooklyn-ai-planner'
+										) }
+										value={ interest.label }
+										onChange={ ( label ) =>
+											update( index, {
+												label,
+												...( interest.custom
+													? { slug: toSlug( label ) }
+													: {} ),
+											} )
+										}
+									/>
+								</FlexBlock>
+							</Flex>
+							<ToggleControl
+								__nextHasNoMarginBottom
+								label={ __(
+									'Selected by default',
+									'brooklyn-ai-planner'
+								) }
+								checked={ !! interest.selected }
+								onChange={ ( selected ) =>
+									update( index, { selected } )
+								}
+							/>
+						</>
+					) }
+				</div>
+			) ) }
+			<Button variant="secondary" onClick={ add }>
+				{ __( 'Add interest', 'brooklyn-ai-planner' ) }
+			</Button>
+		</PanelBody>
+	);
+}
@@ -0,0 +1,799 @@
+/**
+ * Editor canvas preview of the planner.
+ *
+ * Mirrors the markup of render.php and the cards built by view.js so the
+ * front-end stylesheet applies unchanged, and fills the results panel from a
+ * fixture itinerary instead of calling the API. Chips, tabs and modals are
+ * interactive; submitting does nothing.
+ */
+import { __ } from '@wordpress/i18n';
+import { RichText } from '@wordpress/block-editor';
+import { useEffect, useMemo, useRef, useState } from '@wordpress/element';
+import { useInstanceId } from '@wordpress/compose';
+
+import {
+	buildCandidateMap,
+	formatClock,
+	getDirectionsUrl,
+	getVenueDetails,
+	WEEKDAYS,
+} from '../frontend/itinerary';
+import { buildSchedule, renderTimeline } from '../frontend/timeline';
+import { getHoursForDay } from '../frontend/opening-hours';
+import { todayInNewYork } from '../../shared/new-york-time';
+import {
+	ACCESSIBILITY_OPTIONS,
+	BUDGET_LEVELS,
+	DEFAULT_PARTY_SIZE,
+} from '../frontend/planner-request';
+import {
+	DISTANCE_OPTIONS,
+	formatCategory,
+	PRICE_LABELS,
+	SORT_OPTIONS,
+} from '../frontend/result-filters';
+import { SAMPLE_ITINERARY } from './sample-itinerary';
+
+const SAMPLE_CATEGORIES = [
+	...new Set(
+		SAMPLE_ITINERARY.candidates.flatMap( ( c ) => c.data.categories )
+	),
+].sort();
+
+const TABS = [
+	{
+		id: 'list',
+		icon: 'list-view',
+		label: __( 'List View', 'brooklyn-ai-planner' ),
+	},
+	{
+		id: 'map',
+		icon: 'location',
+		label: __( 'Map View', 'brooklyn-ai-planner' ),
+	},
+	{
+		id: 'timeline',
+		icon: 'clock',
+		label: __( 'Timeline', 'brooklyn-ai-planner' ),
+	},
+];
+
+const TRAVEL_MODE_ICONS = {
+	walk: [ 'universal-access', __( 'Walk', 'brooklyn-ai-planner' ) ],
+	transit: [ 'tickets-alt', __( 'Transit', 'brooklyn-ai-planner' ) ],
+	bike: [ 'performance', __( 'Bike', 'brooklyn-ai-planner' ) ],
+	drive: [ 'car', __( 'Drive', 'brooklyn-ai-planner' ) ],
+};
+
+const Dashicon = ( { icon } ) => (
+	<span className={ `dashicons dashicons-${ icon }` } aria-hidden="true" />
+);
+
+/**
+ * @param {Object}   props          Component props.
+ * @param {string}   props.id       Modal id suffix (share or filter).
+ * @param {string}   props.title    Modal heading.
+ * @param {boolean}  props.isOpen   Whether the modal is shown.
+ * @param {Function} props.onClose  Close handler.
+ * @param {boolean}  props.small    Use the narrow layout.
+ * @param {Element}  props.children Modal body.
+ * @return {Element} Modal markup.
+ */
+const PreviewModal = ( { id, title, isOpen, onClose, small, children } ) => (
+	<div
+		className={ `batp-modal${ isOpen ? ' is-open' : '' }` }
+		data-batp-preview-modal={ id }
+		aria-hidden={ ! isOpen }
+	>
+		<div
+			className="batp-modal__overlay"
+			onClick={ onClose }
+			role="presentation"
+		/>
+		<div
+			className={ `batp-modal__content${
+				small ? ' batp-modal__content--sm' : ''
+			}` }
+		>
+			<div className="batp-modal__header">
+				<h3>{ title }</h3>
+				<button
+					type="button"
+					className="batp-modal__close"
+					onClick={ onClose }
+				>
+					&times;
+				</button>
+			</div>
+			<div className="batp-modal__body">{ children }</div>
+		</div>
+	</div>
+);
+
+const BUDGET_SYMBOLS = { low: '$', medium: '$$', high: '$$$' };
+
+// The preview plans the sample trip for 10:00 AM today.
+const PREVIEW_START_MINUTES = 600;
+
+// Same examples render.php offers under the results.
+const REFINE_SUGGESTIONS = [
+	'Swap the bar for something quieter',
+	'Add a coffee stop first',
+	'Make it wheelchair friendly',
+];
+
+/**
+ * @param {Object} props         Component props.
+ * @param {Object} props.item    Itinerary item.
+ * @param {Object} props.details Venue data.
+ * @param {Object} props.visit   Schedule entry from buildSchedule().
+ * @param {number} props.index   Position in the itinerary.
+ * @param {number} props.count   Number of stops.
+ * @return {Element} Card mirroring view.js.
+ */
+const SampleCard = ( { item, details, visit, index, count } ) => {
+	const day = getHoursForDay( details.hours, visit.weekday );
+
+	return (
+		<div className={ `batp-card${ visit.warning ? ' has-warning' : '' }` }>
+			<div className="batp-card__header">
+				<div>
+					{ visit.status && (
+						<span
+							className={ `batp-card__status batp-card__status--${ visit.status.state }` }
+						>
+							{ visit.status.label }
+						</span>
+					) }
+					<h3 className="batp-card__title">
+						{ index + 1 }. { item.title }
+					</h3>
+					<span className="batp-card__tag">Best Match</span>
+				</div>
+				<div className="batp-card__edit">
+					<span className="batp-card__drag dashicons dashicons-move" />
+					<button type="button" disabled={ index === 0 }>
+						<Dashicon icon="arrow-up-alt2" />
+					</button>
+					<button type="button" disabled={ index === count - 1 }>
+						<Dashicon icon="arrow-down-alt2" />
+					</button>
+					<button type="button">
+						<Dashicon icon="randomize" />
+					</button>
+					<button type="button" disabled={ count <= 1 }>
+						<Dashicon icon="trash" />
+					</button>
+				</div>
+			</div>
+
+			<p className="batp-card__description">{ details.vibe_summary }</p>
+			{ visit.warning && (
+				<p className="batp-card__warning">
+					<Dashicon icon="warning" /> { visit.warning }
+				</p>
+			) }
+
+			<div className="batp-card__details">
+				{ details.address && (
+					<div>
+						<Dashicon icon="location" /> { details.address }
+					</div>
+				) }
+				<div>
+					<Dashicon icon="clock" /> Arrive{ ' ' }
+					{ formatClock( visit.start ) } ·{ ' ' }
+					{ day
+						? `${ WEEKDAYS[ visit.weekday ] }: ${ day.label }`
+						: 'Hours not listed' }
+				</div>
+				{ details.phone && (
+					<span className="batp-card__link-row">
+						<Dashicon icon="phone" /> { details.phone }
+					</span>
+				) }
+			</div>
+
+			<div className="batp-card__footer">
+				<a
+					href={ getDirectionsUrl( item, details ) }
+					className="batp-card__btn-directions"
+					onClick={ ( e ) => e.preventDefault() }
+				>
+					<Dashicon icon="location-alt" /> Directions
+				</a>
+				<div className="batp-card__links">
+					{ details.website && (
+						<a
+							href={ details.website }
+							onClick={ ( e ) => e.preventDefault() }
+						>
+							<Dashicon icon="admin-site" /> Website
+						</a>
+					) }
+				</div>
+			</div>
+		</div>
+	);
+};
+
+/**
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Attribute setter.
+ * @return {Element} Planner preview.
+ */
+export default function PlannerPreview( { attributes, setAttributes } ) {
+	const {
+		heading,
+		subheading,
+		ctaLabel,
+		interests,
+		durations,
+		defaultDuration,
+		defaultNeighborhood,
+		defaultBudget,
+	} = attributes;
+
+	const visibleInterests = interests.filter(
+		( interest ) => interest.enabled && interest.slug
+	);
+	const [ picked, setPicked ] = useState( null );
+	const [ activeTab, setActiveTab ] = useState( 'list' );
+	const [ openModal, setOpenModal ] = useState( null );
+	const timelineRef = useRef();
+	const instanceId = useInstanceId( PlannerPreview, 'batp-preview' );
+
+	// Inspector changes to the defaults reset any chips clicked in the preview.
+	useEffect( () => setPicked( null ), [ interests ] );
+
+	const selected =
+		picked ||
+		new Set(
+			visibleInterests
+				.filter( ( interest ) => interest.selected )
+				.map( ( interest ) => interest.slug )
+		);
+
+	const toggleInterest = ( slug ) => {
+		const next = new Set( selected );
+		if ( next.has( slug ) ) {
+			next.delete( slug );
+		} else {
+			next.add( slug );
+		}
+		setPicked( next );
+	};
+
+	const { items } = SAMPLE_ITINERARY.itinerary;
+	const candidateMap = useMemo(
+		() => buildCandidateMap( SAMPLE_ITINERARY.candidates ),
+		[]
+	);
+
+	const scheduleOptions = useMemo(
+		() => ( {
+			items,
+			candidateMap,
+			startDate: todayInNewYork(),
+			startMinutes: PREVIEW_START_MINUTES,
+		} ),
+		[ items, candidateMap ]
+	);
+	const schedule = useMemo(
+		() => buildSchedule( scheduleOptions ),
+		[ scheduleOptions ]
+	);
+
+	useEffect( () => {
+		if ( activeTab === 'timeline' && timelineRef.current ) {
+			renderTimeline( timelineRef.current, scheduleOptions );
+		}
+	}, [ activeTab, scheduleOptions ] );
+
+	const durationLabel =
+		durations.find( ( option ) => option.hours === defaultDuration )
+			?.label || `${ defaultDuration } hours`;
+	const closeModal = () => setOpenModal( null );
+
+	return (
+		<>
+			<div className="batp-search-panel">
+				<div className="batp-search-panel__header">
+					<RichText
+						tagName="h2"
+						className="batp-search-panel__title batp-itinerary-block__heading"
+						value={ heading }
+						onChange={ ( value ) =>
+							setAttributes( { heading: value } )
+						}
+						placeholder={ __(
+							'Plan your perfect Brooklyn day',
+							'brooklyn-ai-planner'
+						) }
+					/>
+					<RichText
+						tagName="p"
+						className="batp-search-panel__subtitle batp-itinerary-block__subheading"
+						value={ subheading }
+						onChange={ ( value ) =>
+							setAttributes( { subheading: value } )
+						}
+						placeholder={ __(
+							'Tell us what you love…',
+							'brooklyn-ai-planner'
+						) }
+					/>
+				</div>
+
+				<div className="batp-search-panel__body">
+					<form
+						className="batp-form"
+						onSubmit={ ( e ) => e.preventDefault() }
+					>
+						<div className="batp-form__section">
+							<span className="batp-form__section-label">
+								What interests you?
+							</span>
+							<div className="batp-form__chips">
+								{ visibleInterests.map( ( interest ) => (
+									<label
+										key={ interest.slug }
+										htmlFor={ `${ instanceId }-${ interest.slug }` }
+										className={ `batp-form__chip${
+											selected.has( interest.slug )
+												? ' is-selected'
+												: ''
+										}` }
+									>
+										<input
+											id={ `${ instanceId }-${ interest.slug }` }
+											type="checkbox"
+											checked={ selected.has(
+												interest.slug
+											) }
+											onChange={ () =>
+												toggleInterest( interest.slug )
+											}
+										/>
+										{ `${ interest.emoji } ${ interest.label }`.trim() }
+									</label>
+								) ) }
+							</div>
+						</div>
+
+						<div className="batp-form__row">
+							<div className="batp-form__input-group batp-form__input-group--location">
+								<span className="batp-form__section-label">
+									Your Location
+								</span>
+								<div className="batp-form__location-field">
+									<input
+										type="text"
+										value={ defaultNeighborhood }
+										placeholder="e.g., Brooklyn Heights, or use current location"
+										readOnly
+									/>
+									<button
+										type="button"
+										className="batp-form__locate"
+										aria-label="Use my current location"
+									>
+										<Dashicon icon="location" />
+									</button>
+								</div>
+							</div>
+							<fieldset className="batp-form__input-group batp-form__input-group--time">
+								<legend className="batp-form__section-label">
+									When
+								</legend>
+								<div className="batp-form__when">
+									<input
+										type="date"
+										aria-label="Trip date"
+										disabled
+									/>
+									<input
+										type="time"
+										aria-label="Start time"
+										value="10:00"
+										disabled
+									/>
+									<select
+										aria-label="Available time"
+										value={ String( defaultDuration ) }
+										onChange={ ( e ) =>
+											setAttributes( {
+												defaultDuration: Number(
+													e.target.value
+												),
+											} )
+										}
+									>
+										{ durations.map( ( option, index ) => (
+											<option
+												key={ index }
+												value={ String( option.hours ) }
+											>
+												{ option.label }
+											</option>
+										) ) }
+									</select>
+								</div>
+							</fieldset>
+						</div>
+
+						<div className="batp-form__row batp-form__row--preferences">
+							<fieldset className="batp-form__input-group batp-form__input-group--budget">
+								<legend className="batp-form__section-label">
+									Budget
+								</legend>
+								<div className="batp-form__segmented">
+									{ BUDGET_LEVELS.map( ( level ) => (
+										<label
+											key={ level }
+											htmlFor={ `${ instanceId }-budget-${ level }` }
+										>
+											<input
+												id={ `${ instanceId }-budget-${ level }` }
+												type="radio"
+												name={ `${ instanceId }-budget` }
+												checked={
+													defaultBudget === level
+												}
+												onChange={ () =>
+													setAttributes( {
+														defaultBudget: level,
+													} )
+												}
+											/>
+											<span aria-hidden="true">
+												{ BUDGET_SYMBOLS[ level ] }
+											</span>
+										</label>
+									) ) }
+								</div>
+							</fieldset>
+							<div className="batp-form__input-group batp-form__input-group--party">
+								<label
+									className="batp-form__section-label"
+									htmlFor={ `${ instanceId }-party` }
+								>
+									Party Size
+								</label>
+								<input
+									id={ `${ instanceId }-party` }
+									type="number"
+									value={ DEFAULT_PARTY_SIZE }
+									readOnly
+								/>
+							</div>
+							<div className="batp-form__input-group batp-form__input-group--variants">
+								<label
+									className="batp-form__section-label"
+									htmlFor={ `${ instanceId }-variants` }
+								>
+									Options
+								</label>
+								<select
+									id={ `${ instanceId }-variants` }
+									value="1"
+									disabled
+								>
+									<option value="1">One plan</option>
+								</select>
+							</div>
+							<fieldset className="batp-form__input-group batp-form__input-group--access">
+								<legend className="batp-form__section-label">
+									Accessibility Needs
+								</legend>
+								<div className="batp-form__chips">
+									{ ACCESSIBILITY_OPTIONS.map( ( option ) => (
+										<span
+											key={ option.value }
+											className="batp-form__chip"
+										>
+											{ option.label }
+										</span>
+									) ) }
+								</div>
+							</fieldset>
+						</div>
+
+						<button type="submit" className="batp-form__submit">
+							<Dashicon icon="search" /> { ctaLabel }
+						</button>
+					</form>
+				</div>
+			</div>
+
+			<div className="batp-results is-active">
+				<div className="batp-results__header">
+					<div className="batp-results__title-group">
+						<h2>Your Personalized Itinerary</h2>
+						<div className="batp-results__meta">
+							{ `${ items.length } venues found • ${ durationLabel } available` }
+						</div>
+					</div>
+					<div className="batp-results__actions">
+						<button
+							type="button"
+							className="batp-results__btn batp-results__btn--primary"
+							onClick={ () => setOpenModal( 'share' ) }
+						>
+							<Dashicon icon="share" /> Share & Export
+						</button>
+						<button
+							type="button"
+							className="batp-results__btn"
+							onClick={ () => setOpenModal( 'filter' ) }
+						>
+							<Dashicon icon="filter" /> Filters
+						</button>
+						<button type="button" className="batp-results__btn">
+							New Search
+						</button>
+					</div>
+				</div>
+
+				<div className="batp-tabs">
+					{ TABS.map( ( tab ) => (
+						<button
+							key={ tab.id }
+							type="button"
+							className={ `batp-tabs__btn${
+								activeTab === tab.id ? ' is-active' : ''
+							}` }
+							onClick={ () => setActiveTab( tab.id ) }
+						>
+							<Dashicon icon={ tab.icon } /> { tab.label }
+						</button>
+					) ) }
+				</div>
+
+				{ activeTab === 'list' && (
+					<div className="batp-view-content is-active">
+						<div className="batp-scroll-container">
+							<div className="batp-list-grid">
+								{ items.map( ( item, index ) => (
+									<SampleCard
+										key={ item.slug }
+										item={ item }
+										details={ getVenueDetails(
+											candidateMap,
+											item
+										) }
+										visit={ schedule[ index ] }
+										index={ index }
+										count={ items.length }
+									/>
+								) ) }
+							</div>
+						</div>
+					</div>
+				) }
+
+				{ activeTab === 'map' && (
+					<div className="batp-view-content is-active">
+						<div className="batp-map-toolbar">
+							{ Object.entries( TRAVEL_MODE_ICONS ).map(
+								( [ mode, [ icon, label ] ] ) => (
+									<button
+										key={ mode }
+										type="button"
+										className={ `batp-map-toolbar__btn${
+											mode === 'walk' ? ' is-active' : ''
+										}` }
+									>
+										<Dashicon icon={ icon } /> { label }
+									</button>
+								)
+							) }
+						</div>
+						<div className="batp-map-preview">
+							<Dashicon icon="location-alt" />
+							<p>
+								{ __(
+									'The interactive map loads on the published page.',
+									'brooklyn-ai-planner'
+								) }
+							</p>
+						</div>
+					</div>
+				) }
+
+				{ activeTab === 'timeline' && (
+					<div className="batp-view-content is-active">
+						<div className="batp-scroll-container">
+							<div ref={ timelineRef } />
+						</div>
+					</div>
+				) }
+
+				<form
+					className="batp-refine"
+					onSubmit={ ( event ) => event.preventDefault() }
+				>
+					<label
+						className="batp-refine__label"
+						htmlFor={ `${ instanceId }-refine` }
+					>
+						Refine this plan
+					</label>
+					<div className="batp-refine__row">
+						<input
+							type="text"
+							id={ `${ instanceId }-refine` }
+							className="batp-refine__input"
+							placeholder="e.g. Swap the bar for something quieter"
+						/>
+						<button type="submit" className="batp-refine__submit">
+							<Dashicon icon="update" /> Update Plan
+						</button>
+					</div>
+					<div className="batp-refine__suggestions">
+						{ REFINE_SUGGESTIONS.map( ( suggestion ) => (
+							<button
+								key={ suggestion }
+								type="button"
+								className="batp-refine__suggestion"
+							>
+								{ suggestion }
+							</button>
+						) ) }
+					</div>
+				</form>
+			</div>
+
+			<PreviewModal
+				id="share"
+				title="Share & Export Your Itinerary"
+				isOpen={ openModal === 'share' }
+				onClose={ closeModal }
+			>
+				<p className="batp-modal__subtitle">
+					Save your Brooklyn adventure or share it with friends
+				</p>
+				<h4>Download</h4>
+				<div className="batp-share-grid">
+					<button type="button" className="batp-share-btn">
+						<Dashicon icon="pdf" />
+						<div className="batp-share-btn__text">
+							<strong>Download PDF</strong>
+							<span>Save as a portable document</span>
+						</div>
+					</button>
+					<button type="button" className="batp-share-btn">
+						<Dashicon icon="calendar" />
+						<div className="batp-share-btn__text">
+							<strong>Add to Calendar</strong>
+							<span>Export events to iCal</span>
+						</div>
+					</button>
+				</div>
+				<div className="batp-itinerary-summary-box">
+					<h4>Itinerary Summary</h4>
+					<ul className="batp-summary-list">
+						{ items.map( ( item, index ) => (
+							<li key={ item.slug }>
+								{ index + 1 }. { item.title }
+							</li>
+						) ) }
+					</ul>
+				</div>
+			</PreviewModal>
+
+			<PreviewModal
+				id="filter"
+				title="Filter Results"
+				isOpen={ openModal === 'filter' }
+				onClose={ closeModal }
+				small
+			>
+				<h4>Refine Results</h4>
+				<div className="batp-filter-group">
+					<label
+						className="batp-checkbox-row"
+						htmlFor={ `${ instanceId }-open-now` }
+					>
+						<input
+							id={ `${ instanceId }-open-now` }
+							type="checkbox"
+						/>
+						<span>Open now</span>
+					</label>
+					<label
+						className="batp-filter-field"
+						htmlFor={ `${ instanceId }-filter-price` }
+					>
+						<span>Price</span>
+						<select id={ `${ instanceId }-filter-price` }>
+							<option value="">Any price</option>
+							{ Object.entries( PRICE_LABELS ).map(
+								( [ level, symbol ] ) => (
+									<option key={ level } value={ level }>
+										Up to { symbol }
+									</option>
+								)
+							) }
+						</select>
+					</label>
+					<label
+						className="batp-filter-field"
+						htmlFor={ `${ instanceId }-filter-distance` }
+					>
+						<span>Distance</span>
+						<select id={ `${ instanceId }-filter-distance` }>
+							<option value="">Any distance</option>
+							{ DISTANCE_OPTIONS.map( ( miles ) => (
+								<option key={ miles } value={ miles }>
+									Within { miles } mi
+								</option>
+							) ) }
+						</select>
+					</label>
+					<label
+						className="batp-filter-field"
+						htmlFor={ `${ instanceId }-filter-sort` }
+					>
+						<span>Sort by</span>
+						<select id={ `${ instanceId }-filter-sort` }>
+							{ SORT_OPTIONS.map( ( { value: sort, label } ) => (
+								<option key={ sort } value={ sort }>
+									{ label }
+								</option>
+							) ) }
+						</select>
+					</label>
+				</div>
+
+				<h4>Categories</h4>
+				<div className="batp-filter-group batp-filter-group--categories">
+					{ SAMPLE_CATEGORIES.map( ( category ) => (
+						<label
+							key={ category }
+							className="batp-checkbox-row"
+							htmlFor={ `${ instanceId }-category-${ category }` }
+						>
+							<input
+								id={ `${ instanceId }-category-${ category }` }
+								type="checkbox"
+							/>
+							<span>{ formatCategory( category ) }</span>
+						</label>
+					) ) }
+				</div>
+
+				<h4>Accessibility</h4>
+				<p className="batp-modal__subtitle">
+					Changing these re-plans your itinerary with venues that meet
+					every need you select.
+				</p>
+				<div className="batp-filter-group">
+					{ ACCESSIBILITY_OPTIONS.map( ( { value: key, label } ) => (
+						<label
+							key={ key }
+							className="batp-checkbox-row"
+							htmlFor={ `${ instanceId }-access-${ key }` }
+						>
+							<input
+								id={ `${ instanceId }-access-${ key }` }
+								type="checkbox"
+							/>
+							<span>{ label }</span>
+						</label>
+					) ) }
+				</div>
+				<div className="batp-modal__footer">
+					<button
+						type="button"
+						className="batp-btn-primary batp-btn-full"
+						onClick={ closeModal }
+					>
+						Apply Filters
+					</button>
+				</div>
+			</PreviewModal>
+		</>
+	);
+}
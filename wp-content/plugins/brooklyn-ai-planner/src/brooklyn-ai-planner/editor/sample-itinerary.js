@@ -0,0 +1,103 @@
+/**
+ * Fixture itinerary for the editor preview.
+ *
+ * Mirrors the shape of an `/itinerary` response (items plus engine
+ * candidates) so the preview exercises the same helpers as the front end
+ * without calling the API.
+ */
+
+const everyDay = ( range ) => ( {
+	Monday: range,
+	Tuesday: range,
+	Wednesday: range,
+	Thursday: range,
+	Friday: range,
+	Saturday: range,
+	Sunday: range,
+} );
+
+export const SAMPLE_ITINERARY = {
+	itinerary: {
+		meta: {
+			summary: 'A relaxed afternoon between the waterfront and DUMBO.',
+		},
+		items: [
+			{
+				slug: 'sample-brooklyn-roasting',
+				title: 'Brooklyn Roasting Company',
+				order: 1,
+				arrival_minute: 0,
+				duration_minutes: 45,
+				notes: 'Grab a cold brew before the walk along the water.',
+			},
+			{
+				slug: 'sample-bridge-park',
+				title: 'Brooklyn Bridge Park, Pier 1',
+				order: 2,
+				arrival_minute: 60,
+				duration_minutes: 75,
+				notes: 'Skyline views and plenty of benches.',
+			},
+			{
+				slug: 'sample-powerhouse-books',
+				title: 'Powerhouse Books',
+				order: 3,
+				arrival_minute: 150,
+				duration_minutes: 45,
+				notes: 'Art and photography titles from local publishers.',
+			},
+		],
+	},
+	candidates: [
+		{
+			slug: 'sample-brooklyn-roasting',
+			data: {
+				id: 'sample-1',
+				name: 'Brooklyn Roasting Company',
+				categories: [ 'coffee' ],
+				address: '25 Jay St, Brooklyn, NY 11201',
+				phone: '(718) 555-0101',
+				website: 'https://example.com/roasting',
+				vibe_summary:
+					'Airy warehouse café with house-roasted beans and communal tables.',
+				hours: everyDay( '7:00 AM – 7:00 PM' ),
+				latitude: 40.7041,
+				longitude: -73.9867,
+				accessibility: [ 'wheelchair', 'seating' ],
+			},
+		},
+		{
+			slug: 'sample-bridge-park',
+			data: {
+				id: 'sample-2',
+				name: 'Brooklyn Bridge Park, Pier 1',
+				categories: [ 'parks' ],
+				address: '102 Furman St, Brooklyn, NY 11201',
+				website: 'https://example.com/bridge-park',
+				vibe_summary:
+					'Waterfront lawns with Manhattan skyline views and the Promenade above.',
+				hours: everyDay( '6:00 AM – 1:00 AM' ),
+				latitude: 40.7008,
+				longitude: -73.9969,
+				accessibility: [ 'wheelchair', 'seating' ],
+			},
+		},
+		{
+			slug: 'sample-powerhouse-books',
+			data: {
+				id: 'sample-3',
+				name: 'Powerhouse Books',
+				categories: [ 'art', 'shopping' ],
+				address: '19 Old Fulton St, Brooklyn, NY 11201',
+				phone: '(718) 555-0103',
+				website: 'https://example.com/powerhouse',
+				vibe_summary:
+					'Independent bookstore and gallery space under the bridge.',
+				hours: everyDay( '10:00 AM – 7:00 PM' ),
+				latitude: 40.7027,
+				longitude: -73.9937,
+				accessibility: [ 'sensory' ],
+			},
+		},
+	],
+};
@@ -0,0 +1,326 @@
+/**
+ * Client analytics for the `/brooklyn-ai/v1/events` route.
+ *
+ * Events are queued in localStorage and sent in batches, so a failed request
+ * or a reload does not lose them. When the page is hidden the queue goes out
+ * with navigator.sendBeacon, which survives unload; beacons cannot carry
+ * headers, so the REST nonce travels as `_wpnonce` in the URL instead.
+ */
+
+import { createRandomId } from './random-id';
+
+export const ANALYTICS_STORAGE_KEY = 'batp-analytics';
+
+// Mirrors the route's maxItems for `events`.
+export const MAX_BATCH_SIZE = 25;
+
+const MAX_QUEUE_LENGTH = 200;
+const FLUSH_DELAY_MS = 10000;
+const MAX_RETRY_DELAY_MS = 300000;
+
+// Dwell below this is a bounce, not a visit.
+const MIN_DWELL_MS = 1000;
+
+/**
+ * @return {string} Random id that ties an itinerary's events together.
+ */
+export const createItineraryId = createRandomId;
+
+/**
+ * Creates the event queue.
+ *
+ * @param {Object}       options              Options.
+ * @param {string}       options.url          Events endpoint.
+ * @param {Function}     options.getNonce     Returns the itinerary nonce.
+ * @param {Function}     options.getRestNonce Returns the REST cookie nonce, if any.
+ * @param {Storage|null} options.storage      Backing storage (defaults to localStorage).
+ * @param {number}       options.flushDelay   Milliseconds to wait for more events;
+ *                                            failed sends retry after twice
+ *                                            this, doubling up to five minutes.
+ * @return {Object} Queue API: track(), flush(), flushWithBeacon().
+ */
+export const createAnalyticsQueue = ( {
+	url,
+	getNonce,
+	getRestNonce = () => '',
+	storage = null,
+	flushDelay = FLUSH_DELAY_MS,
+} ) => {
+	let backend = storage;
+	if ( ! backend ) {
+		try {
+			// Throws in some privacy modes.
+			backend = window.localStorage;
+		} catch ( e ) {
+			backend = null;
+		}
+	}
+
+	const load = () => {
+		try {
+			const stored = JSON.parse(
+				backend?.getItem( ANALYTICS_STORAGE_KEY ) || '[]'
+			);
+			return Array.isArray( stored )
+				? stored.filter(
+						( event ) =>
+							event && typeof event.action_type === 'string'
+				  )
+				: [];
+		} catch ( e ) {
+			return [];
+		}
+	};
+
+	let queue = load();
+	let timer = null;
+	// Events in the pending fetch; they stay queued until it succeeds.
+	let inFlight = [];
+	let failures = 0;
+
+	const save = () => {
+		try {
+			backend?.setItem( ANALYTICS_STORAGE_KEY, JSON.stringify( queue ) );
+		} catch ( e ) {
+			// Storage full or blocked: events stay in memory only.
+		}
+	};
+
+	const serialize = ( events ) =>
+		JSON.stringify( { events, nonce: getNonce() } );
+
+	const retry = () => {
+		clearTimeout( timer );
+		failures++;
+		timer = setTimeout(
+			flush,
+			Math.min( flushDelay * 2 ** failures, MAX_RETRY_DELAY_MS )
+		);
+	};
+
+	const schedule = () => {
+		if ( ! timer ) {
+			timer = setTimeout( flush, flushDelay );
+		}
+	};
+
+	const flush = async () => {
+		clearTimeout( timer );
+		timer = null;
+		if ( inFlight.length || ! queue.length || ! getNonce() ) {
+			return;
+		}
+
+		const batch = queue.slice( 0, MAX_BATCH_SIZE );
+		const restNonce = getRestNonce();
+		let delivered = false;
+		inFlight = batch;
+		try {
+			const response = await fetch( url, {
+				method: 'POST',
+				keepalive: true,
+				headers: {
+					'Content-Type': 'application/json',
+					...( restNonce ? { 'X-WP-Nonce': restNonce } : {} ),
+				},
+				body: serialize( batch ),
+			} );
+			// A rejected batch will not pass on a retry either; expired
+			// nonces (403) and server errors are retried.
+			delivered = response.ok || response.status === 400;
+		} catch ( e ) {
+			delivered = false;
+		} finally {
+			inFlight = [];
+		}
+
+		if ( ! delivered ) {
+			retry();
+			return;
+		}
+
+		failures = 0;
+		queue = queue.filter( ( event ) => ! batch.includes( event ) );
+		save();
+		// Events tracked while the request was out may have filled another
+		// batch; their own flush() returned early.
+		if ( queue.length >= MAX_BATCH_SIZE ) {
+			flush();
+		} else if ( queue.length ) {
+			schedule();
+		}
+	};
+
+	return {
+		/**
+		 * Queues an event.
+		 *
+		 * @param {string}      action           Event name (one of the route's tracked events).
+		 * @param {Object}      details          Details.
+		 * @param {string|null} details.venueId  Venue id.
+		 * @param {Object}      details.metadata Extra fields.
+		 */
+		track( action, { venueId = null, metadata = {} } = {} ) {
+			queue.push( {
+				action_type: action,
+				...( venueId ? { venue_id: String( venueId ) } : {} ),
+				metadata: {
+					...metadata,
+					source: 'web_client',
+					client_time: Date.now(),
+				},
+			} );
+			queue = queue.slice( -MAX_QUEUE_LENGTH );
+			save();
+
+			// While retrying, full batches wait for the backoff timer.
+			if ( queue.length >= MAX_BATCH_SIZE && ! failures ) {
+				flush();
+			} else {
+				schedule();
+			}
+		},
+
+		flush,
+
+		/**
+		 * Sends everything queued with sendBeacon. Batches the browser
+		 * refuses stay stored for the next page load. Events a pending
+		 * fetch is carrying are left to it (keepalive outlives the page);
+		 * if it fails they are still stored.
+		 */
+		flushWithBeacon() {
+			clearTimeout( timer );
+			timer = null;
+			const nonce = getNonce();
+			if (
+				! nonce ||
+				typeof window.navigator.sendBeacon !== 'function'
+			) {
+				save();
+				return;
+			}
+
+			const restNonce = getRestNonce();
+			const beaconUrl = restNonce
+				? `${ url }${
+						url.includes( '?' ) ? '&' : '?'
+				  }_wpnonce=${ encodeURIComponent( restNonce ) }`
+				: url;
+
+			let unsent = queue.filter(
+				( event ) => ! inFlight.includes( event )
+			);
+			while ( unsent.length ) {
+				const batch = unsent.slice( 0, MAX_BATCH_SIZE );
+				const sent = window.navigator.sendBeacon(
+					beaconUrl,
+					new Blob( [ serialize( batch ) ], {
+						type: 'application/json',
+					} )
+				);
+				if ( ! sent ) {
+					break;
+				}
+				unsent = unsent.slice( batch.length );
+				queue = queue.filter( ( event ) => ! batch.includes( event ) );
+			}
+			save();
+		},
+
+		/**
+		 * @return {number} Events waiting to be sent.
+		 */
+		get pending() {
+			return queue.length;
+		},
+	};
+};
+
+/**
+ * Reports each card once per itinerary when at least half of it is visible.
+ *
+ * @param {Function} onImpression Called with the card element.
+ * @return {Object|null} API: observe( container ) after each render, reset()
+ *                       for a new itinerary. Null without IntersectionObserver.
+ */
+export const observeImpressions = ( onImpression ) => {
+	if ( typeof window.IntersectionObserver !== 'function' ) {
+		return null;
+	}
+
+	let seen = new Set();
+	const observer = new window.IntersectionObserver(
+		( entries ) =>
+			entries.forEach( ( entry ) => {
+				const slug = entry.target.dataset.slug;
+				if ( ! entry.isIntersecting || seen.has( slug ) ) {
+					return;
+				}
+				seen.add( slug );
+				observer.unobserve( entry.target );
+				onImpression( entry.target );
+			} ),
+		{ threshold: 0.5 }
+	);
+
+	return {
+		/**
+		 * @param {HTMLElement} container Re-rendered list.
+		 */
+		observe( container ) {
+			observer.disconnect();
+			container
+				.querySelectorAll( '[data-slug]' )
+				.forEach(
+					( card ) =>
+						seen.has( card.dataset.slug ) ||
+						observer.observe( card )
+				);
+		},
+		reset() {
+			observer.disconnect();
+			seen = new Set();
+		},
+	};
+};
+
+/**
+ * Measures how long an itinerary stays on screen while the page is visible.
+ *
+ * @param {Function} onReport Called with (itineraryId, seconds) whenever a
+ *                            stretch of viewing ends.
+ * @param {Function} now      Clock (for tests).
+ * @return {Object} API: start( id ), pause(), resume().
+ */
+export const createDwellTimer = ( onReport, now = () => Date.now() ) => {
+	let subject = null;
+	let since = null;
+
+	const report = () => {
+		const elapsed = since === null ? 0 : now() - since;
+		since = null;
+		if ( subject && elapsed >= MIN_DWELL_MS ) {
+			onReport( subject, Math.round( elapsed / 1000 ) );
+		}
+	};
+
+	return {
+		/**
+		 * Starts timing a new itinerary, reporting the previous one.
+		 *
+		 * @param {string} id Itinerary id.
+		 */
+		start( id ) {
+			report();
+			subject = id;
+			since = document.visibilityState === 'hidden' ? null : now();
+		},
+		pause: report,
+		resume() {
+			if ( subject && since === null ) {
+				since = now();
+			}
+		},
+	};
+};
@@ -0,0 +1,30 @@
+/**
+ * Triggers a browser download for a generated file.
+ *
+ * @param {Blob}   blob     File contents.
+ * @param {string} filename Suggested file name.
+ */
+export const downloadBlob = ( blob, filename ) => {
+	const url = URL.createObjectURL( blob );
+	const link = document.createElement( 'a' );
+	link.href = url;
+	link.download = filename;
+	link.rel = 'noopener';
+	document.body.appendChild( link );
+	link.click();
+	link.remove();
+	// Give the browser a tick to start the download before revoking.
+	setTimeout( () => URL.revokeObjectURL( url ), 1000 );
+};
+
+/**
+ * Builds a dated, filesystem-safe file name.
+ *
+ * @param {string} prefix    Base name.
+ * @param {string} extension Extension without the dot.
+ * @return {string} e.g. "brooklyn-itinerary-2025-11-26.pdf".
+ */
+export const datedFilename = ( prefix, extension ) => {
+	const date = new Date().toISOString().slice( 0, 10 );
+	return `${ prefix }-${ date }.${ extension }`;
+};
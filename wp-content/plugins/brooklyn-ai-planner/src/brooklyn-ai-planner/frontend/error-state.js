@@ -0,0 +1,310 @@
+/**
+ * Structured error handling for the planner's REST calls.
+ *
+ * REST failures arrive as serialized WP_Error objects (`code`, `message`,
+ * `data.status`). They are mapped to friendly copy with a suggested fix, and
+ * transient ones are retried with exponential backoff.
+ */
+
+import { escapeHtml } from './html';
+
+/**
+ * Error raised for a failed REST response.
+ */
+export class ApiError extends Error {
+	/**
+	 * @param {string} code    WP_Error code (or a client-side code).
+	 * @param {string} message Server message.
+	 * @param {number} status  HTTP status (0 for network failures).
+	 * @param {Object} data    WP_Error data.
+	 */
+	constructor( code, message, status = 0, data = {} ) {
+		super( message || code );
+		this.name = 'ApiError';
+		this.code = code;
+		this.status = status;
+		this.data = data;
+	}
+}
+
+/**
+ * Reads a fetch Response, throwing an ApiError unless it is OK.
+ *
+ * @param {Response} response Fetch response.
+ * @return {Promise<Object>} Parsed JSON body.
+ * @throws {ApiError} For non-2xx responses or unreadable bodies.
+ */
+export const readJsonResponse = async ( response ) => {
+	let body = null;
+	try {
+		body = await response.json();
+	} catch ( e ) {
+		body = null;
+	}
+
+	if ( ! response.ok || ! body ) {
+		throw new ApiError(
+			body?.code || `http_${ response.status }`,
+			body?.message || response.statusText,
+			response.status,
+			body?.data || {}
+		);
+	}
+
+	return body;
+};
+
+const LLM_FAILURE = {
+	title: 'Our trip planner hit a snag',
+	message: 'The AI could not finish ordering your itinerary.',
+	hint: 'This is usually temporary. We will retry automatically; if it keeps happening, try again in a minute.',
+	retryable: true,
+};
+
+const SERVICE_FAILURE = {
+	title: 'Venue search is temporarily unavailable',
+	message: 'We could not reach one of our venue services.',
+	hint: 'Please try again in a moment.',
+	retryable: true,
+};
+
+const KNOWN_ERRORS = {
+	batp_rate_limited: {
+		title: 'Too many requests',
+		message: 'You have generated several itineraries in a short time.',
+		hint: 'Please wait a few minutes before trying again.',
+		retryable: false,
+	},
+	batp_invalid_nonce: {
+		title: 'Your session expired',
+		message: 'This page has been open for a while.',
+		hint: 'We refreshed your session; press Try again.',
+		refreshNonce: true,
+	},
+	rest_cookie_invalid_nonce: {
+		title: 'Your session expired',
+		message: 'This page has been open for a while.',
+		hint: 'We refreshed your session; press Try again.',
+		refreshNonce: true,
+	},
+	batp_invalid_input: {
+		title: 'Please check your search',
+		message: 'Some of the search options could not be used.',
+		hint: 'Pick at least one interest and an available time, then try again.',
+	},
+	rest_invalid_param: {
+		title: 'Please check your search',
+		message: 'Some of the search options could not be used.',
+		hint: 'Pick at least one interest and an available time, then try again.',
+	},
+	batp_out_of_area: {
+		title: 'That location is outside Brooklyn',
+		message: 'The planner only covers Brooklyn neighborhoods.',
+		hint: 'Choose a Brooklyn neighborhood from the suggestions.',
+	},
+	batp_all_closed: {
+		title: 'Nothing is open then',
+		message: 'None of the matching venues are open during your trip.',
+		hint: 'Try a different start time or day.',
+		empty: true,
+	},
+	batp_llm_missing_text: LLM_FAILURE,
+	batp_llm_invalid_json: LLM_FAILURE,
+	batp_itinerary_invalid_json: LLM_FAILURE,
+	batp_gemini_missing_text: LLM_FAILURE,
+	batp_gemini_embedding_missing: LLM_FAILURE,
+	batp_pinecone_error: SERVICE_FAILURE,
+	batp_supabase_http_error: SERVICE_FAILURE,
+	network_error: {
+		title: 'You appear to be offline',
+		message: 'We could not reach the planner.',
+		hint: 'Check your connection; we will keep retrying for a moment.',
+		retryable: true,
+	},
+	no_results: {
+		title: 'No venues matched your search',
+		message: 'We could not build an itinerary from these options.',
+		hint: 'Try more interests, a different neighborhood or a longer time window.',
+		empty: true,
+	},
+};
+
+/**
+ * Maps an error to user-facing copy.
+ *
+ * @param {Error} error Any error thrown while generating.
+ * @return {{code: string, title: string, message: string, hint: string, retryable: boolean, refreshNonce: boolean, empty: boolean}} Descriptor.
+ */
+export const describeError = ( error ) => {
+	const code = error?.code || 'unknown';
+	const known = KNOWN_ERRORS[ code ];
+	const status = error?.status || 0;
+	const fallback =
+		status >= 500
+			? SERVICE_FAILURE
+			: {
+					title: 'Something went wrong',
+					message:
+						error?.message ||
+						'We could not generate your itinerary.',
+					hint: 'Please try again.',
+			  };
+
+	return {
+		code,
+		retryable: false,
+		refreshNonce: false,
+		empty: false,
+		...( known || fallback ),
+	};
+};
+
+/**
+ * Converts fetch failures (TypeError) into ApiErrors; passes others through.
+ *
+ * @param {Error} error Caught error.
+ * @return {Error} Normalized error.
+ */
+export const normalizeError = ( error ) =>
+	error instanceof TypeError
+		? new ApiError( 'network_error', error.message, 0 )
+		: error;
+
+// Waits, rejecting with an AbortError if the signal fires first. The abort
+// listener is removed either way, so backoffs don't pile up on the signal.
+const sleep = ( ms, signal ) =>
+	new Promise( ( resolve, reject ) => {
+		const onAbort = () => {
+			clearTimeout( timer );
+			reject( new DOMException( 'Aborted', 'AbortError' ) );
+		};
+		const timer = setTimeout( () => {
+			signal?.removeEventListener( 'abort', onAbort );
+			resolve();
+		}, ms );
+		if ( signal?.aborted ) {
+			onAbort();
+			return;
+		}
+		signal?.addEventListener( 'abort', onAbort, { once: true } );
+	} );
+
+/**
+ * Runs a request, retrying transient failures with exponential backoff.
+ *
+ * Expired nonces are refreshed once and retried immediately.
+ *
+ * @param {Function} attempt              Async function performing one request.
+ * @param {Object}   options              Options.
+ * @param {number}   options.retries      Maximum retries for transient errors.
+ * @param {number}   options.baseDelay    First backoff delay in ms.
+ * @param {Function} options.refreshNonce Async function refreshing nonces.
+ * @param {Function} options.onRetry      Called with ( attemptNumber, delayMs, descriptor ).
+ * @param {Object}   options.signal       AbortSignal that stops retrying.
+ * @return {Promise<*>} Result of the first successful attempt.
+ */
+export const withRetry = async (
+	attempt,
+	{
+		retries = 3,
+		baseDelay = 1000,
+		refreshNonce = null,
+		onRetry = () => {},
+		signal = null,
+	} = {}
+) => {
+	let nonceRefreshed = false;
+
+	for ( let tries = 0; ; tries++ ) {
+		try {
+			return await attempt();
+		} catch ( caught ) {
+			const error = normalizeError( caught );
+			const descriptor = describeError( error );
+
+			if ( signal?.aborted || error.name === 'AbortError' ) {
+				throw error;
+			}
+
+			if ( descriptor.refreshNonce && refreshNonce && ! nonceRefreshed ) {
+				nonceRefreshed = true;
+				await refreshNonce();
+				continue;
+			}
+
+			if ( ! descriptor.retryable || tries >= retries ) {
+				throw error;
+			}
+
+			// 1s, 2s, 4s… with ±25% jitter so clients don't retry in lockstep.
+			const delay = baseDelay * 2 ** tries * ( 0.75 + Math.random() / 2 );
+			onRetry( tries + 1, delay, descriptor );
+			await sleep( delay, signal );
+		}
+	}
+};
+
+/**
+ * Renders the inline error / empty state.
+ *
+ * @param {HTMLElement} container        Target element.
+ * @param {Object}      descriptor       Result of describeError().
+ * @param {Object}      actions          Optional callbacks.
+ * @param {Function}    actions.onRetry  Retry handler (shown when set).
+ * @param {Function}    actions.onAdjust Focuses the search form (shown when set).
+ */
+export const renderErrorState = (
+	container,
+	descriptor,
+	{ onRetry = null, onAdjust = null } = {}
+) => {
+	if ( ! container ) {
+		return;
+	}
+
+	container.innerHTML = `
+		<div class="batp-state ${
+			descriptor.empty ? 'batp-state--empty' : 'batp-state--error'
+		}" role="alert">
+			<span class="dashicons ${
+				descriptor.empty ? 'dashicons-search' : 'dashicons-warning'
+			}" aria-hidden="true"></span>
+			<h3 class="batp-state__title">${ escapeHtml( descriptor.title ) }</h3>
+			<p class="batp-state__message">${ escapeHtml( descriptor.message ) }</p>
+			<p class="batp-state__hint">${ escapeHtml( descriptor.hint ) }</p>
+			<div class="batp-state__actions">
+				${
+					onRetry
+						? '<button type="button" class="batp-btn-primary" data-batp-state-retry>Try again</button>'
+						: ''
+				}
+				${
+					onAdjust
+						? '<button type="button" class="batp-state__adjust" data-batp-state-adjust>Adjust search</button>'
+						: ''
+				}
+			</div>
+		</div>`;
+	container.hidden = false;
+
+	const retryBtn = container.querySelector( '[data-batp-state-retry]' );
+	if ( retryBtn ) {
+		retryBtn.onclick = onRetry;
+	}
+	const adjustBtn = container.querySelector( '[data-batp-state-adjust]' );
+	if ( adjustBtn ) {
+		adjustBtn.onclick = onAdjust;
+	}
+};
+
+/**
+ * Hides the error / empty state.
+ *
+ * @param {HTMLElement} container Target element.
+ */
+export const clearErrorState = ( container ) => {
+	if ( container ) {
+		container.innerHTML = '';
+		container.hidden = true;
+	}
+};
@@ -0,0 +1,115 @@
+/**
+ * Public extension points for themes and add-ons.
+ *
+ * The same reference, for site builders, is in readme.txt ("Extending the
+ * planner"); keep the two in sync.
+ *
+ * Filters run through `@wordpress/hooks` (`wp.hooks` on the page):
+ *
+ * - `batp.requestPayload` ( payload, { request, form, root } ): the body sent
+ *   to the itinerary endpoint. The nonce and progress token are added after
+ *   the filter runs.
+ * - `batp.cardHtml` ( html, { stop, visit, root } ): markup of one list
+ *   card. Venue fields in `stop.details` are unescaped; pass anything
+ *   inserted through `escapeHtml()`.
+ *
+ * Each action is also dispatched as a bubbling CustomEvent on the block's
+ * wrapper, with the same object as `event.detail`:
+ *
+ * - `batp.beforeSubmit` / `batp:before-submit` ({ payload, request, form,
+ *   root }). The event is cancelable; `preventDefault()` stops the request.
+ * - `batp.resultsRendered` / `batp:results-rendered` ({ itinerary, stops,
+ *   list, root }), after every redraw of the list view.
+ * - `batp.mapReady` / `batp:map-ready` ({ map, root }), once the Google map
+ *   and its markers exist.
+ * - `batp.share` / `batp:share` ({ channel, stops, url, root }), for each
+ *   share: `link`, `email`, `sms` or `native`.
+ *
+ * @example
+ * wp.hooks.addFilter( 'batp.cardHtml', 'my-theme/badge', ( html, { stop } ) =>
+ * 	stop.details.is_local_favorite
+ * 		? html.replace( '<div class="batp-card__header">', '$&<span class="my-badge">Local pick</span>' )
+ * 		: html
+ * );
+ * document.addEventListener( 'batp:results-rendered', ( event ) => {
+ * 	console.log( event.detail.stops.length );
+ * } );
+ */
+
+export const HOOK_PREFIX = 'batp.';
+export const EVENT_PREFIX = 'batp:';
+
+/**
+ * @param {string} name Extension point in kebab case, e.g. `map-ready`.
+ * @return {string} Hook name, e.g. `batp.mapReady`.
+ */
+export const toHookName = ( name ) =>
+	HOOK_PREFIX +
+	name.replace( /-([a-z])/g, ( match, letter ) => letter.toUpperCase() );
+
+/**
+ * Creates the extension points for one planner block.
+ *
+ * @param {Element}     root  Block wrapper the events are dispatched on.
+ * @param {Object|null} hooks `@wordpress/hooks` functions ({ applyFilters,
+ *                            doAction }), or null for DOM events only.
+ * @return {{filter: Function, emit: Function}} Extension points.
+ */
+export const createExtensionPoints = ( root, hooks = null ) => ( {
+	/**
+	 * Runs a filter. A callback that throws or returns a different type is
+	 * ignored, so one broken add-on cannot stop the planner.
+	 *
+	 * @param {string} name    Extension point, e.g. `card-html`.
+	 * @param {*}      value   Value to filter.
+	 * @param {Object} context Extra arguments; `root` is added.
+	 * @return {*} Filtered value.
+	 */
+	filter( name, value, context = {} ) {
+		if ( typeof hooks?.applyFilters !== 'function' ) {
+			return value;
+		}
+		const hookName = toHookName( name );
+		try {
+			const filtered = hooks.applyFilters( hookName, value, {
+				...context,
+				root,
+			} );
+			return typeof filtered === typeof value && filtered !== null
+				? filtered
+				: value;
+		} catch ( error ) {
+			console.error( `BATP ${ hookName } failed:`, error ); // eslint-disable-line no-console
+			return value;
+		}
+	},
+
+	/**
+	 * Runs an action and dispatches the matching DOM event.
+	 *
+	 * @param {string}  name               Extension point, e.g. `map-ready`.
+	 * @param {Object}  detail             Event detail; `root` is added.
+	 * @param {Object}  options            Options.
+	 * @param {boolean} options.cancelable Whether listeners may cancel.
+	 * @return {boolean} False when a listener called preventDefault().
+	 */
+	emit( name, detail = {}, { cancelable = false } = {} ) {
+		const payload = { ...detail, root };
+		const hookName = toHookName( name );
+		if ( typeof hooks?.doAction === 'function' ) {
+			try {
+				hooks.doAction( hookName, payload );
+			} catch ( error ) {
+				console.error( `BATP ${ hookName } failed:`, error ); // eslint-disable-line no-console
+			}
+		}
+
+		return root.dispatchEvent(
+			new window.CustomEvent( EVENT_PREFIX + name, {
+				bubbles: true,
+				cancelable,
+				detail: payload,
+			} )
+		);
+	},
+} );
@@ -0,0 +1,134 @@
+/**
+ * Stage-by-stage progress for itinerary generation.
+ *
+ * The itinerary request carries a client-generated `progress_token`; while it
+ * runs, `/itinerary/progress/<token>` is polled for the engine's stage states
+ * and a DELETE on the same route asks the engine to stop before its next
+ * stage.
+ */
+
+import { escapeHtml } from './html';
+import { createRandomId } from './random-id';
+
+export const PIPELINE_STAGES = [
+	{ id: 'guardrails', label: 'Checking your request' },
+	{ id: 'kmeans', label: 'Finding venues near you' },
+	{ id: 'semantic', label: 'Matching your interests' },
+	{ id: 'mba', label: 'Adding popular pairings' },
+	{ id: 'filters', label: 'Applying budget and accessibility' },
+	{ id: 'llm', label: 'Ordering your itinerary' },
+];
+
+const POLL_INTERVAL_MS = 800;
+
+/**
+ * @return {string} Random token accepted by the progress route.
+ */
+export const createProgressToken = createRandomId;
+
+/**
+ * Polls the progress route until stopped.
+ *
+ * @param {string}   url              Progress URL for the token.
+ * @param {Object}   options          Options.
+ * @param {Function} options.onUpdate Called with each progress payload.
+ * @param {Object}   options.headers  Extra request headers.
+ * @return {Function} Stops polling.
+ */
+export const pollProgress = ( url, { onUpdate, headers = {} } ) => {
+	let stopped = false;
+	let timer = null;
+
+	const tick = async () => {
+		try {
+			const response = await fetch( url, { headers } );
+			// 404 until the engine has passed its guardrails.
+			if ( response.ok && ! stopped ) {
+				onUpdate( await response.json() );
+			}
+		} catch ( e ) {
+			// Polling is best effort; the main request reports real failures.
+		}
+		if ( ! stopped ) {
+			timer = setTimeout( tick, POLL_INTERVAL_MS );
+		}
+	};
+
+	timer = setTimeout( tick, POLL_INTERVAL_MS );
+
+	return () => {
+		stopped = true;
+		clearTimeout( timer );
+	};
+};
+
+/**
+ * Binds the progress panel markup.
+ *
+ * @param {HTMLElement} panel Panel element (`[data-batp-progress]`).
+ * @return {Object|null} Panel API: start(), update(), stop().
+ */
+export const createProgressPanel = ( panel ) => {
+	if ( ! panel ) {
+		return null;
+	}
+
+	const list = panel.querySelector( '[data-batp-progress-stages]' );
+	const elapsed = panel.querySelector( '[data-batp-progress-elapsed]' );
+	const current = panel.querySelector( '[data-batp-progress-current]' );
+	let startedAt = 0;
+	let clock = null;
+	let lastAnnounced = '';
+
+	const render = ( stages = {} ) => {
+		const active =
+			PIPELINE_STAGES.find(
+				( stage ) => stages[ stage.id ] === 'running'
+			) || PIPELINE_STAGES.find( ( stage ) => ! stages[ stage.id ] );
+
+		list.innerHTML = PIPELINE_STAGES.map( ( stage ) => {
+			const state =
+				stages[ stage.id ] ||
+				( stage === active ? 'running' : 'pending' );
+			return `<li class="batp-progress__stage is-${ escapeHtml(
+				state
+			) }"><span class="batp-progress__icon" aria-hidden="true"></span>${ escapeHtml(
+				stage.label
+			) }</li>`;
+		} ).join( '' );
+
+		// Announce stage changes only, not every poll.
+		const label = active ? `${ active.label }…` : 'Finishing up…';
+		if ( current && label !== lastAnnounced ) {
+			current.textContent = label;
+			lastAnnounced = label;
+		}
+	};
+
+	const tickClock = () => {
+		const seconds = Math.floor( ( Date.now() - startedAt ) / 1000 );
+		elapsed.textContent =
+			seconds < 60
+				? `${ seconds }s`
+				: `${ Math.floor( seconds / 60 ) }m ${ seconds % 60 }s`;
+	};
+
+	return {
+		start() {
+			clearInterval( clock );
+			startedAt = Date.now();
+			lastAnnounced = '';
+			render();
+			tickClock();
+			clock = setInterval( tickClock, 1000 );
+			panel.hidden = false;
+		},
+		update( progress ) {
+			render( progress?.stages || {} );
+		},
+		stop() {
+			clearInterval( clock );
+			panel.hidden = true;
+		},
+	};
+};
@@ -0,0 +1,141 @@
+/**
+ * Browser geolocation for the trip origin.
+ *
+ * Wraps `navigator.geolocation` in a promise and turns every failure mode
+ * (unsupported, denied, unavailable, timeout, imprecise, outside Brooklyn)
+ * into a GeolocationError with a message fit for the form notice.
+ */
+
+import { nearestNeighborhood } from './neighborhoods';
+
+// Mirrors Engine::BROOKLYN_BOUNDS; the server rejects origins outside it.
+export const BROOKLYN_BOUNDS = {
+	south: 40.57,
+	north: 40.74,
+	west: -74.042,
+	east: -73.833,
+};
+
+const TIMEOUT_MS = 10000;
+const MAX_AGE_MS = 5 * 60 * 1000;
+// Beyond this the fix is too coarse to pick a neighborhood (IP-based guesses).
+const MAX_ACCURACY_METERS = 5000;
+
+/**
+ * Error raised when a usable location cannot be obtained.
+ */
+export class GeolocationError extends Error {
+	/**
+	 * @param {string} code    Machine-readable reason (unsupported, denied, unavailable, timeout, inaccurate, outside).
+	 * @param {string} message Human-readable message.
+	 */
+	constructor( code, message ) {
+		super( message );
+		this.name = 'GeolocationError';
+		this.code = code;
+	}
+}
+
+/**
+ * Whether a coordinate falls inside the Brooklyn bounding box.
+ *
+ * @param {number} lat Latitude.
+ * @param {number} lng Longitude.
+ * @return {boolean} True when inside.
+ */
+export const isInBrooklyn = ( lat, lng ) =>
+	lat >= BROOKLYN_BOUNDS.south &&
+	lat <= BROOKLYN_BOUNDS.north &&
+	lng >= BROOKLYN_BOUNDS.west &&
+	lng <= BROOKLYN_BOUNDS.east;
+
+/**
+ * Reports the current permission state without prompting, when supported.
+ *
+ * @return {Promise<string>} 'granted', 'denied', 'prompt' or 'unknown'.
+ */
+const queryPermission = async () => {
+	try {
+		const status = await window.navigator.permissions.query( {
+			name: 'geolocation',
+		} );
+		return status.state;
+	} catch ( e ) {
+		return 'unknown';
+	}
+};
+
+const POSITION_ERRORS = {
+	1: [
+		'denied',
+		'Location access was denied. Allow it in your browser settings or type a neighborhood instead.',
+	],
+	2: [
+		'unavailable',
+		'Your location is unavailable right now. Please type a neighborhood instead.',
+	],
+	3: [
+		'timeout',
+		'Finding your location took too long. Please try again or type a neighborhood.',
+	],
+};
+
+/**
+ * Locates the user and resolves the nearest Brooklyn neighborhood.
+ *
+ * @return {Promise<{latitude: number, longitude: number, accuracy: number, neighborhood: string}>} Origin.
+ * @throws {GeolocationError} When no usable Brooklyn location is available.
+ */
+export const locateUser = async () => {
+	if ( ! window.navigator.geolocation ) {
+		throw new GeolocationError(
+			'unsupported',
+			'Your browser does not support location lookup. Please type a neighborhood instead.'
+		);
+	}
+
+	if ( ( await queryPermission() ) === 'denied' ) {
+		throw new GeolocationError( ...POSITION_ERRORS[ 1 ] );
+	}
+
+	const position = await new Promise( ( resolve, reject ) => {
+		window.navigator.geolocation.getCurrentPosition(
+			resolve,
+			( error ) =>
+				reject(
+					new GeolocationError(
+						...( POSITION_ERRORS[ error.code ] ||
+							POSITION_ERRORS[ 2 ] )
+					)
+				),
+			{
+				enableHighAccuracy: true,
+				timeout: TIMEOUT_MS,
+				maximumAge: MAX_AGE_MS,
+			}
+		);
+	} );
+
+	const { latitude, longitude, accuracy } = position.coords;
+
+	if ( accuracy > MAX_ACCURACY_METERS ) {
+		throw new GeolocationError(
+			'inaccurate',
+			'Your location is too approximate to plan from. Please type a neighborhood instead.'
+		);
+	}
+
+	if ( ! isInBrooklyn( latitude, longitude ) ) {
+		throw new GeolocationError(
+			'outside',
+			'You appear to be outside Brooklyn. Please type the Brooklyn neighborhood you want to start from.'
+		);
+	}
+
+	return {
+		latitude,
+		longitude,
+		accuracy,
+		neighborhood: nearestNeighborhood( latitude, longitude ).name,
+	};
+};
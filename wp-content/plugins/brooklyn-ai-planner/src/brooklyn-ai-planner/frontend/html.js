@@ -0,0 +1,56 @@
+/**
+ * HTML escaping and URL allow-listing for markup built with template strings.
+ *
+ * Venue data is scraped, so every interpolated value goes through
+ * escapeHtml() and every link through safeUrl() or telHref().
+ */
+
+const ENTITIES = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;',
+	'"': '&quot;',
+	"'": '&#39;',
+};
+
+const WEB_SCHEMES = [ 'http:', 'https:' ];
+
+/**
+ * Escapes text for use in element content or quoted attributes.
+ *
+ * @param {*} value Raw value.
+ * @return {string} Escaped string.
+ */
+export const escapeHtml = ( value ) =>
+	String( value ?? '' ).replace( /[&<>"']/g, ( char ) => ENTITIES[ char ] );
+
+/**
+ * Returns an absolute URL only when its scheme is allowed, so `javascript:`
+ * and `data:` links never reach an `href`. The result still needs escapeHtml().
+ *
+ * @param {*}        value   Raw URL.
+ * @param {string[]} schemes Allowed schemes, with the trailing colon.
+ * @return {string} Normalized URL, or an empty string when rejected.
+ */
+export const safeUrl = ( value, schemes = WEB_SCHEMES ) => {
+	if ( typeof value !== 'string' || ! value.trim() ) {
+		return '';
+	}
+	try {
+		const url = new URL( value.trim() );
+		return schemes.includes( url.protocol ) ? url.href : '';
+	} catch ( e ) {
+		return '';
+	}
+};
+
+/**
+ * Builds a `tel:` link from a displayed phone number.
+ *
+ * @param {*} phone Raw phone number.
+ * @return {string} `tel:` URI with digits and "+" only, or an empty string.
+ */
+export const telHref = ( phone ) => {
+	const dialable = String( phone ?? '' ).replace( /[^0-9+]/g, '' );
+	return /[0-9]/.test( dialable ) ? `tel:${ dialable }` : '';
+};
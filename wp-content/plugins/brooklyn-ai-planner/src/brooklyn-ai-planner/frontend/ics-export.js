@@ -0,0 +1,181 @@
+/**
+ * iCalendar (RFC 5545) export of a generated itinerary.
+ *
+ * Each stop becomes a VEVENT anchored to the America/New_York time zone, timed
+ * from the engine's `arrival_minute` / `duration_minutes` offsets.
+ */
+
+import {
+	getDirectionsUrl,
+	getVenueCoordinates,
+	getVenueDetails,
+	getVenuePhone,
+	resolveStopTimings,
+} from './itinerary';
+import { TIMEZONE } from '../../shared/new-york-time';
+
+// US Eastern rules in force since 2007.
+const VTIMEZONE = [
+	'BEGIN:VTIMEZONE',
+	`TZID:${ TIMEZONE }`,
+	'X-LIC-LOCATION:America/New_York',
+	'BEGIN:DAYLIGHT',
+	'TZOFFSETFROM:-0500',
+	'TZOFFSETTO:-0400',
+	'TZNAME:EDT',
+	'DTSTART:19700308T020000',
+	'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+	'END:DAYLIGHT',
+	'BEGIN:STANDARD',
+	'TZOFFSETFROM:-0400',
+	'TZOFFSETTO:-0500',
+	'TZNAME:EST',
+	'DTSTART:19701101T020000',
+	'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+	'END:STANDARD',
+	'END:VTIMEZONE',
+];
+
+/**
+ * Escapes a TEXT property value.
+ *
+ * @param {string} value Raw text.
+ * @return {string} Escaped text.
+ */
+export const escapeText = ( value ) =>
+	String( value )
+		.replace( /\\/g, '\\\\' )
+		.replace( /;/g, '\\;' )
+		.replace( /,/g, '\\,' )
+		.replace( /\r?\n/g, '\\n' );
+
+/**
+ * Folds a content line to 75 octets without splitting UTF-8 sequences.
+ *
+ * @param {string} line Unfolded content line.
+ * @return {string} Folded line (CRLF + space continuation).
+ */
+export const foldLine = ( line ) => {
+	const encoder = new TextEncoder();
+	const parts = [];
+	let current = '';
+	let bytes = 0;
+
+	for ( const char of line ) {
+		const size = encoder.encode( char ).length;
+		// Continuation lines lose one octet to the leading space.
+		const limit = parts.length === 0 ? 75 : 74;
+		if ( bytes + size > limit ) {
+			parts.push( current );
+			current = '';
+			bytes = 0;
+		}
+		current += char;
+		bytes += size;
+	}
+	parts.push( current );
+
+	return parts.join( '\r\n ' );
+};
+
+const pad = ( value ) => String( value ).padStart( 2, '0' );
+
+/**
+ * Formats a wall-clock Date (held in UTC fields) as an iCalendar local time.
+ *
+ * @param {Date} date Wall-clock time stored in the UTC fields.
+ * @return {string} e.g. "20251126T100000".
+ */
+const formatLocal = ( date ) =>
+	`${ date.getUTCFullYear() }${ pad( date.getUTCMonth() + 1 ) }${ pad(
+		date.getUTCDate()
+	) }T${ pad( date.getUTCHours() ) }${ pad( date.getUTCMinutes() ) }00`;
+
+const formatUtcStamp = ( date ) =>
+	date
+		.toISOString()
+		.replace( /[-:]/g, '' )
+		.replace( /\.\d{3}/, '' );
+
+/**
+ * Builds the VCALENDAR document.
+ *
+ * @param {Object} options              Export options.
+ * @param {Array}  options.items        Ordered itinerary items.
+ * @param {Map}    options.candidateMap Candidates keyed by slug.
+ * @param {string} options.startDate    Trip date, YYYY-MM-DD.
+ * @param {string} options.startTime    Trip start, HH:MM (24h).
+ * @return {string} iCalendar text with CRLF line endings.
+ */
+export const buildItineraryIcs = ( {
+	items,
+	candidateMap,
+	startDate,
+	startTime,
+} ) => {
+	const [ year, month, day ] = startDate.split( '-' ).map( Number );
+	const [ hour, minute ] = startTime.split( ':' ).map( Number );
+	if ( ! year || ! month || ! day || Number.isNaN( hour ) ) {
+		throw new Error( 'Invalid start date or time.' );
+	}
+
+	// Wall-clock arithmetic in UTC fields; the TZID carries the real zone.
+	const origin = Date.UTC( year, month - 1, day, hour, minute || 0 );
+	const stamp = formatUtcStamp( new Date() );
+	const timings = resolveStopTimings( items );
+
+	const lines = [
+		'BEGIN:VCALENDAR',
+		'VERSION:2.0',
+		'PRODID:-//Brooklyn AI Trip Planner//Itinerary//EN',
+		'CALSCALE:GREGORIAN',
+		'METHOD:PUBLISH',
+		'X-WR-CALNAME:Brooklyn Itinerary',
+		`X-WR-TIMEZONE:${ TIMEZONE }`,
+		...VTIMEZONE,
+	];
+
+	items.forEach( ( item, index ) => {
+		const details = getVenueDetails( candidateMap, item );
+		const coords = getVenueCoordinates( details );
+		const phone = getVenuePhone( details );
+		const { start, duration } = timings[ index ];
+		const dtStart = new Date( origin + start * 60000 );
+		const dtEnd = new Date( origin + ( start + duration ) * 60000 );
+
+		const description = [
+			item.notes || details.vibe_summary || '',
+			phone ? `Phone: ${ phone }` : '',
+			details.website ? `Website: ${ details.website }` : '',
+			`Directions: ${ getDirectionsUrl( item, details ) }`,
+		]
+			.filter( Boolean )
+			.join( '\n' );
+
+		lines.push(
+			'BEGIN:VEVENT',
+			`UID:${ item.slug }-${ formatLocal(
+				dtStart
+			) }-${ index }@brooklyn-ai-planner`,
+			`DTSTAMP:${ stamp }`,
+			`DTSTART;TZID=${ TIMEZONE }:${ formatLocal( dtStart ) }`,
+			`DTEND;TZID=${ TIMEZONE }:${ formatLocal( dtEnd ) }`,
+			`SUMMARY:${ escapeText( `${ index + 1 }. ${ item.title }` ) }`
+		);
+		if ( details.address ) {
+			lines.push( `LOCATION:${ escapeText( details.address ) }` );
+		}
+		if ( coords ) {
+			lines.push( `GEO:${ coords.lat };${ coords.lng }` );
+		}
+		lines.push(
+			`DESCRIPTION:${ escapeText( description ) }`,
+			'TRANSP:OPAQUE',
+			'END:VEVENT'
+		);
+	} );
+
+	lines.push( 'END:VCALENDAR' );
+
+	return lines.map( foldLine ).join( '\r\n' ) + '\r\n';
+};
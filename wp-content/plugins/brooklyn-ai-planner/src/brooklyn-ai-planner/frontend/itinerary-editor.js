@@ -0,0 +1,120 @@
+/**
+ * Editing operations for a generated itinerary.
+ *
+ * Every operation returns a new, resequenced items array: `order` follows the
+ * position and `arrival_minute` is recomputed back to back, keeping each
+ * stop's duration and allowing a fixed travel buffer between stops.
+ */
+
+import { resolveStopTimings, toCategories } from './itinerary';
+
+export const TRAVEL_BUFFER_MINUTES = 15;
+const MAX_ALTERNATIVES = 5;
+
+/**
+ * Renumbers items and recomputes their arrival offsets.
+ *
+ * @param {Array} items Itinerary items in visiting order.
+ * @return {Array} New items.
+ */
+export const resequence = ( items ) => {
+	const timings = resolveStopTimings( items );
+	let cursor = timings.length ? timings[ 0 ].start : 0;
+
+	return items.map( ( item, index ) => {
+		const next = {
+			...item,
+			order: index + 1,
+			arrival_minute: cursor,
+			duration_minutes: timings[ index ].duration,
+		};
+		cursor += timings[ index ].duration + TRAVEL_BUFFER_MINUTES;
+		return next;
+	} );
+};
+
+/**
+ * @param {Array}  items Itinerary items.
+ * @param {number} from  Current index.
+ * @param {number} to    Target index.
+ * @return {Array} Reordered items.
+ */
+export const moveStop = ( items, from, to ) => {
+	if (
+		from === to ||
+		from < 0 ||
+		to < 0 ||
+		from >= items.length ||
+		to >= items.length
+	) {
+		return items;
+	}
+	const next = [ ...items ];
+	const [ moved ] = next.splice( from, 1 );
+	next.splice( to, 0, moved );
+	return resequence( next );
+};
+
+/**
+ * @param {Array}  items Itinerary items.
+ * @param {number} index Index to drop.
+ * @return {Array} Remaining items (the last stop cannot be removed).
+ */
+export const removeStop = ( items, index ) =>
+	items.length <= 1
+		? items
+		: resequence( items.filter( ( _, i ) => i !== index ) );
+
+/**
+ * Replaces a stop with a candidate venue, keeping its slot and duration.
+ *
+ * @param {Array}  items     Itinerary items.
+ * @param {number} index     Index to replace.
+ * @param {Object} candidate Engine candidate (`slug`, `data`).
+ * @return {Array} Updated items.
+ */
+export const swapStop = ( items, index, candidate ) =>
+	resequence(
+		items.map( ( item, i ) =>
+			i === index
+				? {
+						slug: candidate.slug,
+						title: candidate.data?.name || candidate.slug,
+						order: item.order,
+						arrival_minute: item.arrival_minute,
+						duration_minutes: item.duration_minutes,
+						notes: '',
+				  }
+				: item
+		)
+	);
+
+/**
+ * Lists unused candidates that could replace a stop.
+ *
+ * Candidates sharing a category with the current venue come first; otherwise
+ * the engine's ranking order is kept.
+ *
+ * @param {Array}  items      Itinerary items.
+ * @param {Array}  candidates Engine candidates.
+ * @param {number} index      Index of the stop being swapped.
+ * @return {Array} Up to five candidates.
+ */
+export const getAlternatives = ( items, candidates, index ) => {
+	const used = new Set( items.map( ( item ) => item.slug ) );
+	const current = candidates.find( ( c ) => c.slug === items[ index ]?.slug );
+	const categories = new Set( toCategories( current?.data?.categories ) );
+
+	return candidates
+		.filter( ( c ) => c.slug && ! used.has( c.slug ) && c.data?.name )
+		.map( ( candidate, rank ) => ( {
+			candidate,
+			rank,
+			related: toCategories( candidate.data.categories ).some( ( c ) =>
+				categories.has( c )
+			),
+		} ) )
+		.sort( ( a, b ) => b.related - a.related || a.rank - b.rank )
+		.slice( 0, MAX_ALTERNATIVES )
+		.map( ( { candidate } ) => candidate );
+};
@@ -0,0 +1,184 @@
+/**
+ * Conversational refinement of a rendered itinerary.
+ *
+ * The engine re-orders venues the client already holds, following a
+ * free-text instruction. This module builds that request and works out what
+ * changed, so view.js can animate the difference into the list and map.
+ */
+
+import { toApiPayload } from './planner-request';
+
+export const MAX_INSTRUCTION_LENGTH = 200;
+
+// Mirrors the route's maxItems for both slug lists.
+const MAX_REFINE_VENUES = 20;
+
+const ANIMATION_MS = 300;
+
+/**
+ * Builds the body for the `/itinerary/refine` route.
+ *
+ * @param {Object} options             Options.
+ * @param {Object} options.request     Request behind the itinerary.
+ * @param {Array}  options.items       Current itinerary items, in order.
+ * @param {Array}  options.candidates  Venues the itinerary was built from.
+ * @param {string} options.instruction What to change, e.g. "add a coffee stop first".
+ * @return {Object} JSON payload (without nonce).
+ */
+export const buildRefinePayload = ( {
+	request,
+	items,
+	candidates,
+	instruction,
+} ) => {
+	const slugs = items.map( ( item ) => item.slug );
+
+	return {
+		...toApiPayload( request ),
+		instruction: instruction.trim().slice( 0, MAX_INSTRUCTION_LENGTH ),
+		slugs: slugs.slice( 0, MAX_REFINE_VENUES ),
+		candidate_slugs: candidates
+			.map( ( candidate ) => candidate.slug )
+			.filter( ( slug ) => slug && ! slugs.includes( slug ) )
+			.slice( 0, MAX_REFINE_VENUES ),
+	};
+};
+
+/**
+ * Compares two versions of an itinerary by venue.
+ *
+ * @param {Array} previous Items before the refinement.
+ * @param {Array} next     Items after the refinement.
+ * @return {{added: string[], removed: string[], moved: string[], changed: boolean}} Slugs per change.
+ */
+export const diffItinerary = ( previous, next ) => {
+	const before = previous.map( ( item ) => item.slug );
+	const after = next.map( ( item ) => item.slug );
+	const keptBefore = before.filter( ( slug ) => after.includes( slug ) );
+	const keptAfter = after.filter( ( slug ) => before.includes( slug ) );
+
+	const diff = {
+		added: after.filter( ( slug ) => ! before.includes( slug ) ),
+		removed: before.filter( ( slug ) => ! after.includes( slug ) ),
+		moved: keptAfter.filter(
+			( slug, index ) => keptBefore[ index ] !== slug
+		),
+	};
+	diff.changed =
+		diff.added.length + diff.removed.length + diff.moved.length > 0;
+	return diff;
+};
+
+/**
+ * One-line description of a refinement, e.g. "Added Quiet Bar. Removed Loud Bar."
+ *
+ * @param {Object}   diff   Result of diffItinerary().
+ * @param {Function} nameOf Returns a venue name for a slug.
+ * @return {string} Description.
+ */
+export const describeItineraryChanges = ( diff, nameOf ) => {
+	if ( ! diff.changed ) {
+		return 'Your plan already fits that request.';
+	}
+
+	const names = ( slugs ) => slugs.map( nameOf ).join( ', ' );
+	return [
+		diff.added.length ? `Added ${ names( diff.added ) }.` : '',
+		diff.removed.length ? `Removed ${ names( diff.removed ) }.` : '',
+		diff.moved.length
+			? `Moved ${ diff.moved.length } stop${
+					diff.moved.length === 1 ? '' : 's'
+			  }.`
+			: '',
+	]
+		.filter( Boolean )
+		.join( ' ' );
+};
+
+const prefersReducedMotion = () =>
+	window.matchMedia?.( '(prefers-reduced-motion: reduce)' ).matches ?? false;
+
+const findCards = ( container, slugs ) =>
+	Array.from( container.querySelectorAll( '[data-slug]' ) ).filter(
+		( card ) => slugs.includes( card.dataset.slug )
+	);
+
+/**
+ * Fades out cards that are about to be removed.
+ *
+ * @param {HTMLElement} container List element.
+ * @param {string[]}    slugs     Removed venues.
+ * @return {Promise<void>} Resolves once the cards are faded.
+ */
+export const fadeOutStops = ( container, slugs ) => {
+	const cards = findCards( container, slugs );
+	if ( ! cards.length || prefersReducedMotion() || ! cards[ 0 ].animate ) {
+		return Promise.resolve();
+	}
+
+	return Promise.all(
+		cards.map(
+			( card ) =>
+				card.animate(
+					[
+						{ opacity: 1, transform: 'scale(1)' },
+						{ opacity: 0, transform: 'scale(0.96)' },
+					],
+					{
+						duration: ANIMATION_MS,
+						easing: 'ease-in',
+						fill: 'forwards',
+					}
+				).finished
+		)
+	).then( () => {} );
+};
+
+/**
+ * Records where each card sits before the list is re-rendered.
+ *
+ * @param {HTMLElement} container List element.
+ * @return {Map<string, DOMRect>} Card positions keyed by slug.
+ */
+export const captureStopPositions = ( container ) =>
+	new Map(
+		Array.from( container.querySelectorAll( '[data-slug]' ) ).map(
+			( card ) => [ card.dataset.slug, card.getBoundingClientRect() ]
+		)
+	);
+
+/**
+ * Animates the re-rendered list: moved cards slide from their old position
+ * and added cards are highlighted.
+ *
+ * @param {HTMLElement}          container List element (already re-rendered).
+ * @param {Map<string, DOMRect>} positions Result of captureStopPositions().
+ * @param {Object}               diff      Result of diffItinerary().
+ */
+export const animateStopChanges = ( container, positions, diff ) => {
+	findCards( container, diff.added ).forEach( ( card ) =>
+		card.classList.add( 'is-refined' )
+	);
+	if ( prefersReducedMotion() ) {
+		return;
+	}
+
+	findCards( container, diff.moved ).forEach( ( card ) => {
+		const from = positions.get( card.dataset.slug );
+		if ( ! from || ! card.animate ) {
+			return;
+		}
+		const to = card.getBoundingClientRect();
+		card.animate(
+			[
+				{
+					transform: `translate(${ from.left - to.left }px, ${
+						from.top - to.top
+					}px)`,
+				},
+				{ transform: 'none' },
+			],
+			{ duration: ANIMATION_MS, easing: 'ease-out' }
+		);
+	} );
+};
@@ -0,0 +1,178 @@
+/**
+ * Side-by-side comparison of itinerary variants.
+ *
+ * The engine can return 2–3 plans built from the same candidates (see
+ * `variants` in the itinerary response). Each is summarized with the numbers
+ * people compare on: total time, walking distance, price mix and how many
+ * stops it shares with the plan on screen.
+ */
+
+import {
+	formatDuration,
+	getVenueCoordinates,
+	getVenueDetails,
+	resolveStopTimings,
+} from './itinerary';
+import { escapeHtml } from './html';
+import { distanceMeters } from './neighborhoods';
+import { getPriceLevel, METERS_PER_MILE, PRICE_LABELS } from './result-filters';
+
+/**
+ * Reads the variants from an itinerary response.
+ *
+ * @param {Object} response Itinerary response.
+ * @return {Array<{id: string, label: string, itinerary: Object}>} Usable variants; empty unless there are at least two.
+ */
+export const getVariants = ( response ) => {
+	const variants = ( response?.variants || [] ).filter(
+		( variant ) =>
+			variant &&
+			typeof variant.id === 'string' &&
+			variant.itinerary?.items?.length
+	);
+	return variants.length > 1 ? variants : [];
+};
+
+/**
+ * Computes the comparison figures for one variant.
+ *
+ * Walking distance is the straight-line total between consecutive stops with
+ * known coordinates.
+ *
+ * @param {Array} items        Variant itinerary items.
+ * @param {Map}   candidateMap Candidates keyed by slug.
+ * @return {{stops: number, minutes: number, miles: number|null, prices: Object<string, number>}} Summary.
+ */
+export const summarizeVariant = ( items, candidateMap ) => {
+	const timings = resolveStopTimings( items );
+	const last = timings[ timings.length - 1 ];
+	const prices = {};
+	let miles = null;
+	let previous = null;
+
+	items.forEach( ( item ) => {
+		const details = getVenueDetails( candidateMap, item );
+		const price = getPriceLevel( details );
+		const key = price === null ? 'unknown' : String( price );
+		prices[ key ] = ( prices[ key ] || 0 ) + 1;
+
+		const coords = getVenueCoordinates( details );
+		if ( coords && previous ) {
+			miles =
+				( miles || 0 ) +
+				distanceMeters(
+					previous.lat,
+					previous.lng,
+					coords.lat,
+					coords.lng
+				) /
+					METERS_PER_MILE;
+		}
+		previous = coords || previous;
+	} );
+
+	return {
+		stops: items.length,
+		minutes: last ? last.start + last.duration : 0,
+		miles,
+		prices,
+	};
+};
+
+/**
+ * @param {Object<string, number>} prices Counts from summarizeVariant().
+ * @return {string} e.g. "$ ×2 · $$ ×1".
+ */
+export const describePriceMix = ( prices ) =>
+	[ '1', '2', '3', 'unknown' ]
+		.filter( ( key ) => prices[ key ] )
+		.map(
+			( key ) =>
+				`${ PRICE_LABELS[ key ] || 'Unpriced' } ×${ prices[ key ] }`
+		)
+		.join( ' · ' ) || 'No prices listed';
+
+/**
+ * Counts the venues two itineraries have in common.
+ *
+ * @param {Array} items Itinerary items.
+ * @param {Array} other Itinerary items to compare with.
+ * @return {number} Shared stops.
+ */
+export const countSharedStops = ( items, other ) => {
+	const slugs = new Set( other.map( ( item ) => item.slug ) );
+	return items.filter( ( item ) => slugs.has( item.slug ) ).length;
+};
+
+/**
+ * Renders one comparison column per variant.
+ *
+ * @param {Array}  variants             Result of getVariants().
+ * @param {Object} options              Options.
+ * @param {Map}    options.candidateMap Candidates keyed by slug.
+ * @param {string} options.activeId     Variant shown in the list and map.
+ * @return {string} HTML.
+ */
+export const renderVariantColumns = (
+	variants,
+	{ candidateMap, activeId }
+) => {
+	const active =
+		variants.find( ( variant ) => variant.id === activeId ) ||
+		variants[ 0 ];
+
+	return variants
+		.map( ( variant ) => {
+			const items = variant.itinerary.items;
+			const summary = summarizeVariant( items, candidateMap );
+			const isActive = variant === active;
+			const label = escapeHtml( variant.label || variant.id );
+			const shared = countSharedStops( items, active.itinerary.items );
+
+			return `
+			<section class="batp-variant${
+				isActive ? ' is-active' : ''
+			}" aria-label="${ label } plan" tabindex="-1">
+				<header class="batp-variant__header">
+					<h4>${ label }</h4>
+					<button type="button" class="batp-variant__use" data-batp-variant="${ escapeHtml(
+						variant.id
+					) }" ${ isActive ? 'disabled aria-current="true"' : '' }>${
+						isActive ? 'Showing' : 'Use this plan'
+					}</button>
+				</header>
+				<dl class="batp-variant__stats">
+					<div><dt>Total time</dt><dd>${ escapeHtml(
+						formatDuration( summary.minutes )
+					) }</dd></div>
+					<div><dt>Walking</dt><dd>${
+						summary.miles === null
+							? 'Not available'
+							: `${ summary.miles.toFixed( 1 ) } mi`
+					}</dd></div>
+					<div><dt>Price mix</dt><dd>${ escapeHtml(
+						describePriceMix( summary.prices )
+					) }</dd></div>
+					<div><dt>Overlap</dt><dd>${
+						isActive
+							? 'Current plan'
+							: `${ shared } of ${ summary.stops } stops shared`
+					}</dd></div>
+				</dl>
+				<ol class="batp-variant__stops">
+					${ items
+						.map(
+							( item ) =>
+								`<li>${ escapeHtml(
+									getVenueDetails( candidateMap, item )
+										.name ||
+										item.title ||
+										item.slug
+								) }</li>`
+						)
+						.join( '' ) }
+				</ol>
+			</section>`;
+		} )
+		.join( '' );
+};
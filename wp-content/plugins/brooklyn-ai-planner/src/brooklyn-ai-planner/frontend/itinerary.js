@@ -0,0 +1,157 @@
+/**
+ * Shared helpers for reading the itinerary REST response.
+ *
+ * The engine returns `itinerary.items` (LLM ordering, by slug) alongside the
+ * full `candidates` list, whose `data` holds the Supabase venue record.
+ */
+
+const DEFAULT_STOP_MINUTES = 60;
+
+export const WEEKDAYS = [
+	'Sunday',
+	'Monday',
+	'Tuesday',
+	'Wednesday',
+	'Thursday',
+	'Friday',
+	'Saturday',
+];
+
+/**
+ * Indexes candidates by slug.
+ *
+ * @param {Array} candidates Engine candidates.
+ * @return {Map<string, Object>} Candidates keyed by slug.
+ */
+export const buildCandidateMap = ( candidates = [] ) =>
+	new Map( candidates.map( ( c ) => [ c.slug, c ] ) );
+
+/**
+ * Returns the venue record for an itinerary item.
+ *
+ * @param {Map}    candidateMap Candidates keyed by slug.
+ * @param {Object} item         Itinerary item.
+ * @return {Object} Venue data (empty object when unknown).
+ */
+export const getVenueDetails = ( candidateMap, item ) =>
+	candidateMap.get( item.slug )?.data || {};
+
+/**
+ * @param {Object} details Venue data.
+ * @return {string} Phone number as stored, or an empty string.
+ */
+export const getVenuePhone = ( details ) =>
+	details.phone_number || details.phone || '';
+
+/**
+ * @param {Object} details Venue data.
+ * @return {{lat: number, lng: number}|null} Coordinates when both are numeric.
+ */
+export const getVenueCoordinates = ( details ) => {
+	const lat = parseFloat( details.latitude );
+	const lng = parseFloat( details.longitude );
+	return Number.isFinite( lat ) && Number.isFinite( lng )
+		? { lat, lng }
+		: null;
+};
+
+/**
+ * @param {*} value Venue `categories` (array or comma-separated string).
+ * @return {string[]} Category names.
+ */
+export const toCategories = ( value ) => {
+	if ( Array.isArray( value ) ) {
+		return value.map( String );
+	}
+	return typeof value === 'string'
+		? value
+				.split( ',' )
+				.map( ( c ) => c.trim() )
+				.filter( Boolean )
+		: [];
+};
+
+/**
+ * Builds a Google Maps directions URL for a stop, preferring coordinates.
+ *
+ * @param {Object} item    Itinerary item.
+ * @param {Object} details Venue data.
+ * @return {string} Directions URL.
+ */
+export const getDirectionsUrl = ( item, details ) => {
+	const base = 'https://www.google.com/maps/dir/?api=1&destination=';
+	if ( details.latitude && details.longitude ) {
+		return `${ base }${ details.latitude },${ details.longitude }`;
+	}
+	if ( details.address ) {
+		return `${ base }${ encodeURIComponent( details.address ) }`;
+	}
+	return `${ base }${ encodeURIComponent( item.title + ', Brooklyn, NY' ) }`;
+};
+
+/**
+ * Resolves per-stop offsets (minutes from the trip start).
+ *
+ * The LLM sometimes leaves `arrival_minute` at 0 for later stops; those are
+ * scheduled back to back after the previous stop instead.
+ *
+ * @param {Array} items Itinerary items.
+ * @return {Array<{start: number, duration: number}>} Offsets per item.
+ */
+export const resolveStopTimings = ( items ) => {
+	let cursor = 0;
+	return items.map( ( item, index ) => {
+		const arrival = Number( item.arrival_minute ) || 0;
+		const start = index === 0 || arrival >= cursor ? arrival : cursor;
+		const duration =
+			Number( item.duration_minutes ) > 0
+				? Number( item.duration_minutes )
+				: DEFAULT_STOP_MINUTES;
+		cursor = start + duration;
+		return { start, duration };
+	} );
+};
+
+/**
+ * Formats minutes from midnight as a 12-hour clock time.
+ *
+ * @param {number} minutes Minutes from midnight (may exceed one day).
+ * @return {string} e.g. "1:30 PM".
+ */
+export const formatClock = ( minutes ) => {
+	const total = ( ( Math.round( minutes ) % 1440 ) + 1440 ) % 1440;
+	const hours = Math.floor( total / 60 );
+	const mins = total % 60;
+	const suffix = hours < 12 ? 'AM' : 'PM';
+	const display = hours % 12 === 0 ? 12 : hours % 12;
+	return `${ display }:${ String( mins ).padStart( 2, '0' ) } ${ suffix }`;
+};
+
+/**
+ * Formats a duration in minutes, e.g. "45 min" or "1 h 30 min".
+ *
+ * @param {number} minutes Duration.
+ * @return {string} Human-readable duration.
+ */
+export const formatDuration = ( minutes ) => {
+	const hours = Math.floor( minutes / 60 );
+	const mins = Math.round( minutes % 60 );
+	if ( hours === 0 ) {
+		return `${ mins } min`;
+	}
+	return mins ? `${ hours } h ${ mins } min` : `${ hours } h`;
+};
+
+/**
+ * Parses an "HH:MM" input value into minutes from midnight.
+ *
+ * @param {string} value    Time input value.
+ * @param {number} fallback Value used when the input is empty or invalid.
+ * @return {number} Minutes from midnight.
+ */
+export const parseTimeInput = ( value, fallback = 600 ) => {
+	const match = String( value || '' ).match( /^(\d{1,2}):(\d{2})/ );
+	return match
+		? parseInt( match[ 1 ], 10 ) * 60 + parseInt( match[ 2 ], 10 )
+		: fallback;
+};
@@ -0,0 +1,210 @@
+/* global google */
+
+/**
+ * Route layer for the itinerary map.
+ *
+ * Each leg between consecutive stops is requested separately from the
+ * Directions service (transit does not support waypoints), so every leg gets
+ * its own polyline and duration. Legs the service cannot route fall back to a
+ * dashed straight line.
+ */
+
+import { getDirectionsUrl, getVenuePhone } from './itinerary';
+import { describeHours } from './opening-hours';
+import { escapeHtml } from './html';
+
+export const TRAVEL_MODES = {
+	walk: { label: 'Walk', mode: 'WALKING' },
+	transit: { label: 'Transit', mode: 'TRANSIT' },
+	bike: { label: 'Bike', mode: 'BICYCLING' },
+	drive: { label: 'Drive', mode: 'DRIVING' },
+};
+
+export const DEFAULT_TRAVEL_MODE = 'walk';
+
+const LEG_STYLE = {
+	strokeColor: '#1649ff',
+	strokeOpacity: 0.75,
+	strokeWeight: 5,
+};
+
+const LEG_HIGHLIGHT = {
+	strokeColor: '#FF5F3D',
+	strokeOpacity: 1,
+	strokeWeight: 8,
+};
+
+/**
+ * Builds the info window markup for a stop.
+ *
+ * @param {Object} stop         Map stop.
+ * @param {Object} stop.item    Itinerary item.
+ * @param {Object} stop.details Venue data.
+ * @param {number} stop.number  1-based stop number.
+ * @return {string} HTML.
+ */
+export const buildStopInfoHtml = ( { item, details, number } ) => {
+	const phone = getVenuePhone( details );
+	const hours = describeHours( details.hours );
+	const rows = [
+		details.address
+			? `<div><span class="dashicons dashicons-location"></span> ${ escapeHtml(
+					details.address
+			  ) }</div>`
+			: '',
+		hours.length
+			? `<div><span class="dashicons dashicons-clock"></span> ${ hours
+					.map( escapeHtml )
+					.join( '<br />' ) }</div>`
+			: '',
+		phone
+			? `<div><span class="dashicons dashicons-phone"></span> ${ escapeHtml(
+					phone
+			  ) }</div>`
+			: '',
+	].join( '' );
+
+	return `
+		<div class="batp-map-info">
+			<h3 class="batp-map-info__title">${ number }. ${ escapeHtml( item.title ) }</h3>
+			${
+				item.notes || details.vibe_summary
+					? `<p class="batp-map-info__notes">${ escapeHtml(
+							item.notes || details.vibe_summary
+					  ) }</p>`
+					: ''
+			}
+			<div class="batp-map-info__details">${ rows }</div>
+			<a class="batp-map-info__link" href="${ escapeHtml(
+				getDirectionsUrl( item, details )
+			) }" target="_blank" rel="noopener">Directions</a>
+		</div>`;
+};
+
+/**
+ * Requests one leg from the Directions service.
+ *
+ * @param {Object} service    google.maps.DirectionsService.
+ * @param {Object} from       Origin `{ lat, lng }`.
+ * @param {Object} to         Destination `{ lat, lng }`.
+ * @param {string} travelMode google.maps.TravelMode value.
+ * @return {Promise<Object|null>} `{ path, duration, seconds }` or null when unroutable.
+ */
+const requestLeg = async ( service, from, to, travelMode ) => {
+	try {
+		const result = await service.route( {
+			origin: { lat: from.lat, lng: from.lng },
+			destination: { lat: to.lat, lng: to.lng },
+			travelMode,
+		} );
+		const route = result?.routes?.[ 0 ];
+		const leg = route?.legs?.[ 0 ];
+		if ( ! route || ! leg ) {
+			return null;
+		}
+		return {
+			path: route.overview_path,
+			duration: leg.duration?.text || '',
+			seconds: leg.duration?.value || 0,
+		};
+	} catch ( error ) {
+		console.warn( 'BATP Directions leg failed:', error ); // eslint-disable-line no-console
+		return null;
+	}
+};
+
+/**
+ * Creates a route layer bound to a map.
+ *
+ * @param {Object}   map                google.maps.Map instance.
+ * @param {Object}   options            Layer options.
+ * @param {Function} options.onLegHover Called with a leg index (or null) when a leg is hovered.
+ * @return {Object} Layer API: draw(), highlight(), clear().
+ */
+export const createRouteLayer = ( map, { onLegHover = () => {} } = {} ) => {
+	const service = new google.maps.DirectionsService();
+	let polylines = [];
+	let drawId = 0;
+
+	const clear = () => {
+		polylines.forEach( ( { line } ) => line.setMap( null ) );
+		polylines = [];
+	};
+
+	const highlight = ( index ) => {
+		polylines.forEach( ( { line, style }, i ) => {
+			line.setOptions( {
+				...( i === index ? LEG_HIGHLIGHT : style ),
+				zIndex: i === index ? 2 : 1,
+			} );
+		} );
+	};
+
+	/**
+	 * Draws the route between consecutive stops.
+	 *
+	 * @param {Array}  stops Stops with `lat`/`lng`, in visiting order.
+	 * @param {string} mode  Key of TRAVEL_MODES.
+	 * @return {Promise<Array|null>} One `{ from, to, duration, routed }` per leg, or null if superseded.
+	 */
+	const draw = async ( stops, mode ) => {
+		const current = ++drawId;
+		const travelMode = ( TRAVEL_MODES[ mode ] || TRAVEL_MODES.walk ).mode;
+
+		const results = await Promise.all(
+			stops
+				.slice( 1 )
+				.map( ( to, i ) =>
+					requestLeg( service, stops[ i ], to, travelMode )
+				)
+		);
+
+		// A newer mode was picked while this one was loading.
+		if ( current !== drawId ) {
+			return null;
+		}
+
+		clear();
+		return results.map( ( result, i ) => {
+			const from = stops[ i ];
+			const to = stops[ i + 1 ];
+			// Unroutable legs: a dashed straight line drawn with repeated icons.
+			const style = result
+				? LEG_STYLE
+				: { ...LEG_STYLE, strokeOpacity: 0 };
+			const line = new google.maps.Polyline( {
+				map,
+				path: result ? result.path : [ from, to ],
+				geodesic: true,
+				...style,
+				...( result
+					? {}
+					: {
+							icons: [
+								{
+									icon: {
+										path: 'M 0,-1 0,1',
+										strokeOpacity: 0.75,
+										scale: 3,
+									},
+									offset: '0',
+									repeat: '14px',
+								},
+							],
+					  } ),
+			} );
+			line.addListener( 'mouseover', () => onLegHover( i ) );
+			line.addListener( 'mouseout', () => onLegHover( null ) );
+			polylines.push( { line, style } );
+
+			return {
+				from,
+				to,
+				duration: result ? result.duration : '',
+				routed: Boolean( result ),
+			};
+		} );
+	};
+
+	return { draw, highlight, clear };
+};
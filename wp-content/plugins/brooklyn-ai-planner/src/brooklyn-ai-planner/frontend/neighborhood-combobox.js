@@ -0,0 +1,373 @@
+/* global google */
+
+/**
+ * Neighborhood typeahead for the origin field.
+ *
+ * Follows the WAI-ARIA 1.2 combobox pattern (list autocomplete, focus stays
+ * on the input, options referenced through aria-activedescendant). Suggestions
+ * come from Google Places when a loader is supplied and fall back to the
+ * bundled neighborhood gazetteer when Places is unavailable or fails.
+ */
+
+import { NEIGHBORHOODS } from './neighborhoods';
+import { BROOKLYN_BOUNDS, isInBrooklyn } from './geolocation';
+import { escapeHtml } from './html';
+
+const MAX_SUGGESTIONS = 6;
+const PLACES_DEBOUNCE_MS = 200;
+
+let instanceCount = 0;
+
+const normalize = ( text ) =>
+	String( text )
+		.toLowerCase()
+		.normalize( 'NFD' )
+		.replace( /[\u0300-\u036f]/g, '' )
+		.replace( /[^a-z0-9]+/g, ' ' )
+		.trim();
+
+/**
+ * Suggests bundled neighborhoods, ranking prefix matches first.
+ *
+ * @param {string} query Typed text.
+ * @return {Array<{label: string, lat: number, lng: number}>} Suggestions.
+ */
+export const suggestFromGazetteer = ( query ) => {
+	const needle = normalize( query );
+	if ( ! needle ) {
+		return [];
+	}
+
+	return NEIGHBORHOODS.map( ( hood ) => {
+		const ranks = [ hood.name, ...( hood.aliases || [] ) ].map(
+			( name ) => {
+				const haystack = normalize( name );
+				if ( haystack.startsWith( needle ) ) {
+					return 0;
+				}
+				if (
+					haystack
+						.split( ' ' )
+						.some( ( w ) => w.startsWith( needle ) )
+				) {
+					return 1;
+				}
+				return haystack.includes( needle ) ? 2 : -1;
+			}
+		);
+		const matched = ranks.filter( ( rank ) => rank >= 0 );
+		return { hood, rank: matched.length ? Math.min( ...matched ) : -1 };
+	} )
+		.filter( ( { rank } ) => rank >= 0 )
+		.sort(
+			( a, b ) =>
+				a.rank - b.rank || a.hood.name.localeCompare( b.hood.name )
+		)
+		.slice( 0, MAX_SUGGESTIONS )
+		.map( ( { hood } ) => ( {
+			label: hood.name,
+			lat: hood.lat,
+			lng: hood.lng,
+		} ) );
+};
+
+/**
+ * Creates a Places-backed suggestion source.
+ *
+ * Prefers the AutocompleteSuggestion API and falls back to the legacy
+ * AutocompleteService; coordinates are only fetched for the chosen option.
+ *
+ * @param {Function} loadPlaces Resolves once `google.maps.places` is usable.
+ * @return {Function} async ( query ) => suggestions with a `resolve()` for coordinates.
+ */
+const createPlacesSource = ( loadPlaces ) => {
+	let sessionToken = null;
+
+	return async ( query ) => {
+		await loadPlaces();
+		const places = google.maps.places;
+		const bounds = { ...BROOKLYN_BOUNDS };
+		sessionToken = sessionToken || new places.AutocompleteSessionToken();
+
+		if ( places.AutocompleteSuggestion ) {
+			const { suggestions } =
+				await places.AutocompleteSuggestion.fetchAutocompleteSuggestions(
+					{
+						input: query,
+						locationRestriction: bounds,
+						includedRegionCodes: [ 'us' ],
+						sessionToken,
+					}
+				);
+
+			return suggestions
+				.filter( ( s ) => s.placePrediction )
+				.slice( 0, MAX_SUGGESTIONS )
+				.map( ( { placePrediction } ) => ( {
+					label: placePrediction.text.toString(),
+					resolve: async () => {
+						const place = placePrediction.toPlace();
+						await place.fetchFields( { fields: [ 'location' ] } );
+						sessionToken = null;
+						return {
+							lat: place.location.lat(),
+							lng: place.location.lng(),
+						};
+					},
+				} ) );
+		}
+
+		const { predictions } =
+			await new places.AutocompleteService().getPlacePredictions( {
+				input: query,
+				bounds,
+				strictBounds: true,
+				componentRestrictions: { country: 'us' },
+				sessionToken,
+			} );
+
+		return ( predictions || [] )
+			.slice( 0, MAX_SUGGESTIONS )
+			.map( ( prediction ) => ( {
+				label: prediction.description,
+				resolve: async () => {
+					const { results } =
+						await new google.maps.Geocoder().geocode( {
+							placeId: prediction.place_id,
+						} );
+					sessionToken = null;
+					const location = results[ 0 ].geometry.location;
+					return { lat: location.lat(), lng: location.lng() };
+				},
+			} ) );
+	};
+};
+
+/**
+ * Enhances a text input into a neighborhood combobox.
+ *
+ * @param {HTMLInputElement} input              Text input.
+ * @param {Object}           options            Options.
+ * @param {Function}         options.onSelect   Called with `{ label, lat, lng }` (coordinates may be null).
+ * @param {Function|null}    options.loadPlaces Places loader, or null to use the gazetteer only.
+ * @return {{close: Function}} Combobox API.
+ */
+export const createNeighborhoodCombobox = (
+	input,
+	{ onSelect, loadPlaces = null }
+) => {
+	const id = `batp-neighborhood-listbox-${ ++instanceCount }`;
+	const listbox = document.createElement( 'ul' );
+	listbox.id = id;
+	listbox.className = 'batp-combobox__listbox';
+	listbox.setAttribute( 'role', 'listbox' );
+	listbox.setAttribute( 'aria-label', 'Neighborhood suggestions' );
+	listbox.hidden = true;
+
+	const status = document.createElement( 'div' );
+	status.className = 'batp-sr-only';
+	status.setAttribute( 'aria-live', 'polite' );
+
+	input.after( listbox, status );
+	input.setAttribute( 'role', 'combobox' );
+	input.setAttribute( 'aria-autocomplete', 'list' );
+	input.setAttribute( 'aria-expanded', 'false' );
+	input.setAttribute( 'aria-controls', id );
+	input.setAttribute( 'autocomplete', 'off' );
+
+	const placesSource = loadPlaces ? createPlacesSource( loadPlaces ) : null;
+	let placesFailed = false;
+	let suggestions = [];
+	let activeIndex = -1;
+	let requestId = 0;
+	let debounceTimer = null;
+
+	const setActive = ( index ) => {
+		activeIndex = index;
+		listbox
+			.querySelectorAll( '[role="option"]' )
+			.forEach( ( option, i ) => {
+				const isActive = i === index;
+				option.classList.toggle( 'is-active', isActive );
+				option.setAttribute( 'aria-selected', String( isActive ) );
+				if ( isActive ) {
+					option.scrollIntoView( { block: 'nearest' } );
+				}
+			} );
+		if ( index >= 0 ) {
+			input.setAttribute( 'aria-activedescendant', `${ id }-${ index }` );
+		} else {
+			input.removeAttribute( 'aria-activedescendant' );
+		}
+	};
+
+	const close = () => {
+		listbox.hidden = true;
+		input.setAttribute( 'aria-expanded', 'false' );
+		setActive( -1 );
+	};
+
+	const open = ( items ) => {
+		suggestions = items;
+		if ( items.length === 0 ) {
+			listbox.innerHTML = '';
+			status.textContent = input.value ? 'No suggestions.' : '';
+			close();
+			return;
+		}
+
+		listbox.innerHTML = items
+			.map(
+				( item, index ) =>
+					`<li role="option" id="${ id }-${ index }" class="batp-combobox__option" aria-selected="false" data-index="${ index }">${ escapeHtml(
+						item.label
+					) }</li>`
+			)
+			.join( '' );
+		listbox.hidden = false;
+		input.setAttribute( 'aria-expanded', 'true' );
+		status.textContent = `${ items.length } suggestion${
+			items.length === 1 ? '' : 's'
+		} available.`;
+		setActive( -1 );
+	};
+
+	const select = async ( index ) => {
+		const item = suggestions[ index ];
+		if ( ! item ) {
+			return;
+		}
+
+		input.value = item.label;
+		close();
+
+		let coords = null;
+		if ( item.resolve ) {
+			try {
+				coords = await item.resolve();
+			} catch ( error ) {
+				console.warn( 'BATP Places details failed:', error ); // eslint-disable-line no-console
+			}
+		} else {
+			coords = { lat: item.lat, lng: item.lng };
+		}
+
+		// Places can return a Brooklyn-named result just over the border.
+		if ( coords && ! isInBrooklyn( coords.lat, coords.lng ) ) {
+			coords = null;
+		}
+
+		onSelect( {
+			label: item.label,
+			lat: coords ? coords.lat : null,
+			lng: coords ? coords.lng : null,
+		} );
+	};
+
+	const update = async () => {
+		const query = input.value.trim();
+		const current = ++requestId;
+
+		if ( ! query ) {
+			open( [] );
+			return;
+		}
+
+		let items = null;
+		if ( placesSource && ! placesFailed ) {
+			try {
+				items = await placesSource( query );
+			} catch ( error ) {
+				// Bad key, quota or network: stay on the gazetteer from now on.
+				console.warn( 'BATP Places autocomplete failed:', error ); // eslint-disable-line no-console
+				placesFailed = true;
+			}
+		}
+		if ( ! items || items.length === 0 ) {
+			items = suggestFromGazetteer( query );
+		}
+
+		if (
+			current === requestId &&
+			input.ownerDocument.activeElement === input
+		) {
+			open( items );
+		}
+	};
+
+	input.addEventListener( 'input', () => {
+		clearTimeout( debounceTimer );
+		if ( placesSource && ! placesFailed ) {
+			debounceTimer = setTimeout( update, PLACES_DEBOUNCE_MS );
+		} else {
+			update();
+		}
+	} );
+
+	input.addEventListener( 'keydown', ( e ) => {
+		const isOpen = ! listbox.hidden;
+
+		switch ( e.key ) {
+			case 'ArrowDown':
+				e.preventDefault();
+				if ( ! isOpen ) {
+					update();
+					return;
+				}
+				setActive( ( activeIndex + 1 ) % suggestions.length );
+				break;
+			case 'ArrowUp':
+				if ( isOpen ) {
+					e.preventDefault();
+					setActive(
+						activeIndex <= 0
+							? suggestions.length - 1
+							: activeIndex - 1
+					);
+				}
+				break;
+			case 'Enter':
+				// Only hijack Enter when an option is highlighted; otherwise submit.
+				if ( isOpen && activeIndex >= 0 ) {
+					e.preventDefault();
+					select( activeIndex );
+				}
+				break;
+			case 'Escape':
+				if ( isOpen ) {
+					e.preventDefault();
+					close();
+				}
+				break;
+			case 'Tab':
+				close();
+				break;
+		}
+	} );
+
+	input.addEventListener( 'blur', () => {
+		// Let an option's mousedown land first.
+		setTimeout( close, 150 );
+	} );
+
+	listbox.addEventListener( 'mousedown', ( e ) => {
+		// Keep focus on the input while picking with the mouse.
+		e.preventDefault();
+	} );
+
+	listbox.addEventListener( 'click', ( e ) => {
+		const option = e.target.closest( '[role="option"]' );
+		if ( option ) {
+			select( Number( option.dataset.index ) );
+		}
+	} );
+
+	listbox.addEventListener( 'mousemove', ( e ) => {
+		const option = e.target.closest( '[role="option"]' );
+		if ( option && Number( option.dataset.index ) !== activeIndex ) {
+			setActive( Number( option.dataset.index ) );
+		}
+	} );
+
+	return { close };
+};
@@ -0,0 +1,95 @@
+/**
+ * Brooklyn neighborhoods with approximate centroids.
+ *
+ * Used to label a geolocated origin without a geocoding round trip, and as
+ * the autocomplete source when no Maps key is configured. `aliases` holds
+ * common local names.
+ */
+
+export const NEIGHBORHOODS = [
+	{ name: 'Bath Beach', lat: 40.6018, lng: -74.0005 },
+	{ name: 'Bay Ridge', lat: 40.6262, lng: -74.0299 },
+	{
+		name: 'Bedford-Stuyvesant',
+		lat: 40.6872,
+		lng: -73.9418,
+		aliases: [ 'Bed-Stuy' ],
+	},
+	{ name: 'Bensonhurst', lat: 40.6112, lng: -73.9977 },
+	{ name: 'Boerum Hill', lat: 40.6848, lng: -73.9845 },
+	{ name: 'Borough Park', lat: 40.6336, lng: -73.9966 },
+	{ name: 'Brighton Beach', lat: 40.5781, lng: -73.9597 },
+	{ name: 'Brooklyn Heights', lat: 40.6959, lng: -73.9956 },
+	{ name: 'Brownsville', lat: 40.6632, lng: -73.9096 },
+	{ name: 'Bushwick', lat: 40.6944, lng: -73.9213 },
+	{ name: 'Canarsie', lat: 40.6402, lng: -73.9061 },
+	{ name: 'Carroll Gardens', lat: 40.6795, lng: -73.9991 },
+	{ name: 'Clinton Hill', lat: 40.6897, lng: -73.9661 },
+	{ name: 'Cobble Hill', lat: 40.686, lng: -73.9969 },
+	{ name: 'Coney Island', lat: 40.5755, lng: -73.9707 },
+	{ name: 'Crown Heights', lat: 40.6694, lng: -73.9422 },
+	{ name: 'Downtown Brooklyn', lat: 40.6928, lng: -73.9903 },
+	{ name: 'DUMBO', lat: 40.7033, lng: -73.9881 },
+	{ name: 'Dyker Heights', lat: 40.6214, lng: -74.0094 },
+	{ name: 'East Flatbush', lat: 40.6413, lng: -73.9356 },
+	{ name: 'East New York', lat: 40.6663, lng: -73.8824 },
+	{ name: 'Flatbush', lat: 40.6409, lng: -73.9624 },
+	{ name: 'Flatlands', lat: 40.6212, lng: -73.9375 },
+	{ name: 'Fort Greene', lat: 40.6892, lng: -73.9762 },
+	{ name: 'Gowanus', lat: 40.6733, lng: -73.9891 },
+	{ name: 'Gravesend', lat: 40.5976, lng: -73.9654 },
+	{ name: 'Greenpoint', lat: 40.7305, lng: -73.9515 },
+	{ name: 'Kensington', lat: 40.6394, lng: -73.9722 },
+	{ name: 'Marine Park', lat: 40.6091, lng: -73.9294 },
+	{ name: 'Midwood', lat: 40.6204, lng: -73.9597 },
+	{ name: 'Mill Basin', lat: 40.6096, lng: -73.9104 },
+	{ name: 'Park Slope', lat: 40.671, lng: -73.9814 },
+	{ name: 'Prospect Heights', lat: 40.6775, lng: -73.9692 },
+	{
+		name: 'Prospect Lefferts Gardens',
+		lat: 40.6591,
+		lng: -73.9515,
+		aliases: [ 'PLG' ],
+	},
+	{ name: 'Red Hook', lat: 40.6734, lng: -74.0083 },
+	{ name: 'Sheepshead Bay', lat: 40.5865, lng: -73.9442 },
+	{ name: 'Sunset Park', lat: 40.6455, lng: -74.0124 },
+	{ name: 'Williamsburg', lat: 40.7081, lng: -73.9571 },
+	{ name: 'Windsor Terrace', lat: 40.6539, lng: -73.9754 },
+];
+
+/**
+ * Great-circle distance between two points.
+ *
+ * @param {number} lat1 Latitude of the first point.
+ * @param {number} lng1 Longitude of the first point.
+ * @param {number} lat2 Latitude of the second point.
+ * @param {number} lng2 Longitude of the second point.
+ * @return {number} Distance in meters.
+ */
+export const distanceMeters = ( lat1, lng1, lat2, lng2 ) => {
+	const toRad = ( deg ) => ( deg * Math.PI ) / 180;
+	const dLat = toRad( lat2 - lat1 );
+	const dLng = toRad( lng2 - lng1 );
+	const a =
+		Math.sin( dLat / 2 ) ** 2 +
+		Math.cos( toRad( lat1 ) ) *
+			Math.cos( toRad( lat2 ) ) *
+			Math.sin( dLng / 2 ) ** 2;
+	return 6371000 * 2 * Math.atan2( Math.sqrt( a ), Math.sqrt( 1 - a ) );
+};
+
+/**
+ * Returns the neighborhood whose centroid is closest to a point.
+ *
+ * @param {number} lat Latitude.
+ * @param {number} lng Longitude.
+ * @return {{name: string, lat: number, lng: number}} Closest neighborhood.
+ */
+export const nearestNeighborhood = ( lat, lng ) =>
+	NEIGHBORHOODS.reduce( ( best, hood ) =>
+		distanceMeters( lat, lng, hood.lat, hood.lng ) <
+		distanceMeters( lat, lng, best.lat, best.lng )
+			? hood
+			: best
+	);
@@ -0,0 +1,476 @@
+/**
+ * Opening-hours parsing for venue `hours` records.
+ *
+ * Ingest stores hours in several shapes: weekday-keyed text ("9 AM–5 PM"),
+ * Google `weekday_text` lines, and Google `periods` (legacy Places
+ * `{day, time: "0900"}` or new Places `{day, hour, minute}`), optionally
+ * wrapped in `opening_hours` / `regularOpeningHours`. All of them are read
+ * as venue-local (America/New_York) wall-clock times.
+ *
+ * Ranges are expressed in minutes from local midnight; a range that ends
+ * after midnight (e.g. a bar open until 2 AM) has `close` above 1440.
+ */
+
+import { formatClock, WEEKDAYS } from './itinerary';
+import { TIMEZONE } from '../../shared/new-york-time';
+
+// A visit is "closing soon" when the venue closes within this many minutes
+// of arrival, or before the planned stay ends.
+export const CLOSING_SOON_MINUTES = 30;
+
+const CLOCK_PATTERN =
+	/^(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?$|^(noon|midnight)$/i;
+
+/**
+ * Parses a single clock reading such as "9", "9:30 AM" or "noon".
+ *
+ * @param {string} text Clock text.
+ * @return {{minutes: number, meridiem: string|null}|null} Parsed value.
+ */
+const parseClock = ( text ) => {
+	const match = String( text ).trim().match( CLOCK_PATTERN );
+	if ( ! match ) {
+		return null;
+	}
+
+	if ( match[ 4 ] ) {
+		return {
+			minutes: match[ 4 ].toLowerCase() === 'noon' ? 720 : 0,
+			meridiem: match[ 4 ].toLowerCase() === 'noon' ? 'pm' : 'am',
+		};
+	}
+
+	const hour = parseInt( match[ 1 ], 10 );
+	const minute = match[ 2 ] ? parseInt( match[ 2 ], 10 ) : 0;
+	if ( hour > 23 || minute > 59 ) {
+		return null;
+	}
+
+	const meridiem = match[ 3 ]
+		? match[ 3 ].replace( /\./g, '' ).toLowerCase()
+		: null;
+	let hours24 = hour;
+	if ( meridiem === 'pm' && hour < 12 ) {
+		hours24 += 12;
+	} else if ( meridiem === 'am' && hour === 12 ) {
+		hours24 = 0;
+	}
+
+	return { minutes: hours24 * 60 + minute, meridiem };
+};
+
+/**
+ * Parses a day's hours text into ranges.
+ *
+ * Understands "9 AM–5 PM", "11:30am - 2pm, 5pm - 10pm", "6 PM–2 AM",
+ * "Closed" and "Open 24 hours".
+ *
+ * @param {string} text Hours text for one day.
+ * @return {Array<{open: number, close: number}>|null} Ranges, [] when closed, null when unparseable.
+ */
+export const parseRanges = ( text ) => {
+	const value = String( text || '' ).trim();
+	if ( ! value ) {
+		return null;
+	}
+	if ( /closed/i.test( value ) ) {
+		return [];
+	}
+	if ( /24\s*hours/i.test( value ) ) {
+		return [ { open: 0, close: 1440 } ];
+	}
+
+	const ranges = [];
+	for ( const part of value.split( /\s*[,;]\s*/ ) ) {
+		const bounds = part.split( /\s*(?:[-–—]|\bto\b)\s*/i );
+		if ( bounds.length !== 2 ) {
+			return null;
+		}
+
+		const open = parseClock( bounds[ 0 ] );
+		const close = parseClock( bounds[ 1 ] );
+		if ( ! open || ! close ) {
+			return null;
+		}
+
+		// "9–5 PM": a bare opening hour borrows the closing meridiem when sensible.
+		let openMinutes = open.minutes;
+		if ( ! open.meridiem && close.meridiem === 'pm' ) {
+			const asPm = openMinutes < 720 ? openMinutes + 720 : openMinutes;
+			openMinutes = asPm < close.minutes ? asPm : openMinutes;
+		}
+
+		let closeMinutes = close.minutes;
+		if ( closeMinutes <= openMinutes ) {
+			closeMinutes += 1440; // Overnight.
+		}
+
+		ranges.push( { open: openMinutes, close: closeMinutes } );
+	}
+
+	return ranges;
+};
+
+/**
+ * Decodes a JSON-encoded `hours` value; other strings are returned as is.
+ *
+ * @param {*} hours Raw hours.
+ * @return {*} Decoded value.
+ */
+const decodeHours = ( hours ) => {
+	if ( typeof hours !== 'string' ) {
+		return hours;
+	}
+	try {
+		return JSON.parse( hours );
+	} catch ( e ) {
+		return hours;
+	}
+};
+
+/**
+ * Formats ranges for display, e.g. "9:00 AM – 5:00 PM".
+ *
+ * @param {Array} ranges Ranges for one day.
+ * @return {string} Label ("Closed" when empty).
+ */
+const formatRanges = ( ranges ) =>
+	ranges.length
+		? ranges
+				.map( ( range ) =>
+					range.open === 0 && range.close === 1440
+						? 'Open 24 hours'
+						: `${ formatClock( range.open ) } – ${ formatClock(
+								range.close
+						  ) }`
+				)
+				.join( ', ' )
+		: 'Closed';
+
+/**
+ * Reads a Google period endpoint as minutes from midnight.
+ *
+ * @param {Object} point `open` or `close` of a period.
+ * @return {number|null} Minutes, or null when malformed.
+ */
+const periodMinutes = ( point ) => {
+	if ( typeof point.time === 'string' ) {
+		const match = point.time.match( /^(\d{2}):?(\d{2})$/ );
+		return match
+			? parseInt( match[ 1 ], 10 ) * 60 + parseInt( match[ 2 ], 10 )
+			: null;
+	}
+	if ( Number.isInteger( point.hour ) ) {
+		return point.hour * 60 + ( Number( point.minute ) || 0 );
+	}
+	return null;
+};
+
+const isWeekday = ( day ) => Number.isInteger( day ) && day >= 0 && day <= 6;
+
+/**
+ * Converts one Google period into a range on its opening weekday.
+ *
+ * @param {Object} period Google period.
+ * @return {{day: number, open: number, close: number}|null} Null when malformed.
+ */
+const toPeriodRange = ( period ) => {
+	const { open, close } = period || {};
+	if ( ! open || ! close || ! isWeekday( open.day ) ) {
+		return null;
+	}
+	const openMinutes = periodMinutes( open );
+	const closeMinutes = periodMinutes( close );
+	if ( openMinutes === null || closeMinutes === null ) {
+		return null;
+	}
+
+	// A period that closes on a later day becomes an overnight range.
+	const closeDay = isWeekday( close.day ) ? close.day : open.day;
+	let closeAt = closeMinutes + ( ( closeDay - open.day + 7 ) % 7 ) * 1440;
+	if ( closeAt <= openMinutes ) {
+		closeAt += 1440;
+	}
+	return { day: open.day, open: openMinutes, close: closeAt };
+};
+
+/**
+ * Converts Google `periods` into ranges per weekday.
+ *
+ * A single period without `close` means open around the clock.
+ *
+ * @param {Array} periods Google periods.
+ * @return {Array<Array>|null} Ranges indexed by weekday, null when malformed.
+ */
+const fromPeriods = ( periods ) => {
+	if ( periods.length === 1 && periods[ 0 ]?.open && ! periods[ 0 ].close ) {
+		return WEEKDAYS.map( () => [ { open: 0, close: 1440 } ] );
+	}
+
+	const ranges = periods.map( toPeriodRange );
+	if ( ranges.includes( null ) ) {
+		return null;
+	}
+
+	return WEEKDAYS.map( ( _, weekday ) =>
+		ranges
+			.filter( ( range ) => range.day === weekday )
+			.map( ( { open, close } ) => ( { open, close } ) )
+			.sort( ( a, b ) => a.open - b.open )
+	);
+};
+
+/**
+ * Parses weekday text lines ("Monday: 9 AM – 5 PM") into a map.
+ *
+ * @param {Array} lines Text lines.
+ * @return {Object<string, string>} Text per weekday name.
+ */
+const fromWeekdayLines = ( lines ) => {
+	const map = {};
+	lines.forEach( ( line ) => {
+		const match = String( line ).match( /^(\w+):\s*(.*)$/ );
+		if ( match && WEEKDAYS.includes( match[ 1 ] ) ) {
+			map[ match[ 1 ] ] = match[ 2 ];
+		}
+	} );
+	return map;
+};
+
+/**
+ * Normalizes any supported `hours` value into ranges per weekday.
+ *
+ * @param {*} hours Raw venue hours.
+ * @return {Array<{label: string, ranges: Array|null}|null>|null} Seven entries
+ *         indexed by weekday (null for days without hours), or null when the
+ *         value is not recognised. `ranges` is null when the text is unparseable.
+ */
+export const normalizeHours = ( hours ) => {
+	let value = decodeHours( hours );
+	if ( typeof value === 'string' ) {
+		// A plain string applies to every day.
+		const text = value.trim();
+		return text
+			? WEEKDAYS.map( () => ( {
+					label: text,
+					ranges: parseRanges( text ),
+			  } ) )
+			: null;
+	}
+	if ( ! value || typeof value !== 'object' ) {
+		return null;
+	}
+
+	const wrapper = value.regularOpeningHours || value.opening_hours;
+	if ( wrapper && typeof wrapper === 'object' ) {
+		value = wrapper;
+	}
+
+	if ( Array.isArray( value.periods ) && value.periods.length ) {
+		const days = fromPeriods( value.periods );
+		if ( days ) {
+			return days.map( ( ranges ) => ( {
+				label: formatRanges( ranges ),
+				ranges,
+			} ) );
+		}
+	}
+
+	let map = value;
+	if ( Array.isArray( value.weekday_text ) ) {
+		map = fromWeekdayLines( value.weekday_text );
+	} else if ( Array.isArray( value.weekdayDescriptions ) ) {
+		map = fromWeekdayLines( value.weekdayDescriptions );
+	} else if ( Array.isArray( value ) ) {
+		map = fromWeekdayLines( value );
+	}
+
+	const days = WEEKDAYS.map( ( day ) =>
+		typeof map[ day ] === 'string'
+			? { label: map[ day ], ranges: parseRanges( map[ day ] ) }
+			: null
+	);
+	return days.some( Boolean ) ? days : null;
+};
+
+/**
+ * Returns the hours for one weekday.
+ *
+ * @param {*}      hours   Raw venue hours.
+ * @param {number} weekday 0 = Sunday … 6 = Saturday.
+ * @return {{label: string, ranges: Array|null}|null} Null when the venue has no hours for that day.
+ */
+export const getHoursForDay = ( hours, weekday ) =>
+	normalizeHours( hours )?.[ weekday ] || null;
+
+/**
+ * Normalizes a venue `hours` value into display lines.
+ *
+ * @param {*} hours Raw hours value.
+ * @return {string[]} One line per day (may be empty).
+ */
+export const describeHours = ( hours ) => {
+	const value = decodeHours( hours );
+	if ( typeof value === 'string' ) {
+		return value.trim() ? [ value.trim() ] : [];
+	}
+
+	const days = normalizeHours( value ) || [];
+	// Google lists Monday first.
+	return [ 1, 2, 3, 4, 5, 6, 0 ]
+		.filter( ( weekday ) => days[ weekday ] )
+		.map(
+			( weekday ) =>
+				`${ WEEKDAYS[ weekday ] }: ${ days[ weekday ].label }`
+		);
+};
+
+/**
+ * Whether a visit fits entirely inside one of the ranges.
+ *
+ * @param {Array}  ranges Ranges from parseRanges().
+ * @param {number} start  Visit start, minutes from midnight.
+ * @param {number} end    Visit end, minutes from midnight.
+ * @return {boolean} True when open for the whole visit.
+ */
+export const isOpenDuring = ( ranges, start, end ) =>
+	ranges.some( ( range ) => start >= range.open && end <= range.close );
+
+/**
+ * Ranges that apply on a weekday, including overnight ranges carried over
+ * from the previous day (e.g. open until 2 AM) as negative offsets.
+ *
+ * @param {*}      hours   Raw venue hours.
+ * @param {number} weekday 0 = Sunday … 6 = Saturday.
+ * @return {{today: Object, ranges: Array}|null} Null when the day's hours are unknown.
+ */
+const getRangesWithCarryOver = ( hours, weekday ) => {
+	const today = getHoursForDay( hours, weekday );
+	if ( ! today || today.ranges === null ) {
+		return null;
+	}
+
+	const previous = getHoursForDay( hours, ( weekday + 6 ) % 7 );
+	const carryOver = ( previous?.ranges || [] )
+		.filter( ( range ) => range.close > 1440 )
+		.map( ( range ) => ( {
+			open: range.open - 1440,
+			close: range.close - 1440,
+		} ) );
+
+	return { today, ranges: [ ...today.ranges, ...carryOver ] };
+};
+
+/**
+ * Describes why a visit conflicts with a venue's hours, if it does.
+ *
+ * Overnight ranges from the previous day (e.g. open until 2 AM) are honoured.
+ *
+ * @param {*}      hours   Raw venue hours.
+ * @param {number} weekday 0 = Sunday … 6 = Saturday.
+ * @param {number} start   Visit start, minutes from midnight.
+ * @param {number} end     Visit end, minutes from midnight.
+ * @return {string|null} Warning text, or null when open or unknown.
+ */
+export const getVisitConflict = ( hours, weekday, start, end ) => {
+	const day = getRangesWithCarryOver( hours, weekday );
+	if ( ! day || isOpenDuring( day.ranges, start, end ) ) {
+		return null;
+	}
+
+	return day.today.ranges.length
+		? `Outside opening hours (${ WEEKDAYS[ weekday ] }: ${ day.today.label })`
+		: `Closed on ${ WEEKDAYS[ weekday ] }`;
+};
+
+/**
+ * Whether a venue is open at a given moment.
+ *
+ * @param {*}      hours   Raw venue hours.
+ * @param {number} weekday 0 = Sunday … 6 = Saturday.
+ * @param {number} minute  Minutes from midnight.
+ * @return {boolean|null} Null when the hours are unknown or unparseable.
+ */
+export const isOpenAt = ( hours, weekday, minute ) => {
+	const day = getRangesWithCarryOver( hours, weekday );
+	if ( ! day ) {
+		return null;
+	}
+	return day.ranges.some(
+		( range ) => minute >= range.open && minute < range.close
+	);
+};
+
+/**
+ * Opening status for a planned visit.
+ *
+ * @param {*}      hours   Raw venue hours.
+ * @param {number} weekday 0 = Sunday … 6 = Saturday.
+ * @param {number} start   Arrival, minutes from midnight.
+ * @param {number} end     Departure, minutes from midnight.
+ * @return {{state: string, label: string}|null} `state` is "open",
+ *         "closing-soon" or "closed"; null when the hours are unknown.
+ */
+export const getVisitStatus = ( hours, weekday, start, end ) => {
+	const day = getRangesWithCarryOver( hours, weekday );
+	if ( ! day ) {
+		return null;
+	}
+
+	const range = day.ranges.find(
+		( r ) => start >= r.open && start < r.close
+	);
+	if ( ! range ) {
+		const opensLater = day.today.ranges.find( ( r ) => r.open > start );
+		return {
+			state: 'closed',
+			label: opensLater
+				? `Closed at arrival · Opens ${ formatClock(
+						opensLater.open
+				  ) }`
+				: 'Closed at arrival',
+		};
+	}
+
+	// Around-the-clock ranges never "close soon".
+	const allDay = range.open <= 0 && range.close >= 1440;
+	if (
+		! allDay &&
+		( range.close < end || range.close - start <= CLOSING_SOON_MINUTES )
+	) {
+		return {
+			state: 'closing-soon',
+			label: `Closes ${ formatClock( range.close ) }`,
+		};
+	}
+
+	return { state: 'open', label: 'Open at arrival' };
+};
+
+/**
+ * The current weekday and time of day in Brooklyn, whatever the visitor's
+ * own time zone.
+ *
+ * @param {Date} date Moment to convert (defaults to now).
+ * @return {{weekday: number, minute: number}} Local weekday and minutes from midnight.
+ */
+export const nowInNewYork = ( date = new Date() ) => {
+	const parts = Object.fromEntries(
+		new Intl.DateTimeFormat( 'en-US', {
+			timeZone: TIMEZONE,
+			weekday: 'long',
+			hour: 'numeric',
+			minute: 'numeric',
+			hourCycle: 'h23',
+		} )
+			.formatToParts( date )
+			.map( ( part ) => [ part.type, part.value ] )
+	);
+
+	return {
+		weekday: WEEKDAYS.indexOf( parts.weekday ),
+		minute:
+			( parseInt( parts.hour, 10 ) % 24 ) * 60 +
+			parseInt( parts.minute, 10 ),
+	};
+};
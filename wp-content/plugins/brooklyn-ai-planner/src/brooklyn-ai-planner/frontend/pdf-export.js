@@ -0,0 +1,285 @@
+/**
+ * Printable PDF export of a generated itinerary.
+ *
+ * Runs entirely in the browser from the data `renderResults()` already holds.
+ */
+
+import {
+	createPdfDocument,
+	wrapText,
+	PAGE_WIDTH,
+	PAGE_HEIGHT,
+} from './pdf-writer';
+import {
+	getDirectionsUrl,
+	getVenueCoordinates,
+	getVenueDetails,
+	getVenuePhone,
+} from './itinerary';
+import { describeHours } from './opening-hours';
+
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_HEIGHT = 36;
+
+const BLUE = [ 22, 73, 255 ];
+const ORANGE = [ 242, 174, 1 ];
+const DARK = [ 43, 43, 43 ];
+const MUTED = [ 74, 85, 104 ];
+const BORDER = [ 226, 232, 240 ];
+const PANEL = [ 247, 250, 252 ];
+
+/**
+ * Projects stop coordinates into a box, preserving aspect ratio.
+ *
+ * @param {Array}  points Items with `lat`/`lng`.
+ * @param {Object} box    Target box `{ x, y, width, height }` in points.
+ * @return {Array} Points with `x`/`y` page coordinates added.
+ */
+const projectPoints = ( points, box ) => {
+	const midLat =
+		points.reduce( ( sum, p ) => sum + p.lat, 0 ) / points.length;
+	const scaleX = Math.cos( ( midLat * Math.PI ) / 180 );
+	const xs = points.map( ( p ) => p.lng * scaleX );
+	const ys = points.map( ( p ) => p.lat );
+	const minX = Math.min( ...xs );
+	const minY = Math.min( ...ys );
+	const spanX = Math.max( ...xs ) - minX;
+	const spanY = Math.max( ...ys ) - minY;
+	const pad = 24;
+	const innerW = box.width - pad * 2;
+	const innerH = box.height - pad * 2;
+	const scale =
+		spanX === 0 && spanY === 0
+			? 0
+			: Math.min(
+					spanX ? innerW / spanX : Infinity,
+					spanY ? innerH / spanY : Infinity
+			  );
+	const offsetX = box.x + pad + ( innerW - spanX * scale ) / 2;
+	const offsetY = box.y + pad + ( innerH - spanY * scale ) / 2;
+
+	return points.map( ( p, i ) => ( {
+		...p,
+		x: offsetX + ( xs[ i ] - minX ) * scale,
+		y: offsetY + ( ys[ i ] - minY ) * scale,
+	} ) );
+};
+
+/**
+ * Builds the itinerary PDF.
+ *
+ * @param {Object} options              Export options.
+ * @param {Array}  options.items        Ordered itinerary items.
+ * @param {Map}    options.candidateMap Candidates keyed by slug.
+ * @param {string} options.summary      Optional LLM summary.
+ * @param {string} options.subtitle     Optional line under the title.
+ * @return {Blob} PDF file.
+ */
+export const buildItineraryPdf = ( {
+	items,
+	candidateMap,
+	summary = '',
+	subtitle = '',
+} ) => {
+	const doc = createPdfDocument( { title: 'Your Brooklyn Itinerary' } );
+	let y = PAGE_HEIGHT - MARGIN;
+
+	const newPage = () => {
+		doc.addPage();
+		y = PAGE_HEIGHT - MARGIN;
+	};
+
+	const ensureSpace = ( height ) => {
+		if ( y - height < MARGIN + FOOTER_HEIGHT ) {
+			newPage();
+		}
+	};
+
+	const paragraph = (
+		text,
+		{ size = 10, weight, rgb = DARK, indent = 0 }
+	) => {
+		wrapText( text, CONTENT_WIDTH - indent, size, weight ).forEach(
+			( line ) => {
+				ensureSpace( size + 4 );
+				doc.text( MARGIN + indent, y - size, line, {
+					size,
+					weight,
+					rgb,
+				} );
+				y -= size + 4;
+			}
+		);
+	};
+
+	const heading = ( text ) => {
+		ensureSpace( 40 );
+		y -= 12;
+		doc.text( MARGIN, y - 13, text.toUpperCase(), {
+			size: 13,
+			weight: 'bold',
+		} );
+		y -= 20;
+		doc.line( MARGIN, y, MARGIN + CONTENT_WIDTH, y, {
+			width: 0.75,
+			rgb: BORDER,
+		} );
+		y -= 10;
+	};
+
+	// Title band.
+	newPage();
+	doc.rect( 0, PAGE_HEIGHT - 96, PAGE_WIDTH, 96, { fill: BLUE } );
+	doc.text( MARGIN, PAGE_HEIGHT - 52, 'Your Brooklyn Itinerary', {
+		size: 22,
+		weight: 'bold',
+		rgb: [ 255, 255, 255 ],
+	} );
+	doc.text(
+		MARGIN,
+		PAGE_HEIGHT - 74,
+		subtitle ||
+			`${
+				items.length
+			} stops • Generated ${ new Date().toLocaleDateString() }`,
+		{ size: 11, rgb: [ 255, 255, 255 ] }
+	);
+	y = PAGE_HEIGHT - 96 - 24;
+
+	if ( summary ) {
+		paragraph( summary, { size: 11, rgb: MUTED } );
+	}
+
+	// Route overview: a static, to-scale sketch of the stop order.
+	heading( 'Route overview' );
+	const stops = items
+		.map( ( item, index ) => ( {
+			index,
+			title: item.title,
+			...getVenueCoordinates( getVenueDetails( candidateMap, item ) ),
+		} ) )
+		.filter( ( stop ) => Number.isFinite( stop.lat ) );
+
+	if ( stops.length > 0 ) {
+		const boxHeight = 220;
+		ensureSpace( boxHeight + 8 );
+		const box = {
+			x: MARGIN,
+			y: y - boxHeight,
+			width: CONTENT_WIDTH,
+			height: boxHeight,
+		};
+		doc.rect( box.x, box.y, box.width, box.height, {
+			fill: PANEL,
+			stroke: BORDER,
+		} );
+
+		const projected = projectPoints( stops, box );
+		projected.slice( 1 ).forEach( ( point, i ) => {
+			const prev = projected[ i ];
+			doc.line( prev.x, prev.y, point.x, point.y, {
+				width: 2,
+				rgb: BLUE,
+			} );
+		} );
+		projected.forEach( ( point ) => {
+			const label = String( point.index + 1 );
+			doc.circle( point.x, point.y, 9, { fill: ORANGE } );
+			doc.text( point.x - label.length * 2.8, point.y - 3.5, label, {
+				size: 10,
+				weight: 'bold',
+			} );
+		} );
+		y = box.y - 8;
+
+		if ( stops.length < items.length ) {
+			paragraph(
+				'Some stops have no coordinates and are not shown on the sketch.',
+				{ size: 9, rgb: MUTED }
+			);
+		}
+	} else {
+		paragraph( 'Route overview unavailable: no stop coordinates.', {
+			size: 10,
+			rgb: MUTED,
+		} );
+	}
+
+	y -= 4;
+	items.forEach( ( item, index ) => {
+		paragraph( `${ index + 1 }. ${ item.title }`, {
+			size: 10,
+			rgb: MUTED,
+		} );
+	} );
+
+	// Stop details.
+	heading( 'Stops' );
+	items.forEach( ( item, index ) => {
+		const details = getVenueDetails( candidateMap, item );
+		const hours = describeHours( details.hours );
+		const phone = getVenuePhone( details );
+
+		ensureSpace( 60 );
+		paragraph( `${ index + 1 }. ${ item.title }`, {
+			size: 13,
+			weight: 'bold',
+		} );
+
+		if ( item.duration_minutes > 0 ) {
+			paragraph( `Suggested stay: ${ item.duration_minutes } min`, {
+				size: 10,
+				rgb: MUTED,
+			} );
+		}
+
+		const rows = [
+			[ 'Address', details.address || '' ],
+			[ 'Hours', hours.length ? hours.join( '\n' ) : '' ],
+			[ 'Phone', phone ],
+			[ 'Notes', item.notes || details.vibe_summary || '' ],
+			[ 'Directions', getDirectionsUrl( item, details ) ],
+		];
+
+		rows.filter( ( [ , value ] ) => value ).forEach(
+			( [ label, value ] ) => {
+				ensureSpace( 16 );
+				doc.text( MARGIN, y - 10, label, {
+					size: 10,
+					weight: 'bold',
+					rgb: MUTED,
+				} );
+				wrapText( value, CONTENT_WIDTH - 80, 10 ).forEach( ( line ) => {
+					ensureSpace( 14 );
+					doc.text( MARGIN + 80, y - 10, line, { size: 10 } );
+					y -= 14;
+				} );
+			}
+		);
+
+		y -= 12;
+	} );
+
+	// Footers, once the page count is known.
+	const total = doc.pageCount();
+	for ( let i = 0; i < total; i++ ) {
+		doc.usePage( i );
+		doc.line( MARGIN, MARGIN, PAGE_WIDTH - MARGIN, MARGIN, {
+			width: 0.5,
+			rgb: BORDER,
+		} );
+		doc.text( MARGIN, MARGIN - 14, 'Brooklyn AI Trip Planner', {
+			size: 8,
+			rgb: MUTED,
+		} );
+		doc.text(
+			PAGE_WIDTH - MARGIN - 48,
+			MARGIN - 14,
+			`Page ${ i + 1 } of ${ total }`,
+			{ size: 8, rgb: MUTED }
+		);
+	}
+
+	return doc.toBlob();
+};
@@ -0,0 +1,320 @@
+/**
+ * Minimal PDF 1.4 writer used for client-side exports.
+ *
+ * Only the standard Helvetica faces are used, so no font program has to be
+ * embedded and the output stays small. Text is encoded as WinAnsi; characters
+ * outside that code page (emoji, CJK) are dropped or replaced with "?".
+ */
+
+export const PAGE_WIDTH = 612; // US Letter, in points.
+export const PAGE_HEIGHT = 792;
+
+const FONTS = {
+	regular: 'F1',
+	bold: 'F2',
+};
+
+// Average Helvetica glyph width as a fraction of the font size.
+const AVERAGE_GLYPH_WIDTH = {
+	regular: 0.5,
+	bold: 0.55,
+};
+
+// Unicode code points that WinAnsi places in the 0x80–0x9F range.
+const WIN_ANSI_EXTRAS = {
+	0x20ac: 0x80,
+	0x201a: 0x82,
+	0x201e: 0x84,
+	0x2026: 0x85,
+	0x2020: 0x86,
+	0x2021: 0x87,
+	0x2030: 0x89,
+	0x2039: 0x8b,
+	0x2018: 0x91,
+	0x2019: 0x92,
+	0x201c: 0x93,
+	0x201d: 0x94,
+	0x2022: 0x95,
+	0x2013: 0x96,
+	0x2014: 0x97,
+	0x2122: 0x99,
+	0x203a: 0x9b,
+};
+
+/**
+ * Encodes a string as an escaped PDF literal string body.
+ *
+ * @param {string} text Raw text.
+ * @return {string} Escaped WinAnsi text, safe to place inside `( )`.
+ */
+export const encodeText = ( text ) => {
+	let out = '';
+	for ( const char of String( text ) ) {
+		const code = char.codePointAt( 0 );
+		let byte = null;
+
+		if ( code >= 0x20 && code < 0x7f ) {
+			byte = code;
+		} else if ( code >= 0xa0 && code <= 0xff ) {
+			byte = code;
+		} else if ( WIN_ANSI_EXTRAS[ code ] ) {
+			byte = WIN_ANSI_EXTRAS[ code ];
+		} else if ( code === 0x09 || code === 0x0a ) {
+			byte = 0x20;
+		} else if ( code > 0xffff || ( code >= 0xfe00 && code <= 0xfe0f ) ) {
+			// Emoji and variation selectors have no WinAnsi equivalent.
+			continue;
+		} else {
+			byte = 0x3f; // "?"
+		}
+
+		if ( byte === 0x28 || byte === 0x29 || byte === 0x5c ) {
+			out += '\\' + String.fromCharCode( byte );
+		} else if ( byte > 0x7e ) {
+			out += '\\' + byte.toString( 8 ).padStart( 3, '0' );
+		} else {
+			out += String.fromCharCode( byte );
+		}
+	}
+	return out;
+};
+
+const num = ( value ) => Number( value.toFixed( 2 ) ).toString();
+
+const color = ( rgb ) => rgb.map( ( c ) => num( c / 255 ) ).join( ' ' );
+
+/**
+ * Creates a PDF document builder.
+ *
+ * Drawing calls target the most recently added page unless usePage() switched
+ * back to an earlier one. Coordinates use
+ * the PDF convention: origin at the bottom-left corner, units in points.
+ *
+ * @param {Object} options       Document options.
+ * @param {string} options.title Document title stored in the info dictionary.
+ * @return {Object} Builder API.
+ */
+export const createPdfDocument = ( { title = '' } = {} ) => {
+	const pages = [];
+	let currentIndex = -1;
+
+	const current = () => {
+		if ( currentIndex < 0 ) {
+			pages.push( [] );
+			currentIndex = 0;
+		}
+		return pages[ currentIndex ];
+	};
+
+	const api = {
+		pageCount: () => pages.length,
+
+		addPage() {
+			pages.push( [] );
+			currentIndex = pages.length - 1;
+			return api;
+		},
+
+		/**
+		 * Switches drawing to an existing page (0-based), e.g. for footers.
+		 *
+		 * @param {number} index Page index.
+		 * @return {Object} Builder API.
+		 */
+		usePage( index ) {
+			if ( pages[ index ] ) {
+				currentIndex = index;
+			}
+			return api;
+		},
+
+		text(
+			x,
+			y,
+			value,
+			{ size = 11, weight = 'regular', rgb = [ 43, 43, 43 ] } = {}
+		) {
+			current().push(
+				`BT /${ FONTS[ weight ] } ${ num( size ) } Tf ${ color(
+					rgb
+				) } rg ${ num( x ) } ${ num( y ) } Td (${ encodeText(
+					value
+				) }) Tj ET`
+			);
+			return api;
+		},
+
+		line( x1, y1, x2, y2, { width = 1, rgb = [ 43, 43, 43 ] } = {} ) {
+			current().push(
+				`${ num( width ) } w ${ color( rgb ) } RG ${ num( x1 ) } ${ num(
+					y1
+				) } m ${ num( x2 ) } ${ num( y2 ) } l S`
+			);
+			return api;
+		},
+
+		rect( x, y, w, h, { fill = null, stroke = null } = {} ) {
+			const ops = [];
+			if ( fill ) {
+				ops.push( `${ color( fill ) } rg` );
+			}
+			if ( stroke ) {
+				ops.push( `0.75 w ${ color( stroke ) } RG` );
+			}
+			ops.push(
+				`${ num( x ) } ${ num( y ) } ${ num( w ) } ${ num( h ) } re`
+			);
+			if ( fill && stroke ) {
+				ops.push( 'B' );
+			} else {
+				ops.push( fill ? 'f' : 'S' );
+			}
+			current().push( ops.join( ' ' ) );
+			return api;
+		},
+
+		circle( cx, cy, r, { fill = [ 43, 43, 43 ] } = {} ) {
+			// Four cubic Bézier arcs approximate a circle.
+			const k = 0.5523 * r;
+			current().push(
+				[
+					`${ color( fill ) } rg`,
+					`${ num( cx + r ) } ${ num( cy ) } m`,
+					`${ num( cx + r ) } ${ num( cy + k ) } ${ num(
+						cx + k
+					) } ${ num( cy + r ) } ${ num( cx ) } ${ num( cy + r ) } c`,
+					`${ num( cx - k ) } ${ num( cy + r ) } ${ num(
+						cx - r
+					) } ${ num( cy + k ) } ${ num( cx - r ) } ${ num( cy ) } c`,
+					`${ num( cx - r ) } ${ num( cy - k ) } ${ num(
+						cx - k
+					) } ${ num( cy - r ) } ${ num( cx ) } ${ num( cy - r ) } c`,
+					`${ num( cx + k ) } ${ num( cy - r ) } ${ num(
+						cx + r
+					) } ${ num( cy - k ) } ${ num( cx + r ) } ${ num( cy ) } c`,
+					'f',
+				].join( ' ' )
+			);
+			return api;
+		},
+
+		/**
+		 * Serializes the document.
+		 *
+		 * @return {Blob} PDF blob.
+		 */
+		toBlob() {
+			const pageOps = pages.length > 0 ? pages : [ [] ];
+
+			const objects = [];
+			const add = ( body ) => {
+				objects.push( body );
+				return objects.length;
+			};
+
+			add( '<< /Type /Catalog /Pages 2 0 R >>' );
+			add( '' ); // Page tree, filled in once page ids are known.
+			add(
+				'<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+			);
+			add(
+				'<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+			);
+			const info = add(
+				`<< /Title (${ encodeText(
+					title
+				) }) /Producer (Brooklyn AI Trip Planner) >>`
+			);
+
+			const pageIds = pageOps.map( ( ops ) => {
+				const stream = ops.join( '\n' );
+				const contentId = add(
+					`<< /Length ${ stream.length } >>\nstream\n${ stream }\nendstream`
+				);
+				return add(
+					`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${ PAGE_WIDTH } ${ PAGE_HEIGHT }] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${ contentId } 0 R >>`
+				);
+			} );
+
+			objects[ 1 ] = `<< /Type /Pages /Kids [${ pageIds
+				.map( ( id ) => `${ id } 0 R` )
+				.join( ' ' ) }] /Count ${ pageIds.length } >>`;
+
+			// Everything above is 7-bit ASCII, so string length equals byte length.
+			let output = '%PDF-1.4\n';
+			const offsets = objects.map( ( body, index ) => {
+				const offset = output.length;
+				output += `${ index + 1 } 0 obj\n${ body }\nendobj\n`;
+				return offset;
+			} );
+
+			const xrefOffset = output.length;
+			output += `xref\n0 ${ objects.length + 1 }\n0000000000 65535 f \n`;
+			offsets.forEach( ( offset ) => {
+				output += `${ String( offset ).padStart(
+					10,
+					'0'
+				) } 00000 n \n`;
+			} );
+			output += `trailer\n<< /Size ${
+				objects.length + 1
+			} /Root 1 0 R /Info ${ info } 0 R >>\nstartxref\n${ xrefOffset }\n%%EOF\n`;
+
+			return new Blob( [ output ], { type: 'application/pdf' } );
+		},
+	};
+
+	return api;
+};
+
+/**
+ * Splits text into lines that fit a given width.
+ *
+ * Uses an average glyph width, which is accurate enough for Helvetica body
+ * copy without shipping font metrics.
+ *
+ * @param {string} text     Text to wrap.
+ * @param {number} maxWidth Available width in points.
+ * @param {number} size     Font size in points.
+ * @param {string} weight   'regular' or 'bold'.
+ * @return {string[]} Wrapped lines.
+ */
+export const wrapText = ( text, maxWidth, size = 11, weight = 'regular' ) => {
+	const maxChars = Math.max(
+		8,
+		Math.floor( maxWidth / ( size * AVERAGE_GLYPH_WIDTH[ weight ] ) )
+	);
+	const lines = [];
+
+	String( text || '' )
+		.split( /\r?\n/ )
+		.forEach( ( paragraph ) => {
+			let line = '';
+			paragraph
+				.split( /\s+/ )
+				.filter( Boolean )
+				.forEach( ( word ) => {
+					// Hard-break words that can never fit (long URLs).
+					while ( word.length > maxChars ) {
+						if ( line ) {
+							lines.push( line );
+							line = '';
+						}
+						lines.push( word.slice( 0, maxChars ) );
+						word = word.slice( maxChars );
+					}
+					const candidate = line ? `${ line } ${ word }` : word;
+					if ( candidate.length > maxChars ) {
+						lines.push( line );
+						line = word;
+					} else {
+						line = candidate;
+					}
+				} );
+			if ( line ) {
+				lines.push( line );
+			}
+		} );
+
+	return lines;
+};
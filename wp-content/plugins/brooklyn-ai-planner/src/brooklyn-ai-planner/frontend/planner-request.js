@@ -0,0 +1,195 @@
+/**
+ * Reads the planner form into a request and maps it onto the itinerary
+ * endpoint's payload.
+ *
+ * The request keeps form units (duration in hours, date and start time as
+ * typed) and is what share links store; the payload uses the engine's
+ * parameter names and units (`time_window` in minutes and a New York local
+ * `start_time` of the form YYYY-MM-DDTHH:MM).
+ */
+
+import { formatClock, parseTimeInput } from './itinerary';
+
+export const BUDGET_LEVELS = [ 'low', 'medium', 'high' ];
+
+// Values match the venue `accessibility` attributes the engine filters on.
+export const ACCESSIBILITY_OPTIONS = [
+	{ value: 'wheelchair', label: 'Wheelchair Accessible' },
+	{ value: 'sensory', label: 'Sensory Friendly' },
+	{ value: 'seating', label: 'Seating Available' },
+];
+
+export const MIN_PARTY_SIZE = 1;
+export const MAX_PARTY_SIZE = 20;
+export const DEFAULT_PARTY_SIZE = 2;
+
+// Itineraries the engine can return for side-by-side comparison.
+export const MAX_VARIANTS = 3;
+
+export const DEFAULT_START_TIME = '10:00';
+
+// Bounds of the engine's `time_window`, in minutes.
+const MIN_TIME_WINDOW = 30;
+const MAX_TIME_WINDOW = 720;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * @param {*} value Raw date.
+ * @return {string|null} YYYY-MM-DD, or null when malformed.
+ */
+export const normalizeTripDate = ( value ) => {
+	if ( typeof value !== 'string' || ! DATE_PATTERN.test( value ) ) {
+		return null;
+	}
+	// Rejects dates that roll over, such as Feb 30.
+	const date = new Date( `${ value }T00:00:00Z` );
+	return ! Number.isNaN( date.getTime() ) &&
+		date.toISOString().startsWith( value )
+		? value
+		: null;
+};
+
+/**
+ * @param {*} value Raw start time.
+ * @return {string} HH:MM (24-hour), DEFAULT_START_TIME when malformed.
+ */
+export const normalizeStartTime = ( value ) =>
+	typeof value === 'string' && TIME_PATTERN.test( value )
+		? value
+		: DEFAULT_START_TIME;
+
+/**
+ * @param {*} value Raw party size.
+ * @return {number} Party size clamped to the supported range.
+ */
+export const clampPartySize = ( value ) => {
+	const size = parseInt( value, 10 );
+	if ( ! Number.isFinite( size ) ) {
+		return DEFAULT_PARTY_SIZE;
+	}
+	return Math.min( MAX_PARTY_SIZE, Math.max( MIN_PARTY_SIZE, size ) );
+};
+
+/**
+ * @param {*} value Raw variant count.
+ * @return {number} Number of itineraries to request (1–MAX_VARIANTS).
+ */
+export const clampVariants = ( value ) => {
+	const count = parseInt( value, 10 );
+	return Number.isFinite( count )
+		? Math.min( MAX_VARIANTS, Math.max( 1, count ) )
+		: 1;
+};
+
+/**
+ * @param {*} values Raw accessibility values.
+ * @return {string[]} Known accessibility values, de-duplicated.
+ */
+export const normalizeAccessibility = ( values ) => {
+	const known = ACCESSIBILITY_OPTIONS.map( ( option ) => option.value );
+	return Array.isArray( values )
+		? known.filter( ( value ) => values.includes( value ) )
+		: [];
+};
+
+/**
+ * Reads the planner form.
+ *
+ * @param {HTMLFormElement} form Planner form.
+ * @return {Object} Request in form units.
+ */
+export const readFormRequest = ( form ) => {
+	const formData = new FormData( form );
+	const coordinate = ( name ) =>
+		formData.get( name ) === '' || formData.get( name ) === null
+			? null
+			: Number( formData.get( name ) );
+	const budget = formData.get( 'budget' );
+
+	return {
+		neighborhood: formData.get( 'neighborhood' ),
+		interests: formData.getAll( 'interests[]' ),
+		budget: BUDGET_LEVELS.includes( budget ) ? budget : 'medium',
+		duration: Number( formData.get( 'duration' ) ),
+		party_size: clampPartySize( formData.get( 'party_size' ) ),
+		accessibility: normalizeAccessibility(
+			formData.getAll( 'accessibility[]' )
+		),
+		latitude: coordinate( 'latitude' ),
+		longitude: coordinate( 'longitude' ),
+		variants: clampVariants( formData.get( 'variants' ) ),
+		date: normalizeTripDate( formData.get( 'trip_date' ) ),
+		start_time: normalizeStartTime( formData.get( 'start_time' ) ),
+	};
+};
+
+/**
+ * @param {Object} request Result of readFormRequest().
+ * @return {number} Trip length in minutes, within the engine's bounds.
+ */
+export const getTimeWindow = ( request ) =>
+	Math.min(
+		MAX_TIME_WINDOW,
+		Math.max(
+			MIN_TIME_WINDOW,
+			Math.round( ( Number( request.duration ) || 4 ) * 60 )
+		)
+	);
+
+/**
+ * Describes when a trip runs, e.g. "Sat, Oct 24 · 10:00 AM – 1:00 PM".
+ *
+ * @param {Object} request Result of readFormRequest().
+ * @return {string} Summary (without the date when none was chosen).
+ */
+export const describeTripWindow = ( request ) => {
+	const start = parseTimeInput( normalizeStartTime( request.start_time ) );
+	const date = normalizeTripDate( request.date );
+
+	return [
+		date
+			? new Date( `${ date }T12:00:00Z` ).toLocaleDateString( 'en-US', {
+					weekday: 'short',
+					month: 'short',
+					day: 'numeric',
+					timeZone: 'UTC',
+			  } )
+			: '',
+		`${ formatClock( start ) } – ${ formatClock(
+			start + getTimeWindow( request )
+		) }`,
+	]
+		.filter( Boolean )
+		.join( ' · ' );
+};
+
+/**
+ * Maps a request onto the itinerary endpoint's parameters.
+ *
+ * @param {Object} request Result of readFormRequest().
+ * @return {Object} JSON payload (without nonce or progress token).
+ */
+export const toApiPayload = ( request ) => {
+	const payload = {
+		neighborhood: request.neighborhood,
+		interests: request.interests,
+		budget: request.budget,
+		time_window: getTimeWindow( request ),
+		party_size: request.party_size,
+		accessibility_preferences: request.accessibility,
+		variants: clampVariants( request.variants ),
+	};
+	const date = normalizeTripDate( request.date );
+	if ( date ) {
+		payload.start_time = `${ date }T${ normalizeStartTime(
+			request.start_time
+		) }`;
+	}
+	if ( request.latitude !== null && request.longitude !== null ) {
+		payload.latitude = request.latitude;
+		payload.longitude = request.longitude;
+	}
+	return payload;
+};
@@ -0,0 +1,31 @@
+/**
+ * Random ids for itineraries, saved trips and progress tokens.
+ */
+
+const toHex = ( bytes ) =>
+	Array.from( bytes, ( b ) => b.toString( 16 ).padStart( 2, '0' ) ).join(
+		''
+	);
+
+/**
+ * Creates a random id of lowercase hex digits and dashes, so it also matches
+ * the progress route's `[a-f0-9-]{16,64}` token pattern.
+ *
+ * Uses crypto.randomUUID(), then crypto.getRandomValues(), and only falls
+ * back to the clock and Math.random() where neither exists.
+ *
+ * @return {string} Random id.
+ */
+export const createRandomId = () => {
+	const crypto = window.crypto;
+	if ( typeof crypto?.randomUUID === 'function' ) {
+		return crypto.randomUUID();
+	}
+	if ( typeof crypto?.getRandomValues === 'function' ) {
+		return toHex( crypto.getRandomValues( new Uint8Array( 16 ) ) );
+	}
+	return `${ Date.now().toString( 16 ) }-${ Math.random()
+		.toString( 16 )
+		.slice( 2, 10 )
+		.padEnd( 8, '0' ) }`;
+};
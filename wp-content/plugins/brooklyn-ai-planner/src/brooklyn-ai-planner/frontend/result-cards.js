@@ -0,0 +1,152 @@
+/**
+ * Markup for the list view's stop cards and the share modal's summary.
+ *
+ * Venue fields come from scraped data, so nothing is interpolated without
+ * escapeHtml(), and links are limited to http(s) and `tel:`.
+ */
+
+import { getDirectionsUrl, getVenuePhone } from './itinerary';
+import { escapeHtml, safeUrl, telHref } from './html';
+
+export const EMPTY_LIST_HTML = `
+	<div class="batp-list-empty">
+		<p>No stops match these filters.</p>
+		<button type="button" class="batp-list-empty__clear" data-batp-clear-filter="all">Clear filters</button>
+	</div>`;
+
+const renderStatus = ( status ) =>
+	status
+		? `<span class="batp-card__status batp-card__status--${ escapeHtml(
+				status.state
+		  ) }">${ escapeHtml( status.label ) }</span>`
+		: '';
+
+const renderEditControls = ( index, { total, canReorder } ) => `
+	<div class="batp-card__edit" role="group" aria-label="Edit stop ${ index + 1 }">
+		${
+			canReorder
+				? '<span class="batp-card__drag dashicons dashicons-move" aria-hidden="true" title="Drag to reorder"></span>'
+				: ''
+		}
+		<button type="button" data-batp-stop-action="up" aria-label="Move up" ${
+			! canReorder || index === 0 ? 'disabled' : ''
+		}><span class="dashicons dashicons-arrow-up-alt2"></span></button>
+		<button type="button" data-batp-stop-action="down" aria-label="Move down" ${
+			! canReorder || index === total - 1 ? 'disabled' : ''
+		}><span class="dashicons dashicons-arrow-down-alt2"></span></button>
+		<button type="button" data-batp-stop-action="swap" aria-expanded="false" aria-label="Swap for an alternative"><span class="dashicons dashicons-randomize"></span></button>
+		<button type="button" data-batp-stop-action="remove" aria-label="Remove stop" ${
+			total <= 1 ? 'disabled' : ''
+		}><span class="dashicons dashicons-trash"></span></button>
+	</div>`;
+
+/**
+ * Renders one stop card.
+ *
+ * @param {Object}  stop               Visible stop.
+ * @param {Object}  stop.item          Itinerary item.
+ * @param {number}  stop.index         Position in the itinerary.
+ * @param {Object}  stop.details       Venue data.
+ * @param {Object}  options            Options.
+ * @param {Object}  options.visit      This stop's entry from buildSchedule().
+ * @param {string}  options.hours      Visit-time opening hours line.
+ * @param {number}  options.total      Stops in the itinerary.
+ * @param {boolean} options.canReorder Whether move controls are enabled.
+ * @return {string} HTML.
+ */
+export const renderStopCard = (
+	{ item, index, details },
+	{ visit = {}, hours = '', total = 1, canReorder = false } = {}
+) => {
+	const venueId = escapeHtml( details.id );
+	const phone = getVenuePhone( details );
+	const phoneHref = telHref( phone );
+	const website = safeUrl( details.website );
+	const vibe = details.vibe_summary || item.description || '';
+	const directions = safeUrl( getDirectionsUrl( item, details ) );
+
+	return `
+	<div class="batp-card${
+		visit.warning ? ' has-warning' : ''
+	}" draggable="${ canReorder }" data-stop-index="${ index }" data-slug="${ escapeHtml(
+		item.slug
+	) }">
+		<div class="batp-card__header">
+			<div>
+				${ renderStatus( visit.status ) }
+				<h3 class="batp-card__title">${ index + 1 }. ${ escapeHtml( item.title ) }</h3>
+				<span class="batp-card__tag">Best Match</span>
+			</div>
+			${ renderEditControls( index, { total, canReorder } ) }
+		</div>
+		<div class="batp-card__alternatives" hidden></div>
+
+		<p class="batp-card__description">${ escapeHtml( vibe ) }</p>
+		${
+			visit.warning
+				? `<p class="batp-card__warning"><span class="dashicons dashicons-warning"></span> ${ escapeHtml(
+						visit.warning
+				  ) }</p>`
+				: ''
+		}
+
+		<div class="batp-card__details">
+			${
+				details.address
+					? `<div><span class="dashicons dashicons-location"></span> ${ escapeHtml(
+							details.address
+					  ) }</div>`
+					: ''
+			}
+			<div><span class="dashicons dashicons-clock"></span> ${ escapeHtml(
+				hours
+			) }</div>
+			${
+				phoneHref
+					? `<a href="${ escapeHtml(
+							phoneHref
+					  ) }" class="batp-card__link-row" data-event-action="phone_click" data-venue-id="${ venueId }"><span class="dashicons dashicons-phone"></span> ${ escapeHtml(
+							phone
+					  ) }</a>`
+					: ''
+			}
+		</div>
+
+		<div class="batp-card__footer">
+			${
+				directions
+					? `<a href="${ escapeHtml(
+							directions
+					  ) }" target="_blank" rel="noopener" class="batp-card__btn-directions" data-event-action="directions_click" data-venue-id="${ venueId }">
+				<span class="dashicons dashicons-location-alt"></span> Directions
+			</a>`
+					: ''
+			}
+			<div class="batp-card__links">
+				${
+					website
+						? `<a href="${ escapeHtml(
+								website
+						  ) }" target="_blank" rel="noopener" data-event-action="website_click" data-venue-id="${ venueId }" data-event-meta="${ escapeHtml(
+								JSON.stringify( { url: website } )
+						  ) }"><span class="dashicons dashicons-admin-site"></span> Website</a>`
+						: ''
+				}
+			</div>
+		</div>
+	</div>`;
+};
+
+/**
+ * Renders the share modal's numbered stop list.
+ *
+ * @param {Array} stops Visible stops ({item, index}).
+ * @return {string} HTML list items.
+ */
+export const renderSummaryList = ( stops ) =>
+	stops
+		.map(
+			( { item, index } ) =>
+				`<li>${ index + 1 }. ${ escapeHtml( item.title ) }</li>`
+		)
+		.join( '' );
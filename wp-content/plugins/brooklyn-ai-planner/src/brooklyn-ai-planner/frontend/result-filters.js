@@ -0,0 +1,306 @@
+/**
+ * Client-side filtering and sorting of a rendered itinerary.
+ *
+ * Filters only change which stops are shown and in what order; the
+ * itinerary itself (and its stop numbers) is left untouched so edits,
+ * exports and the timeline keep working on the full plan.
+ */
+
+import {
+	getVenueCoordinates,
+	getVenueDetails,
+	toCategories,
+} from './itinerary';
+import { distanceMeters, NEIGHBORHOODS } from './neighborhoods';
+import { isOpenAt, nowInNewYork } from './opening-hours';
+import { BUDGET_LEVELS } from './planner-request';
+
+export const METERS_PER_MILE = 1609.344;
+
+export const PRICE_LABELS = { 1: '$', 2: '$$', 3: '$$$' };
+
+export const DISTANCE_OPTIONS = [ 0.5, 1, 2, 5 ];
+
+export const SORT_OPTIONS = [
+	{ value: 'itinerary', label: 'Itinerary order' },
+	{ value: 'score', label: 'Best match' },
+	{ value: 'distance', label: 'Nearest first' },
+	{ value: 'price', label: 'Lowest price' },
+];
+
+export const DEFAULT_FILTERS = {
+	openNow: false,
+	maxPrice: null,
+	maxMiles: null,
+	categories: [],
+	sort: 'itinerary',
+};
+
+/**
+ * Sanitizes filter values from the filter panel or a share link.
+ *
+ * @param {Object} raw Raw filter values.
+ * @return {Object} Filters with every key of DEFAULT_FILTERS.
+ */
+export const normalizeFilters = ( raw = {} ) => {
+	const price = parseInt( raw.maxPrice, 10 );
+	const miles = Number( raw.maxMiles );
+
+	return {
+		openNow: Boolean( raw.openNow ),
+		maxPrice: PRICE_LABELS[ price ] ? price : null,
+		maxMiles: DISTANCE_OPTIONS.includes( miles ) ? miles : null,
+		categories: Array.isArray( raw.categories )
+			? [
+					...new Set(
+						raw.categories.filter(
+							( c ) => typeof c === 'string' && c !== ''
+						)
+					),
+			  ]
+			: [],
+		sort: SORT_OPTIONS.some( ( option ) => option.value === raw.sort )
+			? raw.sort
+			: 'itinerary',
+	};
+};
+
+/**
+ * Reads a venue's price level.
+ *
+ * Accepts the engine's `budget` values (low/medium/high), "$" strings and
+ * Google's numeric `price_level` (0–4, capped to three levels).
+ *
+ * @param {Object} details Venue data.
+ * @return {number|null} 1–3, or null when unknown.
+ */
+export const getPriceLevel = ( details ) => {
+	const value = details.budget ?? details.price_level;
+	if ( typeof value === 'string' ) {
+		const text = value.trim().toLowerCase();
+		if ( BUDGET_LEVELS.includes( text ) ) {
+			return BUDGET_LEVELS.indexOf( text ) + 1;
+		}
+		if ( /^\$+$/.test( text ) ) {
+			return Math.min( 3, text.length );
+		}
+	}
+
+	const level = typeof value === 'string' ? Number( value ) : value;
+	return typeof level === 'number' && Number.isFinite( level )
+		? Math.min( 3, Math.max( 1, Math.round( level ) ) )
+		: null;
+};
+
+/**
+ * Resolves the point distances are measured from: the request's
+ * coordinates, or the centroid of its neighborhood.
+ *
+ * @param {Object|null} request Request behind the itinerary.
+ * @return {{lat: number, lng: number}|null} Origin, or null when unknown.
+ */
+export const resolveOrigin = ( request ) => {
+	if ( ! request ) {
+		return null;
+	}
+	if (
+		Number.isFinite( request.latitude ) &&
+		Number.isFinite( request.longitude )
+	) {
+		return { lat: request.latitude, lng: request.longitude };
+	}
+
+	const name = String( request.neighborhood || '' )
+		.trim()
+		.toLowerCase();
+	const match = NEIGHBORHOODS.find( ( neighborhood ) =>
+		[ neighborhood.name, ...( neighborhood.aliases || [] ) ].some(
+			( label ) => label.toLowerCase() === name
+		)
+	);
+	return match ? { lat: match.lat, lng: match.lng } : null;
+};
+
+/**
+ * @param {string} category Category slug (e.g. "live-music").
+ * @return {string} Display label (e.g. "Live Music").
+ */
+export const formatCategory = ( category ) =>
+	category
+		.replace( /[-_]+/g, ' ' )
+		.replace( /\b\w/g, ( letter ) => letter.toUpperCase() );
+
+/**
+ * Attaches the values the filters work on to each stop.
+ *
+ * @param {Array}  items          Itinerary items.
+ * @param {Map}    candidateMap   Candidates keyed by slug.
+ * @param {Object} context        Filter context.
+ * @param {Object} context.origin Origin from resolveOrigin().
+ * @param {Object} context.now    Moment from nowInNewYork().
+ * @return {Array<Object>} One entry per item, in itinerary order.
+ */
+export const describeStops = (
+	items,
+	candidateMap,
+	{ origin = null, now = nowInNewYork() } = {}
+) =>
+	items.map( ( item, index ) => {
+		const details = getVenueDetails( candidateMap, item );
+		const coords = getVenueCoordinates( details );
+		const score = candidateMap.get( item.slug )?.score;
+
+		return {
+			item,
+			index,
+			details,
+			score: Number.isFinite( score ) ? score : null,
+			price: getPriceLevel( details ),
+			miles:
+				origin && coords
+					? distanceMeters(
+							origin.lat,
+							origin.lng,
+							coords.lat,
+							coords.lng
+					  ) / METERS_PER_MILE
+					: null,
+			openNow: details.hours
+				? isOpenAt( details.hours, now.weekday, now.minute )
+				: null,
+			categories: toCategories( details.categories ),
+		};
+	} );
+
+/**
+ * Lists the categories present in a set of stops.
+ *
+ * @param {Array} stops Result of describeStops().
+ * @return {string[]} Sorted, de-duplicated categories.
+ */
+export const listCategories = ( stops ) =>
+	[ ...new Set( stops.flatMap( ( stop ) => stop.categories ) ) ].sort();
+
+// Unknown values sort last; ties keep itinerary order.
+const compareBy =
+	( key, direction = 1 ) =>
+	( a, b ) => {
+		if ( a[ key ] === b[ key ] ) {
+			return a.index - b.index;
+		}
+		if ( a[ key ] === null ) {
+			return 1;
+		}
+		if ( b[ key ] === null ) {
+			return -1;
+		}
+		return ( a[ key ] - b[ key ] ) * direction || a.index - b.index;
+	};
+
+const COMPARATORS = {
+	itinerary: ( a, b ) => a.index - b.index,
+	score: compareBy( 'score', -1 ),
+	distance: compareBy( 'miles' ),
+	price: compareBy( 'price' ),
+};
+
+/**
+ * Applies filters and sorting to described stops.
+ *
+ * Open-now and distance filters drop stops whose hours or location are
+ * unknown; the price filter keeps unpriced venues, as the engine does.
+ *
+ * @param {Array}  stops   Result of describeStops().
+ * @param {Object} filters Filters from normalizeFilters().
+ * @return {Array} Visible stops, sorted.
+ */
+export const applyResultFilters = ( stops, filters ) =>
+	stops
+		.filter(
+			( stop ) =>
+				( ! filters.openNow || stop.openNow === true ) &&
+				( filters.maxPrice === null ||
+					stop.price === null ||
+					stop.price <= filters.maxPrice ) &&
+				( filters.maxMiles === null ||
+					( stop.miles !== null &&
+						stop.miles <= filters.maxMiles ) ) &&
+				( filters.categories.length === 0 ||
+					stop.categories.some( ( category ) =>
+						filters.categories.includes( category )
+					) )
+		)
+		.sort( COMPARATORS[ filters.sort ] || COMPARATORS.itinerary );
+
+/**
+ * Describes the active filters as removable chips.
+ *
+ * @param {Object} filters Filters from normalizeFilters().
+ * @return {Array<{key: string, value: string, label: string}>} One chip per active filter.
+ */
+export const getActiveFilterChips = ( filters ) => {
+	const chips = [];
+	if ( filters.openNow ) {
+		chips.push( { key: 'openNow', value: '', label: 'Open now' } );
+	}
+	if ( filters.maxPrice !== null ) {
+		chips.push( {
+			key: 'maxPrice',
+			value: '',
+			label: `Up to ${ PRICE_LABELS[ filters.maxPrice ] }`,
+		} );
+	}
+	if ( filters.maxMiles !== null ) {
+		chips.push( {
+			key: 'maxMiles',
+			value: '',
+			label: `Within ${ filters.maxMiles } mi`,
+		} );
+	}
+	filters.categories.forEach( ( category ) =>
+		chips.push( {
+			key: 'categories',
+			value: category,
+			label: formatCategory( category ),
+		} )
+	);
+	if ( filters.sort !== 'itinerary' ) {
+		const option = SORT_OPTIONS.find( ( o ) => o.value === filters.sort );
+		chips.push( {
+			key: 'sort',
+			value: '',
+			label: `Sorted: ${ option.label }`,
+		} );
+	}
+	return chips;
+};
+
+/**
+ * Clears one filter (or one category) back to its default.
+ *
+ * @param {Object} filters Filters from normalizeFilters().
+ * @param {string} key     Filter key, or "all".
+ * @param {string} value   Category to remove when key is "categories".
+ * @return {Object} New filters.
+ */
+export const clearFilter = ( filters, key, value = '' ) => {
+	if ( key === 'all' ) {
+		return { ...DEFAULT_FILTERS };
+	}
+	if ( key === 'categories' ) {
+		return {
+			...filters,
+			categories: filters.categories.filter( ( c ) => c !== value ),
+		};
+	}
+	return Object.prototype.hasOwnProperty.call( DEFAULT_FILTERS, key )
+		? { ...filters, [ key ]: DEFAULT_FILTERS[ key ] }
+		: filters;
+};
+
+/**
+ * @param {Object} filters Filters from normalizeFilters().
+ * @return {boolean} True when anything differs from the defaults.
+ */
+export const hasActiveFilters = ( filters ) =>
+	getActiveFilterChips( filters ).length > 0;
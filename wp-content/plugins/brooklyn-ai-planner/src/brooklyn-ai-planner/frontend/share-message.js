@@ -0,0 +1,165 @@
+/**
+ * Plain-text itinerary messages for Email, SMS and the Web Share API.
+ *
+ * Emails carry every detail. SMS stop lines are kept within a few
+ * concatenated segments by dropping directions links, then addresses, then
+ * trailing stops. The permalink is always kept so the full plan is one tap
+ * away; in SMS it is appended outside that budget, because a share token for
+ * a long itinerary is longer than the budget on its own.
+ */
+
+import { formatClock, getDirectionsUrl, getVenueDetails } from './itinerary';
+
+export const SHARE_TITLE = 'My Brooklyn itinerary';
+
+// Three concatenated GSM-7 segments (153 characters each); the text sticks
+// to GSM-7 characters so carriers don't fall back to 70-character segments.
+export const SMS_MAX_LENGTH = 459;
+
+// Conservative limit for mailto: URLs across mail clients.
+const MAILTO_MAX_LENGTH = 2000;
+
+// Most to least detailed.
+const DETAIL_LEVELS = [ 'full', 'address', 'brief' ];
+
+/**
+ * Collects what a message says about each stop.
+ *
+ * @param {Array} stops        Stops to share ({item, index}), in display order.
+ * @param {Array} schedule     Result of buildSchedule() for the whole itinerary.
+ * @param {Map}   candidateMap Candidates keyed by slug.
+ * @return {Array<{number: number, name: string, time: string, address: string, directions: string}>} Stop lines.
+ */
+export const describeShareStops = ( stops, schedule, candidateMap ) =>
+	stops.map( ( { item, index } ) => {
+		const details = getVenueDetails( candidateMap, item );
+		const visit = schedule[ index ];
+
+		return {
+			number: index + 1,
+			name: details.name || item.title || item.slug,
+			time: visit ? formatClock( visit.start ) : '',
+			address: details.address || '',
+			directions: getDirectionsUrl( item, details ),
+		};
+	} );
+
+const formatPermalink = ( url ) => `Full plan: ${ url }`;
+
+const formatStop = ( stop, detail ) => {
+	const heading = `${ stop.number }. ${ stop.name }${
+		stop.time ? ` - ${ stop.time }` : ''
+	}`;
+	if ( detail === 'brief' ) {
+		return heading;
+	}
+
+	return [
+		heading,
+		stop.address ? `   ${ stop.address }` : '',
+		detail === 'full' && stop.directions
+			? `   Directions: ${ stop.directions }`
+			: '',
+	]
+		.filter( Boolean )
+		.join( '\n' );
+};
+
+/**
+ * Formats a shareable itinerary.
+ *
+ * @param {Array}  stops          Result of describeShareStops().
+ * @param {Object} options        Options.
+ * @param {string} options.url    Share permalink.
+ * @param {string} options.detail One of "full", "address" or "brief".
+ * @param {number} options.more   Stops left out for length.
+ * @return {string} Message text.
+ */
+export const buildShareText = (
+	stops,
+	{ url = '', detail = 'full', more = 0 } = {}
+) =>
+	[
+		`${ SHARE_TITLE }:`,
+		stops
+			.map( ( stop ) => formatStop( stop, detail ) )
+			.join( detail === 'brief' ? '\n' : '\n\n' ),
+		more ? `+ ${ more } more stop${ more === 1 ? '' : 's' }` : '',
+		url ? formatPermalink( url ) : '',
+	]
+		.filter( Boolean )
+		.join( '\n\n' );
+
+/**
+ * Picks the most detailed message that fits a length limit.
+ *
+ * @param {Array}    stops     Result of describeShareStops().
+ * @param {string}   url       Share permalink.
+ * @param {number}   maxLength Limit, measured by `measure`.
+ * @param {Function} measure   Returns the size of a message.
+ * @return {string} Message text.
+ */
+const fitShareText = ( stops, url, maxLength, measure ) => {
+	for ( const detail of DETAIL_LEVELS ) {
+		const text = buildShareText( stops, { url, detail } );
+		if ( measure( text ) <= maxLength ) {
+			return text;
+		}
+	}
+
+	for ( let count = stops.length - 1; count > 0; count-- ) {
+		const text = buildShareText( stops.slice( 0, count ), {
+			url,
+			detail: 'brief',
+			more: stops.length - count,
+		} );
+		if ( measure( text ) <= maxLength ) {
+			return text;
+		}
+	}
+
+	return url ? `${ SHARE_TITLE }: ${ url }` : SHARE_TITLE;
+};
+
+/**
+ * @param {Array}  stops Result of describeShareStops().
+ * @param {string} url   Share permalink.
+ * @return {string} SMS body: at most SMS_MAX_LENGTH characters of stops,
+ *                  followed by the permalink.
+ */
+export const buildSmsBody = ( stops, url ) => {
+	const text = fitShareText(
+		stops,
+		'',
+		SMS_MAX_LENGTH,
+		( message ) => message.length
+	);
+	return url ? `${ text }\n\n${ formatPermalink( url ) }` : text;
+};
+
+/**
+ * @param {string} body Message text.
+ * @return {string} `sms:` URI (the `?&` form works on both iOS and Android).
+ */
+export const buildSmsUrl = ( body ) =>
+	`sms:?&body=${ encodeURIComponent( body ) }`;
+
+/**
+ * Builds a `mailto:` URI, shortening the body if the URI would be too long.
+ *
+ * @param {Array}  stops Result of describeShareStops().
+ * @param {string} url   Share permalink.
+ * @return {string} `mailto:` URI.
+ */
+export const buildMailtoUrl = ( stops, url ) => {
+	const prefix = `mailto:?subject=${ encodeURIComponent(
+		SHARE_TITLE
+	) }&body=`;
+	const body = fitShareText(
+		stops,
+		url,
+		MAILTO_MAX_LENGTH - prefix.length,
+		( text ) => encodeURIComponent( text ).length
+	);
+	return prefix + encodeURIComponent( body );
+};
@@ -0,0 +1,266 @@
+/**
+ * Shareable itinerary permalinks.
+ *
+ * The request params plus the ordered slugs and timings are packed into a
+ * compact, URL-safe token stored in the URL hash, so opening the link can
+ * restore the plan without asking Gemini for a new one. Venue details are
+ * re-fetched from `/brooklyn-ai/v1/venues` when the link is opened. Active
+ * result filters travel with the link so the recipient sees the same view.
+ *
+ * Token format: `<base64url(JSON)>.<checksum>`. The checksum only guards
+ * against truncated or hand-edited links; it is not a signature.
+ */
+
+import {
+	BUDGET_LEVELS,
+	clampPartySize,
+	normalizeAccessibility,
+	normalizeStartTime,
+	normalizeTripDate,
+} from './planner-request';
+import { hasActiveFilters, normalizeFilters } from './result-filters';
+
+export const SHARE_PARAM = 'batp-trip';
+
+const STATE_VERSION = 1;
+const MAX_STOPS = 20;
+const STALE_AFTER_DAYS = 30;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Error raised for share tokens that cannot be restored.
+ */
+export class ShareStateError extends Error {
+	/**
+	 * @param {string} code    Machine-readable reason (malformed, tampered, version).
+	 * @param {string} message Human-readable message.
+	 */
+	constructor( code, message ) {
+		super( message );
+		this.name = 'ShareStateError';
+		this.code = code;
+	}
+}
+
+const toBase64Url = ( text ) => {
+	const bytes = new TextEncoder().encode( text );
+	let binary = '';
+	bytes.forEach( ( byte ) => {
+		binary += String.fromCharCode( byte );
+	} );
+	return window
+		.btoa( binary )
+		.replace( /\+/g, '-' )
+		.replace( /\//g, '_' )
+		.replace( /=+$/, '' );
+};
+
+const fromBase64Url = ( token ) => {
+	const base64 = token.replace( /-/g, '+' ).replace( /_/g, '/' );
+	const binary = window.atob(
+		base64 + '='.repeat( ( 4 - ( base64.length % 4 ) ) % 4 )
+	);
+	const bytes = Uint8Array.from( binary, ( char ) => char.charCodeAt( 0 ) );
+	return new TextDecoder( 'utf-8', { fatal: true } ).decode( bytes );
+};
+
+/**
+ * 32-bit FNV-1a hash, base36 encoded.
+ *
+ * @param {string} text Input.
+ * @return {string} Checksum.
+ */
+/* eslint-disable no-bitwise */
+const checksum = ( text ) => {
+	let hash = 0x811c9dc5;
+	for ( let i = 0; i < text.length; i++ ) {
+		hash ^= text.charCodeAt( i );
+		hash = Math.imul( hash, 0x01000193 ) >>> 0;
+	}
+	return hash.toString( 36 );
+};
+/* eslint-enable no-bitwise */
+
+const finiteOrNull = ( value ) => {
+	const number = Number( value );
+	return value !== null && value !== '' && Number.isFinite( number )
+		? number
+		: null;
+};
+
+/**
+ * Encodes an itinerary into a share token.
+ *
+ * @param {Object} state         Share state.
+ * @param {Object} state.request Request params sent to the itinerary endpoint.
+ * @param {Array}  state.items   Ordered itinerary items.
+ * @param {Object} state.filters Result filters (see result-filters.js).
+ * @return {string} URL-safe token.
+ */
+export const encodeShareState = ( { request, items, filters = null } ) => {
+	const compact = {
+		v: STATE_VERSION,
+		t: Math.floor( Date.now() / 1000 ),
+		r: {
+			n: request.neighborhood || '',
+			i: request.interests || [],
+			b: request.budget || 'medium',
+			d: request.duration || null,
+			p: clampPartySize( request.party_size ),
+			a: normalizeAccessibility( request.accessibility ),
+			la: finiteOrNull( request.latitude ),
+			lo: finiteOrNull( request.longitude ),
+			sd: normalizeTripDate( request.date ),
+			st: normalizeStartTime( request.start_time ),
+		},
+		// [ slug, arrival_minute, duration_minutes ]; titles come back with the venues.
+		s: items
+			.slice( 0, MAX_STOPS )
+			.map( ( item ) => [
+				item.slug,
+				item.arrival_minute || 0,
+				item.duration_minutes || 0,
+			] ),
+	};
+
+	if ( filters && hasActiveFilters( filters ) ) {
+		compact.f = {
+			o: filters.openNow ? 1 : 0,
+			p: filters.maxPrice,
+			m: filters.maxMiles,
+			c: filters.categories,
+			s: filters.sort,
+		};
+	}
+
+	const body = toBase64Url( JSON.stringify( compact ) );
+	return `${ body }.${ checksum( body ) }`;
+};
+
+/**
+ * Decodes and validates a share token.
+ *
+ * @param {string} token Token from the URL.
+ * @return {{request: Object, items: Array, filters: Object, createdAt: Date|null, isStale: boolean}} Restored state.
+ * @throws {ShareStateError} When the token is malformed, altered or unsupported.
+ */
+export const decodeShareState = ( token ) => {
+	const [ body, sum ] = String( token ).split( '.' );
+	if ( ! body || ! sum ) {
+		throw new ShareStateError(
+			'malformed',
+			'This shared itinerary link is incomplete.'
+		);
+	}
+
+	if ( checksum( body ) !== sum ) {
+		throw new ShareStateError(
+			'tampered',
+			'This shared itinerary link appears to have been altered or cut off.'
+		);
+	}
+
+	let state;
+	try {
+		state = JSON.parse( fromBase64Url( body ) );
+	} catch ( e ) {
+		throw new ShareStateError(
+			'malformed',
+			'This shared itinerary link could not be read.'
+		);
+	}
+
+	if ( ! state || state.v !== STATE_VERSION ) {
+		throw new ShareStateError(
+			'version',
+			'This shared itinerary link was created by a different version of the planner.'
+		);
+	}
+
+	const stops = Array.isArray( state.s ) ? state.s.slice( 0, MAX_STOPS ) : [];
+	const items = stops
+		.filter(
+			( stop ) =>
+				Array.isArray( stop ) &&
+				typeof stop[ 0 ] === 'string' &&
+				SLUG_PATTERN.test( stop[ 0 ] )
+		)
+		.map( ( [ slug, arrival, duration ], index ) => ( {
+			slug,
+			title: '',
+			order: index + 1,
+			arrival_minute: Math.max( 0, parseInt( arrival, 10 ) || 0 ),
+			duration_minutes: Math.max( 0, parseInt( duration, 10 ) || 0 ),
+			notes: '',
+		} ) );
+
+	if ( items.length === 0 || items.length !== stops.length ) {
+		throw new ShareStateError(
+			'malformed',
+			'This shared itinerary link contains invalid stops.'
+		);
+	}
+
+	const r = state.r && typeof state.r === 'object' ? state.r : {};
+	const request = {
+		neighborhood: typeof r.n === 'string' ? r.n : '',
+		interests: Array.isArray( r.i )
+			? r.i.filter( ( i ) => typeof i === 'string' )
+			: [],
+		budget: BUDGET_LEVELS.includes( r.b ) ? r.b : 'medium',
+		duration: finiteOrNull( r.d ),
+		// Links created before party size / accessibility fall back to defaults.
+		party_size: clampPartySize( r.p ),
+		accessibility: normalizeAccessibility( r.a ),
+		latitude: finiteOrNull( r.la ),
+		longitude: finiteOrNull( r.lo ),
+		// Links created before trip start times open at the default time.
+		date: normalizeTripDate( r.sd ),
+		start_time: normalizeStartTime( r.st ),
+	};
+
+	const f = state.f && typeof state.f === 'object' ? state.f : {};
+	const filters = normalizeFilters( {
+		openNow: f.o === 1,
+		maxPrice: f.p,
+		maxMiles: f.m,
+		categories: f.c,
+		sort: f.s,
+	} );
+
+	const createdAt = Number.isFinite( state.t )
+		? new Date( state.t * 1000 )
+		: null;
+	const isStale =
+		! createdAt ||
+		Date.now() - createdAt.getTime() > STALE_AFTER_DAYS * 86400000;
+
+	return { request, items, filters, createdAt, isStale };
+};
+
+/**
+ * Builds a permalink for the current page carrying the token.
+ *
+ * @param {string} token    Share token.
+ * @param {string} location Base URL (defaults to the current page).
+ * @return {string} Permalink.
+ */
+export const buildShareUrl = ( token, location = window.location.href ) => {
+	const url = new URL( location );
+	const params = new URLSearchParams( url.hash.replace( /^#/, '' ) );
+	params.set( SHARE_PARAM, token );
+	url.hash = params.toString();
+	return url.toString();
+};
+
+/**
+ * Reads a share token from a URL, if present.
+ *
+ * @param {string} location URL to inspect (defaults to the current page).
+ * @return {string|null} Token or null.
+ */
+export const readShareToken = ( location = window.location.href ) => {
+	const url = new URL( location );
+	const params = new URLSearchParams( url.hash.replace( /^#/, '' ) );
+	return params.get( SHARE_PARAM ) || url.searchParams.get( SHARE_PARAM );
+};
@@ -0,0 +1,145 @@
+/**
+ * Timeline (schedule) view of a generated itinerary.
+ *
+ * Turns the engine's relative `arrival_minute` / `duration_minutes` into
+ * wall-clock times from a user-chosen start, showing travel gaps and
+ * warnings for stops that fall outside a venue's opening hours.
+ */
+
+import {
+	formatClock,
+	formatDuration,
+	getVenueDetails,
+	resolveStopTimings,
+} from './itinerary';
+import { getVisitConflict, getVisitStatus } from './opening-hours';
+import { escapeHtml } from './html';
+
+/**
+ * Returns the weekday (0 = Sunday) of a YYYY-MM-DD date.
+ *
+ * @param {string} isoDate Calendar date.
+ * @return {number} Weekday index.
+ */
+const weekdayOf = ( isoDate ) => {
+	const [ year, month, day ] = String( isoDate ).split( '-' ).map( Number );
+	if ( ! year || ! month || ! day ) {
+		return new Date().getDay();
+	}
+	return new Date( Date.UTC( year, month - 1, day ) ).getUTCDay();
+};
+
+/**
+ * Builds the schedule rows for an itinerary.
+ *
+ * @param {Object} options              Schedule options.
+ * @param {Array}  options.items        Ordered itinerary items.
+ * @param {Map}    options.candidateMap Candidates keyed by slug.
+ * @param {string} options.startDate    Trip date, YYYY-MM-DD.
+ * @param {number} options.startMinutes Trip start, minutes from midnight.
+ * @return {Array<Object>} One entry per stop, with the visit's weekday,
+ *                         opening status and any hours conflict.
+ */
+export const buildSchedule = ( {
+	items,
+	candidateMap,
+	startDate,
+	startMinutes,
+} ) => {
+	const baseWeekday = weekdayOf( startDate );
+	const timings = resolveStopTimings( items );
+
+	return items.map( ( item, index ) => {
+		const { start, duration } = timings[ index ];
+		const absoluteStart = startMinutes + start;
+		const absoluteEnd = absoluteStart + duration;
+		const dayOffset = Math.floor( absoluteStart / 1440 );
+		const dayStart = absoluteStart - dayOffset * 1440;
+		const next = timings[ index + 1 ];
+		const details = getVenueDetails( candidateMap, item );
+		const weekday = ( baseWeekday + dayOffset ) % 7;
+
+		return {
+			item,
+			start: absoluteStart,
+			end: absoluteEnd,
+			duration,
+			weekday,
+			gapAfter: next
+				? Math.max( 0, next.start - ( start + duration ) )
+				: 0,
+			status: details.hours
+				? getVisitStatus(
+						details.hours,
+						weekday,
+						dayStart,
+						dayStart + duration
+				  )
+				: null,
+			warning: details.hours
+				? getVisitConflict(
+						details.hours,
+						weekday,
+						dayStart,
+						dayStart + duration
+				  )
+				: null,
+		};
+	} );
+};
+
+/**
+ * Renders the timeline into a container.
+ *
+ * @param {HTMLElement} container Target element.
+ * @param {Object}      options   See buildSchedule().
+ */
+export const renderTimeline = ( container, options ) => {
+	if ( ! container ) {
+		return;
+	}
+
+	const schedule = buildSchedule( options );
+
+	container.innerHTML = `<ol class="batp-timeline">${ schedule
+		.map( ( stop, index ) => {
+			const gap =
+				stop.gapAfter > 0
+					? `<li class="batp-timeline__gap"><span class="dashicons dashicons-location-alt"></span> ${ escapeHtml(
+							formatDuration( stop.gapAfter )
+					  ) } to next stop</li>`
+					: '';
+
+			return `
+			<li class="batp-timeline__stop${ stop.warning ? ' has-warning' : '' }">
+				<div class="batp-timeline__time">
+					<strong>${ escapeHtml( formatClock( stop.start ) ) }</strong>
+					<span>${ escapeHtml( formatClock( stop.end ) ) }</span>
+				</div>
+				<div class="batp-timeline__body">
+					<h3 class="batp-timeline__title">${ index + 1 }. ${ escapeHtml(
+						stop.item.title
+					) }</h3>
+					<div class="batp-timeline__meta">${ escapeHtml(
+						formatDuration( stop.duration )
+					) } stay</div>
+					${
+						stop.item.notes
+							? `<p class="batp-timeline__notes">${ escapeHtml(
+									stop.item.notes
+							  ) }</p>`
+							: ''
+					}
+					${
+						stop.warning
+							? `<p class="batp-timeline__warning"><span class="dashicons dashicons-warning"></span> ${ escapeHtml(
+									stop.warning
+							  ) }</p>`
+							: ''
+					}
+				</div>
+			</li>
+			${ gap }`;
+		} )
+		.join( '' ) }</ol>`;
+};
@@ -0,0 +1,297 @@
+/**
+ * Saved trips and search history, kept in the browser's localStorage.
+ *
+ * Everything lives under one key as `{version, trips, history}`. A trip keeps
+ * the request, the itinerary response (`{itinerary, candidates}`) and the
+ * result filters, so it can be re-rendered without calling the API.
+ *
+ * When the stored shape changes (for example because the itinerary response
+ * changes), bump STORAGE_VERSION and add a step to MIGRATIONS keyed by the
+ * version it produces; stored data is upgraded one step at a time on read.
+ */
+
+import { createRandomId } from './random-id';
+import { normalizeFilters } from './result-filters';
+
+export const STORAGE_KEY = 'batp-trips';
+export const STORAGE_VERSION = 1;
+
+const MAX_TRIPS = 20;
+const MAX_HISTORY = 10;
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Upgrade steps: `MIGRATIONS[ n ]` turns a version n - 1 state into version n.
+ *
+ * @type {Object<number, Function>}
+ */
+const MIGRATIONS = {};
+
+/**
+ * Error raised when trips cannot be written.
+ */
+export class TripStorageError extends Error {
+	/**
+	 * @param {string} code    Machine-readable reason (unavailable, quota).
+	 * @param {string} message Human-readable message.
+	 */
+	constructor( code, message ) {
+		super( message );
+		this.name = 'TripStorageError';
+		this.code = code;
+	}
+}
+
+const emptyState = () => ( {
+	version: STORAGE_VERSION,
+	trips: [],
+	history: [],
+} );
+
+/**
+ * Whether a stored response can still be rendered.
+ *
+ * @param {*} response Stored `{itinerary, candidates}`.
+ * @return {boolean} True when it has itinerary items.
+ */
+const isRenderable = ( response ) =>
+	Boolean(
+		response &&
+			Array.isArray( response.itinerary?.items ) &&
+			response.itinerary.items.length &&
+			Array.isArray( response.candidates )
+	);
+
+/**
+ * Brings a stored state up to STORAGE_VERSION and drops unusable entries.
+ *
+ * @param {*} raw Parsed stored value.
+ * @return {Object|null} Current-version state, or null when it cannot be read
+ *                       (e.g. written by a newer version of the plugin).
+ */
+export const migrateState = ( raw ) => {
+	if ( ! raw || typeof raw !== 'object' ) {
+		return emptyState();
+	}
+
+	let state = raw;
+	let version = Number.isInteger( raw.version ) ? raw.version : 0;
+	if ( version > STORAGE_VERSION ) {
+		return null;
+	}
+	while ( version < STORAGE_VERSION ) {
+		version++;
+		if ( ! MIGRATIONS[ version ] ) {
+			// No upgrade path from this shape; start over.
+			return emptyState();
+		}
+		state = MIGRATIONS[ version ]( state );
+	}
+
+	return {
+		version: STORAGE_VERSION,
+		trips: ( Array.isArray( state.trips ) ? state.trips : [] )
+			.filter(
+				( trip ) =>
+					trip &&
+					typeof trip.id === 'string' &&
+					isRenderable( trip.response )
+			)
+			.map( ( trip ) => ( {
+				...trip,
+				name: String( trip.name || 'Saved trip' ),
+				filters: normalizeFilters( trip.filters ),
+			} ) ),
+		history: ( Array.isArray( state.history ) ? state.history : [] ).filter(
+			( entry ) =>
+				entry && entry.request && typeof entry.request === 'object'
+		),
+	};
+};
+
+/**
+ * Default name for a new trip, e.g. "DUMBO · Oct 19".
+ *
+ * @param {Object} request Request behind the itinerary.
+ * @param {Date}   date    Creation date.
+ * @return {string} Trip name.
+ */
+export const defaultTripName = ( request, date = new Date() ) =>
+	`${ request?.neighborhood || 'Brooklyn' } · ${ date.toLocaleDateString(
+		'en-US',
+		{ month: 'short', day: 'numeric' }
+	) }`;
+
+/**
+ * Creates the trip store.
+ *
+ * @param {Storage|null} storage Backing storage (defaults to localStorage).
+ * @return {Object} Store API. `isAvailable` is false when the browser blocks
+ *                  storage; reads then return nothing and writes throw.
+ */
+export const createTripStore = ( storage = null ) => {
+	let backend = storage;
+	if ( ! backend ) {
+		try {
+			// Throws in some privacy modes.
+			backend = window.localStorage;
+		} catch ( e ) {
+			backend = null;
+		}
+	}
+
+	const read = () => {
+		if ( ! backend ) {
+			return emptyState();
+		}
+		try {
+			const raw = backend.getItem( STORAGE_KEY );
+			return migrateState( raw ? JSON.parse( raw ) : null );
+		} catch ( e ) {
+			return emptyState();
+		}
+	};
+
+	const write = ( state ) => {
+		if ( ! backend ) {
+			throw new TripStorageError(
+				'unavailable',
+				'Your browser is not allowing trips to be saved.'
+			);
+		}
+		try {
+			backend.setItem( STORAGE_KEY, JSON.stringify( state ) );
+		} catch ( e ) {
+			throw new TripStorageError(
+				'quota',
+				'There is no room left to save trips. Delete an older trip and try again.'
+			);
+		}
+	};
+
+	// Refuses to overwrite data written by a newer version of the plugin.
+	const update = ( change ) => {
+		const state = read();
+		if ( ! state ) {
+			throw new TripStorageError(
+				'unavailable',
+				'Saved trips were created by a newer version of the planner.'
+			);
+		}
+		const result = change( state );
+		write( state );
+		return result;
+	};
+
+	return {
+		isAvailable: Boolean( backend ),
+
+		/**
+		 * @return {Array<Object>} Trips, most recently updated first.
+		 */
+		listTrips: () =>
+			[ ...( read()?.trips || [] ) ].sort(
+				( a, b ) => b.updatedAt - a.updatedAt
+			),
+
+		/**
+		 * @param {string} id Trip id.
+		 * @return {Object|null} Trip.
+		 */
+		getTrip: ( id ) =>
+			( read()?.trips || [] ).find( ( trip ) => trip.id === id ) || null,
+
+		/**
+		 * Saves a new trip, dropping the oldest beyond the limit.
+		 *
+		 * @param {Object} trip          Trip fields.
+		 * @param {Object} trip.request  Request behind the itinerary.
+		 * @param {Object} trip.response Itinerary response.
+		 * @param {Object} trip.filters  Result filters.
+		 * @return {Object} Saved trip.
+		 */
+		saveTrip: ( { request, response, filters = null } ) =>
+			update( ( state ) => {
+				const now = Date.now();
+				const trip = {
+					id: createRandomId(),
+					name: defaultTripName( request, new Date( now ) ),
+					createdAt: now,
+					updatedAt: now,
+					request,
+					response,
+					filters: normalizeFilters( filters || {} ),
+				};
+				state.trips = [ trip, ...state.trips ]
+					.sort( ( a, b ) => b.updatedAt - a.updatedAt )
+					.slice( 0, MAX_TRIPS );
+				return trip;
+			} ),
+
+		/**
+		 * @param {string} id      Trip id.
+		 * @param {Object} changes Fields to replace (response, filters).
+		 * @return {Object|null} Updated trip, or null when it no longer exists.
+		 */
+		updateTrip: ( id, changes ) =>
+			update( ( state ) => {
+				const trip = state.trips.find( ( t ) => t.id === id );
+				if ( ! trip ) {
+					return null;
+				}
+				Object.assign( trip, changes, { updatedAt: Date.now() } );
+				return trip;
+			} ),
+
+		/**
+		 * @param {string} id   Trip id.
+		 * @param {string} name New name (blank keeps the current one).
+		 * @return {Object|null} Renamed trip.
+		 */
+		renameTrip: ( id, name ) =>
+			update( ( state ) => {
+				const trip = state.trips.find( ( t ) => t.id === id );
+				const trimmed = String( name || '' )
+					.trim()
+					.slice( 0, MAX_NAME_LENGTH );
+				if ( trip && trimmed ) {
+					trip.name = trimmed;
+				}
+				return trip || null;
+			} ),
+
+		/**
+		 * @param {string} id Trip id.
+		 */
+		deleteTrip: ( id ) =>
+			update( ( state ) => {
+				state.trips = state.trips.filter( ( trip ) => trip.id !== id );
+			} ),
+
+		/**
+		 * @return {Array<{request: Object, searchedAt: number}>} Past searches, newest first.
+		 */
+		listHistory: () => read()?.history || [],
+
+		/**
+		 * Records a search, moving repeats to the top.
+		 *
+		 * @param {Object} request Request from readFormRequest().
+		 */
+		addHistory: ( request ) =>
+			update( ( state ) => {
+				const key = JSON.stringify( request );
+				state.history = [
+					{ request, searchedAt: Date.now() },
+					...state.history.filter(
+						( entry ) => JSON.stringify( entry.request ) !== key
+					),
+				].slice( 0, MAX_HISTORY );
+			} ),
+
+		clearHistory: () =>
+			update( ( state ) => {
+				state.history = [];
+			} ),
+	};
+};
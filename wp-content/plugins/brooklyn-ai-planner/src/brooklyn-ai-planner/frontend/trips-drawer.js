@@ -0,0 +1,275 @@
+/**
+ * "My trips" drawer: saved itineraries and recent searches.
+ *
+ * The drawer only renders what the trip store holds and reports choices back
+ * to view.js, which owns the form and the results panel.
+ */
+
+import { escapeHtml } from './html';
+import { TripStorageError } from './trip-storage';
+
+/**
+ * One-line summary of a past search, e.g. "DUMBO · 3 h · Food, Coffee".
+ *
+ * @param {Object} request Request from readFormRequest().
+ * @return {string} Summary.
+ */
+export const describeSearch = ( request ) =>
+	[
+		request.neighborhood || 'Brooklyn',
+		request.duration ? `${ request.duration } h` : '',
+		( request.interests || [] )
+			.map( ( interest ) => interest.replace( /[-_]+/g, ' ' ) )
+			.join( ', ' ),
+	]
+		.filter( Boolean )
+		.join( ' · ' );
+
+const formatDate = ( timestamp ) =>
+	new Date( timestamp ).toLocaleDateString( 'en-US', {
+		month: 'short',
+		day: 'numeric',
+	} );
+
+/**
+ * Binds the drawer markup.
+ *
+ * @param {HTMLElement} drawer              Drawer element (`[data-batp-trips]`).
+ * @param {Object}      options             Options.
+ * @param {HTMLElement} options.toggle      Button that opens the drawer.
+ * @param {Object}      options.store       Store from createTripStore().
+ * @param {Function}    options.onOpenTrip  Called with a saved trip to show.
+ * @param {Function}    options.onUseSearch Called with a past request.
+ * @return {Object|null} Drawer API: open(), close(), refresh(), setActiveTrip().
+ */
+export const createTripsDrawer = (
+	drawer,
+	{ toggle, store, onOpenTrip, onUseSearch }
+) => {
+	if ( ! drawer || ! toggle ) {
+		return null;
+	}
+
+	const tripList = drawer.querySelector( '[data-batp-trips-list]' );
+	const historyList = drawer.querySelector( '[data-batp-history-list]' );
+	const historyClear = drawer.querySelector( '[data-batp-history-clear]' );
+	const errorEl = drawer.querySelector( '[data-batp-trips-error]' );
+	let activeTripId = null;
+	let renamingId = null;
+	let confirmingId = null;
+
+	const showError = ( message ) => {
+		if ( errorEl ) {
+			errorEl.textContent = message || '';
+			errorEl.hidden = ! message;
+		}
+	};
+
+	// Store writes throw TripStorageError with a user-facing message.
+	const attempt = ( action ) => {
+		try {
+			action();
+			showError( '' );
+		} catch ( error ) {
+			if ( ! ( error instanceof TripStorageError ) ) {
+				throw error;
+			}
+			showError( error.message );
+		}
+	};
+
+	const renderTrip = ( trip ) => {
+		const name = escapeHtml( trip.name );
+		const stops = trip.response.itinerary.items.length;
+
+		if ( trip.id === renamingId ) {
+			return `
+			<li class="batp-trips__item" data-trip-id="${ escapeHtml( trip.id ) }">
+				<form class="batp-trips__rename" data-batp-trip-rename>
+					<input type="text" name="name" value="${ name }" maxlength="80" aria-label="Trip name" required>
+					<button type="submit">Save</button>
+					<button type="button" data-batp-trip-action="cancel">Cancel</button>
+				</form>
+			</li>`;
+		}
+
+		return `
+			<li class="batp-trips__item${
+				trip.id === activeTripId ? ' is-active' : ''
+			}" data-trip-id="${ escapeHtml( trip.id ) }">
+				<button type="button" class="batp-trips__open" data-batp-trip-action="open"${
+					trip.id === activeTripId ? ' aria-current="true"' : ''
+				}>
+					<strong>${ name }</strong>
+					<span>${ stops } stop${ stops === 1 ? '' : 's' } · ${ escapeHtml(
+						formatDate( trip.updatedAt )
+					) }</span>
+				</button>
+				<div class="batp-trips__actions">
+					<button type="button" data-batp-trip-action="rename" aria-label="Rename ${ name }">Rename</button>
+					<button type="button" data-batp-trip-action="delete" aria-label="${
+						trip.id === confirmingId
+							? 'Confirm delete of'
+							: 'Delete'
+					} ${ name }">${
+						trip.id === confirmingId ? 'Confirm delete' : 'Delete'
+					}</button>
+				</div>
+			</li>`;
+	};
+
+	const refresh = () => {
+		const trips = store.listTrips();
+		tripList.innerHTML = trips.length
+			? trips.map( renderTrip ).join( '' )
+			: '<li class="batp-trips__empty">Itineraries you generate are saved here.</li>';
+
+		const history = store.listHistory();
+		historyList.innerHTML = history.length
+			? history
+					.map(
+						( entry, index ) => `
+			<li>
+				<button type="button" class="batp-trips__search" data-batp-history-index="${ index }">${ escapeHtml(
+					describeSearch( entry.request )
+				) }</button>
+			</li>`
+					)
+					.join( '' )
+			: '<li class="batp-trips__empty">No recent searches.</li>';
+		if ( historyClear ) {
+			historyClear.hidden = history.length === 0;
+		}
+
+		const renameInput = tripList.querySelector(
+			'[data-batp-trip-rename] input'
+		);
+		if ( renameInput ) {
+			renameInput.focus();
+			renameInput.select();
+		}
+	};
+
+	const open = () => {
+		renamingId = null;
+		confirmingId = null;
+		refresh();
+		drawer.hidden = false;
+		toggle.setAttribute( 'aria-expanded', 'true' );
+		drawer.querySelector( '[data-batp-trips-close]' )?.focus();
+	};
+
+	const close = () => {
+		drawer.hidden = true;
+		toggle.setAttribute( 'aria-expanded', 'false' );
+		toggle.focus();
+	};
+
+	const focusTripAction = ( id, action ) =>
+		Array.from( tripList.querySelectorAll( '[data-trip-id]' ) )
+			.find( ( item ) => item.dataset.tripId === id )
+			?.querySelector( `[data-batp-trip-action="${ action }"]` )
+			?.focus();
+
+	toggle.addEventListener( 'click', () =>
+		drawer.hidden ? open() : close()
+	);
+	drawer
+		.querySelectorAll( '[data-batp-trips-close]' )
+		.forEach( ( el ) => el.addEventListener( 'click', close ) );
+	drawer.addEventListener( 'keydown', ( e ) => {
+		if ( e.key !== 'Escape' ) {
+			return;
+		}
+		// Escape backs out of a rename before it closes the drawer.
+		if ( renamingId && e.target.closest( '[data-batp-trip-rename]' ) ) {
+			const id = renamingId;
+			renamingId = null;
+			refresh();
+			focusTripAction( id, 'rename' );
+			return;
+		}
+		close();
+	} );
+
+	tripList.addEventListener( 'click', ( e ) => {
+		const button = e.target.closest( '[data-batp-trip-action]' );
+		const id = button?.closest( '[data-trip-id]' )?.dataset.tripId;
+		if ( ! id ) {
+			return;
+		}
+
+		const action = button.dataset.batpTripAction;
+		if ( action === 'open' ) {
+			const trip = store.getTrip( id );
+			if ( trip ) {
+				activeTripId = id;
+				close();
+				onOpenTrip( trip );
+			}
+			return;
+		}
+
+		if ( action === 'delete' && confirmingId === id ) {
+			attempt( () => store.deleteTrip( id ) );
+			confirmingId = null;
+			if ( activeTripId === id ) {
+				activeTripId = null;
+			}
+		} else {
+			confirmingId = action === 'delete' ? id : null;
+			renamingId = action === 'rename' ? id : null;
+		}
+		refresh();
+
+		if ( action === 'delete' && confirmingId === id ) {
+			focusTripAction( id, 'delete' );
+		} else if ( action === 'cancel' ) {
+			focusTripAction( id, 'rename' );
+		}
+	} );
+
+	tripList.addEventListener( 'submit', ( e ) => {
+		const renameForm = e.target.closest( '[data-batp-trip-rename]' );
+		if ( ! renameForm ) {
+			return;
+		}
+		e.preventDefault();
+		const id = renameForm.closest( '[data-trip-id]' ).dataset.tripId;
+		attempt( () => store.renameTrip( id, renameForm.elements.name.value ) );
+		renamingId = null;
+		refresh();
+		focusTripAction( id, 'rename' );
+	} );
+
+	historyList.addEventListener( 'click', ( e ) => {
+		const button = e.target.closest( '[data-batp-history-index]' );
+		const entry =
+			button &&
+			store.listHistory()[ Number( button.dataset.batpHistoryIndex ) ];
+		if ( entry ) {
+			close();
+			onUseSearch( entry.request );
+		}
+	} );
+
+	if ( historyClear ) {
+		historyClear.addEventListener( 'click', () => {
+			attempt( () => store.clearHistory() );
+			refresh();
+		} );
+	}
+
+	return {
+		open,
+		close,
+		refresh,
+		/**
+		 * @param {string|null} id Trip shown in the results panel.
+		 */
+		setActiveTrip( id ) {
+			activeTripId = id;
+		},
+		showError,
+	};
+};
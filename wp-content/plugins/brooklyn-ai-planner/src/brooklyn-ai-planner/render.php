@@ -25,18 +25,87 @@ $subheading     = sanitize_text_field( $attributes['subheading'] );
 $cta            = sanitize_text_field( $attributes['ctaLabel'] );
 $highlight_color = sanitize_hex_color( $attributes['highlightColor'] ) ?: $defaults['highlightColor'];
 
-// Icons for chips (using emoji as fallback for simplicity in PHP render, or SVG)
-$interests = array(
-	'art'           => '🎨 Art',
-	'food'          => '🍕 Food',
-	'parks'         => '🌳 Parks',
-	'shopping'      => '🛍️ Shopping',
-	'nightlife'     => '🍸 Nightlife',
-	'home_hobby'    => '🏠 Home & Hobby',
-	'services'      => '💼 Services',
-	'coffee'        => '☕ Coffee Shops',
-	'drinks'        => '🍹 Drinks',
-	'entertainment' => '🎵 Entertainment',
+// Interest chips, durations and defaults are configured in the block
+// inspector; block.json supplies the stock set when nothing is saved.
+$interests = array();
+foreach ( (array) ( $attributes['interests'] ?? array() ) as $interest ) {
+	$slug = sanitize_key( $interest['slug'] ?? '' );
+	if ( '' === $slug || isset( $interests[ $slug ] ) || empty( $interest['enabled'] ) ) {
+		continue;
+	}
+	$interests[ $slug ] = array(
+		'label'    => trim( sanitize_text_field( ( $interest['emoji'] ?? '' ) . ' ' . ( $interest['label'] ?? $slug ) ) ),
+		'selected' => ! empty( $interest['selected'] ),
+	);
+}
+
+$durations = array();
+foreach ( (array) ( $attributes['durations'] ?? array() ) as $option ) {
+	$hours = isset( $option['hours'] ) ? (float) $option['hours'] : 0;
+	if ( $hours <= 0 || $hours > 24 ) {
+		continue;
+	}
+	$durations[ (string) $hours ] = sanitize_text_field( $option['label'] ?? '' ) ?: sprintf( '%s hours', $hours );
+}
+if ( empty( $durations ) ) {
+	$durations = array( '3' => '3 hours' );
+}
+$default_duration = (string) (float) ( $attributes['defaultDuration'] ?? 3 );
+if ( ! isset( $durations[ $default_duration ] ) ) {
+	$default_duration = (string) array_key_first( $durations );
+}
+
+$default_neighborhood = sanitize_text_field( $attributes['defaultNeighborhood'] ?? '' );
+
+// Budget levels and accessibility values match what the engine filters on.
+$budget_levels = array(
+	'low'    => array( '$', 'Budget-friendly' ),
+	'medium' => array( '$$', 'Moderate' ),
+	'high'   => array( '$$$', 'Splurge' ),
+);
+$default_budget = isset( $budget_levels[ $attributes['defaultBudget'] ?? '' ] ) ? $attributes['defaultBudget'] : 'medium';
+
+$accessibility_options = array(
+	'wheelchair' => 'Wheelchair Accessible',
+	'sensory'    => 'Sensory Friendly',
+	'seating'    => 'Seating Available',
+);
+$party_id    = wp_unique_id( 'batp-party-size-' );
+$trips_id    = wp_unique_id( 'batp-trips-' );
+$refine_id   = wp_unique_id( 'batp-refine-' );
+$variants_id = wp_unique_id( 'batp-variants-' );
+$calendar_id = wp_unique_id( 'batp-calendar-export-' );
+
+// Number of itineraries to compare; the engine caps this at three.
+$variant_options = array(
+	'1' => 'One plan',
+	'2' => 'Compare 2',
+	'3' => 'Compare 3',
+);
+
+$refine_suggestions = array(
+	'Swap the bar for something quieter',
+	'Add a coffee stop first',
+	'Make it wheelchair friendly',
+);
+
+// Client-side result filters; values match frontend/result-filters.js.
+$filter_prices = array(
+	'1' => 'Up to $',
+	'2' => 'Up to $$',
+	'3' => 'Up to $$$',
+);
+$filter_distances = array(
+	'0.5' => 'Within 0.5 mi',
+	'1'   => 'Within 1 mi',
+	'2'   => 'Within 2 mi',
+	'5'   => 'Within 5 mi',
+);
+$filter_sorts = array(
+	'itinerary' => 'Itinerary order',
+	'score'     => 'Best match',
+	'distance'  => 'Nearest first',
+	'price'     => 'Lowest price',
 );
 
 $nonce       = wp_create_nonce( 'batp_generate_itinerary' );
@@ -57,9 +126,13 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 		<div class="batp-search-panel__header">
 			<h1 class="batp-search-panel__title"><?php echo esc_html( $heading ); ?></h1>
 			<p class="batp-search-panel__subtitle"><?php echo esc_html( $subheading ); ?></p>
+			<button type="button" class="batp-trips-toggle" data-batp-trips-toggle aria-expanded="false" aria-controls="<?php echo esc_attr( $trips_id ); ?>" hidden>
+				<span class="dashicons dashicons-portfolio" aria-hidden="true"></span> My trips
+			</button>
 		</div>
 		
 		<div class="batp-search-panel__body">
+			<div class="batp-form__notice" data-batp-notice role="status" hidden></div>
 			<form 
 				class="batp-form" 
 				data-batp-itinerary-form 
@@ -73,10 +146,10 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 				<div class="batp-form__section">
 					<span class="batp-form__section-label">What interests you?</span>
 					<div class="batp-form__chips">
-						<?php foreach ( $interests as $slug => $label ) : ?>
-						<label class="batp-form__chip <?php echo 'drinks' === $slug ? 'is-selected' : ''; // Demo state ?>">
-							<input type="checkbox" name="interests[]" value="<?php echo esc_attr( $slug ); ?>" <?php echo 'drinks' === $slug ? 'checked' : ''; ?> />
-							<?php echo esc_html( $label ); ?>
+						<?php foreach ( $interests as $slug => $interest ) : ?>
+						<label class="batp-form__chip <?php echo $interest['selected'] ? 'is-selected' : ''; ?>">
+							<input type="checkbox" name="interests[]" value="<?php echo esc_attr( $slug ); ?>" <?php checked( $interest['selected'] ); ?> />
+							<?php echo esc_html( $interest['label'] ); ?>
 						</label>
 						<?php endforeach; ?>
 					</div>
@@ -87,24 +160,71 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 					<!-- Location -->
 					<div class="batp-form__input-group batp-form__input-group--location">
 						<span class="batp-form__section-label">Your Location</span>
-						<input type="text" name="neighborhood" placeholder="e.g., Brooklyn Heights, or use current location" value="Brooklyn Heights" required />
+						<div class="batp-form__location-field">
+							<input type="text" name="neighborhood" placeholder="e.g., Brooklyn Heights, or use current location" value="<?php echo esc_attr( $default_neighborhood ); ?>" required />
+							<button type="button" class="batp-form__locate" data-batp-locate aria-label="Use my current location" title="Use my current location">
+								<span class="dashicons dashicons-location" aria-hidden="true"></span>
+							</button>
+						</div>
 						<input type="hidden" name="latitude" />
 						<input type="hidden" name="longitude" />
-						<!-- Geolocation trigger could be added back here as an icon action -->
 					</div>
 
 					<!-- Time -->
-					<div class="batp-form__input-group batp-form__input-group--time">
-						<span class="batp-form__section-label">Available Time</span>
-						<select name="duration">
-							<option value="2">2 hours</option>
-							<option value="3" selected>3 hours</option>
-							<option value="4">4 hours</option>
-							<option value="5">5 hours</option>
-							<option value="6">6 hours</option>
-							<option value="8">Full Day</option>
+					<fieldset class="batp-form__input-group batp-form__input-group--time">
+						<legend class="batp-form__section-label">When</legend>
+						<div class="batp-form__when">
+							<input type="date" name="trip_date" aria-label="Trip date" required />
+							<input type="time" name="start_time" value="10:00" step="900" aria-label="Start time" required />
+							<select name="duration" aria-label="Available time">
+								<?php foreach ( $durations as $hours => $label ) : ?>
+								<option value="<?php echo esc_attr( $hours ); ?>" <?php selected( $default_duration, $hours ); ?>><?php echo esc_html( $label ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</div>
+					</fieldset>
+				</div>
+
+				<!-- Preferences Row -->
+				<div class="batp-form__row batp-form__row--preferences">
+					<fieldset class="batp-form__input-group batp-form__input-group--budget">
+						<legend class="batp-form__section-label">Budget</legend>
+						<div class="batp-form__segmented">
+							<?php foreach ( $budget_levels as $level => $budget_label ) : ?>
+							<label title="<?php echo esc_attr( $budget_label[1] ); ?>">
+								<input type="radio" name="budget" value="<?php echo esc_attr( $level ); ?>" <?php checked( $default_budget, $level ); ?> />
+								<span aria-hidden="true"><?php echo esc_html( $budget_label[0] ); ?></span>
+								<span class="batp-sr-only"><?php echo esc_html( $budget_label[1] ); ?></span>
+							</label>
+							<?php endforeach; ?>
+						</div>
+					</fieldset>
+
+					<div class="batp-form__input-group batp-form__input-group--party">
+						<label class="batp-form__section-label" for="<?php echo esc_attr( $party_id ); ?>">Party Size</label>
+						<input type="number" id="<?php echo esc_attr( $party_id ); ?>" name="party_size" min="1" max="20" step="1" value="2" inputmode="numeric" />
+					</div>
+
+					<div class="batp-form__input-group batp-form__input-group--variants">
+						<label class="batp-form__section-label" for="<?php echo esc_attr( $variants_id ); ?>">Options</label>
+						<select id="<?php echo esc_attr( $variants_id ); ?>" name="variants">
+							<?php foreach ( $variant_options as $count => $variant_label ) : ?>
+							<option value="<?php echo esc_attr( $count ); ?>"><?php echo esc_html( $variant_label ); ?></option>
+							<?php endforeach; ?>
 						</select>
 					</div>
+
+					<fieldset class="batp-form__input-group batp-form__input-group--access">
+						<legend class="batp-form__section-label">Accessibility Needs</legend>
+						<div class="batp-form__chips">
+							<?php foreach ( $accessibility_options as $access => $access_label ) : ?>
+							<label class="batp-form__chip">
+								<input type="checkbox" name="accessibility[]" value="<?php echo esc_attr( $access ); ?>" />
+								<?php echo esc_html( $access_label ); ?>
+							</label>
+							<?php endforeach; ?>
+						</div>
+					</fieldset>
 				</div>
 
 				<!-- Submit -->
@@ -112,15 +232,24 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 					<span class="dashicons dashicons-search" style="font-size:1.2em; width:auto; height:auto;"></span> 
 					<?php echo esc_html( $cta ); ?>
 				</button>
-				
-				<!-- Hidden Fields for Default Logic -->
-				<input type="hidden" name="budget" value="medium" /> 
 			</form>
+
+			<div class="batp-progress" data-batp-progress hidden>
+				<div class="batp-progress__header">
+					<strong>Building your itinerary</strong>
+					<span class="batp-progress__elapsed" data-batp-progress-elapsed>0s</span>
+				</div>
+				<p class="batp-sr-only" data-batp-progress-current aria-live="polite"></p>
+				<ol class="batp-progress__stages" data-batp-progress-stages></ol>
+				<button type="button" class="batp-progress__cancel" data-batp-progress-cancel>Cancel</button>
+			</div>
 		</div>
 	</div>
 
 	<!-- RESULTS AREA -->
-	<div class="batp-results" id="batp-results-area">
+	<div class="batp-results" data-batp-results>
+		<div class="batp-results__state" data-batp-results-state hidden></div>
+
 		<div class="batp-results__header">
 			<div class="batp-results__title-group">
 				<h2>Your Personalized Itinerary</h2>
@@ -128,18 +257,28 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 			</div>
 			
 			<div class="batp-results__actions">
-				<button class="batp-results__btn batp-results__btn--primary">
+				<button class="batp-results__btn batp-results__btn--primary" data-batp-open-modal="share">
 					<span class="dashicons dashicons-share"></span> Share & Export
 				</button>
-				<button class="batp-results__btn">
+				<button class="batp-results__btn" data-batp-open-modal="filter">
 					<span class="dashicons dashicons-filter"></span> Filters
 				</button>
-				<button class="batp-results__btn" onclick="document.querySelector('.batp-form').scrollIntoView({behavior:'smooth'})">
+				<button class="batp-results__btn" data-batp-new-search>
 					New Search
 				</button>
 			</div>
 		</div>
 
+		<div class="batp-results__filters" data-batp-active-filters hidden></div>
+
+		<!-- VARIANTS -->
+		<div class="batp-variants" data-batp-variants hidden>
+			<h3 class="batp-variants__title">Compare plans</h3>
+			<div class="batp-variants__grid" data-batp-variants-list>
+				<!-- Columns injected via JS -->
+			</div>
+		</div>
+
 		<!-- TABS -->
 		<div class="batp-tabs">
 			<button class="batp-tabs__btn is-active" data-tab="list">
@@ -148,25 +287,81 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 			<button class="batp-tabs__btn" data-tab="map">
 				<span class="dashicons dashicons-location"></span> Map View
 			</button>
+			<button class="batp-tabs__btn" data-tab="timeline">
+				<span class="dashicons dashicons-clock"></span> Timeline
+			</button>
 		</div>
 
 		<!-- LIST CONTENT -->
-		<div class="batp-view-content is-active" id="batp-view-list">
+		<div class="batp-view-content is-active" data-batp-view="list">
 			<div class="batp-scroll-container">
-				<div class="batp-list-grid" id="batp-list-output">
+				<div class="batp-list-grid" data-batp-list-output>
 					<!-- Items injected via JS -->
 				</div>
 			</div>
 		</div>
 
 		<!-- MAP CONTENT -->
-		<div class="batp-view-content" id="batp-view-map">
-			<div id="batp-map-root"></div>
+		<div class="batp-view-content" data-batp-view="map">
+			<div class="batp-map-toolbar" role="group" aria-label="Travel mode">
+				<button type="button" class="batp-map-toolbar__btn is-active" data-batp-travel-mode="walk" aria-pressed="true">
+					<span class="dashicons dashicons-universal-access"></span> Walk
+				</button>
+				<button type="button" class="batp-map-toolbar__btn" data-batp-travel-mode="transit" aria-pressed="false">
+					<span class="dashicons dashicons-tickets-alt"></span> Transit
+				</button>
+				<button type="button" class="batp-map-toolbar__btn" data-batp-travel-mode="bike" aria-pressed="false">
+					<span class="dashicons dashicons-performance"></span> Bike
+				</button>
+				<button type="button" class="batp-map-toolbar__btn" data-batp-travel-mode="drive" aria-pressed="false">
+					<span class="dashicons dashicons-car"></span> Drive
+				</button>
+			</div>
+			<div class="batp-map-root" data-batp-map-root></div>
+			<ol class="batp-route-legs" data-batp-route-legs>
+				<!-- Legs injected via JS -->
+			</ol>
 		</div>
+
+		<!-- TIMELINE CONTENT -->
+		<div class="batp-view-content" data-batp-view="timeline">
+			<div class="batp-timeline-toolbar" data-batp-timeline-toolbar>
+				<label>
+					<span>Date</span>
+					<input type="date" name="batp_timeline_date" />
+				</label>
+				<label>
+					<span>Start time</span>
+					<input type="time" name="batp_timeline_time" value="10:00" />
+				</label>
+			</div>
+			<div class="batp-scroll-container">
+				<div data-batp-timeline-output>
+					<!-- Items injected via JS -->
+				</div>
+			</div>
+		</div>
+
+		<!-- REFINE -->
+		<form class="batp-refine" data-batp-refine>
+			<label class="batp-refine__label" for="<?php echo esc_attr( $refine_id ); ?>">Refine this plan</label>
+			<div class="batp-refine__row">
+				<input type="text" class="batp-refine__input" id="<?php echo esc_attr( $refine_id ); ?>" name="batp_refine_instruction" maxlength="200" autocomplete="off" placeholder="e.g. Swap the bar for something quieter" />
+				<button type="submit" class="batp-refine__submit">
+					<span class="dashicons dashicons-update"></span> Update Plan
+				</button>
+			</div>
+			<div class="batp-refine__suggestions">
+				<?php foreach ( $refine_suggestions as $suggestion ) : ?>
+					<button type="button" class="batp-refine__suggestion" data-batp-refine-suggestion="<?php echo esc_attr( $suggestion ); ?>"><?php echo esc_html( $suggestion ); ?></button>
+				<?php endforeach; ?>
+			</div>
+			<p class="batp-refine__status" data-batp-refine-status role="status" aria-live="polite"></p>
+		</form>
 	</div>
 
 	<!-- SHARE MODAL -->
-	<div class="batp-modal" id="batp-share-modal" aria-hidden="true">
+	<div class="batp-modal" data-batp-modal="share" aria-hidden="true">
 		<div class="batp-modal__overlay" data-modal-close></div>
 		<div class="batp-modal__content">
 			<div class="batp-modal__header">
@@ -178,14 +373,14 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 				
 				<h4>Download</h4>
 				<div class="batp-share-grid">
-					<button class="batp-share-btn">
+					<button class="batp-share-btn" data-batp-export="pdf">
 						<span class="dashicons dashicons-pdf"></span>
 						<div class="batp-share-btn__text">
 							<strong>Download PDF</strong>
 							<span>Save as a portable document</span>
 						</div>
 					</button>
-					<button class="batp-share-btn">
+					<button class="batp-share-btn" data-batp-export="ics" aria-expanded="false" aria-controls="<?php echo esc_attr( $calendar_id ); ?>">
 						<span class="dashicons dashicons-calendar"></span>
 						<div class="batp-share-btn__text">
 							<strong>Add to Calendar</strong>
@@ -194,21 +389,35 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 					</button>
 				</div>
 
+				<div class="batp-calendar-export" id="<?php echo esc_attr( $calendar_id ); ?>" data-batp-calendar-export hidden>
+					<label>
+						<span>Start date</span>
+						<input type="date" name="batp_calendar_date" />
+					</label>
+					<label>
+						<span>Start time</span>
+						<input type="time" name="batp_calendar_time" value="10:00" />
+					</label>
+					<button type="button" class="batp-btn-primary" data-batp-export="ics-download">Download .ics</button>
+					<p class="batp-calendar-export__error" data-batp-calendar-error role="alert" hidden></p>
+				</div>
+
 				<h4>Share Link</h4>
 				<p>Copy this link to share your itinerary</p>
 				<div class="batp-copy-row">
-					<input type="text" readonly value="Click 'Copy Link' to generate" class="batp-copy-input" id="batp-share-link-input">
-					<button class="batp-btn-copy" id="batp-btn-copy-link">Copy Link</button>
+					<input type="text" readonly value="Click 'Copy Link' to generate" class="batp-copy-input" data-batp-share-link>
+					<button class="batp-btn-copy" data-batp-copy-link>Copy Link</button>
 				</div>
 				
 				<div class="batp-share-actions">
-					<button class="batp-share-link"><span class="dashicons dashicons-email"></span> Share via Email</button>
-					<button class="batp-share-link"><span class="dashicons dashicons-smartphone"></span> Share via SMS</button>
+					<button type="button" class="batp-share-link batp-share-link--native" data-batp-share="native" hidden><span class="dashicons dashicons-share"></span> Share…</button>
+					<button type="button" class="batp-share-link" data-batp-share="email"><span class="dashicons dashicons-email"></span> Share via Email</button>
+					<button type="button" class="batp-share-link" data-batp-share="sms"><span class="dashicons dashicons-smartphone"></span> Share via SMS</button>
 				</div>
 
 				<div class="batp-itinerary-summary-box">
 					<h4>Itinerary Summary</h4>
-					<ul class="batp-summary-list" id="batp-summary-list">
+					<ul class="batp-summary-list" data-batp-summary-list>
 						<!-- Populated via JS -->
 					</ul>
 				</div>
@@ -217,7 +426,7 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 	</div>
 
 	<!-- FILTER MODAL -->
-	<div class="batp-modal" id="batp-filter-modal" aria-hidden="true">
+	<div class="batp-modal" data-batp-modal="filter" aria-hidden="true">
 		<div class="batp-modal__overlay" data-modal-close></div>
 		<div class="batp-modal__content batp-modal__content--sm">
 			<div class="batp-modal__header">
@@ -225,27 +434,79 @@ $wrapper_attrs = get_block_wrapper_attributes( array(
 				<button class="batp-modal__close" data-modal-close>&times;</button>
 			</div>
 			<div class="batp-modal__body">
-				<h4>Accessibility</h4>
-				<div class="batp-filter-group">
+				<h4>Refine Results</h4>
+				<div class="batp-filter-group" data-batp-result-filters>
 					<label class="batp-checkbox-row">
-						<input type="checkbox" name="access_wheelchair"> 
-						<span>Wheelchair Accessible</span>
+						<input type="checkbox" name="batp_filter_open_now">
+						<span>Open now</span>
 					</label>
-					<label class="batp-checkbox-row">
-						<input type="checkbox" name="access_sensory"> 
-						<span>Sensory Friendly</span>
+					<label class="batp-filter-field">
+						<span>Price</span>
+						<select name="batp_filter_price">
+							<option value="">Any price</option>
+							<?php foreach ( $filter_prices as $price => $price_label ) : ?>
+							<option value="<?php echo esc_attr( $price ); ?>"><?php echo esc_html( $price_label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</label>
+					<label class="batp-filter-field">
+						<span>Distance</span>
+						<select name="batp_filter_distance">
+							<option value="">Any distance</option>
+							<?php foreach ( $filter_distances as $miles => $miles_label ) : ?>
+							<option value="<?php echo esc_attr( $miles ); ?>"><?php echo esc_html( $miles_label ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</label>
+					<label class="batp-filter-field">
+						<span>Sort by</span>
+						<select name="batp_filter_sort">
+							<?php foreach ( $filter_sorts as $sort => $sort_label ) : ?>
+							<option value="<?php echo esc_attr( $sort ); ?>"><?php echo esc_html( $sort_label ); ?></option>
+							<?php endforeach; ?>
+						</select>
 					</label>
+				</div>
+
+				<h4>Categories</h4>
+				<div class="batp-filter-group batp-filter-group--categories" data-batp-filter-categories>
+					<!-- Populated via JS from the current results -->
+				</div>
+
+				<h4>Accessibility</h4>
+				<p class="batp-modal__subtitle">Changing these re-plans your itinerary with venues that meet every need you select.</p>
+				<div class="batp-filter-group">
+					<?php foreach ( $accessibility_options as $access => $access_label ) : ?>
 					<label class="batp-checkbox-row">
-						<input type="checkbox" name="access_seating"> 
-						<span>Seating Available</span>
+						<input type="checkbox" data-batp-replan-access="<?php echo esc_attr( $access ); ?>">
+						<span><?php echo esc_html( $access_label ); ?></span>
 					</label>
+					<?php endforeach; ?>
 				</div>
 				
 				<div class="batp-modal__footer">
-					<button class="batp-btn-primary batp-btn-full" id="batp-apply-filters">Apply Filters</button>
+					<button class="batp-btn-primary batp-btn-full" data-batp-apply-filters>Apply Filters</button>
 				</div>
 			</div>
 		</div>
 	</div>
 
+	<!-- MY TRIPS DRAWER -->
+	<aside class="batp-trips" id="<?php echo esc_attr( $trips_id ); ?>" data-batp-trips aria-label="My trips" hidden>
+		<div class="batp-trips__header">
+			<h3>My trips</h3>
+			<button type="button" class="batp-modal__close" data-batp-trips-close aria-label="Close my trips">&times;</button>
+		</div>
+		<p class="batp-trips__error" data-batp-trips-error role="alert" hidden></p>
+
+		<h4>Saved itineraries</h4>
+		<ul class="batp-trips__list" data-batp-trips-list></ul>
+
+		<div class="batp-trips__section-header">
+			<h4>Recent searches</h4>
+			<button type="button" class="batp-trips__clear" data-batp-history-clear hidden>Clear</button>
+		</div>
+		<ul class="batp-trips__list" data-batp-history-list></ul>
+	</aside>
+
 </div>
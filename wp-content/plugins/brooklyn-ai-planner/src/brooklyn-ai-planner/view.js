@@ -1,19 +1,329 @@
 /* eslint-env browser */
-/* eslint-disable no-console, no-alert */
+/* eslint-disable no-console */
 /* global google */
 
-const initItineraryForm = () => {
-	const form = document.querySelector( '[data-batp-itinerary-form]' );
-	if ( ! form ) {
-		return;
+import { applyFilters, doAction } from '@wordpress/hooks';
+import {
+	buildCandidateMap,
+	formatClock,
+	getVenueCoordinates,
+	parseTimeInput,
+	WEEKDAYS,
+} from './frontend/itinerary';
+import { buildItineraryPdf } from './frontend/pdf-export';
+import { buildItineraryIcs } from './frontend/ics-export';
+import { todayInNewYork } from '../shared/new-york-time';
+import {
+	buildShareUrl,
+	decodeShareState,
+	encodeShareState,
+	readShareToken,
+} from './frontend/share-state';
+import { datedFilename, downloadBlob } from './frontend/download';
+import { buildSchedule, renderTimeline } from './frontend/timeline';
+import { getHoursForDay } from './frontend/opening-hours';
+import {
+	buildStopInfoHtml,
+	createRouteLayer,
+	DEFAULT_TRAVEL_MODE,
+	TRAVEL_MODES,
+} from './frontend/map-route';
+import { escapeHtml } from './frontend/html';
+import {
+	EMPTY_LIST_HTML,
+	renderStopCard,
+	renderSummaryList,
+} from './frontend/result-cards';
+import { locateUser } from './frontend/geolocation';
+import { createNeighborhoodCombobox } from './frontend/neighborhood-combobox';
+import {
+	getAlternatives,
+	moveStop,
+	removeStop,
+	swapStop,
+} from './frontend/itinerary-editor';
+import {
+	createProgressPanel,
+	createProgressToken,
+	pollProgress,
+} from './frontend/generation-progress';
+import {
+	ApiError,
+	clearErrorState,
+	describeError,
+	readJsonResponse,
+	renderErrorState,
+	withRetry,
+} from './frontend/error-state';
+import {
+	clampPartySize,
+	clampVariants,
+	describeTripWindow,
+	normalizeAccessibility,
+	normalizeStartTime,
+	normalizeTripDate,
+	readFormRequest,
+	toApiPayload,
+} from './frontend/planner-request';
+import {
+	applyResultFilters,
+	clearFilter,
+	DEFAULT_FILTERS,
+	describeStops,
+	formatCategory,
+	getActiveFilterChips,
+	listCategories,
+	normalizeFilters,
+	resolveOrigin,
+} from './frontend/result-filters';
+import { createTripStore } from './frontend/trip-storage';
+import { createTripsDrawer } from './frontend/trips-drawer';
+import {
+	animateStopChanges,
+	buildRefinePayload,
+	captureStopPositions,
+	describeItineraryChanges,
+	diffItinerary,
+	fadeOutStops,
+} from './frontend/itinerary-refine';
+import {
+	getVariants,
+	renderVariantColumns,
+} from './frontend/itinerary-variants';
+import {
+	buildMailtoUrl,
+	buildShareText,
+	buildSmsBody,
+	buildSmsUrl,
+	describeShareStops,
+	SHARE_TITLE,
+} from './frontend/share-message';
+import {
+	createAnalyticsQueue,
+	createDwellTimer,
+	createItineraryId,
+	observeImpressions,
+} from './frontend/analytics';
+import { createExtensionPoints } from './frontend/extensions';
+
+const FORM_SELECTOR = '[data-batp-itinerary-form]';
+
+// Every planner on the page shares one queue, since they all persist to
+// the same storage key.
+let sharedAnalytics = null;
+
+/**
+ * The queue reads its nonces from the first planner's form. A nonce refresh
+ * in any planner updates every form, so that one stays current.
+ *
+ * @param {HTMLFormElement} form Planner form supplying the endpoint and nonces.
+ * @return {Object} The page's analytics queue.
+ */
+const getAnalyticsQueue = ( form ) => {
+	if ( ! sharedAnalytics ) {
+		sharedAnalytics = createAnalyticsQueue( {
+			url: ( form.dataset.apiUrl || '' ).replace(
+				'/itinerary',
+				'/events'
+			),
+			getNonce: () => form.dataset.nonce,
+			getRestNonce: () => form.dataset.restNonce,
+		} );
 	}
+	return sharedAnalytics;
+};
+
+/**
+ * Wires up one planner block. Every lookup is scoped to the block's wrapper
+ * so several planners can share a page.
+ *
+ * @param {HTMLFormElement} form       The block's `[data-batp-itinerary-form]`.
+ * @param {boolean}         restoreUrl Whether this block restores a shared itinerary from the URL.
+ */
+const initItineraryForm = ( form, restoreUrl = true ) => {
+	const root = form.closest( '.batp-container' ) || form.parentElement;
+	const extensions = createExtensionPoints( root, {
+		applyFilters,
+		doAction,
+	} );
 
 	// Selectors
-	const resultsArea = document.getElementById( 'batp-results-area' );
-	const listOutput = document.getElementById( 'batp-list-output' );
-	const mapContainer = document.getElementById( 'batp-map-root' );
-	const metaText = document.querySelector( '[data-batp-results-meta]' );
-	const tabs = document.querySelectorAll( '.batp-tabs__btn' );
+	const resultsArea = root.querySelector( '[data-batp-results]' );
+	const listOutput = root.querySelector( '[data-batp-list-output]' );
+	const mapContainer = root.querySelector( '[data-batp-map-root]' );
+	const timelineOutput = root.querySelector( '[data-batp-timeline-output]' );
+	const routeLegsOutput = root.querySelector( '[data-batp-route-legs]' );
+	const travelModeButtons = root.querySelectorAll(
+		'[data-batp-travel-mode]'
+	);
+	const timelineToolbar = root.querySelector(
+		'[data-batp-timeline-toolbar]'
+	);
+	const metaText = root.querySelector( '[data-batp-results-meta]' );
+	const activeFiltersEl = root.querySelector( '[data-batp-active-filters]' );
+	const variantsEl = root.querySelector( '[data-batp-variants]' );
+	const resultsState = root.querySelector( '[data-batp-results-state]' );
+	const notice = root.querySelector( '[data-batp-notice]' );
+	const tabs = root.querySelectorAll( '.batp-tabs__btn' );
+	const tripDateField = form.querySelector( 'input[name="trip_date"]' );
+	const progressEl = root.querySelector( '[data-batp-progress]' );
+	const progressPanel = createProgressPanel( progressEl );
+
+	// Trips can be planned from today (in Brooklyn) onwards.
+	if ( tripDateField ) {
+		tripDateField.min = todayInNewYork();
+		tripDateField.value = tripDateField.value || tripDateField.min;
+	}
+
+	// Request params behind the rendered itinerary (used for share links).
+	let currentRequest = null;
+
+	// Set by renderResults(); applies an edit to the rendered itinerary.
+	let editItinerary = null;
+
+	// Set by renderResults(); revises the rendered itinerary from a
+	// free-text instruction and resolves with a description of the change.
+	let refineItinerary = null;
+
+	// Set by renderResults(); returns the stops and permalink that Email,
+	// SMS and native share messages are built from.
+	let getShareContent = null;
+
+	// Client-side filters over the rendered itinerary. They persist across
+	// re-plans and travel with share links.
+	let resultFilters = { ...DEFAULT_FILTERS };
+
+	// Set by renderResults(); replaces the filters and refreshes the views.
+	let setResultFilters = null;
+
+	// Generated itineraries are saved as trips; edits to the one on screen
+	// are written back to it.
+	const tripStore = createTripStore();
+	let currentTripId = null;
+	let tripsDrawer = null;
+
+	// Response whose variants are on show, and the one promoted to the
+	// list and map views.
+	let variantResponse = null;
+	let activeVariantId = null;
+
+	const showNotice = ( message ) => {
+		if ( ! notice ) {
+			return;
+		}
+		notice.textContent = message || '';
+		notice.hidden = ! message;
+	};
+
+	// Error / empty state shown in place of the itinerary.
+	const showResultsState = ( descriptor, actions = {} ) => {
+		if ( ! resultsArea ) {
+			return;
+		}
+		renderErrorState( resultsState, descriptor, {
+			onAdjust: () => {
+				form.scrollIntoView( { behavior: 'smooth' } );
+				form.querySelector( 'input, select' )?.focus();
+			},
+			...actions,
+		} );
+		resultsArea.classList.add( 'is-active', 'has-state' );
+		resultsArea.scrollIntoView( { behavior: 'smooth' } );
+	};
+
+	const hideResultsState = () => {
+		clearErrorState( resultsState );
+		resultsArea?.classList.remove( 'has-state' );
+	};
+
+	const restHeaders = () =>
+		form.dataset.restNonce ? { 'X-WP-Nonce': form.dataset.restNonce } : {};
+
+	// Pages left open past the nonce lifetime get a fresh nonce. The page's
+	// REST nonce is stale as well, so it is dropped: the retried request
+	// then runs as the same (anonymous) user the new nonce was minted for.
+	// Both are page-wide, so every planner (and the shared analytics queue)
+	// switches over, not just this one.
+	const refreshNonce = async ( signal = null ) => {
+		const response = await fetch(
+			form.dataset.apiUrl.replace( '/itinerary', '/nonce' ),
+			{ signal }
+		);
+		const { nonce: freshNonce } = await readJsonResponse( response );
+		document.querySelectorAll( FORM_SELECTOR ).forEach( ( planner ) => {
+			planner.dataset.nonce = freshNonce;
+			delete planner.dataset.restNonce;
+		} );
+	};
+
+	// Analytics. Events are tied to the itinerary on screen through an id
+	// that renderResults() replaces with each new itinerary.
+	const analytics = getAnalyticsQueue( form );
+	let itineraryId = null;
+
+	const trackEvent = ( action, venueId = null, metadata = {} ) =>
+		analytics.track( action, {
+			venueId,
+			metadata: itineraryId
+				? { ...metadata, itinerary_id: itineraryId }
+				: metadata,
+		} );
+
+	const dwellTimer = createDwellTimer( ( id, seconds ) =>
+		analytics.track( 'dwell_time', {
+			metadata: { itinerary_id: id, seconds },
+		} )
+	);
+
+	const impressions = observeImpressions( ( card ) =>
+		trackEvent(
+			'card_impression',
+			card.querySelector( '[data-venue-id]' )?.dataset.venueId,
+			{
+				slug: card.dataset.slug,
+				position: Number( card.dataset.stopIndex ) + 1,
+			}
+		)
+	);
+
+	// Whatever is still queued leaves with the page; events a browser
+	// refused are sent on the next visit.
+	const sendPendingEvents = () => {
+		dwellTimer.pause();
+		analytics.flushWithBeacon();
+	};
+	document.addEventListener( 'visibilitychange', () => {
+		if ( document.visibilityState === 'hidden' ) {
+			sendPendingEvents();
+		} else {
+			dwellTimer.resume();
+		}
+	} );
+	window.addEventListener( 'pagehide', sendPendingEvents );
+	analytics.flush();
+
+	// Asks the engine to re-order the current venues from an instruction.
+	const requestRefinement = ( payload ) =>
+		withRetry(
+			async () => {
+				const response = await fetch(
+					`${ form.dataset.apiUrl.replace( /\/$/, '' ) }/refine`,
+					{
+						method: 'POST',
+						headers: {
+							'Content-Type': 'application/json',
+							...restHeaders(),
+						},
+						body: JSON.stringify( {
+							...payload,
+							nonce: form.dataset.nonce,
+						} ),
+					}
+				);
+				return readJsonResponse( response );
+			},
+			{ retries: 1, refreshNonce }
+		);
 
 	const chips = Array.from(
 		form.querySelectorAll( '.batp-form__chip input[type="checkbox"]' )
@@ -28,6 +338,51 @@ const initItineraryForm = () => {
 		} );
 	} );
 
+	// 1b. Use My Location
+	const neighborhoodInput = form.querySelector(
+		'input[name="neighborhood"]'
+	);
+	const latitudeInput = form.querySelector( 'input[name="latitude"]' );
+	const longitudeInput = form.querySelector( 'input[name="longitude"]' );
+	const locateBtn = form.querySelector( '[data-batp-locate]' );
+
+	// Typing a neighborhood by hand drops any previously detected coordinates.
+	if ( neighborhoodInput ) {
+		neighborhoodInput.addEventListener( 'input', () => {
+			latitudeInput.value = '';
+			longitudeInput.value = '';
+			form.classList.remove( 'is-geolocated' );
+		} );
+	}
+
+	if ( locateBtn ) {
+		locateBtn.addEventListener( 'click', async () => {
+			locateBtn.disabled = true;
+			locateBtn.classList.add( 'is-loading' );
+
+			try {
+				const origin = await locateUser();
+				neighborhoodInput.value = origin.neighborhood;
+				latitudeInput.value = origin.latitude.toFixed( 6 );
+				longitudeInput.value = origin.longitude.toFixed( 6 );
+				form.classList.add( 'is-geolocated' );
+				showNotice(
+					origin.accuracy > 500
+						? `Using your approximate location near ${
+								origin.neighborhood
+						  } (±${ Math.round( origin.accuracy ) } m).`
+						: ''
+				);
+			} catch ( error ) {
+				console.warn( 'BATP Geolocation:', error );
+				showNotice( error.message );
+			} finally {
+				locateBtn.disabled = false;
+				locateBtn.classList.remove( 'is-loading' );
+			}
+		} );
+	}
+
 	// 2. Tabs Interaction
 	tabs.forEach( ( tab ) => {
 		tab.addEventListener( 'click', () => {
@@ -37,14 +392,15 @@ const initItineraryForm = () => {
 
 			// Toggle content view
 			const targetId = tab.dataset.tab; // 'list' or 'map'
-			document
-				.querySelectorAll( '.batp-view-content' )
-				.forEach( ( content ) => {
-					content.classList.remove( 'is-active' );
-				} );
-			document
-				.getElementById( `batp-view-${ targetId }` )
-				.classList.add( 'is-active' );
+			trackEvent( 'tab_switch', null, { tab: targetId } );
+			root.querySelectorAll( '[data-batp-view]' ).forEach(
+				( content ) => {
+					content.classList.toggle(
+						'is-active',
+						content.dataset.batpView === targetId
+					);
+				}
+			);
 
 			// If switching to map, resize trigger might be needed
 			if ( targetId === 'map' && googleMap ) {
@@ -57,6 +413,86 @@ const initItineraryForm = () => {
 
 	// 3. Map Logic
 	let googleMap = null;
+	let routeLayer = null;
+	let routeStops = [];
+	let travelMode = DEFAULT_TRAVEL_MODE;
+
+	const highlightLeg = ( index ) => {
+		if ( routeLayer ) {
+			routeLayer.highlight( index );
+		}
+		if ( routeLegsOutput ) {
+			routeLegsOutput
+				.querySelectorAll( '[data-leg-index]' )
+				.forEach( ( row ) =>
+					row.classList.toggle(
+						'is-highlighted',
+						Number( row.dataset.legIndex ) === index
+					)
+				);
+		}
+	};
+
+	const drawRoute = async () => {
+		if ( ! routeLayer || routeStops.length < 2 ) {
+			if ( routeLegsOutput ) {
+				routeLegsOutput.innerHTML = '';
+			}
+			return;
+		}
+
+		if ( routeLegsOutput ) {
+			routeLegsOutput.innerHTML =
+				'<li class="batp-route-legs__status">Calculating route…</li>';
+		}
+
+		const legs = await routeLayer.draw( routeStops, travelMode );
+		if ( ! legs || ! routeLegsOutput ) {
+			return;
+		}
+
+		const modeLabel = TRAVEL_MODES[ travelMode ].label.toLowerCase();
+		routeLegsOutput.innerHTML = legs
+			.map(
+				( leg, index ) => `
+				<li class="batp-route-legs__leg" data-leg-index="${ index }">
+					<span class="batp-route-legs__stops">${ leg.from.number } → ${
+						leg.to.number
+					}</span>
+					<span class="batp-route-legs__names">${ escapeHtml(
+						leg.from.title
+					) } to ${ escapeHtml( leg.to.title ) }</span>
+					<span class="batp-route-legs__duration">${
+						leg.routed
+							? `${ escapeHtml( leg.duration ) } ${ modeLabel }`
+							: 'No route found'
+					}</span>
+				</li>`
+			)
+			.join( '' );
+	};
+
+	travelModeButtons.forEach( ( button ) => {
+		button.addEventListener( 'click', () => {
+			travelMode = button.dataset.batpTravelMode;
+			travelModeButtons.forEach( ( b ) => {
+				const isActive = b === button;
+				b.classList.toggle( 'is-active', isActive );
+				b.setAttribute( 'aria-pressed', String( isActive ) );
+			} );
+			drawRoute();
+		} );
+	} );
+
+	if ( routeLegsOutput ) {
+		routeLegsOutput.addEventListener( 'mouseover', ( e ) => {
+			const row = e.target.closest( '[data-leg-index]' );
+			highlightLeg( row ? Number( row.dataset.legIndex ) : null );
+		} );
+		routeLegsOutput.addEventListener( 'mouseleave', () =>
+			highlightLeg( null )
+		);
+	}
 
 	const waitForGoogleMaps = () => {
 		return new Promise( ( resolve, reject ) => {
@@ -92,8 +528,10 @@ const initItineraryForm = () => {
 			const existingScript = document.querySelector(
 				`script[src*="maps.googleapis.com/maps/api/js"]`
 			);
+			// Another planner on the page is still loading it.
 			if ( existingScript ) {
-				resolve();
+				existingScript.addEventListener( 'load', () => resolve() );
+				existingScript.addEventListener( 'error', reject );
 				return;
 			}
 
@@ -107,6 +545,50 @@ const initItineraryForm = () => {
 		} );
 	};
 
+	// Markers are rebuilt whenever the stops change (edits, reorders).
+	let mapMarkers = [];
+	let createMarker = null;
+	let infoWindow = null;
+
+	const placeMarkers = ( locations ) => {
+		if ( ! googleMap || ! createMarker ) {
+			return;
+		}
+
+		infoWindow.close();
+		mapMarkers.forEach( ( marker ) => {
+			if ( typeof marker.setMap === 'function' ) {
+				marker.setMap( null );
+			} else {
+				marker.map = null;
+			}
+		} );
+		mapMarkers = [];
+
+		if ( locations.length > 0 ) {
+			const bounds = new google.maps.LatLngBounds();
+
+			locations.forEach( ( loc ) => {
+				const position = { lat: loc.lat, lng: loc.lng };
+				const marker = createMarker( loc, position );
+
+				// Both marker types emit 'click' and can anchor an info window.
+				marker.addListener( 'click', () => {
+					infoWindow.setContent( buildStopInfoHtml( loc ) );
+					infoWindow.open( { anchor: marker, map: googleMap } );
+				} );
+
+				mapMarkers.push( marker );
+				bounds.extend( position );
+			} );
+
+			googleMap.fitBounds( bounds );
+		}
+
+		routeStops = locations;
+		drawRoute();
+	};
+
 	const initMap = async ( apiKey, locations = [] ) => {
 		if ( ! mapContainer ) {
 			return;
@@ -158,212 +640,448 @@ const initItineraryForm = () => {
 				streetViewControl: false,
 			} );
 
-			if ( locations.length > 0 ) {
-				const bounds = new google.maps.LatLngBounds();
-
-				locations.forEach( ( loc, index ) => {
-					const position = { lat: loc.lat, lng: loc.lng };
-
-					if ( ! useLegacyMarkers && AdvancedMarkerElement ) {
-						// Modern: Advanced Marker
-						const markerContent = document.createElement( 'div' );
-						markerContent.className = 'batp-map-marker';
-						markerContent.innerHTML = `<span style="background:#FF5F3D; color:#fff; border-radius:50%; width:32px; height:32px; display:flex; align-items:center; justify-content:center; font-weight:bold; box-shadow:0 2px 4px rgba(0,0,0,0.2); font-size:14px;">${
-							index + 1
-						}</span>`;
-
-						new AdvancedMarkerElement( {
-							map: googleMap,
-							position,
-							content: markerContent,
-							title: loc.title,
-						} );
-					} else {
-						// Legacy: Standard Marker
-						new google.maps.Marker( {
-							map: googleMap,
-							position,
-							label: {
-								text: ( index + 1 ).toString(),
-								color: 'white',
-								fontWeight: 'bold',
-							},
-							title: loc.title,
-						} );
-					}
+			createMarker = ( loc, position ) => {
+				if ( ! useLegacyMarkers && AdvancedMarkerElement ) {
+					// Modern: Advanced Marker
+					const markerContent = document.createElement( 'div' );
+					markerContent.className = loc.changed
+						? 'batp-map-marker is-changed'
+						: 'batp-map-marker';
+					markerContent.innerHTML = `<span style="background:#FF5F3D; color:#fff; border-radius:50%; width:32px; height:32px; display:flex; align-items:center; justify-content:center; font-weight:bold; box-shadow:0 2px 4px rgba(0,0,0,0.2); font-size:14px;">${ loc.number }</span>`;
+
+					return new AdvancedMarkerElement( {
+						map: googleMap,
+						position,
+						content: markerContent,
+						title: loc.title,
+					} );
+				}
 
-					bounds.extend( position );
+				// Legacy: Standard Marker
+				return new google.maps.Marker( {
+					map: googleMap,
+					position,
+					label: {
+						text: loc.number.toString(),
+						color: 'white',
+						fontWeight: 'bold',
+					},
+					title: loc.title,
+					animation: loc.changed ? google.maps.Animation.DROP : null,
 				} );
+			};
 
-				googleMap.fitBounds( bounds );
-			}
+			infoWindow = new google.maps.InfoWindow();
+			mapMarkers = [];
+			routeLayer = createRouteLayer( googleMap, {
+				onLegHover: highlightLeg,
+			} );
+			placeMarkers( locations );
+			extensions.emit( 'map-ready', { map: googleMap } );
 		} catch ( error ) {
 			console.error( 'Map init error:', error );
 			mapContainer.innerHTML = `<div style="padding:2rem; color:#d00;">Map failed to load.</div>`;
 		}
 	};
 
+	// 3b. Neighborhood Autocomplete (Places when a key is set, gazetteer otherwise)
+	if ( neighborhoodInput ) {
+		const mapsKey = form.dataset.googleMapsKey;
+		const loadPlaces = async () => {
+			await loadGoogleMaps( mapsKey );
+			await waitForGoogleMaps();
+			if ( typeof google.maps.importLibrary === 'function' ) {
+				await google.maps.importLibrary( 'places' );
+			}
+		};
+
+		createNeighborhoodCombobox( neighborhoodInput, {
+			loadPlaces: mapsKey ? loadPlaces : null,
+			onSelect: ( { lat, lng } ) => {
+				latitudeInput.value = lat === null ? '' : lat.toFixed( 6 );
+				longitudeInput.value = lng === null ? '' : lng.toFixed( 6 );
+				form.classList.remove( 'is-geolocated' );
+			},
+		} );
+	}
+
 	const renderResults = ( data, apiKey ) => {
-		const itineraryItems = data.itinerary?.items || [];
+		let itineraryItems = data.itinerary?.items || [];
 		if ( itineraryItems.length === 0 ) {
-			alert( 'No results found. Try different filters.' );
+			showResultsState(
+				describeError( new ApiError( 'no_results', '', 200 ) )
+			);
 			return;
 		}
 
 		// Reveal Results Area
+		hideResultsState();
 		if ( resultsArea ) {
 			resultsArea.classList.add( 'is-active' );
 			resultsArea.scrollIntoView( { behavior: 'smooth' } );
 		}
 
-		// Update Meta Text
-		if ( metaText ) {
-			const duration = form.querySelector(
-				'select[name="duration"]'
-			).value;
-			metaText.textContent = `${ itineraryItems.length } venues found • ${ duration } hours available`;
-		}
+		// A new itinerary: impressions count afresh and dwell time for the
+		// previous one is reported.
+		itineraryId = createItineraryId();
+		impressions?.reset();
+		dwellTimer.start( itineraryId );
+		trackEvent( 'itinerary_shown', null, {
+			stops: itineraryItems.length,
+		} );
 
-		// Build Map Locations
-		const locations = [];
-		const candidateMap = new Map(
-			( data.candidates || [] ).map( ( c ) => [ c.slug, c ] )
-		);
+		const candidates = data.candidates || [];
+		const candidateMap = buildCandidateMap( candidates );
+		const origin = resolveOrigin( currentRequest );
 
-		itineraryItems.forEach( ( item ) => {
-			const candidate = candidateMap.get( item.slug );
-			if (
-				candidate &&
-				candidate.data?.latitude &&
-				candidate.data?.longitude
-			) {
-				locations.push( {
-					lat: parseFloat( candidate.data.latitude ),
-					lng: parseFloat( candidate.data.longitude ),
-					title: item.title,
+		// Writes edits and filter changes back to the saved trip.
+		const tripId = currentTripId;
+		const persistTrip = () => {
+			if ( ! tripId ) {
+				return;
+			}
+			try {
+				tripStore.updateTrip( tripId, {
+					response: {
+						itinerary: { ...data.itinerary, items: itineraryItems },
+						candidates,
+					},
+					filters: resultFilters,
 				} );
+			} catch ( error ) {
+				console.warn( 'BATP Trip not updated:', error );
 			}
+		};
+
+		// Stops left after the client-side filters, in display order.
+		const getVisibleStops = () =>
+			applyResultFilters(
+				describeStops( itineraryItems, candidateMap, { origin } ),
+				resultFilters
+			);
+
+		// Planned visit times start from the request's date and start time.
+		// The timeline toolbar can shift them; card badges, the timeline and
+		// the meta line all read from this schedule.
+		const tripDateInput = timelineToolbar?.querySelector(
+			'input[name="batp_timeline_date"]'
+		);
+		const tripTimeInput = timelineToolbar?.querySelector(
+			'input[name="batp_timeline_time"]'
+		);
+		if ( tripDateInput ) {
+			tripDateInput.value =
+				normalizeTripDate( currentRequest?.date ) ||
+				tripDateInput.value ||
+				todayInNewYork();
+		}
+		if ( tripTimeInput && currentRequest ) {
+			tripTimeInput.value = normalizeStartTime(
+				currentRequest.start_time
+			);
+		}
+		const getScheduleOptions = () => ( {
+			items: itineraryItems,
+			candidateMap,
+			startDate: tripDateInput?.value || todayInNewYork(),
+			startMinutes: parseTimeInput( tripTimeInput?.value ),
 		} );
 
-		// Helper: Format Hours
-		const getHoursString = ( hoursData ) => {
-			if ( ! hoursData ) {
-				return 'See website for hours';
-			}
-			// Simple check for today's day (0=Sun, 1=Mon...)
-			const days = [
-				'Sunday',
-				'Monday',
-				'Tuesday',
-				'Wednesday',
-				'Thursday',
-				'Friday',
-				'Saturday',
-			];
-			const dayName = days[ new Date().getDay() ];
-			return hoursData[ dayName ] || 'Open today';
+		// Update Meta Text
+		const updateMeta = ( visibleCount ) => {
+			if ( ! metaText ) {
+				return;
+			}
+			const count =
+				visibleCount === itineraryItems.length
+					? `${ itineraryItems.length } venues found`
+					: `${ visibleCount } of ${ itineraryItems.length } venues shown`;
+			metaText.textContent = `${ count } • ${ describeTripWindow( {
+				...currentRequest,
+				date: tripDateInput?.value,
+				start_time: tripTimeInput?.value,
+			} ) }`;
+		};
+
+		// Build Map Locations (numbered by itinerary position). Stops a
+		// refinement added or moved are flagged so their markers animate.
+		const buildLocations = ( stops, changed = [] ) =>
+			stops.reduce( ( locations, { item, index, details } ) => {
+				const coords = getVenueCoordinates( details );
+				if ( coords ) {
+					locations.push( {
+						...coords,
+						title: item.title,
+						number: index + 1,
+						item,
+						details,
+						changed: changed.includes( item.slug ),
+					} );
+				}
+				return locations;
+			}, [] );
+
+		// Hours line for the day of the visit.
+		const describeVisitHours = ( details, visit ) => {
+			const day = details.hours
+				? getHoursForDay( details.hours, visit.weekday )
+				: null;
+			return `Arrive ${ formatClock( visit.start ) } · ${
+				day
+					? `${ WEEKDAYS[ visit.weekday ] }: ${ day.label }`
+					: 'Hours not listed'
+			}`;
 		};
 
-		// Render List View (Cards)
-		const renderList = ( items ) => {
+		// Render List View (Cards). Reordering is only offered while the
+		// list is shown in itinerary order.
+		const renderList = ( stops ) => {
 			if ( ! listOutput ) {
 				return;
 			}
 
-			listOutput.innerHTML = items
-				.map( ( item, index ) => {
-					const candidate = candidateMap.get( item.slug );
-					const details = candidate?.data || {};
-					const website = details.website || '#';
-					const phone = details.phone_number || details.phone || '';
-					const address = details.address || '';
-					const vibe = details.vibe_summary || item.description || '';
-					const hours = details.hours
-						? getHoursString( details.hours )
-						: 'Open today';
-
-					// Directions URL
-					let dirUrl = '#';
-					if ( details.latitude && details.longitude ) {
-						dirUrl = `https://www.google.com/maps/dir/?api=1&destination=${ details.latitude },${ details.longitude }`;
-					} else if ( address ) {
-						dirUrl = `https://www.google.com/maps/dir/?api=1&destination=${ encodeURIComponent(
-							address
-						) }`;
-					} else {
-						dirUrl = `https://www.google.com/maps/dir/?api=1&destination=${ encodeURIComponent(
-							item.title + ', Brooklyn, NY'
-						) }`;
-					}
+			const total = itineraryItems.length;
+			const canReorder = resultFilters.sort === 'itinerary';
+			const schedule = buildSchedule( getScheduleOptions() );
+
+			const renderCard = ( stop ) => {
+				const visit = schedule[ stop.index ];
+				return extensions.filter(
+					'card-html',
+					renderStopCard( stop, {
+						visit,
+						hours: describeVisitHours( stop.details, visit ),
+						total,
+						canReorder,
+					} ),
+					{ stop, visit }
+				);
+			};
 
-					return `
-				<div class="batp-card" data-access='${ JSON.stringify(
-					details.accessibility || []
-				) }'>
-					<div class="batp-card__header">
-						<div>
-							<span class="batp-card__status">Open Now</span>
-							<h3 class="batp-card__title">${ index + 1 }. ${ item.title }</h3>
-							<span class="batp-card__tag">Best Match</span>
-						</div>
-					</div>
-					
-					<p class="batp-card__description">${ vibe }</p>
-					
-					<div class="batp-card__details">
-						${
-							address
-								? `<div><span class="dashicons dashicons-location"></span> ${ address }</div>`
-								: ''
-						}
-						<div><span class="dashicons dashicons-clock"></span> ${ hours }</div>
-						${
-							phone
-								? `<a href="tel:${ phone.replace(
-										/[^0-9+]/g,
-										''
-								  ) }" class="batp-card__link-row" data-event-action="phone_click" data-venue-id="${
-										details.id
-								  }"><span class="dashicons dashicons-phone"></span> ${ phone }</a>`
-								: ''
-						}
-					</div>
-
-					<div class="batp-card__footer">
-						<a href="${ dirUrl }" target="_blank" class="batp-card__btn-directions" data-event-action="directions_click" data-venue-id="${
-							details.id
-						}">
-							<span class="dashicons dashicons-location-alt"></span> Directions
-						</a>
-						<div class="batp-card__links">
-							${
-								website !== '#'
-									? `<a href="${ website }" target="_blank" data-event-action="website_click" data-venue-id="${
-											details.id
-									  }" data-event-meta='${ JSON.stringify( {
-											url: website,
-									  } ) }'><span class="dashicons dashicons-admin-site"></span> Website</a>`
-									: ''
-							}
-						</div>
-					</div>
-				</div>
-				`;
-				} )
-				.join( '' );
+			listOutput.innerHTML = stops.length
+				? stops.map( renderCard ).join( '' )
+				: EMPTY_LIST_HTML;
+			impressions?.observe( listOutput );
+			extensions.emit( 'results-rendered', {
+				itinerary: { ...data.itinerary, items: itineraryItems },
+				stops,
+				list: listOutput,
+			} );
+		};
+
+		// Active-filter chips, each clearing one filter.
+		const renderActiveFilters = () => {
+			if ( ! activeFiltersEl ) {
+				return;
+			}
+			const active = getActiveFilterChips( resultFilters );
+			activeFiltersEl.hidden = active.length === 0;
+			activeFiltersEl.innerHTML = active.length
+				? `${ active
+						.map(
+							( chip ) =>
+								`<button type="button" class="batp-filter-chip" data-batp-clear-filter="${ escapeHtml(
+									chip.key
+								) }" data-value="${ escapeHtml(
+									chip.value
+								) }" aria-label="Remove filter: ${ escapeHtml(
+									chip.label
+								) }">${ escapeHtml(
+									chip.label
+								) } <span aria-hidden="true">&times;</span></button>`
+						)
+						.join(
+							''
+						) }<button type="button" class="batp-filter-chip batp-filter-chip--clear" data-batp-clear-filter="all">Clear all</button>`
+				: '';
+		};
+
+		// List, map markers, meta text and filter chips always move together.
+		const refreshResults = ( changed = [] ) => {
+			const stops = getVisibleStops();
+			renderList( stops );
+			updateMeta( stops.length );
+			placeMarkers( buildLocations( stops, changed ) );
+			renderActiveFilters();
+			return stops;
+		};
+
+		setResultFilters = ( filters ) => {
+			resultFilters = normalizeFilters( filters );
+			const stops = refreshResults();
+			persistTrip();
+			trackEvent( 'filter_change', null, {
+				filters: getActiveFilterChips( resultFilters ).map(
+					( chip ) => chip.key
+				),
+				visible: stops.length,
+			} );
 		};
 
 		// Initial Render
-		renderList( itineraryItems );
+		const locations = buildLocations( refreshResults() );
+
+		// Timeline View. Changing the trip date or start time also updates
+		// the cards' opening badges.
+		let drawTimeline = () => {};
+		if ( timelineOutput && timelineToolbar ) {
+			drawTimeline = () =>
+				renderTimeline( timelineOutput, getScheduleOptions() );
+
+			const onTripTimeChange = () => {
+				const stops = getVisibleStops();
+				renderList( stops );
+				updateMeta( stops.length );
+				drawTimeline();
+			};
+			tripDateInput.onchange = onTripTimeChange;
+			tripTimeInput.onchange = onTripTimeChange;
+			drawTimeline();
+		}
+
+		// Editing: every change re-renders the cards, timeline and map
+		// together. The share modal reads `itineraryItems` when opened.
+		const showAlternatives = ( index ) => {
+			const card = listOutput.querySelector(
+				`[data-stop-index="${ index }"]`
+			);
+			const panel = card?.querySelector( '.batp-card__alternatives' );
+			const toggle = card?.querySelector(
+				'[data-batp-stop-action="swap"]'
+			);
+			if ( ! panel ) {
+				return;
+			}
+
+			const willOpen = panel.hidden;
+			panel.hidden = ! willOpen;
+			toggle.setAttribute( 'aria-expanded', String( willOpen ) );
+			if ( ! willOpen ) {
+				return;
+			}
+
+			const alternatives = getAlternatives(
+				itineraryItems,
+				candidates,
+				index
+			);
+			panel.innerHTML = alternatives.length
+				? `<span class="batp-card__alternatives-label">Swap for:</span>${ alternatives
+						.map(
+							( candidate ) =>
+								`<button type="button" class="batp-card__alternative" data-batp-stop-action="swap-to" data-slug="${ escapeHtml(
+									candidate.slug
+								) }">${ escapeHtml(
+									candidate.data.name
+								) }</button>`
+						)
+						.join( '' ) }`
+				: '<span class="batp-card__alternatives-label">No other venues matched this search.</span>';
+		};
+
+		editItinerary = ( action, index, value ) => {
+			if ( action === 'swap' ) {
+				showAlternatives( index );
+				return;
+			}
+
+			let focusIndex = index;
+			if ( action === 'up' || action === 'down' || action === 'move' ) {
+				if ( action === 'move' ) {
+					focusIndex = value;
+				} else {
+					focusIndex = action === 'up' ? index - 1 : index + 1;
+				}
+				itineraryItems = moveStop( itineraryItems, index, focusIndex );
+			} else if ( action === 'remove' ) {
+				itineraryItems = removeStop( itineraryItems, index );
+				focusIndex = Math.min( index, itineraryItems.length - 1 );
+			} else if ( action === 'swap-to' ) {
+				const candidate = candidateMap.get( value );
+				if ( ! candidate ) {
+					return;
+				}
+				itineraryItems = swapStop( itineraryItems, index, candidate );
+			}
+
+			refreshResults();
+			drawTimeline();
+			persistTrip();
+
+			// Keep keyboard users on the card they were editing.
+			if ( action === 'move' ) {
+				return;
+			}
+			const card = listOutput.querySelector(
+				`[data-stop-index="${ focusIndex }"]`
+			);
+			const control =
+				card?.querySelector(
+					`[data-batp-stop-action="${ action }"]:not(:disabled)`
+				) || card?.querySelector( '[data-batp-stop-action="swap"]' );
+			if ( control ) {
+				control.focus();
+			}
+		};
+
+		// Refinement keeps the candidate pool; the engine only picks and
+		// orders stops from it. Removed cards fade out, then the new list
+		// slides into place.
+		refineItinerary = async ( instruction ) => {
+			const result = await requestRefinement(
+				buildRefinePayload( {
+					request: currentRequest,
+					items: itineraryItems,
+					candidates,
+					instruction,
+				} )
+			);
+			const nextItems = result.itinerary?.items || [];
+			if ( nextItems.length === 0 ) {
+				return 'We could not change the plan that way. Try rephrasing your request.';
+			}
+
+			( result.candidates || [] ).forEach( ( candidate ) => {
+				if ( ! candidateMap.has( candidate.slug ) ) {
+					candidates.push( candidate );
+					candidateMap.set( candidate.slug, candidate );
+				}
+			} );
+
+			const diff = diffItinerary( itineraryItems, nextItems );
+			const nameOf = ( slug ) =>
+				candidateMap.get( slug )?.data?.name || slug;
+			const summary =
+				result.itinerary.meta?.summary ||
+				describeItineraryChanges( diff, nameOf );
+			if ( ! diff.changed ) {
+				return summary;
+			}
+
+			await fadeOutStops( listOutput, diff.removed );
+			const positions = captureStopPositions( listOutput );
+			itineraryItems = nextItems;
+			data.itinerary = {
+				...data.itinerary,
+				meta: result.itinerary.meta || {},
+			};
+			refreshResults( [ ...diff.added, ...diff.moved ] );
+			drawTimeline();
+			persistTrip();
+			animateStopChanges( listOutput, positions, diff );
+
+			return summary;
+		};
 
 		// --- MODAL LOGIC ---
-		const setupModal = ( modalId, triggerBtn ) => {
-			const modal = document.getElementById( modalId );
+		const setupModal = ( name, triggerBtn, onOpen = () => {} ) => {
+			const modal = root.querySelector( `[data-batp-modal="${ name }"]` );
 			if ( ! modal || ! triggerBtn ) {
 				return;
 			}
 
 			const open = () => {
+				onOpen();
 				modal.classList.add( 'is-open' );
 				modal.setAttribute( 'aria-hidden', 'false' );
 			};
@@ -388,90 +1106,238 @@ const initItineraryForm = () => {
 		};
 
 		// Share Modal
-		const shareBtn = document.querySelector(
-			'.batp-results__btn--primary'
-		);
-		setupModal( 'batp-share-modal', shareBtn );
-
-		if ( shareBtn ) {
-			// Populate Summary on click
-			shareBtn.addEventListener( 'click', () => {
-				const summaryList =
-					document.getElementById( 'batp-summary-list' );
-				if ( summaryList ) {
-					summaryList.innerHTML = itineraryItems
-						.map( ( item ) => `<li>${ item.title }</li>` )
-						.join( '' );
-				}
-				// Update Link
-				const linkInput = document.getElementById(
-					'batp-share-link-input'
-				);
-				if ( linkInput ) {
-					linkInput.value = window.location.href;
-				} // Simple mock
-			} );
-		}
+		const shareBtn = root.querySelector( '[data-batp-open-modal="share"]' );
+
+		const getShareUrl = () =>
+			currentRequest
+				? buildShareUrl(
+						encodeShareState( {
+							request: currentRequest,
+							items: itineraryItems,
+							filters: resultFilters,
+						} )
+				  )
+				: '';
+
+		// Populate the summary and link as the modal opens.
+		setupModal( 'share', shareBtn, () => {
+			const summaryList = root.querySelector(
+				'[data-batp-summary-list]'
+			);
+			if ( summaryList ) {
+				summaryList.innerHTML = renderSummaryList( getVisibleStops() );
+			}
+			const linkInput = root.querySelector( '[data-batp-share-link]' );
+			if ( linkInput && currentRequest ) {
+				linkInput.value = getShareUrl();
+			}
+		} );
+
+		getShareContent = () => ( {
+			stops: describeShareStops(
+				getVisibleStops(),
+				buildSchedule( getScheduleOptions() ),
+				candidateMap
+			),
+			url: getShareUrl(),
+		} );
 
 		// Copy Link Logic
-		const copyBtn = document.getElementById( 'batp-btn-copy-link' );
+		const copyBtn = root.querySelector( '[data-batp-copy-link]' );
 		if ( copyBtn ) {
 			copyBtn.onclick = () => {
-				const input = document.getElementById(
-					'batp-share-link-input'
-				);
+				const input = root.querySelector( '[data-batp-share-link]' );
 				input.select();
 				navigator.clipboard.writeText( input.value );
+				trackEvent( 'share_link_copy' );
+				extensions.emit( 'share', {
+					channel: 'link',
+					...getShareContent(),
+				} );
 				const original = copyBtn.innerText;
 				copyBtn.innerText = 'Copied!';
 				setTimeout( () => ( copyBtn.innerText = original ), 2000 );
 			};
 		}
 
+		// PDF Export
+		const pdfBtn = root.querySelector( '[data-batp-export="pdf"]' );
+		if ( pdfBtn ) {
+			pdfBtn.onclick = () => {
+				const blob = buildItineraryPdf( {
+					items: itineraryItems,
+					candidateMap,
+					summary: data.itinerary?.meta?.summary || '',
+				} );
+				downloadBlob(
+					blob,
+					datedFilename( 'brooklyn-itinerary', 'pdf' )
+				);
+			};
+		}
+
+		// Calendar Export
+		const icsToggle = root.querySelector( '[data-batp-export="ics"]' );
+		const icsPanel = root.querySelector( '[data-batp-calendar-export]' );
+		if ( icsToggle && icsPanel ) {
+			const dateInput = icsPanel.querySelector(
+				'input[name="batp_calendar_date"]'
+			);
+			const timeInput = icsPanel.querySelector(
+				'input[name="batp_calendar_time"]'
+			);
+			const icsError = icsPanel.querySelector(
+				'[data-batp-calendar-error]'
+			);
+			const setIcsError = ( message ) => {
+				if ( icsError ) {
+					icsError.textContent = message;
+					icsError.hidden = ! message;
+				}
+			};
+
+			icsToggle.onclick = () => {
+				const willOpen = icsPanel.hidden;
+				icsPanel.hidden = ! willOpen;
+				icsToggle.setAttribute( 'aria-expanded', String( willOpen ) );
+				if ( willOpen && ! dateInput.value ) {
+					dateInput.value = tripDateInput?.value || todayInNewYork();
+					timeInput.value = tripTimeInput?.value || timeInput.value;
+				}
+			};
+
+			icsPanel.querySelector(
+				'[data-batp-export="ics-download"]'
+			).onclick = () => {
+				setIcsError( '' );
+				try {
+					const ics = buildItineraryIcs( {
+						items: itineraryItems,
+						candidateMap,
+						startDate: dateInput.value || todayInNewYork(),
+						startTime: timeInput.value || '10:00',
+					} );
+					downloadBlob(
+						new Blob( [ ics ], {
+							type: 'text/calendar;charset=utf-8',
+						} ),
+						datedFilename( 'brooklyn-itinerary', 'ics' )
+					);
+				} catch ( error ) {
+					console.error( 'BATP Calendar export error:', error );
+					setIcsError( 'Please choose a valid start date and time.' );
+				}
+			};
+		}
+
 		// Filter Modal
-		const filterBtn = document.querySelector(
-			'.batp-results__btn:nth-child(2)'
+		const filterBtn = root.querySelector(
+			'[data-batp-open-modal="filter"]'
 		);
-		setupModal( 'batp-filter-modal', filterBtn );
 
-		// Apply Filters Logic
-		const applyBtn = document.getElementById( 'batp-apply-filters' );
-		if ( applyBtn ) {
+		// Result filters apply instantly on the client. Accessibility needs
+		// re-plan on the server: the modal mirrors the form's chips and Apply
+		// resubmits only when that selection changed.
+		const filterModal = root.querySelector( '[data-batp-modal="filter"]' );
+		const filterFields = filterModal?.querySelector(
+			'[data-batp-result-filters]'
+		);
+		const categoryGroup = filterModal?.querySelector(
+			'[data-batp-filter-categories]'
+		);
+		const replanInputs = filterModal
+			? Array.from(
+					filterModal.querySelectorAll( '[data-batp-replan-access]' )
+			  )
+			: [];
+		const accessibilityChips = chips.filter(
+			( input ) => input.name === 'accessibility[]'
+		);
+		const filterField = ( name ) =>
+			filterFields?.querySelector( `[name="${ name }"]` );
+
+		setupModal( 'filter', filterBtn, () => {
+			if ( filterFields ) {
+				filterField( 'batp_filter_open_now' ).checked =
+					resultFilters.openNow;
+				filterField( 'batp_filter_price' ).value =
+					resultFilters.maxPrice ?? '';
+				filterField( 'batp_filter_distance' ).value =
+					resultFilters.maxMiles ?? '';
+				filterField( 'batp_filter_sort' ).value = resultFilters.sort;
+				// Distance needs an origin to measure from.
+				filterField( 'batp_filter_distance' ).disabled = ! origin;
+			}
+
+			if ( categoryGroup ) {
+				const categories = listCategories(
+					describeStops( itineraryItems, candidateMap )
+				);
+				categoryGroup.innerHTML = categories.length
+					? categories
+							.map(
+								( category ) => `
+					<label class="batp-checkbox-row">
+						<input type="checkbox" data-batp-filter-category="${ escapeHtml(
+							category
+						) }" ${
+							resultFilters.categories.includes( category )
+								? 'checked'
+								: ''
+						}>
+						<span>${ escapeHtml( formatCategory( category ) ) }</span>
+					</label>`
+							)
+							.join( '' )
+					: '<p class="batp-modal__subtitle">No categories for these venues.</p>';
+			}
+
+			replanInputs.forEach( ( input ) => {
+				input.checked = accessibilityChips.some(
+					( chip ) =>
+						chip.value === input.dataset.batpReplanAccess &&
+						chip.checked
+				);
+			} );
+		} );
+
+		const applyBtn = root.querySelector( '[data-batp-apply-filters]' );
+		if ( applyBtn && filterModal ) {
 			applyBtn.onclick = () => {
-				const modal = document.getElementById( 'batp-filter-modal' );
-
-				// Get checked values
-				const wheelchair = modal.querySelector(
-					'input[name="access_wheelchair"]'
-				).checked;
-				const sensory = modal.querySelector(
-					'input[name="access_sensory"]'
-				).checked;
-				const seating = modal.querySelector(
-					'input[name="access_seating"]'
-				).checked;
-
-				// Filter items
-				const cards = listOutput.querySelectorAll( '.batp-card' );
-				cards.forEach( ( card ) => {
-					const access = JSON.parse( card.dataset.access || '[]' );
-					let visible = true;
-
-					if ( wheelchair && ! access.includes( 'wheelchair' ) ) {
-						visible = false;
-					}
-					if ( sensory && ! access.includes( 'sensory' ) ) {
-						visible = false;
-					}
-					if ( seating && ! access.includes( 'seating' ) ) {
-						visible = false;
-					}
+				if ( filterFields ) {
+					setResultFilters( {
+						openNow: filterField( 'batp_filter_open_now' ).checked,
+						maxPrice: filterField( 'batp_filter_price' ).value,
+						maxMiles: filterField( 'batp_filter_distance' ).value,
+						categories: Array.from(
+							categoryGroup?.querySelectorAll(
+								'[data-batp-filter-category]:checked'
+							) || []
+						).map( ( input ) => input.dataset.batpFilterCategory ),
+						sort: filterField( 'batp_filter_sort' ).value,
+					} );
+				}
 
-					card.style.display = visible ? 'flex' : 'none';
+				let replan = false;
+				accessibilityChips.forEach( ( chip ) => {
+					const checked = replanInputs.some(
+						( input ) =>
+							input.dataset.batpReplanAccess === chip.value &&
+							input.checked
+					);
+					replan = replan || checked !== chip.checked;
+					chip.checked = checked;
+					chip.closest( '.batp-form__chip' ).classList.toggle(
+						'is-selected',
+						chip.checked
+					);
 				} );
 
-				// Close modal
-				modal.classList.remove( 'is-open' );
+				filterModal.classList.remove( 'is-open' );
+				filterModal.setAttribute( 'aria-hidden', 'true' );
+				if ( replan ) {
+					form.requestSubmit();
+				}
 			};
 		}
 
@@ -484,41 +1350,148 @@ const initItineraryForm = () => {
 		}
 	};
 
-	// 5. Analytics Logic
-	const trackEvent = async ( action, venueId, metadata = {} ) => {
-		const nonce = form.dataset.nonce;
-		const restNonce = form.dataset.restNonce;
-		const baseApiUrl = form.dataset.apiUrl; // .../v1/itinerary
-		const eventsUrl = baseApiUrl.replace( '/itinerary', '/events' );
+	// Active-filter chips and the empty-list "Clear filters" button.
+	if ( resultsArea ) {
+		resultsArea.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( '[data-batp-clear-filter]' );
+			if ( button && setResultFilters ) {
+				setResultFilters(
+					clearFilter(
+						resultFilters,
+						button.dataset.batpClearFilter,
+						button.dataset.value
+					)
+				);
+				// The clicked chip is gone; keep focus inside the results.
+				(
+					activeFiltersEl?.querySelector( 'button' ) ||
+					resultsArea.querySelector(
+						'[data-batp-open-modal="filter"]'
+					)
+				)?.focus();
+			}
+		} );
+	}
 
-		if ( ! nonce || ! eventsUrl ) {
-			return;
-		}
+	// 5b. Share via Email / SMS. The Web Share API, where available, is
+	// offered first; every share is tracked.
+	root.querySelector( '[data-batp-open-modal="share"]' )?.addEventListener(
+		'click',
+		() => trackEvent( 'share_open' )
+	);
 
-		// Default metadata to avoid empty object issues
-		const finalMeta = { ...metadata, source: 'web_client' };
+	root.querySelector( '[data-batp-new-search]' )?.addEventListener(
+		'click',
+		() => form.scrollIntoView( { behavior: 'smooth' } )
+	);
 
-		try {
-			// console.log( 'BATP Analytics:', action, venueId, finalMeta );
-			await fetch( eventsUrl, {
-				method: 'POST',
-				keepalive: true,
-				headers: {
-					'Content-Type': 'application/json',
-					...( restNonce ? { 'X-WP-Nonce': restNonce } : {} ),
-				},
-				body: JSON.stringify( {
-					action_type: action,
-					venue_id: venueId,
-					metadata: finalMeta,
-					nonce,
-				} ),
-			} );
-		} catch ( err ) {
-			// Silent fail
-			console.warn( 'Analytics fail', err );
+	const shareModal = root.querySelector( '[data-batp-modal="share"]' );
+	if ( shareModal ) {
+		const nativeShareBtn = shareModal.querySelector(
+			'[data-batp-share="native"]'
+		);
+		if ( nativeShareBtn && typeof navigator.share === 'function' ) {
+			nativeShareBtn.hidden = false;
 		}
-	};
+
+		shareModal.addEventListener( 'click', async ( e ) => {
+			const button = e.target.closest( '[data-batp-share]' );
+			if ( ! button || ! getShareContent ) {
+				return;
+			}
+
+			const channel = button.dataset.batpShare;
+			const { stops, url } = getShareContent();
+			const metadata = { stops: stops.length };
+
+			if ( channel === 'native' ) {
+				try {
+					await navigator.share( {
+						title: SHARE_TITLE,
+						text: buildShareText( stops ),
+						...( url ? { url } : {} ),
+					} );
+					trackEvent( 'share_native', null, metadata );
+					extensions.emit( 'share', { channel, stops, url } );
+				} catch ( error ) {
+					// AbortError means the user closed the share sheet.
+					if ( error.name !== 'AbortError' ) {
+						console.warn( 'BATP Share failed:', error );
+					}
+				}
+				return;
+			}
+
+			trackEvent( `share_${ channel }`, null, metadata );
+			extensions.emit( 'share', { channel, stops, url } );
+			window.location.href =
+				channel === 'sms'
+					? buildSmsUrl( buildSmsBody( stops, url ) )
+					: buildMailtoUrl( stops, url );
+		} );
+	}
+
+	// Stop Editing (buttons and drag-to-reorder)
+	if ( listOutput ) {
+		let dragIndex = null;
+
+		listOutput.addEventListener( 'click', ( e ) => {
+			const control = e.target.closest( '[data-batp-stop-action]' );
+			const card = control?.closest( '[data-stop-index]' );
+			if ( control && card && editItinerary ) {
+				editItinerary(
+					control.dataset.batpStopAction,
+					Number( card.dataset.stopIndex ),
+					control.dataset.slug
+				);
+			}
+		} );
+
+		listOutput.addEventListener( 'dragstart', ( e ) => {
+			const card = e.target.closest( '[data-stop-index]' );
+			if ( ! card ) {
+				return;
+			}
+			dragIndex = Number( card.dataset.stopIndex );
+			card.classList.add( 'is-dragging' );
+			e.dataTransfer.effectAllowed = 'move';
+			e.dataTransfer.setData( 'text/plain', String( dragIndex ) );
+		} );
+
+		listOutput.addEventListener( 'dragover', ( e ) => {
+			const card = e.target.closest( '[data-stop-index]' );
+			if ( dragIndex === null || ! card ) {
+				return;
+			}
+			e.preventDefault();
+			listOutput
+				.querySelectorAll( '.is-drop-target' )
+				.forEach( ( el ) => el.classList.remove( 'is-drop-target' ) );
+			card.classList.add( 'is-drop-target' );
+		} );
+
+		listOutput.addEventListener( 'drop', ( e ) => {
+			const card = e.target.closest( '[data-stop-index]' );
+			if ( dragIndex === null || ! card || ! editItinerary ) {
+				return;
+			}
+			e.preventDefault();
+			editItinerary(
+				'move',
+				dragIndex,
+				Number( card.dataset.stopIndex )
+			);
+		} );
+
+		listOutput.addEventListener( 'dragend', () => {
+			dragIndex = null;
+			listOutput
+				.querySelectorAll( '.is-dragging, .is-drop-target' )
+				.forEach( ( el ) =>
+					el.classList.remove( 'is-dragging', 'is-drop-target' )
+				);
+		} );
+	}
 
 	// Event Delegation
 	if ( listOutput ) {
@@ -539,26 +1512,381 @@ const initItineraryForm = () => {
 		} );
 	}
 
+	// 9. Variants: comparison columns above the tabs. Promoting one renders
+	// it in the list and map views and saves it to the current trip.
+	const showVariants = ( response, activeId = null ) => {
+		if ( ! variantsEl ) {
+			return;
+		}
+		const variants = getVariants( response );
+		variantResponse = variants.length ? response : null;
+		activeVariantId = variants.length ? activeId || variants[ 0 ].id : null;
+		variantsEl.hidden = ! variantResponse;
+		variantsEl.querySelector( '[data-batp-variants-list]' ).innerHTML =
+			variantResponse
+				? renderVariantColumns( variants, {
+						candidateMap: buildCandidateMap(
+							response.candidates || []
+						),
+						activeId: activeVariantId,
+				  } )
+				: '';
+	};
+
+	if ( variantsEl ) {
+		variantsEl.addEventListener( 'click', ( e ) => {
+			const button = e.target.closest( '[data-batp-variant]' );
+			const variant =
+				button &&
+				getVariants( variantResponse ).find(
+					( v ) => v.id === button.dataset.batpVariant
+				);
+			if ( ! variant ) {
+				return;
+			}
+
+			const response = {
+				itinerary: variant.itinerary,
+				candidates: variantResponse.candidates || [],
+			};
+			if ( currentTripId ) {
+				try {
+					tripStore.updateTrip( currentTripId, { response } );
+				} catch ( error ) {
+					console.warn( 'BATP Trip not updated:', error );
+				}
+			}
+			showVariants( variantResponse, variant.id );
+			renderResults( response, form.dataset.googleMapsKey );
+			variantsEl.querySelector( '.batp-variant.is-active' )?.focus();
+		} );
+	}
+
+	// 6. Shared Itinerary Restore
+	const applyRequestToForm = ( request ) => {
+		const setValue = ( name, value ) => {
+			const field = form.querySelector( `[name="${ name }"]` );
+			if ( field && value !== null && value !== undefined ) {
+				field.value = value;
+			}
+		};
+
+		setValue( 'neighborhood', request.neighborhood );
+		setValue( 'party_size', clampPartySize( request.party_size ) );
+		setValue( 'variants', clampVariants( request.variants ) );
+		setValue( 'start_time', normalizeStartTime( request.start_time ) );
+		// Past dates (from old trips or links) leave today's date in place.
+		const tripDate = normalizeTripDate( request.date );
+		if ( tripDate && tripDate >= todayInNewYork() ) {
+			setValue( 'trip_date', tripDate );
+		}
+		setValue( 'latitude', request.latitude ?? '' );
+		setValue( 'longitude', request.longitude ?? '' );
+		form.classList.toggle(
+			'is-geolocated',
+			request.latitude !== null && request.longitude !== null
+		);
+
+		const durationSelect = form.querySelector( 'select[name="duration"]' );
+		if (
+			durationSelect &&
+			Array.from( durationSelect.options ).some(
+				( option ) => option.value === String( request.duration )
+			)
+		) {
+			durationSelect.value = String( request.duration );
+		}
+
+		const budgetInput = form.querySelector(
+			`input[name="budget"][value="${ request.budget }"]`
+		);
+		if ( budgetInput ) {
+			budgetInput.checked = true;
+		}
+
+		const accessibility = normalizeAccessibility( request.accessibility );
+		chips.forEach( ( input ) => {
+			input.checked = (
+				input.name === 'accessibility[]'
+					? accessibility
+					: request.interests
+			).includes( input.value );
+			input
+				.closest( '.batp-form__chip' )
+				.classList.toggle( 'is-selected', input.checked );
+		} );
+	};
+
+	const restoreSharedItinerary = async () => {
+		const token = readShareToken();
+		if ( ! token || ! form.dataset.apiUrl ) {
+			return;
+		}
+
+		let shared;
+		try {
+			shared = decodeShareState( token );
+		} catch ( error ) {
+			console.warn( 'BATP Share link rejected:', error );
+			showNotice(
+				`${ error.message } Please generate a new itinerary below.`
+			);
+			return;
+		}
+
+		applyRequestToForm( shared.request );
+
+		const venuesUrl = form.dataset.apiUrl.replace(
+			'/itinerary',
+			'/venues'
+		);
+		const restNonce = form.dataset.restNonce;
+		const slugs = shared.items.map( ( item ) => item.slug );
+
+		try {
+			const response = await fetch(
+				`${ venuesUrl }?slugs=${ encodeURIComponent(
+					slugs.join( ',' )
+				) }`,
+				{
+					headers: restNonce ? { 'X-WP-Nonce': restNonce } : {},
+				}
+			);
+			const result = await response.json();
+			if ( ! response.ok ) {
+				throw new Error( result.message || 'Error loading venues' );
+			}
+
+			const candidates = result.candidates || [];
+			const candidateMap = buildCandidateMap( candidates );
+			const items = shared.items
+				.filter( ( item ) => candidateMap.has( item.slug ) )
+				.map( ( item ) => ( {
+					...item,
+					title:
+						candidateMap.get( item.slug ).data?.name || item.slug,
+				} ) );
+
+			const messages = [];
+			if ( items.length < shared.items.length ) {
+				const missing = shared.items.length - items.length;
+				messages.push(
+					`${ missing } stop${
+						missing === 1 ? ' is' : 's are'
+					} no longer available and ${
+						missing === 1 ? 'was' : 'were'
+					} removed.`
+				);
+			}
+			if ( shared.isStale ) {
+				messages.push(
+					shared.createdAt
+						? `This shared itinerary is from ${ shared.createdAt.toLocaleDateString() }; hours and details may have changed.`
+						: 'This shared itinerary is old; hours and details may have changed.'
+				);
+			}
+
+			if ( items.length === 0 ) {
+				showNotice(
+					'None of the stops in this shared itinerary are available anymore. Please generate a new one.'
+				);
+				return;
+			}
+
+			showNotice( messages.join( ' ' ) );
+			currentRequest = shared.request;
+			resultFilters = shared.filters;
+			currentTripId = null;
+			tripsDrawer?.setActiveTrip( null );
+			showVariants( null );
+			renderResults(
+				{
+					itinerary: { items, meta: {} },
+					candidates,
+				},
+				form.dataset.googleMapsKey
+			);
+		} catch ( error ) {
+			console.error( 'BATP Share restore error:', error );
+			showNotice(
+				'We could not load this shared itinerary. Please try again later.'
+			);
+		}
+	};
+
+	// 7. My Trips
+	const tripsToggle = root.querySelector( '[data-batp-trips-toggle]' );
+	tripsDrawer = createTripsDrawer(
+		root.querySelector( '[data-batp-trips]' ),
+		{
+			toggle: tripsToggle,
+			store: tripStore,
+			onOpenTrip: ( trip ) => {
+				showNotice( '' );
+				applyRequestToForm( trip.request );
+				currentRequest = trip.request;
+				resultFilters = trip.filters;
+				currentTripId = trip.id;
+				showVariants( null );
+				renderResults( trip.response, form.dataset.googleMapsKey );
+			},
+			onUseSearch: ( request ) => {
+				applyRequestToForm( request );
+				form.scrollIntoView( { behavior: 'smooth' } );
+				form.querySelector( 'input, select' )?.focus();
+			},
+		}
+	);
+	if ( tripsDrawer && tripStore.isAvailable ) {
+		tripsToggle.hidden = false;
+	}
+
+	// 8. Refinement ("swap the bar for something quieter")
+	const refineForm = root.querySelector( '[data-batp-refine]' );
+	if ( refineForm ) {
+		const refineInput = refineForm.elements.batp_refine_instruction;
+		const refineSubmit = refineForm.querySelector(
+			'button[type="submit"]'
+		);
+		const refineStatus = refineForm.querySelector(
+			'[data-batp-refine-status]'
+		);
+		const setRefineStatus = ( message, isError = false ) => {
+			refineStatus.textContent = message;
+			refineStatus.classList.toggle( 'is-error', isError );
+		};
+
+		refineForm.addEventListener( 'click', ( e ) => {
+			const suggestion = e.target.closest(
+				'[data-batp-refine-suggestion]'
+			);
+			if ( suggestion ) {
+				refineInput.value = suggestion.dataset.batpRefineSuggestion;
+				refineInput.focus();
+			}
+		} );
+
+		refineForm.addEventListener( 'submit', async ( e ) => {
+			e.preventDefault();
+			const instruction = refineInput.value.trim();
+			if ( ! instruction || ! refineItinerary ) {
+				refineInput.focus();
+				return;
+			}
+
+			refineSubmit.disabled = true;
+			refineForm.classList.add( 'is-loading' );
+			setRefineStatus( 'Updating your plan…' );
+			try {
+				setRefineStatus( await refineItinerary( instruction ) );
+				refineInput.value = '';
+				// The comparison no longer matches the plan on screen.
+				showVariants( null );
+			} catch ( error ) {
+				console.error( 'BATP Refine error:', error );
+				const descriptor = describeError( error );
+				setRefineStatus(
+					`${ descriptor.title }. ${ descriptor.hint }`,
+					true
+				);
+			} finally {
+				refineSubmit.disabled = false;
+				refineForm.classList.remove( 'is-loading' );
+			}
+		} );
+	}
+
 	// 4. Form Submission
 	form.addEventListener( 'submit', async ( event ) => {
 		event.preventDefault();
 
-		const nonce = form.dataset.nonce;
-		const restNonce = form.dataset.restNonce;
 		const apiUrl = form.dataset.apiUrl;
 		const apiKey = form.dataset.googleMapsKey;
 
-		if ( ! nonce || ! apiUrl ) {
+		if ( ! form.dataset.nonce || ! apiUrl ) {
 			return;
 		}
 
-		const formData = new FormData( form );
-		const payload = {
-			neighborhood: formData.get( 'neighborhood' ),
-			interests: formData.getAll( 'interests[]' ),
-			budget: formData.get( 'budget' ),
-			duration: Number( formData.get( 'duration' ) ) * 60,
-			nonce,
+		const request = readFormRequest( form );
+		const payload = extensions.filter(
+			'request-payload',
+			toApiPayload( request ),
+			{ request, form }
+		);
+		if (
+			! extensions.emit(
+				'before-submit',
+				{ payload, request, form },
+				{ cancelable: true }
+			)
+		) {
+			return;
+		}
+
+		try {
+			tripStore.addHistory( request );
+		} catch ( error ) {
+			console.warn( 'BATP Search not saved:', error );
+		}
+
+		// Progress: each attempt gets its own token so a retry starts with a
+		// clean stage list. Cancel aborts the request (and any pending retry)
+		// and asks the engine to stop before its next stage.
+		const controller = new AbortController();
+		let progressUrl = null;
+		let stopPolling = () => {};
+
+		const cancelBtn = progressEl?.querySelector(
+			'[data-batp-progress-cancel]'
+		);
+		if ( cancelBtn ) {
+			cancelBtn.onclick = () => {
+				controller.abort();
+				if ( progressUrl ) {
+					fetch( progressUrl, {
+						method: 'DELETE',
+						keepalive: true,
+						headers: {
+							'Content-Type': 'application/json',
+							...restHeaders(),
+						},
+						body: JSON.stringify( { nonce: form.dataset.nonce } ),
+					} ).catch( () => {} );
+				}
+			};
+		}
+
+		const requestItinerary = async () => {
+			const progressToken = createProgressToken();
+			progressUrl = `${ apiUrl.replace(
+				/\/$/,
+				''
+			) }/progress/${ progressToken }`;
+
+			stopPolling();
+			if ( progressPanel ) {
+				progressPanel.start();
+				stopPolling = pollProgress( progressUrl, {
+					headers: restHeaders(),
+					onUpdate: progressPanel.update,
+				} );
+			}
+
+			const response = await fetch( apiUrl, {
+				method: 'POST',
+				signal: controller.signal,
+				headers: {
+					'Content-Type': 'application/json',
+					...restHeaders(),
+				},
+				body: JSON.stringify( {
+					...payload,
+					nonce: form.dataset.nonce,
+					progress_token: progressToken,
+				} ),
+			} );
+
+			return readJsonResponse( response );
 		};
 
 		// UI State: Loading
@@ -566,38 +1894,79 @@ const initItineraryForm = () => {
 		const originalBtnText = submitBtn.innerHTML;
 		submitBtn.disabled = true;
 		submitBtn.innerHTML = 'Generating Plan...';
+		showNotice( '' );
 
 		try {
-			const response = await fetch( apiUrl, {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/json',
-					...( restNonce ? { 'X-WP-Nonce': restNonce } : {} ),
+			const result = await withRetry( requestItinerary, {
+				signal: controller.signal,
+				refreshNonce: () => refreshNonce( controller.signal ),
+				onRetry: ( attempt, delay, descriptor ) => {
+					stopPolling();
+					showNotice(
+						`${ descriptor.title }. Retrying in ${ Math.ceil(
+							delay / 1000
+						) }s (attempt ${ attempt + 1 })…`
+					);
 				},
-				body: JSON.stringify( payload ),
 			} );
 
-			const result = await response.json();
-
-			if ( ! response.ok ) {
-				throw new Error(
-					result.message || 'Error generating itinerary'
-				);
+			showNotice( '' );
+			currentRequest = request;
+			currentTripId = null;
+			if ( result.itinerary?.items?.length ) {
+				try {
+					currentTripId = tripStore.saveTrip( {
+						request,
+						response: {
+							itinerary: result.itinerary,
+							candidates: result.candidates || [],
+						},
+						filters: resultFilters,
+					} ).id;
+				} catch ( error ) {
+					console.warn( 'BATP Trip not saved:', error );
+				}
 			}
-
+			tripsDrawer?.setActiveTrip( currentTripId );
+			showVariants( result );
 			renderResults( result, apiKey );
 		} catch ( error ) {
-			console.error( 'BATP Error:', error );
-			alert( 'Error: ' + error.message );
+			if ( error.name === 'AbortError' ) {
+				showNotice( 'Itinerary generation was cancelled.' );
+			} else {
+				showNotice( '' );
+				console.error( 'BATP Error:', error );
+				showResultsState( describeError( error ), {
+					// Rate limits need a pause, not another click.
+					onRetry:
+						error.code === 'batp_rate_limited'
+							? null
+							: () => form.requestSubmit(),
+				} );
+			}
 		} finally {
+			stopPolling();
+			if ( progressPanel ) {
+				progressPanel.stop();
+			}
 			submitBtn.disabled = false;
 			submitBtn.innerHTML = originalBtnText;
 		}
 	} );
+
+	if ( restoreUrl ) {
+		restoreSharedItinerary();
+	}
 };
 
+// A shared link opens in the first planner on the page.
+const initAll = () =>
+	document
+		.querySelectorAll( FORM_SELECTOR )
+		.forEach( ( form, index ) => initItineraryForm( form, index === 0 ) );
+
 if ( document.readyState !== 'loading' ) {
-	initItineraryForm();
+	initAll();
 } else {
-	document.addEventListener( 'DOMContentLoaded', initItineraryForm );
+	document.addEventListener( 'DOMContentLoaded', initAll );
 }
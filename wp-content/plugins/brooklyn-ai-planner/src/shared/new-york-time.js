@@ -0,0 +1,18 @@
+/**
+ * Brooklyn's time zone, shared by the planner block and the admin reports.
+ */
+
+export const TIMEZONE = 'America/New_York';
+
+/**
+ * Returns today's date in New York as YYYY-MM-DD (for date inputs).
+ *
+ * @return {string} ISO calendar date.
+ */
+export const todayInNewYork = () =>
+	new Intl.DateTimeFormat( 'en-CA', {
+		timeZone: TIMEZONE,
+		year: 'numeric',
+		month: '2-digit',
+		day: '2-digit',
+	} ).format( new Date() );
@@ -51,10 +51,14 @@ test( 'Block should insert and render in editor', async ( { page } ) => {
 	await expect( blockWrapper ).toBeVisible();
 
 	// Verify default text
-	await expect( blockWrapper.locator( 'h2' ) ).toHaveText( '' ); // Initially empty or placeholder
+	await expect(
+		blockWrapper.locator( '.batp-itinerary-block__heading' )
+	).toHaveText( '' ); // Initially empty or placeholder
 
 	// 5. Edit Block Attributes
-	await blockWrapper.locator( 'h2' ).fill( 'My Brooklyn Trip' );
+	await blockWrapper
+		.locator( '.batp-itinerary-block__heading' )
+		.fill( 'My Brooklyn Trip' );
 	await blockWrapper
 		.locator( '.batp-itinerary-block__subheading' )
 		.fill( 'Exploring the best pizza.' );
@@ -62,7 +66,7 @@ test( 'Block should insert and render in editor', async ( { page } ) => {
 	// 6. Publish (Optional smoke test for saving)
 	// Note: Saving usually requires handling pre-publish checks.
 	// For now, we verify the block content updated in the DOM.
-	await expect( blockWrapper.locator( 'h2' ) ).toHaveText(
-		'My Brooklyn Trip'
-	);
+	await expect(
+		blockWrapper.locator( '.batp-itinerary-block__heading' )
+	).toHaveText( 'My Brooklyn Trip' );
 } );
@@ -71,10 +71,61 @@ test.describe( 'Brooklyn AI Planner Block Frontend', () => {
 			form.locator( 'input[name="neighborhood"]' )
 		).toBeVisible();
 		await expect( form.locator( 'select[name="duration"]' ) ).toBeVisible(); // Duration dropdown
+		await expect(
+			form.locator( 'input[name="trip_date"]' )
+		).not.toHaveValue( '' ); // Defaults to today
+		await expect( form.locator( 'input[name="start_time"]' ) ).toHaveValue(
+			'10:00'
+		);
 
 		// Check chips
-		const chips = form.locator( '.batp-form__chip' );
+		const chips = form.locator(
+			'.batp-form__chip:has(input[name="interests[]"])'
+		);
 		await expect( chips ).toHaveCount( 10 ); // 10 interests
+
+		// Budget, party size and accessibility controls
+		await expect( form.locator( 'input[name="budget"]' ) ).toHaveCount( 3 );
+		await expect(
+			form.locator( 'input[name="budget"][value="medium"]' )
+		).toBeChecked();
+		await expect( form.locator( 'input[name="party_size"]' ) ).toHaveValue(
+			'2'
+		);
+		await expect(
+			form.locator( 'input[name="accessibility[]"]' )
+		).toHaveCount( 3 );
+		await expect(
+			form.locator( 'select[name="variants"] option' )
+		).toHaveCount( 3 );
+		await expect( page.locator( '[data-batp-variants]' ) ).toBeHidden();
+
+		// Result filter and sort controls
+		const filterModal = page.locator( '[data-batp-modal="filter"]' );
+		await expect(
+			filterModal.locator( 'input[name="batp_filter_open_now"]' )
+		).toHaveCount( 1 );
+		await expect(
+			filterModal.locator( 'select[name="batp_filter_sort"] option' )
+		).toHaveCount( 4 );
+		await expect(
+			page.locator( '[data-batp-active-filters]' )
+		).toBeHidden();
+
+		// My trips drawer is enabled by the view script and starts closed
+		await expect(
+			page.locator( '[data-batp-trips-toggle]' )
+		).toBeVisible();
+		await expect( page.locator( '[data-batp-trips]' ) ).toBeHidden();
+
+		// Email and SMS share actions
+		const shareModal = page.locator( '[data-batp-modal="share"]' );
+		await expect(
+			shareModal.locator( '[data-batp-share="email"]' )
+		).toHaveCount( 1 );
+		await expect(
+			shareModal.locator( '[data-batp-share="sms"]' )
+		).toHaveCount( 1 );
 	} );
 
 	test( 'Should handle form submission and show loading state', async ( {
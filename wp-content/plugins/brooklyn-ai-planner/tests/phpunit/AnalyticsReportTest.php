@@ -0,0 +1,119 @@
+<?php
+
+use BrooklynAI\Analytics_Report;
+
+class AnalyticsReportTest extends \PHPUnit\Framework\TestCase {
+	private function range(): array {
+		$zone = new DateTimeZone( Analytics_Report::TIMEZONE );
+		return array(
+			new DateTimeImmutable( '2026-10-01', $zone ),
+			new DateTimeImmutable( '2026-10-04', $zone ),
+		);
+	}
+
+	public function test_summarize_buckets_days_in_new_york_time(): void {
+		list( $start, $end ) = $this->range();
+
+		$report = Analytics_Report::summarize(
+			array(
+				// 01:30 UTC on Oct 2 is still Oct 1 in New York.
+				array(
+					'action_type' => 'website_click',
+					'venue_id'    => 'v1',
+					'created_at'  => '2026-10-02T01:30:00+00:00',
+				),
+				array(
+					'action_type' => 'phone_click',
+					'venue_id'    => 'v1',
+					'created_at'  => '2026-10-03T15:00:00.123456+00:00',
+				),
+				// Outside the range.
+				array(
+					'action_type' => 'website_click',
+					'venue_id'    => 'v1',
+					'created_at'  => '2026-10-04T05:00:00+00:00',
+				),
+			),
+			$start,
+			$end
+		);
+
+		$this->assertSame( array( '2026-10-01', '2026-10-02', '2026-10-03' ), array_column( $report['series'], 'date' ) );
+		$this->assertSame( array( 1, 0, 0 ), array_column( $report['series'], 'website_click' ) );
+		$this->assertSame( array( 0, 0, 1 ), array_column( $report['series'], 'phone_click' ) );
+		$this->assertSame( '2026-10-03', $report['to'] );
+		$this->assertSame( 2, $report['venues'][0]['clicks'] );
+	}
+
+	public function test_summarize_counts_itineraries_interests_and_stage_failures(): void {
+		list( $start, $end ) = $this->range();
+		$at                  = '2026-10-02T16:00:00+00:00';
+
+		$report = Analytics_Report::summarize(
+			array(
+				array(
+					'action_type' => 'engine_stage_complete',
+					'metadata'    => array(
+						'stage'     => 'llm',
+						'interests' => array( 'food', 'art' ),
+					),
+					'created_at'  => $at,
+				),
+				array(
+					'action_type' => 'engine_stage_complete',
+					'metadata'    => array(
+						'stage'     => 'cache_hit',
+						'interests' => array( 'food' ),
+					),
+					'created_at'  => $at,
+				),
+				array(
+					'action_type' => 'engine_stage_complete',
+					'metadata'    => array( 'stage' => 'kmeans' ),
+					'created_at'  => $at,
+				),
+				array(
+					'action_type' => 'engine_error',
+					'metadata'    => array(
+						'stage' => 'llm',
+						'code'  => 'batp_gemini_timeout',
+					),
+					'created_at'  => $at,
+				),
+				array(
+					'action_type' => 'card_impression',
+					'venue_id'    => 'v2',
+					'created_at'  => $at,
+				),
+			),
+			$start,
+			$end
+		);
+
+		$this->assertSame( 2, $report['totals']['itineraries'] );
+		$this->assertSame(
+			array(
+				array(
+					'interest'    => 'food',
+					'itineraries' => 2,
+					'share'       => 1.0,
+				),
+				array(
+					'interest'    => 'art',
+					'itineraries' => 1,
+					'share'       => 0.5,
+				),
+			),
+			$report['interests']
+		);
+
+		$stages = array_column( $report['stages'], null, 'stage' );
+		$this->assertSame( 0.5, $stages['llm']['failure_rate'] );
+		$this->assertSame( array( 'batp_gemini_timeout' => 1 ), $stages['llm']['codes'] );
+		$this->assertSame( 0.0, $stages['kmeans']['failure_rate'] );
+		$this->assertSame( 'llm', $report['stages'][0]['stage'] );
+
+		$this->assertSame( 1, $report['venues'][0]['impressions'] );
+		$this->assertSame( 0, $report['venues'][0]['clicks'] );
+	}
+}
@@ -86,6 +86,113 @@ class EngineTest extends TestCase {
 		$this->assertEquals( 'batp_rate_limited', $result->get_error_code() );
 	}
 
+	public function test_guardrails_rejects_origin_outside_brooklyn() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+
+		// Midtown Manhattan.
+		$result = $this->engine->generate_itinerary(
+			array(
+				'nonce'     => 'good_token',
+				'latitude'  => 40.7549,
+				'longitude' => -73.9840,
+			)
+		);
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertEquals( 'batp_out_of_area', $result->get_error_code() );
+	}
+
+	public function test_guardrails_rejects_invalid_party_size() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+
+		$result = $this->engine->generate_itinerary(
+			array(
+				'nonce'      => 'good_token',
+				'party_size' => 0,
+			)
+		);
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertEquals( 'batp_invalid_input', $result->get_error_code() );
+	}
+
+	public function test_guardrails_logs_success_for_stage_failure_rates() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+
+		$cached = array(
+			'itinerary'  => array( 'items' => array() ),
+			'candidates' => array(),
+		);
+		$this->cache->method( 'get' )->willReturn( $cached );
+
+		$logged = array();
+		$this->analytics->method( 'log' )->willReturnCallback(
+			function ( $action, $context ) use ( &$logged ) {
+				$logged[] = $action . ':' . $context['metadata']['stage'];
+			}
+		);
+
+		$result = $this->engine->generate_itinerary( array( 'nonce' => 'good_token' ) );
+
+		$this->assertSame( $cached, $result );
+		$this->assertSame(
+			array( 'engine_stage_complete:guardrails', 'engine_stage_complete:cache_hit' ),
+			$logged
+		);
+	}
+
+	public function test_cancelled_generation_stops_before_next_stage() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+
+		$store = array();
+		$this->cache->method( 'get' )->willReturnCallback(
+			function ( $context, $payload ) use ( &$store ) {
+				return $store[ $context . json_encode( $payload ) ] ?? false;
+			}
+		);
+		$this->cache->method( 'set' )->willReturnCallback(
+			function ( $context, $payload, $value ) use ( &$store ) {
+				$store[ $context . json_encode( $payload ) ] = $value;
+			}
+		);
+
+		// Polling has seen the request running.
+		$token = 'abcdef0123456789abcdef0123456789';
+		$store[ 'progress' . json_encode( array( 'token' => $token ) ) ] = array(
+			'status' => 'running',
+			'stages' => array(),
+		);
+		$this->assertTrue( $this->engine->cancel_generation( $token ) );
+
+		$this->pinecone->expects( $this->never() )->method( 'query' );
+
+		$result = $this->engine->generate_itinerary(
+			array(
+				'nonce'          => 'good_token',
+				'progress_token' => $token,
+			)
+		);
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertEquals( 'batp_cancelled', $result->get_error_code() );
+
+		$progress = $this->engine->get_progress( $token );
+		$this->assertSame( 'cancelled', $progress['status'] );
+		$this->assertSame( 'done', $progress['stages']['guardrails'] );
+	}
+
+	public function test_cancel_generation_without_progress_writes_nothing() {
+		$this->cache->method( 'get' )->willReturn( false );
+		$this->cache->expects( $this->never() )->method( 'set' );
+
+		$this->assertFalse( $this->engine->cancel_generation( 'abcdef0123456789abcdef0123456789' ) );
+		$this->assertFalse( $this->engine->cancel_generation( 'not a token' ) );
+	}
+
 	public function test_kmeans_lookup_success() {
 		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
 		\Brain\Monkey\Functions\expect( 'wp_json_encode' )->andReturn( '{"hash":"123"}' );
@@ -593,6 +700,177 @@ class EngineTest extends TestCase {
 		$this->assertTrue( in_array( 'llm', $result['candidates'][0]['sources'], true ) );
 	}
 
+	public function test_variants_rerun_llm_ordering_with_pace() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+		$this->cache->method( 'get' )->willReturn( false );
+		$this->pinecone->method( 'query' )->willReturn(
+			array(
+				'matches' => array(
+					array(
+						'id'    => 'venue-1',
+						'score' => 0.9,
+					),
+				),
+			)
+		);
+		$this->supabase->method( 'select_in' )
+			->willReturnCallback(
+				function ( $table ) {
+					return 'venues' === $table
+						? array(
+							array(
+								'slug' => 'venue-1',
+								'name' => 'Venue One',
+							),
+						)
+						: array();
+				}
+			);
+		$this->set_gemini_response(
+			$this->mock_llm_payload(
+				array(
+					array(
+						'slug'  => 'venue-1',
+						'title' => 'Venue One',
+					),
+				)
+			)
+		);
+
+		$paces = array();
+		$this->cache->method( 'set' )
+			->willReturnCallback(
+				function ( $group, $key ) use ( &$paces ) {
+					if ( 'llm' === $group ) {
+						$paces[] = $key['context']['profile']['pace'] ?? 'balanced';
+					}
+				}
+			);
+
+		$result = $this->engine->generate_itinerary(
+			array(
+				'nonce'     => 'good_token',
+				'interests' => array(),
+				'variants'  => 3,
+			)
+		);
+
+		$this->assertIsArray( $result );
+		$this->assertEquals( array( 'balanced', 'relaxed', 'packed' ), array_column( $result['variants'], 'id' ) );
+		$this->assertEquals( array( 'balanced', 'relaxed', 'packed' ), $paces );
+		$this->assertEquals( $result['itinerary'], $result['variants'][0]['itinerary'] );
+	}
+
+	public function test_guardrails_rejects_too_many_variants() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+
+		$result = $this->engine->generate_itinerary(
+			array(
+				'nonce'     => 'good_token',
+				'interests' => array(),
+				'variants'  => 4,
+			)
+		);
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertEquals( 'batp_invalid_input', $result->get_error_code() );
+	}
+
+	public function test_guardrails_rejects_invalid_start_time() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+
+		$result = $this->engine->generate_itinerary(
+			array(
+				'nonce'      => 'good_token',
+				'interests'  => array(),
+				'start_time' => '2026-02-30T10:00',
+			)
+		);
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertEquals( 'batp_invalid_input', $result->get_error_code() );
+	}
+
+	public function test_filters_drop_venues_closed_during_trip_window() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+		$this->cache->method( 'get' )->willReturn( false );
+
+		$this->pinecone->method( 'query' )->willReturn(
+			array(
+				'matches' => array(
+					array(
+						'id'    => 'day-cafe',
+						'score' => 0.9,
+					),
+					array(
+						'id'    => 'night-bar',
+						'score' => 0.8,
+					),
+					array(
+						'id'    => 'unknown-hours',
+						'score' => 0.7,
+					),
+				),
+			)
+		);
+
+		$this->supabase->method( 'select_in' )
+			->willReturnCallback(
+				function ( $table ) {
+					if ( 'venues' !== $table ) {
+						return array();
+					}
+
+					return array(
+						array(
+							'slug'  => 'day-cafe',
+							'name'  => 'Day Cafe',
+							'hours' => wp_json_encode( array( 'weekday_text' => array( 'Monday: 8 AM – 4 PM' ) ) ),
+						),
+						array(
+							'slug'  => 'night-bar',
+							'name'  => 'Night Bar',
+							'hours' => array(
+								'periods' => array(
+									array(
+										'open'  => array(
+											'day'  => 1,
+											'time' => '1800',
+										),
+										'close' => array(
+											'day'  => 2,
+											'time' => '0200',
+										),
+									),
+								),
+							),
+						),
+						array(
+							'slug' => 'unknown-hours',
+							'name' => 'Unknown Hours',
+						),
+					);
+				}
+			);
+
+		// Monday 10:00 for three hours.
+		$result = $this->engine->generate_itinerary(
+			array(
+				'nonce'       => 'good_token',
+				'interests'   => array(),
+				'time_window' => 180,
+				'start_time'  => '2026-10-19T10:00',
+			)
+		);
+
+		$this->assertIsArray( $result );
+		$this->assertEqualsCanonicalizing( array( 'day-cafe', 'unknown-hours' ), array_column( $result['candidates'], 'slug' ) );
+	}
+
 	public function test_llm_ordering_gemini_error_bubbles_up() {
 		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
 		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
@@ -643,6 +921,120 @@ class EngineTest extends TestCase {
 		$this->assertEquals( 'batp_gemini_error', $result->get_error_code() );
 	}
 
+	public function test_hydrate_candidates_keeps_requested_order_and_skips_missing() {
+		$this->supabase->expects( $this->once() )
+			->method( 'select_in' )
+			->with( 'venues', 'slug', array( 'venue-2', 'venue-1', 'venue-gone' ) )
+			->willReturn(
+				array(
+					array(
+						'slug' => 'venue-1',
+						'name' => 'Venue One',
+					),
+					array(
+						'slug' => 'venue-2',
+						'name' => 'Venue Two',
+					),
+				)
+			);
+		$this->gemini->expects( $this->never() )->method( 'generate_content' );
+
+		$result = $this->engine->hydrate_candidates( array( 'venue-2', 'venue-1', 'venue-gone' ) );
+
+		$this->assertIsArray( $result );
+		$this->assertCount( 2, $result );
+		$this->assertEquals( 'venue-2', $result[0]['slug'] );
+		$this->assertEquals( 'Venue One', $result[1]['data']['name'] );
+		$this->assertContains( 'permalink', $result[0]['sources'] );
+	}
+
+	public function test_refine_itinerary_reorders_existing_candidates_with_instruction() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+		$this->cache->method( 'get' )->willReturn( false );
+		$this->pinecone->expects( $this->never() )->method( 'query' );
+
+		$this->supabase->expects( $this->once() )
+			->method( 'select_in' )
+			->with( 'venues', 'slug', array( 'venue-1', 'venue-2', 'venue-3' ) )
+			->willReturn(
+				array(
+					array(
+						'slug' => 'venue-1',
+						'name' => 'Loud Bar',
+					),
+					array(
+						'slug' => 'venue-2',
+						'name' => 'Museum',
+					),
+					array(
+						'slug' => 'venue-3',
+						'name' => 'Quiet Wine Bar',
+					),
+				)
+			);
+
+		$this->set_gemini_response(
+			$this->mock_llm_payload(
+				array(
+					array(
+						'slug'  => 'venue-2',
+						'title' => 'Museum',
+					),
+					array(
+						'slug'  => 'venue-3',
+						'title' => 'Quiet Wine Bar',
+					),
+				)
+			)
+		);
+
+		// The LLM cache key carries the prompt context.
+		$context = null;
+		$this->cache->method( 'set' )
+			->willReturnCallback(
+				function ( $group, $key ) use ( &$context ) {
+					if ( 'llm' === $group ) {
+						$context = $key['context'];
+					}
+				}
+			);
+
+		$result = $this->engine->refine_itinerary(
+			array(
+				'nonce'           => 'good_token',
+				'interests'       => array(),
+				'instruction'     => 'swap the bar for something quieter',
+				'slugs'           => array( 'venue-1', 'venue-2' ),
+				'candidate_slugs' => array( 'venue-2', 'venue-3' ),
+			)
+		);
+
+		$this->assertIsArray( $result );
+		$this->assertEquals( array( 'venue-2', 'venue-3' ), array_column( $result['itinerary']['items'], 'slug' ) );
+		$this->assertEquals( 'swap the bar for something quieter', $result['meta']['instruction'] );
+		$this->assertEquals( 'swap the bar for something quieter', $context['refinement']['instruction'] );
+		$this->assertEquals( array( 'venue-1', 'venue-2' ), $context['refinement']['current_order'] );
+	}
+
+	public function test_refine_itinerary_requires_instruction() {
+		\Brain\Monkey\Functions\expect( 'wp_verify_nonce' )->andReturn( true );
+		$this->security->method( 'enforce_rate_limit' )->willReturn( true );
+		$this->gemini->expects( $this->never() )->method( 'generate_content' );
+
+		$result = $this->engine->refine_itinerary(
+			array(
+				'nonce'       => 'good_token',
+				'interests'   => array(),
+				'instruction' => '   ',
+				'slugs'       => array( 'venue-1' ),
+			)
+		);
+
+		$this->assertInstanceOf( WP_Error::class, $result );
+		$this->assertEquals( 'batp_invalid_input', $result->get_error_code() );
+	}
+
 	private function mock_llm_payload( array $items = array() ): array {
 		$payload = array(
 			'meta'  => array( 'summary' => 'Mock itinerary' ),
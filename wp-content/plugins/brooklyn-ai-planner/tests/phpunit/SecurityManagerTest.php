@@ -20,6 +20,14 @@ class SecurityManagerTest extends \PHPUnit\Framework\TestCase {
 		$this->assertSame( 'batp_rate_limited', $result->get_error_code() );
 	}
 
+	public function test_rate_limit_buckets_count_separately() {
+		$manager = new Security_Manager();
+
+		$this->assertTrue( $manager->enforce_rate_limit( '1.1.1.1', 'venues', 1 ) );
+		$this->assertInstanceOf( WP_Error::class, $manager->enforce_rate_limit( '1.1.1.1', 'venues', 1 ) );
+		$this->assertTrue( $manager->enforce_rate_limit( '1.1.1.1' ) );
+	}
+
 	public function test_sanitize_coordinates_returns_wp_error_on_invalid() {
 		$manager = new Security_Manager();
 		$result  = $manager->sanitize_coordinates(
@@ -0,0 +1,312 @@
+/**
+ * Internal dependencies
+ */
+import {
+	ANALYTICS_STORAGE_KEY,
+	createAnalyticsQueue,
+	createDwellTimer,
+	MAX_BATCH_SIZE,
+} from '../../src/brooklyn-ai-planner/frontend/analytics';
+
+const URL = 'https://example.com/wp-json/brooklyn-ai/v1/events';
+
+const createStorage = () => {
+	const data = new Map();
+	return {
+		getItem: ( key ) => ( data.has( key ) ? data.get( key ) : null ),
+		setItem: ( key, value ) => data.set( key, String( value ) ),
+	};
+};
+
+const createQueue = ( storage, options = {} ) =>
+	createAnalyticsQueue( {
+		url: URL,
+		getNonce: () => 'nonce-1',
+		getRestNonce: () => 'rest-1',
+		storage,
+		flushDelay: 1000,
+		...options,
+	} );
+
+const sentEvents = ( call ) => JSON.parse( call[ 1 ].body ).events;
+
+// jsdom's Blob has no text().
+const readBlob = ( blob ) =>
+	new Promise( ( resolve ) => {
+		const reader = new window.FileReader();
+		reader.onload = () => resolve( reader.result );
+		reader.readAsText( blob );
+	} );
+
+// Lets pending fetch promises and the code after them run.
+const settle = async () => {
+	for ( let i = 0; i < 5; i++ ) {
+		await Promise.resolve();
+	}
+};
+
+describe( 'createAnalyticsQueue', () => {
+	beforeEach( () => {
+		jest.useFakeTimers();
+		global.fetch = jest.fn( () => Promise.resolve( { ok: true } ) );
+	} );
+
+	afterEach( () => {
+		jest.useRealTimers();
+		delete global.fetch;
+		delete window.navigator.sendBeacon;
+	} );
+
+	it( 'sends queued events together after the delay', async () => {
+		const queue = createQueue( createStorage() );
+		queue.track( 'tab_switch', { metadata: { tab: 'map' } } );
+		queue.track( 'website_click', { venueId: 42 } );
+		expect( global.fetch ).not.toHaveBeenCalled();
+
+		jest.advanceTimersByTime( 1000 );
+		await queue.flush();
+
+		expect( global.fetch ).toHaveBeenCalledTimes( 1 );
+		const [ url, init ] = global.fetch.mock.calls[ 0 ];
+		expect( url ).toBe( URL );
+		expect( init.keepalive ).toBe( true );
+		expect( init.headers[ 'X-WP-Nonce' ] ).toBe( 'rest-1' );
+		expect( JSON.parse( init.body ).nonce ).toBe( 'nonce-1' );
+		expect( sentEvents( global.fetch.mock.calls[ 0 ] ) ).toEqual( [
+			expect.objectContaining( {
+				action_type: 'tab_switch',
+				metadata: expect.objectContaining( {
+					tab: 'map',
+					source: 'web_client',
+				} ),
+			} ),
+			expect.objectContaining( {
+				action_type: 'website_click',
+				venue_id: '42',
+			} ),
+		] );
+		expect( queue.pending ).toBe( 0 );
+	} );
+
+	it( 'flushes as soon as a batch is full', () => {
+		const queue = createQueue( createStorage() );
+		for ( let i = 0; i < MAX_BATCH_SIZE; i++ ) {
+			queue.track( 'card_impression' );
+		}
+
+		expect( global.fetch ).toHaveBeenCalledTimes( 1 );
+		expect( sentEvents( global.fetch.mock.calls[ 0 ] ) ).toHaveLength(
+			MAX_BATCH_SIZE
+		);
+	} );
+
+	it( 'sends a batch filled while another was in flight', async () => {
+		let deliver;
+		global.fetch.mockReturnValueOnce(
+			new Promise( ( resolve ) => ( deliver = resolve ) )
+		);
+		const queue = createQueue( createStorage() );
+		for ( let i = 0; i < MAX_BATCH_SIZE * 2; i++ ) {
+			queue.track( 'card_impression' );
+		}
+		expect( global.fetch ).toHaveBeenCalledTimes( 1 );
+
+		deliver( { ok: true } );
+		await settle();
+
+		expect( global.fetch ).toHaveBeenCalledTimes( 2 );
+		expect( sentEvents( global.fetch.mock.calls[ 1 ] ) ).toHaveLength(
+			MAX_BATCH_SIZE
+		);
+		await settle();
+		expect( queue.pending ).toBe( 0 );
+	} );
+
+	it( 'retries failed sends with backoff', async () => {
+		global.fetch.mockRejectedValue( new TypeError( 'offline' ) );
+		const queue = createQueue( createStorage() );
+		queue.track( 'tab_switch' );
+
+		jest.advanceTimersByTime( 1000 );
+		await settle();
+		expect( global.fetch ).toHaveBeenCalledTimes( 1 );
+
+		jest.advanceTimersByTime( 1999 );
+		expect( global.fetch ).toHaveBeenCalledTimes( 1 );
+		jest.advanceTimersByTime( 1 );
+		await settle();
+		expect( global.fetch ).toHaveBeenCalledTimes( 2 );
+
+		// Full batches wait for the backoff instead of sending at once.
+		for ( let i = 0; i < MAX_BATCH_SIZE; i++ ) {
+			queue.track( 'card_impression' );
+		}
+		jest.advanceTimersByTime( 3999 );
+		expect( global.fetch ).toHaveBeenCalledTimes( 2 );
+
+		global.fetch.mockResolvedValue( { ok: true } );
+		jest.advanceTimersByTime( 1 );
+		await settle();
+		expect( global.fetch ).toHaveBeenCalledTimes( 3 );
+		expect( queue.pending ).toBe( 1 );
+
+		// The remainder goes out after the normal delay.
+		jest.advanceTimersByTime( 1000 );
+		await settle();
+		expect( global.fetch ).toHaveBeenCalledTimes( 4 );
+		expect( queue.pending ).toBe( 0 );
+	} );
+
+	it( 'keeps events across reloads until the server accepts them', async () => {
+		const storage = createStorage();
+		global.fetch.mockRejectedValueOnce( new TypeError( 'offline' ) );
+
+		const first = createQueue( storage );
+		first.track( 'itinerary_shown' );
+		await first.flush();
+		expect( first.pending ).toBe( 1 );
+
+		const reloaded = createQueue( storage );
+		expect( reloaded.pending ).toBe( 1 );
+		await reloaded.flush();
+
+		expect( global.fetch ).toHaveBeenCalledTimes( 2 );
+		expect( reloaded.pending ).toBe( 0 );
+		expect(
+			JSON.parse( storage.getItem( ANALYTICS_STORAGE_KEY ) )
+		).toEqual( [] );
+	} );
+
+	it( 'retries server errors but drops rejected batches', async () => {
+		const queue = createQueue( createStorage() );
+		queue.track( 'tab_switch' );
+
+		global.fetch.mockResolvedValueOnce( { ok: false, status: 503 } );
+		await queue.flush();
+		expect( queue.pending ).toBe( 1 );
+
+		global.fetch.mockResolvedValueOnce( { ok: false, status: 400 } );
+		await queue.flush();
+		expect( queue.pending ).toBe( 0 );
+	} );
+
+	it( 'ignores corrupt stored queues', () => {
+		const storage = createStorage();
+		storage.setItem( ANALYTICS_STORAGE_KEY, '{not json' );
+		expect( createQueue( storage ).pending ).toBe( 0 );
+
+		storage.setItem(
+			ANALYTICS_STORAGE_KEY,
+			JSON.stringify( [ null, { action_type: 'tab_switch' }, 7 ] )
+		);
+		expect( createQueue( storage ).pending ).toBe( 1 );
+	} );
+
+	it( 'beacons everything with the REST nonce in the URL', () => {
+		window.navigator.sendBeacon = jest.fn( () => true );
+		const queue = createQueue( createStorage() );
+		for ( let i = 0; i < MAX_BATCH_SIZE - 1; i++ ) {
+			queue.track( 'card_impression' );
+		}
+
+		queue.flushWithBeacon();
+
+		expect( window.navigator.sendBeacon ).toHaveBeenCalledTimes( 1 );
+		const [ url, blob ] = window.navigator.sendBeacon.mock.calls[ 0 ];
+		expect( url ).toBe( `${ URL }?_wpnonce=rest-1` );
+		expect( blob.type ).toBe( 'application/json' );
+		expect( queue.pending ).toBe( 0 );
+		expect( global.fetch ).not.toHaveBeenCalled();
+	} );
+
+	it( 'does not beacon events a pending fetch is sending', async () => {
+		let deliver;
+		global.fetch.mockReturnValueOnce(
+			new Promise( ( resolve ) => ( deliver = resolve ) )
+		);
+		window.navigator.sendBeacon = jest.fn( () => true );
+		const storage = createStorage();
+		const queue = createQueue( storage );
+		queue.track( 'tab_switch' );
+		queue.track( 'website_click', { venueId: 7 } );
+
+		const flushing = queue.flush();
+		queue.track( 'dwell_time', { metadata: { seconds: 30 } } );
+		queue.flushWithBeacon();
+
+		expect( window.navigator.sendBeacon ).toHaveBeenCalledTimes( 1 );
+		const blob = window.navigator.sendBeacon.mock.calls[ 0 ][ 1 ];
+		expect(
+			JSON.parse( await readBlob( blob ) ).events.map(
+				( event ) => event.action_type
+			)
+		).toEqual( [ 'dwell_time' ] );
+		// Kept until the fetch succeeds.
+		expect( queue.pending ).toBe( 2 );
+		expect(
+			JSON.parse( storage.getItem( ANALYTICS_STORAGE_KEY ) )
+		).toHaveLength( 2 );
+
+		deliver( { ok: true } );
+		await flushing;
+		expect( queue.pending ).toBe( 0 );
+	} );
+
+	it( 'stores events the browser refuses to beacon', () => {
+		const storage = createStorage();
+		window.navigator.sendBeacon = jest.fn( () => false );
+		const queue = createQueue( storage );
+		queue.track( 'dwell_time', { metadata: { seconds: 30 } } );
+
+		queue.flushWithBeacon();
+
+		expect( queue.pending ).toBe( 1 );
+		expect( createQueue( storage ).pending ).toBe( 1 );
+	} );
+
+	it( 'waits for a nonce before sending', async () => {
+		const queue = createQueue( createStorage(), { getNonce: () => '' } );
+		queue.track( 'tab_switch' );
+		await queue.flush();
+
+		expect( global.fetch ).not.toHaveBeenCalled();
+		expect( queue.pending ).toBe( 1 );
+	} );
+} );
+
+describe( 'createDwellTimer', () => {
+	it( 'reports visible time per itinerary', () => {
+		let clock = 0;
+		const onReport = jest.fn();
+		const timer = createDwellTimer( onReport, () => clock );
+
+		timer.start( 'a' );
+		clock = 12000;
+		timer.pause();
+		clock = 60000;
+		timer.resume();
+		clock = 65000;
+		timer.start( 'b' );
+		clock = 65500;
+		timer.pause();
+
+		expect( onReport.mock.calls ).toEqual( [
+			[ 'a', 12 ],
+			[ 'a', 5 ],
+		] );
+	} );
+
+	it( 'does not report while paused', () => {
+		let clock = 0;
+		const onReport = jest.fn();
+		const timer = createDwellTimer( onReport, () => clock );
+
+		timer.start( 'a' );
+		clock = 5000;
+		timer.pause();
+		clock = 9000;
+		timer.pause();
+
+		expect( onReport ).toHaveBeenCalledTimes( 1 );
+	} );
+} );
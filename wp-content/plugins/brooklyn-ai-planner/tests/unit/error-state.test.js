@@ -0,0 +1,182 @@
+/**
+ * Internal dependencies
+ */
+import {
+	ApiError,
+	describeError,
+	withRetry,
+} from '../../src/brooklyn-ai-planner/frontend/error-state';
+
+const apiError = ( code, status = 400 ) => new ApiError( code, code, status );
+
+// Fails with each error in turn, then resolves.
+const failWith = ( ...errors ) => {
+	const queue = [ ...errors ];
+	return jest.fn( async () => {
+		if ( queue.length ) {
+			throw queue.shift();
+		}
+		return 'itinerary';
+	} );
+};
+
+describe( 'describeError', () => {
+	it( 'maps known codes', () => {
+		expect( describeError( apiError( 'batp_rate_limited', 429 ) ) ).toEqual(
+			expect.objectContaining( {
+				code: 'batp_rate_limited',
+				retryable: false,
+				refreshNonce: false,
+			} )
+		);
+		expect(
+			describeError( apiError( 'batp_invalid_nonce', 403 ) )
+		).toEqual(
+			expect.objectContaining( { refreshNonce: true, retryable: false } )
+		);
+		expect( describeError( apiError( 'batp_all_closed' ) ).empty ).toBe(
+			true
+		);
+	} );
+
+	it( 'treats unknown server errors as transient', () => {
+		expect( describeError( apiError( 'http_502', 502 ) ).retryable ).toBe(
+			true
+		);
+
+		const unknown = describeError( new Error( 'Boom' ) );
+		expect( unknown.code ).toBe( 'unknown' );
+		expect( unknown.message ).toBe( 'Boom' );
+		expect( unknown.retryable ).toBe( false );
+	} );
+} );
+
+describe( 'withRetry', () => {
+	beforeEach( () => {
+		jest.useFakeTimers();
+		// No jitter: delays are exactly baseDelay * 2^n.
+		jest.spyOn( Math, 'random' ).mockReturnValue( 0.5 );
+	} );
+
+	afterEach( () => {
+		jest.useRealTimers();
+		jest.restoreAllMocks();
+	} );
+
+	it( 'refreshes an expired nonce once and retries at once', async () => {
+		const attempt = failWith(
+			apiError( 'batp_invalid_nonce', 403 ),
+			apiError( 'rest_cookie_invalid_nonce', 403 )
+		);
+		const refreshNonce = jest.fn( async () => {} );
+		const onRetry = jest.fn();
+
+		await expect(
+			withRetry( attempt, { refreshNonce, onRetry } )
+		).rejects.toMatchObject( { code: 'rest_cookie_invalid_nonce' } );
+
+		expect( refreshNonce ).toHaveBeenCalledTimes( 1 );
+		expect( attempt ).toHaveBeenCalledTimes( 2 );
+		expect( onRetry ).not.toHaveBeenCalled();
+	} );
+
+	it( 'succeeds after the nonce refresh', async () => {
+		const attempt = failWith( apiError( 'batp_invalid_nonce', 403 ) );
+
+		await expect(
+			withRetry( attempt, { refreshNonce: async () => {} } )
+		).resolves.toBe( 'itinerary' );
+	} );
+
+	it.each( [ 'batp_rate_limited', 'batp_invalid_input' ] )(
+		'does not retry %s',
+		async ( code ) => {
+			const attempt = failWith( apiError( code ) );
+			const onRetry = jest.fn();
+
+			await expect(
+				withRetry( attempt, { onRetry } )
+			).rejects.toMatchObject( { code } );
+			expect( attempt ).toHaveBeenCalledTimes( 1 );
+			expect( onRetry ).not.toHaveBeenCalled();
+		}
+	);
+
+	it( 'backs off exponentially and stops after the retry limit', async () => {
+		const attempt = jest.fn( async () => {
+			throw new TypeError( 'Failed to fetch' );
+		} );
+		const onRetry = jest.fn();
+
+		const result = withRetry( attempt, {
+			retries: 2,
+			baseDelay: 100,
+			onRetry,
+		} );
+		await Promise.all( [
+			expect( result ).rejects.toMatchObject( { code: 'network_error' } ),
+			jest.runAllTimersAsync(),
+		] );
+
+		expect( attempt ).toHaveBeenCalledTimes( 3 );
+		expect(
+			onRetry.mock.calls.map( ( [ n, delay ] ) => [ n, delay ] )
+		).toEqual( [
+			[ 1, 100 ],
+			[ 2, 200 ],
+		] );
+	} );
+
+	it( 'stops when aborted during a backoff', async () => {
+		const controller = new window.AbortController();
+		const attempt = failWith( apiError( 'http_503', 503 ) );
+
+		const result = withRetry( attempt, {
+			baseDelay: 1000,
+			signal: controller.signal,
+		} );
+		await jest.advanceTimersByTimeAsync( 500 );
+		controller.abort();
+
+		await expect( result ).rejects.toMatchObject( { name: 'AbortError' } );
+		expect( attempt ).toHaveBeenCalledTimes( 1 );
+		expect( jest.getTimerCount() ).toBe( 0 );
+	} );
+
+	it( 'does not wait when aborted before the backoff starts', async () => {
+		const controller = new window.AbortController();
+		const attempt = failWith( apiError( 'http_503', 503 ) );
+
+		const result = withRetry( attempt, {
+			signal: controller.signal,
+			onRetry: () => controller.abort(),
+		} );
+
+		await expect( result ).rejects.toMatchObject( { name: 'AbortError' } );
+		expect( jest.getTimerCount() ).toBe( 0 );
+	} );
+
+	it( 'leaves no abort listeners behind after backing off', async () => {
+		const signal = {
+			aborted: false,
+			addEventListener: jest.fn(),
+			removeEventListener: jest.fn(),
+		};
+		const attempt = failWith(
+			apiError( 'http_503', 503 ),
+			apiError( 'http_503', 503 )
+		);
+
+		const result = withRetry( attempt, { baseDelay: 10, signal } );
+		await jest.runAllTimersAsync();
+
+		await expect( result ).resolves.toBe( 'itinerary' );
+		expect( signal.addEventListener ).toHaveBeenCalledTimes( 2 );
+		signal.addEventListener.mock.calls.forEach( ( [ type, listener ] ) =>
+			expect( signal.removeEventListener ).toHaveBeenCalledWith(
+				type,
+				listener
+			)
+		);
+	} );
+} );
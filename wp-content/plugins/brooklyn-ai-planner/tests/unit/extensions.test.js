@@ -0,0 +1,126 @@
+/**
+ * Internal dependencies
+ */
+import {
+	createExtensionPoints,
+	toHookName,
+} from '../../src/brooklyn-ai-planner/frontend/extensions';
+
+// Minimal stand-in for @wordpress/hooks.
+const createHooks = () => {
+	const filters = {};
+	const actions = {};
+	return {
+		addFilter: ( name, callback ) =>
+			( filters[ name ] = [ ...( filters[ name ] || [] ), callback ] ),
+		addAction: ( name, callback ) =>
+			( actions[ name ] = [ ...( actions[ name ] || [] ), callback ] ),
+		applyFilters: ( name, value, ...args ) =>
+			( filters[ name ] || [] ).reduce(
+				( current, callback ) => callback( current, ...args ),
+				value
+			),
+		doAction: ( name, ...args ) =>
+			( actions[ name ] || [] ).forEach( ( callback ) =>
+				callback( ...args )
+			),
+	};
+};
+
+describe( 'toHookName', () => {
+	it( 'camel-cases the event name under the batp namespace', () => {
+		expect( toHookName( 'before-submit' ) ).toBe( 'batp.beforeSubmit' );
+		expect( toHookName( 'share' ) ).toBe( 'batp.share' );
+	} );
+} );
+
+describe( 'createExtensionPoints', () => {
+	let root;
+
+	beforeEach( () => {
+		root = document.createElement( 'div' );
+		document.body.appendChild( root );
+		jest.spyOn( console, 'error' ).mockImplementation( () => {} );
+	} );
+
+	afterEach( () => {
+		root.remove();
+		jest.restoreAllMocks();
+	} );
+
+	it( 'passes values through filters with the block root', () => {
+		const hooks = createHooks();
+		hooks.addFilter( 'batp.requestPayload', ( payload, context ) => ( {
+			...payload,
+			theme: context.root === root ? 'ok' : 'wrong root',
+		} ) );
+
+		const { filter } = createExtensionPoints( root, hooks );
+
+		expect( filter( 'request-payload', { duration: 3 } ) ).toEqual( {
+			duration: 3,
+			theme: 'ok',
+		} );
+	} );
+
+	it( 'ignores filters that throw or change the value type', () => {
+		const hooks = createHooks();
+		hooks.addFilter( 'batp.cardHtml', () => undefined );
+		const { filter } = createExtensionPoints( root, hooks );
+		expect( filter( 'card-html', '<div></div>' ) ).toBe( '<div></div>' );
+
+		hooks.addFilter( 'batp.cardHtml', () => {
+			throw new Error( 'broken add-on' );
+		} );
+		expect( filter( 'card-html', '<div></div>' ) ).toBe( '<div></div>' );
+		expect( console.error ).toHaveBeenCalled(); // eslint-disable-line no-console
+	} );
+
+	it( 'returns values unchanged without hooks', () => {
+		const { filter } = createExtensionPoints( root );
+		expect( filter( 'card-html', '<div></div>' ) ).toBe( '<div></div>' );
+	} );
+
+	it( 'runs the action and dispatches a bubbling DOM event', () => {
+		const hooks = createHooks();
+		const onAction = jest.fn();
+		const onEvent = jest.fn();
+		hooks.addAction( 'batp.mapReady', onAction );
+		document.addEventListener( 'batp:map-ready', onEvent );
+
+		const map = {};
+		createExtensionPoints( root, hooks ).emit( 'map-ready', { map } );
+		document.removeEventListener( 'batp:map-ready', onEvent );
+
+		expect( onAction ).toHaveBeenCalledWith( { map, root } );
+		expect( onEvent ).toHaveBeenCalledTimes( 1 );
+		expect( onEvent.mock.calls[ 0 ][ 0 ].detail ).toEqual( { map, root } );
+	} );
+
+	it( 'reports cancellation of cancelable events', () => {
+		const { emit } = createExtensionPoints( root );
+		root.addEventListener( 'batp:before-submit', ( event ) =>
+			event.preventDefault()
+		);
+
+		expect( emit( 'before-submit', {}, { cancelable: true } ) ).toBe(
+			false
+		);
+		expect( emit( 'share', { channel: 'email' } ) ).toBe( true );
+	} );
+
+	it( 'still dispatches the event when an action throws', () => {
+		const hooks = createHooks();
+		hooks.addAction( 'batp.share', () => {
+			throw new Error( 'broken add-on' );
+		} );
+		const onEvent = jest.fn();
+		root.addEventListener( 'batp:share', onEvent );
+
+		createExtensionPoints( root, hooks ).emit( 'share', {
+			channel: 'sms',
+		} );
+
+		expect( onEvent ).toHaveBeenCalledTimes( 1 );
+	} );
+} );
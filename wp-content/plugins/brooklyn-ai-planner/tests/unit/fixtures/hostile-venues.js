@@ -0,0 +1,52 @@
+/**
+ * Venue records with markup, quote breakouts and unsafe links in every field
+ * the result cards render.
+ */
+export const HOSTILE_VENUES = [
+	{
+		slug: `o'malley's-pub`,
+		title: `O'Malley's "Irish" Pub`,
+		data: {
+			id: `venue-1" onclick="alert(1)`,
+			name: `O'Malley's "Irish" Pub`,
+			address: `<img src=x onerror="alert('address')">123 Court St`,
+			vibe_summary: `Cosy </p><script>alert('vibe')</script><p>`,
+			website: 'javascript:alert(document.cookie)',
+			phone: `<b onmouseover=alert(1)>(718) 555-0100</b>`,
+			latitude: 40.69,
+			longitude: -73.99,
+		},
+	},
+	{
+		slug: 'data-url-cafe',
+		title: '<svg onload=alert(1)>Data Cafe',
+		data: {
+			id: 'venue-2',
+			address: `1 Main St' data-x='1`,
+			vibe_summary: '"><iframe src="https://evil.example"></iframe>',
+			website:
+				'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+			phone_number: 'call us',
+			latitude: `40.7"><script>alert(1)</script>`,
+			longitude: -73.95,
+		},
+	},
+	{
+		slug: 'mixed-case-scheme',
+		title: 'Scheme & Co',
+		data: {
+			id: 'venue-3',
+			website: ' JaVaScRiPt:alert(1)',
+			phone: '+1 718 555 0199',
+		},
+	},
+	{
+		slug: 'quote-in-url',
+		title: 'Quote Bar',
+		data: {
+			id: 'venue-4',
+			website: `https://example.com/?q="><script>alert(1)</script>'`,
+			vibe_summary: `It's "great" & <cheap>`,
+		},
+	},
+];
@@ -0,0 +1,145 @@
+/**
+ * External dependencies
+ */
+import { TextEncoder } from 'util';
+
+/**
+ * Internal dependencies
+ */
+import {
+	buildItineraryIcs,
+	escapeText,
+	foldLine,
+} from '../../src/brooklyn-ai-planner/frontend/ics-export';
+
+// jsdom does not provide it.
+Object.assign( global, { TextEncoder } );
+
+const octets = ( text ) => Buffer.byteLength( text, 'utf8' );
+
+const candidateMap = new Map( [
+	[
+		'roberta-s',
+		{
+			data: {
+				address: '261 Moore St, Brooklyn, NY 11206',
+				latitude: 40.705,
+				longitude: -73.9336,
+				phone_number: '(718) 417-1118',
+			},
+		},
+	],
+] );
+
+const build = ( overrides = {} ) =>
+	buildItineraryIcs( {
+		items: [
+			{
+				slug: 'roberta-s',
+				title: "Roberta's",
+				arrival_minute: 0,
+				duration_minutes: 90,
+				notes: 'Wood-fired pizza; get the Bee Sting.',
+			},
+			{
+				slug: 'house-of-yes',
+				title: 'House of Yes',
+				arrival_minute: 120,
+				duration_minutes: 120,
+			},
+		],
+		candidateMap,
+		startDate: '2026-10-24',
+		startTime: '22:15',
+		...overrides,
+	} );
+
+describe( 'escapeText', () => {
+	it( 'escapes backslashes, semicolons, commas and newlines', () => {
+		expect( escapeText( 'a\\b; c, d\ne\r\nf' ) ).toBe(
+			'a\\\\b\\; c\\, d\\ne\\nf'
+		);
+	} );
+} );
+
+describe( 'foldLine', () => {
+	it( 'leaves lines of 75 octets alone', () => {
+		const line = 'X'.repeat( 75 );
+		expect( foldLine( line ) ).toBe( line );
+	} );
+
+	it( 'folds long lines into 75-octet pieces', () => {
+		const folded = foldLine( 'DESCRIPTION:' + 'x'.repeat( 200 ) );
+		const pieces = folded.split( '\r\n' );
+
+		expect( pieces.length ).toBeGreaterThan( 1 );
+		pieces.forEach( ( piece ) =>
+			expect( octets( piece ) ).toBeLessThanOrEqual( 75 )
+		);
+		pieces
+			.slice( 1 )
+			.forEach( ( piece ) => expect( piece[ 0 ] ).toBe( ' ' ) );
+	} );
+
+	it( 'never splits a multibyte character', () => {
+		const line = 'SUMMARY:' + 'é🍕'.repeat( 40 );
+		const pieces = foldLine( line ).split( '\r\n' );
+
+		pieces.forEach( ( piece ) =>
+			expect( octets( piece ) ).toBeLessThanOrEqual( 75 )
+		);
+		expect( pieces.join( '\r\n' ) ).not.toMatch( /�/ );
+		expect(
+			pieces
+				.map( ( piece, index ) => ( index ? piece.slice( 1 ) : piece ) )
+				.join( '' )
+		).toBe( line );
+	} );
+} );
+
+describe( 'buildItineraryIcs', () => {
+	it( 'ends every line with CRLF', () => {
+		const ics = build();
+
+		expect( ics.endsWith( 'END:VCALENDAR\r\n' ) ).toBe( true );
+		expect( ics.replace( /\r\n/g, '' ) ).not.toMatch( /[\r\n]/ );
+	} );
+
+	it( 'escapes text properties', () => {
+		const unfolded = build().replace( /\r\n /g, '' );
+
+		expect( unfolded ).toContain( "SUMMARY:1. Roberta's\r\n" );
+		expect( unfolded ).toContain(
+			'LOCATION:261 Moore St\\, Brooklyn\\, NY 11206\r\n'
+		);
+		expect( unfolded ).toContain(
+			'DESCRIPTION:Wood-fired pizza\\; get the Bee Sting.\\nPhone: (718) 417-1118\\n'
+		);
+	} );
+
+	it( 'rolls event times past midnight onto the next day', () => {
+		const ics = build();
+
+		expect( ics ).toContain(
+			'DTSTART;TZID=America/New_York:20261024T221500\r\n'
+		);
+		expect( ics ).toContain(
+			'DTEND;TZID=America/New_York:20261024T234500\r\n'
+		);
+		expect( ics ).toContain(
+			'DTSTART;TZID=America/New_York:20261025T001500\r\n'
+		);
+		expect( ics ).toContain(
+			'DTEND;TZID=America/New_York:20261025T021500\r\n'
+		);
+	} );
+
+	it( 'throws on an invalid date or time', () => {
+		expect( () => build( { startDate: 'soon' } ) ).toThrow(
+			'Invalid start date or time.'
+		);
+		expect( () => build( { startTime: 'evening' } ) ).toThrow(
+			'Invalid start date or time.'
+		);
+	} );
+} );
@@ -0,0 +1,162 @@
+/**
+ * Internal dependencies
+ */
+import {
+	TRAVEL_BUFFER_MINUTES,
+	getAlternatives,
+	moveStop,
+	removeStop,
+	resequence,
+	swapStop,
+} from '../../src/brooklyn-ai-planner/frontend/itinerary-editor';
+
+const items = [
+	{
+		slug: 'a',
+		title: 'A',
+		order: 1,
+		arrival_minute: 30,
+		duration_minutes: 60,
+	},
+	{
+		slug: 'b',
+		title: 'B',
+		order: 2,
+		arrival_minute: 100,
+		duration_minutes: 45,
+		notes: 'Try the cold brew.',
+	},
+	{ slug: 'c', title: 'C', order: 3, arrival_minute: 0, duration_minutes: 0 },
+];
+
+const slugs = ( list ) => list.map( ( item ) => item.slug );
+
+describe( 'resequence', () => {
+	it( 'numbers stops and schedules them back to back with the travel buffer', () => {
+		const result = resequence( items );
+
+		expect( result.map( ( item ) => item.order ) ).toEqual( [ 1, 2, 3 ] );
+		// The first arrival is kept; a missing duration becomes an hour.
+		expect( result.map( ( item ) => item.arrival_minute ) ).toEqual( [
+			30,
+			30 + 60 + TRAVEL_BUFFER_MINUTES,
+			30 + 60 + 45 + 2 * TRAVEL_BUFFER_MINUTES,
+		] );
+		expect( result[ 2 ].duration_minutes ).toBe( 60 );
+		expect( result[ 1 ].notes ).toBe( 'Try the cold brew.' );
+	} );
+
+	it( 'does not change the items it was given', () => {
+		const copy = JSON.parse( JSON.stringify( items ) );
+		resequence( items );
+		expect( items ).toEqual( copy );
+	} );
+
+	it( 'handles an empty itinerary', () => {
+		expect( resequence( [] ) ).toEqual( [] );
+	} );
+} );
+
+describe( 'moveStop', () => {
+	it( 'moves a stop and recomputes arrivals', () => {
+		const result = moveStop( items, 2, 0 );
+
+		expect( slugs( result ) ).toEqual( [ 'c', 'a', 'b' ] );
+		expect( result.map( ( item ) => item.arrival_minute ) ).toEqual( [
+			0,
+			60 + TRAVEL_BUFFER_MINUTES,
+			120 + 2 * TRAVEL_BUFFER_MINUTES,
+		] );
+	} );
+
+	it( 'ignores out-of-range and no-op moves', () => {
+		expect( moveStop( items, 1, 1 ) ).toBe( items );
+		expect( moveStop( items, -1, 0 ) ).toBe( items );
+		expect( moveStop( items, 0, 3 ) ).toBe( items );
+		expect( moveStop( items, 3, 0 ) ).toBe( items );
+	} );
+} );
+
+describe( 'removeStop', () => {
+	it( 'removes a stop and closes the gap', () => {
+		const result = removeStop( items, 0 );
+
+		expect( slugs( result ) ).toEqual( [ 'b', 'c' ] );
+		expect( result.map( ( item ) => item.order ) ).toEqual( [ 1, 2 ] );
+		expect( result[ 1 ].arrival_minute ).toBe(
+			100 + 45 + TRAVEL_BUFFER_MINUTES
+		);
+	} );
+
+	it( 'keeps the last stop', () => {
+		const single = [ items[ 0 ] ];
+		expect( removeStop( single, 0 ) ).toBe( single );
+	} );
+} );
+
+describe( 'swapStop', () => {
+	it( 'puts the candidate in the slot and keeps its duration', () => {
+		const result = swapStop( items, 1, {
+			slug: 'd',
+			data: { name: 'Dekalb Market Hall' },
+		} );
+
+		expect( slugs( result ) ).toEqual( [ 'a', 'd', 'c' ] );
+		expect( result[ 1 ] ).toEqual( {
+			slug: 'd',
+			title: 'Dekalb Market Hall',
+			order: 2,
+			arrival_minute: 30 + 60 + TRAVEL_BUFFER_MINUTES,
+			duration_minutes: 45,
+			notes: '',
+		} );
+	} );
+} );
+
+describe( 'getAlternatives', () => {
+	const candidate = ( slug, categories, name = slug.toUpperCase() ) => ( {
+		slug,
+		data: { name, categories },
+	} );
+
+	const candidates = [
+		candidate( 'a', [ 'cafe', 'bakery' ] ),
+		candidate( 'b', [ 'bar' ] ),
+		candidate( 'c', 'park' ),
+		candidate( 'd', [ 'museum' ] ),
+		candidate( 'e', 'bakery, dessert' ),
+		candidate( 'f', [ 'bar' ] ),
+		candidate( 'g', [ 'cafe' ] ),
+		candidate( 'h', [ 'gallery' ] ),
+		candidate( 'i', [ 'cafe' ], '' ),
+		candidate( 'j', [ 'shop' ] ),
+	];
+
+	it( 'ranks candidates sharing a category first, then keeps engine order', () => {
+		expect( slugs( getAlternatives( items, candidates, 0 ) ) ).toEqual( [
+			'e',
+			'g',
+			'd',
+			'f',
+			'h',
+		] );
+	} );
+
+	it( 'keeps engine order when nothing is related', () => {
+		expect( slugs( getAlternatives( items, candidates, 2 ) ) ).toEqual( [
+			'd',
+			'e',
+			'f',
+			'g',
+			'h',
+		] );
+	} );
+
+	it( 'skips stops already in the itinerary and unnamed venues', () => {
+		const result = slugs( getAlternatives( items, candidates, 1 ) );
+
+		expect( result ).not.toContain( 'a' );
+		expect( result ).not.toContain( 'i' );
+		expect( result[ 0 ] ).toBe( 'f' );
+	} );
+} );
@@ -0,0 +1,198 @@
+/**
+ * Internal dependencies
+ */
+import {
+	getHoursForDay,
+	getVisitConflict,
+	getVisitStatus,
+	normalizeHours,
+	nowInNewYork,
+	parseRanges,
+} from '../../src/brooklyn-ai-planner/frontend/opening-hours';
+
+const FRIDAY = 5;
+const SATURDAY = 6;
+const SUNDAY = 0;
+
+describe( 'parseRanges', () => {
+	it( 'parses a range with meridiems', () => {
+		expect( parseRanges( '9 AM–5 PM' ) ).toEqual( [
+			{ open: 540, close: 1020 },
+		] );
+	} );
+
+	it( 'lets a bare opening hour borrow the closing meridiem', () => {
+		expect( parseRanges( '6–11 PM' ) ).toEqual( [
+			{ open: 1080, close: 1380 },
+		] );
+		// "9 PM" would be after 5 PM, so 9 stays in the morning.
+		expect( parseRanges( '9–5 PM' ) ).toEqual( [
+			{ open: 540, close: 1020 },
+		] );
+	} );
+
+	it( 'extends overnight ranges past midnight', () => {
+		expect( parseRanges( '6 PM–2 AM' ) ).toEqual( [
+			{ open: 1080, close: 1560 },
+		] );
+	} );
+
+	it( 'parses split hours', () => {
+		expect( parseRanges( '11:30am - 2pm, 5pm - 10pm' ) ).toEqual( [
+			{ open: 690, close: 840 },
+			{ open: 1020, close: 1320 },
+		] );
+	} );
+
+	it( 'reads "Closed" and "Open 24 hours"', () => {
+		expect( parseRanges( 'Closed' ) ).toEqual( [] );
+		expect( parseRanges( 'Open 24 hours' ) ).toEqual( [
+			{ open: 0, close: 1440 },
+		] );
+	} );
+
+	it( 'returns null for text it cannot read', () => {
+		expect( parseRanges( 'By appointment' ) ).toBeNull();
+		expect( parseRanges( '25–26' ) ).toBeNull();
+		expect( parseRanges( '' ) ).toBeNull();
+	} );
+} );
+
+describe( 'Google periods', () => {
+	it( 'reads legacy `time` periods', () => {
+		const days = normalizeHours( {
+			opening_hours: {
+				periods: [
+					{
+						open: { day: 1, time: '0900' },
+						close: { day: 1, time: '1700' },
+					},
+				],
+			},
+		} );
+
+		expect( days[ 1 ] ).toEqual( {
+			label: '9:00 AM – 5:00 PM',
+			ranges: [ { open: 540, close: 1020 } ],
+		} );
+		expect( days[ 2 ] ).toEqual( { label: 'Closed', ranges: [] } );
+	} );
+
+	it( 'reads new `hour`/`minute` periods that close the next day', () => {
+		const friday = getHoursForDay(
+			{
+				regularOpeningHours: {
+					periods: [
+						{
+							open: { day: FRIDAY, hour: 18, minute: 30 },
+							close: { day: SATURDAY, hour: 2, minute: 0 },
+						},
+					],
+				},
+			},
+			FRIDAY
+		);
+
+		expect( friday.ranges ).toEqual( [ { open: 1110, close: 1560 } ] );
+	} );
+
+	it( 'treats a single period without close as open around the clock', () => {
+		const days = normalizeHours( {
+			periods: [ { open: { day: 0, time: '0000' } } ],
+		} );
+
+		expect( days ).toHaveLength( 7 );
+		days.forEach( ( day ) =>
+			expect( day ).toEqual( {
+				label: 'Open 24 hours',
+				ranges: [ { open: 0, close: 1440 } ],
+			} )
+		);
+	} );
+
+	it( 'ignores malformed periods', () => {
+		expect(
+			normalizeHours( {
+				periods: [
+					{ open: { day: 1, time: 'soon' }, close: { day: 1 } },
+				],
+			} )
+		).toBeNull();
+	} );
+} );
+
+describe( 'visits and carry-over from the previous day', () => {
+	const hours = {
+		Friday: '6 PM–2 AM',
+		Saturday: '6 PM–2 AM',
+		Sunday: 'Closed',
+	};
+
+	it( 'counts the small hours as part of the previous night', () => {
+		expect( getVisitStatus( hours, SATURDAY, 60, 90 ) ).toEqual( {
+			state: 'open',
+			label: 'Open at arrival',
+		} );
+		expect( getVisitConflict( hours, SATURDAY, 60, 90 ) ).toBeNull();
+		// Sunday is closed, but Saturday night runs until 2 AM.
+		expect( getVisitConflict( hours, SUNDAY, 30, 90 ) ).toBeNull();
+	} );
+
+	it( 'warns when a carried-over range closes during the visit', () => {
+		expect( getVisitStatus( hours, SATURDAY, 100, 130 ) ).toEqual( {
+			state: 'closing-soon',
+			label: 'Closes 2:00 AM',
+		} );
+		expect( getVisitConflict( hours, SATURDAY, 100, 130 ) ).toBe(
+			'Outside opening hours (Saturday: 6 PM–2 AM)'
+		);
+	} );
+
+	it( 'reports when a closed venue opens next', () => {
+		expect( getVisitStatus( hours, SATURDAY, 180, 240 ) ).toEqual( {
+			state: 'closed',
+			label: 'Closed at arrival · Opens 6:00 PM',
+		} );
+		expect( getVisitConflict( hours, SUNDAY, 600, 660 ) ).toBe(
+			'Closed on Sunday'
+		);
+	} );
+
+	it( 'returns null for days without hours', () => {
+		expect( getVisitStatus( hours, 3, 600, 660 ) ).toBeNull();
+		expect( getVisitConflict( hours, 3, 600, 660 ) ).toBeNull();
+	} );
+} );
+
+describe( 'nowInNewYork', () => {
+	it( 'skips the hour lost when daylight saving time starts', () => {
+		// 8 March 2026, 1:59 AM EST, then 3:00 AM EDT a minute later.
+		expect( nowInNewYork( new Date( '2026-03-08T06:59:00Z' ) ) ).toEqual( {
+			weekday: SUNDAY,
+			minute: 119,
+		} );
+		expect( nowInNewYork( new Date( '2026-03-08T07:00:00Z' ) ) ).toEqual( {
+			weekday: SUNDAY,
+			minute: 180,
+		} );
+	} );
+
+	it( 'repeats the hour when daylight saving time ends', () => {
+		// 1 November 2026: 1:30 AM EDT, and an hour later 1:30 AM EST.
+		expect( nowInNewYork( new Date( '2026-11-01T05:30:00Z' ) ) ).toEqual( {
+			weekday: SUNDAY,
+			minute: 90,
+		} );
+		expect( nowInNewYork( new Date( '2026-11-01T06:30:00Z' ) ) ).toEqual( {
+			weekday: SUNDAY,
+			minute: 90,
+		} );
+	} );
+
+	it( 'uses the Brooklyn weekday rather than the UTC one', () => {
+		expect( nowInNewYork( new Date( '2026-10-24T03:00:00Z' ) ) ).toEqual( {
+			weekday: FRIDAY,
+			minute: 1380,
+		} );
+	} );
+} );
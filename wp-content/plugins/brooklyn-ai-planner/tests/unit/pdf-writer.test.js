@@ -0,0 +1,176 @@
+/**
+ * Internal dependencies
+ */
+import {
+	createPdfDocument,
+	encodeText,
+	wrapText,
+} from '../../src/brooklyn-ai-planner/frontend/pdf-writer';
+
+// Reads a Blob byte for byte (latin1 maps each byte to one character).
+const readBytes = ( blob ) =>
+	new Promise( ( resolve ) => {
+		const reader = new window.FileReader();
+		reader.onload = () =>
+			resolve( Buffer.from( reader.result ).toString( 'latin1' ) );
+		reader.readAsArrayBuffer( blob );
+	} );
+
+describe( 'encodeText', () => {
+	it( 'keeps printable ASCII and escapes PDF string delimiters', () => {
+		expect( encodeText( 'Pier 1 (DUMBO) \\ Park' ) ).toBe(
+			'Pier 1 \\(DUMBO\\) \\\\ Park'
+		);
+	} );
+
+	it( 'writes Latin-1 and WinAnsi extras as octal escapes', () => {
+		expect( encodeText( 'Café' ) ).toBe( 'Caf\\351' );
+		expect( encodeText( '€5 – “Jane’s”' ) ).toBe(
+			'\\2005 \\226 \\223Jane\\222s\\224'
+		);
+		expect( encodeText( ' ' ) ).toBe( '\\240' );
+	} );
+
+	it( 'drops emoji and variation selectors', () => {
+		expect( encodeText( 'Pizza 🍕 time ☕️' ) ).toBe( 'Pizza  time ?' );
+	} );
+
+	it( 'turns tabs and newlines into spaces and other characters into "?"', () => {
+		expect( encodeText( 'a\tb\nc' ) ).toBe( 'a b c' );
+		expect( encodeText( '布鲁克林\u0007' ) ).toBe( '?????' );
+	} );
+} );
+
+describe( 'wrapText', () => {
+	// 100pt at 10pt regular fits 20 characters.
+	const wrap = ( text ) => wrapText( text, 100, 10 );
+
+	it( 'wraps on word boundaries', () => {
+		expect(
+			wrap( 'Walk the Brooklyn Bridge Park greenway at sunset' )
+		).toEqual( [
+			'Walk the Brooklyn',
+			'Bridge Park greenway',
+			'at sunset',
+		] );
+	} );
+
+	it( 'hard-breaks words longer than a line', () => {
+		const url = 'https://www.google.com/maps/dir/?api=1&destination=40.7';
+
+		expect( wrap( `Directions: ${ url }` ) ).toEqual( [
+			'Directions:',
+			url.slice( 0, 20 ),
+			url.slice( 20, 40 ),
+			url.slice( 40 ),
+		] );
+		wrap( url ).forEach( ( line ) =>
+			expect( line.length ).toBeLessThanOrEqual( 20 )
+		);
+	} );
+
+	it( 'starts a new line for each paragraph', () => {
+		expect( wrap( 'First stop\nSecond stop\r\n\nThird' ) ).toEqual( [
+			'First stop',
+			'Second stop',
+			'Third',
+		] );
+	} );
+
+	it( 'returns no lines for empty text', () => {
+		expect( wrap( '' ) ).toEqual( [] );
+		expect( wrap( null ) ).toEqual( [] );
+	} );
+
+	it( 'never goes below eight characters a line', () => {
+		expect( wrapText( 'Greenpoint Williamsburg', 10, 12 ) ).toEqual( [
+			'Greenpoi',
+			'nt',
+			'Williams',
+			'burg',
+		] );
+	} );
+} );
+
+describe( 'createPdfDocument', () => {
+	const build = () =>
+		createPdfDocument( { title: 'Brooklyn – Café (day 1)' } )
+			.text( 72, 720, 'Roberta’s (Bushwick) 🍕', { weight: 'bold' } )
+			.line( 72, 710, 540, 710 )
+			.addPage()
+			.rect( 72, 600, 100, 50, { fill: [ 255, 0, 0 ] } )
+			.circle( 100, 100, 5 )
+			.usePage( 0 )
+			.text( 72, 36, 'Page 1 of 2', { size: 9 } );
+
+	it( 'writes a cross-reference table that points at every object', async () => {
+		const pdf = await readBytes( build().toBlob() );
+
+		expect( pdf.startsWith( '%PDF-1.4\n' ) ).toBe( true );
+		expect( pdf.endsWith( '%%EOF\n' ) ).toBe( true );
+
+		const xrefOffset = Number( pdf.match( /startxref\n(\d+)\n/ )[ 1 ] );
+		expect( pdf.slice( xrefOffset, xrefOffset + 5 ) ).toBe( 'xref\n' );
+
+		const [ , count ] = pdf
+			.slice( xrefOffset )
+			.match( /^xref\n0 (\d+)\n/ )
+			.map( Number );
+		const entries = pdf
+			.slice( xrefOffset )
+			.split( '\n' )
+			.slice( 2, 2 + count );
+
+		expect( entries[ 0 ] ).toBe( '0000000000 65535 f ' );
+		entries.slice( 1 ).forEach( ( entry, index ) => {
+			expect( entry ).toMatch( /^\d{10} 00000 n $/ );
+			const offset = Number( entry.slice( 0, 10 ) );
+			expect( pdf.slice( offset ) ).toMatch(
+				new RegExp( `^${ index + 1 } 0 obj\n` )
+			);
+		} );
+		expect( pdf ).toContain( `trailer\n<< /Size ${ count } /Root 1 0 R` );
+	} );
+
+	it( 'gives each content stream its byte length', async () => {
+		const pdf = await readBytes( build().toBlob() );
+		const streams = [
+			...pdf.matchAll( /<< \/Length (\d+) >>\nstream\n/g ),
+		];
+
+		expect( streams ).toHaveLength( 2 );
+		streams.forEach( ( match ) => {
+			const start = match.index + match[ 0 ].length;
+			const length = Number( match[ 1 ] );
+			expect( pdf.slice( start + length, start + length + 10 ) ).toBe(
+				'\nendstream'
+			);
+		} );
+	} );
+
+	it( 'lists every page and draws on the selected one', async () => {
+		const doc = build();
+		expect( doc.pageCount() ).toBe( 2 );
+
+		const pdf = await readBytes( doc.toBlob() );
+		expect( pdf ).toContain( '/Count 2' );
+		expect( pdf ).toContain(
+			'/Title (Brooklyn \\226 Caf\\351 \\(day 1\\))'
+		);
+
+		const [ first, second ] = [
+			...pdf.matchAll( /stream\n([\s\S]*?)\nendstream/g ),
+		].map( ( match ) => match[ 1 ] );
+		expect( first ).toContain( '(Roberta\\222s \\(Bushwick\\) ) Tj' );
+		expect( first ).toContain( '(Page 1 of 2) Tj' );
+		expect( second ).not.toContain( 'Tj' );
+		expect( second ).toContain( '1 0 0 rg 72 600 100 50 re f' );
+	} );
+
+	it( 'writes one empty page for an empty document', async () => {
+		const pdf = await readBytes( createPdfDocument().toBlob() );
+
+		expect( pdf ).toContain( '/Count 1' );
+		expect( pdf ).toContain( '<< /Length 0 >>\nstream\n\nendstream' );
+	} );
+} );
@@ -0,0 +1,74 @@
+/**
+ * Internal dependencies
+ */
+import {
+	describeTripWindow,
+	normalizeStartTime,
+	normalizeTripDate,
+	toApiPayload,
+} from '../../src/brooklyn-ai-planner/frontend/planner-request';
+
+const request = {
+	neighborhood: 'DUMBO',
+	interests: [ 'coffee' ],
+	budget: 'medium',
+	duration: 3,
+	party_size: 2,
+	accessibility: [],
+	latitude: null,
+	longitude: null,
+	variants: 1,
+	date: '2026-10-24',
+	start_time: '18:30',
+};
+
+describe( 'toApiPayload', () => {
+	it( 'sends the trip length as time_window in minutes', () => {
+		const payload = toApiPayload( request );
+
+		expect( payload.time_window ).toBe( 180 );
+		expect( payload ).not.toHaveProperty( 'duration' );
+	} );
+
+	it( 'sends a New York local start time', () => {
+		expect( toApiPayload( request ).start_time ).toBe( '2026-10-24T18:30' );
+	} );
+
+	it( 'keeps time_window within the engine bounds', () => {
+		expect(
+			toApiPayload( { ...request, duration: 0.25 } ).time_window
+		).toBe( 30 );
+		expect( toApiPayload( { ...request, duration: 24 } ).time_window ).toBe(
+			720
+		);
+	} );
+
+	it( 'omits the start time for requests without a date', () => {
+		expect(
+			toApiPayload( { ...request, date: null, start_time: undefined } )
+		).not.toHaveProperty( 'start_time' );
+	} );
+} );
+
+describe( 'trip date and start time', () => {
+	it( 'rejects malformed values', () => {
+		expect( normalizeTripDate( '2026-13-45' ) ).toBeNull();
+		expect( normalizeTripDate( '2026-02-30' ) ).toBeNull();
+		expect( normalizeTripDate( '24/10/2026' ) ).toBeNull();
+		expect( normalizeStartTime( '25:00' ) ).toBe( '10:00' );
+		expect( normalizeStartTime( '9:00' ) ).toBe( '10:00' );
+	} );
+
+	it( 'describes the window in wall-clock times', () => {
+		expect( describeTripWindow( request ) ).toBe(
+			'Sat, Oct 24 · 6:30 PM – 9:30 PM'
+		);
+		expect(
+			describeTripWindow( {
+				...request,
+				date: null,
+				start_time: '22:00',
+			} )
+		).toBe( '10:00 PM – 1:00 AM' );
+	} );
+} );
@@ -0,0 +1,43 @@
+/**
+ * Internal dependencies
+ */
+import { createRandomId } from '../../src/brooklyn-ai-planner/frontend/random-id';
+
+// The progress route's token pattern.
+const TOKEN_PATTERN = /^[a-f0-9-]{16,64}$/;
+
+describe( 'createRandomId', () => {
+	const crypto = window.crypto;
+
+	const setCrypto = ( value ) =>
+		Object.defineProperty( window, 'crypto', {
+			value,
+			configurable: true,
+		} );
+
+	afterEach( () => setCrypto( crypto ) );
+
+	it( 'uses randomUUID when available', () => {
+		setCrypto( {
+			randomUUID: () => '0b6c6f3e-8a4e-4c1e-9f4e-2f1d5c8a7b90',
+		} );
+		expect( createRandomId() ).toBe(
+			'0b6c6f3e-8a4e-4c1e-9f4e-2f1d5c8a7b90'
+		);
+	} );
+
+	it( 'falls back to getRandomValues', () => {
+		setCrypto( {
+			getRandomValues: ( bytes ) => bytes.fill( 171 ),
+		} );
+		expect( createRandomId() ).toBe( 'ab'.repeat( 16 ) );
+	} );
+
+	it( 'matches the progress token pattern without crypto', () => {
+		setCrypto( undefined );
+		const first = createRandomId();
+
+		expect( first ).toMatch( TOKEN_PATTERN );
+		expect( createRandomId() ).not.toBe( first );
+	} );
+} );
@@ -0,0 +1,88 @@
+/**
+ * Internal dependencies
+ */
+import {
+	getStageRows,
+	getVenueRows,
+	matchPreset,
+	presetRange,
+	shiftDate,
+	toCsv,
+} from '../../src/admin/reports/report-data';
+
+describe( 'date ranges', () => {
+	it( 'shifts across month and leap-day boundaries', () => {
+		expect( shiftDate( '2024-03-01', -1 ) ).toBe( '2024-02-29' );
+		expect( shiftDate( '2025-12-31', 1 ) ).toBe( '2026-01-01' );
+	} );
+
+	it( 'builds presets that end today, today included', () => {
+		expect( presetRange( 7, '2026-10-19' ) ).toEqual( {
+			from: '2026-10-13',
+			to: '2026-10-19',
+		} );
+	} );
+
+	it( 'recognises preset and custom ranges', () => {
+		const today = '2026-10-19';
+		expect( matchPreset( presetRange( 30, today ), today ) ).toBe( 30 );
+		expect(
+			matchPreset( { from: '2026-10-01', to: '2026-10-19' }, today )
+		).toBeNull();
+		expect(
+			matchPreset( presetRange( 7, '2026-10-18' ), today )
+		).toBeNull();
+	} );
+} );
+
+describe( 'toCsv', () => {
+	const columns = [
+		{ key: 'name', label: 'Venue' },
+		{ key: 'clicks', label: 'Clicks' },
+	];
+
+	it( 'quotes commas, quotes and line breaks', () => {
+		expect(
+			toCsv( columns, [
+				{ name: 'Peter Luger, Steak "House"', clicks: 3 },
+				{ name: 'Line\nbreak', clicks: 0 },
+			] )
+		).toBe(
+			'Venue,Clicks\r\n"Peter Luger, Steak ""House""",3\r\n"Line\nbreak",0'
+		);
+	} );
+
+	it( 'keeps formula-like text inert but leaves numbers alone', () => {
+		expect(
+			toCsv( columns, [
+				{ name: '=HYPERLINK("http://evil.example")', clicks: -1 },
+				{ name: '@SUM(A1)', clicks: null },
+			] )
+		).toBe(
+			'Venue,Clicks\r\n"\'=HYPERLINK(""http://evil.example"")",-1\r\n\'@SUM(A1),'
+		);
+	} );
+} );
+
+describe( 'breakdown rows', () => {
+	it( 'adds click rates only where cards were seen', () => {
+		expect(
+			getVenueRows( [
+				{ venue_id: 'a', impressions: 4, clicks: 1 },
+				{ venue_id: 'b', impressions: 0, clicks: 2 },
+			] ).map( ( row ) => row.ctr )
+		).toEqual( [ 0.25, null ] );
+	} );
+
+	it( 'lists error codes per stage', () => {
+		expect(
+			getStageRows( [
+				{
+					stage: 'llm',
+					codes: { batp_gemini_timeout: 3, batp_llm_invalid: 1 },
+				},
+				{ stage: 'kmeans', codes: {} },
+			] ).map( ( row ) => row.errors )
+		).toEqual( [ 'batp_gemini_timeout (3), batp_llm_invalid (1)', '' ] );
+	} );
+} );
@@ -0,0 +1,197 @@
+/**
+ * Internal dependencies
+ */
+import {
+	renderStopCard,
+	renderSummaryList,
+} from '../../src/brooklyn-ai-planner/frontend/result-cards';
+import {
+	escapeHtml,
+	safeUrl,
+	telHref,
+} from '../../src/brooklyn-ai-planner/frontend/html';
+import { HOSTILE_VENUES } from './fixtures/hostile-venues';
+
+const toStop = ( venue, index ) => ( {
+	item: { slug: venue.slug, title: venue.title },
+	index,
+	details: venue.data,
+} );
+
+const render = ( html ) => {
+	const container = document.createElement( 'div' );
+	container.innerHTML = html;
+	return container;
+};
+
+const renderCard = ( venue, index = 0 ) =>
+	render(
+		renderStopCard( toStop( venue, index ), {
+			visit: {
+				status: {
+					state: '"open" onfocus="alert(1)',
+					label: '<b>Open</b>',
+				},
+				warning: '<img src=x onerror=alert(1)>',
+			},
+			hours: '<script>alert(1)</script>',
+			total: HOSTILE_VENUES.length,
+			canReorder: true,
+		} )
+	).firstElementChild;
+
+const expectInert = ( root ) => {
+	expect(
+		root.querySelectorAll( 'script, img, svg, iframe, b' )
+	).toHaveLength( 0 );
+	root.querySelectorAll( '*' ).forEach( ( el ) => {
+		Array.from( el.attributes ).forEach( ( attr ) => {
+			expect( attr.name ).not.toMatch( /^on/ );
+		} );
+	} );
+};
+
+describe( 'safeUrl', () => {
+	it.each( [
+		'javascript:alert(1)',
+		' JaVaScRiPt:alert(1)',
+		'data:text/html,<script>alert(1)</script>',
+		'vbscript:msgbox(1)',
+		'//evil.example/path',
+		'/relative/path',
+		'',
+		null,
+		{ toString: () => 'https://example.com' },
+	] )( 'rejects %p', ( value ) => {
+		expect( safeUrl( value ) ).toBe( '' );
+	} );
+
+	it( 'keeps http(s) URLs and percent-encodes breakout characters', () => {
+		expect( safeUrl( 'https://example.com/a b' ) ).toBe(
+			'https://example.com/a%20b'
+		);
+		expect( safeUrl( 'http://example.com/?q="x"' ) ).not.toContain( '"' );
+	} );
+
+	it( 'honours a custom scheme list', () => {
+		expect( safeUrl( 'mailto:a@example.com', [ 'mailto:' ] ) ).toBe(
+			'mailto:a@example.com'
+		);
+		expect( safeUrl( 'https://example.com', [ 'mailto:' ] ) ).toBe( '' );
+	} );
+} );
+
+describe( 'telHref', () => {
+	it( 'keeps only digits and plus signs', () => {
+		expect( telHref( '+1 (718) 555-0100' ) ).toBe( 'tel:+17185550100' );
+		expect( telHref( '<b onmouseover=alert(1)>555</b>' ) ).toBe(
+			'tel:1555'
+		);
+	} );
+
+	it( 'returns nothing without digits', () => {
+		expect( telHref( 'call us' ) ).toBe( '' );
+		expect( telHref( undefined ) ).toBe( '' );
+	} );
+} );
+
+describe( 'escapeHtml', () => {
+	it( 'escapes markup and both quote styles', () => {
+		expect( escapeHtml( `<a href='x'>"&"</a>` ) ).toBe(
+			'&lt;a href=&#39;x&#39;&gt;&quot;&amp;&quot;&lt;/a&gt;'
+		);
+	} );
+} );
+
+describe( 'renderStopCard with hostile venues', () => {
+	it.each( HOSTILE_VENUES.map( ( venue, index ) => [ venue.slug, index ] ) )(
+		'renders %s as inert text',
+		( slug, index ) => {
+			const card = renderCard( HOSTILE_VENUES[ index ], index );
+
+			expectInert( card );
+			expect( card.dataset.slug ).toBe( slug );
+			expect(
+				card.querySelector( '.batp-card__title' ).textContent
+			).toBe( `${ index + 1 }. ${ HOSTILE_VENUES[ index ].title }` );
+		}
+	);
+
+	it( 'keeps apostrophes and quotes inside attributes', () => {
+		const venue = HOSTILE_VENUES[ 0 ];
+		const card = renderCard( venue );
+
+		card.querySelectorAll( '[data-venue-id]' ).forEach( ( link ) => {
+			expect( link.dataset.venueId ).toBe( venue.data.id );
+		} );
+		expect(
+			card.querySelector( '.batp-card__description' ).textContent
+		).toBe( venue.data.vibe_summary );
+		expect( card.querySelector( '.batp-card__status' ).className ).toBe(
+			'batp-card__status batp-card__status--"open" onfocus="alert(1)'
+		);
+	} );
+
+	it( 'only links to http(s) websites', () => {
+		HOSTILE_VENUES.slice( 0, 3 ).forEach( ( venue ) => {
+			expect(
+				renderCard( venue ).querySelector(
+					'[data-event-action="website_click"]'
+				)
+			).toBeNull();
+		} );
+
+		const link = renderCard( HOSTILE_VENUES[ 3 ] ).querySelector(
+			'[data-event-action="website_click"]'
+		);
+		expect( link.protocol ).toBe( 'https:' );
+		expect( link.rel ).toBe( 'noopener' );
+		expect( JSON.parse( link.dataset.eventMeta ) ).toEqual( {
+			url: link.getAttribute( 'href' ),
+		} );
+	} );
+
+	it( 'only renders dialable tel: links', () => {
+		const links = HOSTILE_VENUES.map( ( venue ) =>
+			renderCard( venue ).querySelector(
+				'[data-event-action="phone_click"]'
+			)
+		);
+
+		expect( links[ 0 ].getAttribute( 'href' ) ).toBe( 'tel:17185550100' );
+		expect( links[ 0 ].textContent.trim() ).toBe(
+			HOSTILE_VENUES[ 0 ].data.phone
+		);
+		expect( links[ 1 ] ).toBeNull();
+		expect( links[ 2 ].getAttribute( 'href' ) ).toBe( 'tel:+17185550199' );
+	} );
+
+	it( 'keeps directions on Google Maps', () => {
+		HOSTILE_VENUES.forEach( ( venue ) => {
+			const link = renderCard( venue ).querySelector(
+				'.batp-card__btn-directions'
+			);
+			expect( link.hostname ).toBe( 'www.google.com' );
+		} );
+	} );
+} );
+
+describe( 'renderSummaryList', () => {
+	it( 'renders hostile titles as text', () => {
+		const list = render(
+			`<ul>${ renderSummaryList( HOSTILE_VENUES.map( toStop ) ) }</ul>`
+		);
+
+		expectInert( list );
+		expect(
+			Array.from(
+				list.querySelectorAll( 'li' ),
+				( li ) => li.textContent
+			)
+		).toEqual(
+			HOSTILE_VENUES.map(
+				( venue, index ) => `${ index + 1 }. ${ venue.title }`
+			)
+		);
+	} );
+} );
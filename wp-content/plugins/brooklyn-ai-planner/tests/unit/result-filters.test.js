@@ -0,0 +1,181 @@
+/**
+ * Internal dependencies
+ */
+import {
+	DEFAULT_FILTERS,
+	applyResultFilters,
+	clearFilter,
+	getActiveFilterChips,
+	getPriceLevel,
+	hasActiveFilters,
+	normalizeFilters,
+} from '../../src/brooklyn-ai-planner/frontend/result-filters';
+
+const stop = ( index, fields = {} ) => ( {
+	item: { slug: `stop-${ index }` },
+	index,
+	details: {},
+	score: null,
+	price: null,
+	miles: null,
+	openNow: null,
+	categories: [],
+	...fields,
+} );
+
+const stops = [
+	stop( 0, {
+		score: 0.4,
+		price: 2,
+		miles: 0.3,
+		openNow: true,
+		categories: [ 'cafe' ],
+	} ),
+	stop( 1, {
+		score: 0.9,
+		price: 3,
+		miles: 1.5,
+		openNow: false,
+		categories: [ 'bar', 'live-music' ],
+	} ),
+	stop( 2, { score: 0.9, price: 1, categories: [ 'park' ] } ),
+	stop( 3, { price: null, miles: 0.8, openNow: true } ),
+];
+
+const visible = ( filters ) =>
+	applyResultFilters( stops, normalizeFilters( filters ) ).map(
+		( result ) => result.index
+	);
+
+describe( 'applyResultFilters', () => {
+	it( 'shows every stop in itinerary order by default', () => {
+		expect( visible( {} ) ).toEqual( [ 0, 1, 2, 3 ] );
+	} );
+
+	it( 'keeps only stops known to be open now', () => {
+		expect( visible( { openNow: true } ) ).toEqual( [ 0, 3 ] );
+	} );
+
+	it( 'filters by price but keeps unpriced stops', () => {
+		expect( visible( { maxPrice: 1 } ) ).toEqual( [ 2, 3 ] );
+		expect( visible( { maxPrice: 2 } ) ).toEqual( [ 0, 2, 3 ] );
+	} );
+
+	it( 'filters by distance and drops stops without a location', () => {
+		expect( visible( { maxMiles: 0.5 } ) ).toEqual( [ 0 ] );
+		expect( visible( { maxMiles: 2 } ) ).toEqual( [ 0, 1, 3 ] );
+	} );
+
+	it( 'keeps stops matching any selected category', () => {
+		expect( visible( { categories: [ 'park', 'live-music' ] } ) ).toEqual( [
+			1, 2,
+		] );
+	} );
+
+	it( 'combines filters', () => {
+		expect(
+			visible( { openNow: true, maxMiles: 1, categories: [ 'cafe' ] } )
+		).toEqual( [ 0 ] );
+	} );
+
+	it( 'sorts by score, highest first, keeping ties in itinerary order', () => {
+		expect( visible( { sort: 'score' } ) ).toEqual( [ 1, 2, 0, 3 ] );
+	} );
+
+	it( 'sorts by distance with unknown distances last', () => {
+		expect( visible( { sort: 'distance' } ) ).toEqual( [ 0, 3, 1, 2 ] );
+	} );
+
+	it( 'sorts by price with unpriced stops last', () => {
+		expect( visible( { sort: 'price' } ) ).toEqual( [ 2, 0, 1, 3 ] );
+	} );
+
+	it( 'does not reorder the stops it was given', () => {
+		const input = [ ...stops ];
+		applyResultFilters( input, normalizeFilters( { sort: 'price' } ) );
+		expect( input ).toEqual( stops );
+	} );
+} );
+
+describe( 'normalizeFilters', () => {
+	it( 'fills in defaults', () => {
+		expect( normalizeFilters() ).toEqual( DEFAULT_FILTERS );
+	} );
+
+	it( 'drops hostile share-link values', () => {
+		expect(
+			normalizeFilters( {
+				openNow: 'yes',
+				maxPrice: '4',
+				maxMiles: '1e9',
+				categories: [ 'cafe', '', 7, { toString: () => 'x' }, 'cafe' ],
+				sort: 'constructor',
+				extra: '<script>',
+			} )
+		).toEqual( {
+			openNow: true,
+			maxPrice: null,
+			maxMiles: null,
+			categories: [ 'cafe' ],
+			sort: 'itinerary',
+		} );
+		expect(
+			normalizeFilters( {
+				maxPrice: '2',
+				maxMiles: '0.5',
+				categories: 'cafe,bar',
+				sort: '__proto__',
+			} )
+		).toEqual( { ...DEFAULT_FILTERS, maxPrice: 2, maxMiles: 0.5 } );
+	} );
+} );
+
+describe( 'filter chips', () => {
+	const filters = normalizeFilters( {
+		openNow: true,
+		maxPrice: 2,
+		maxMiles: 1,
+		categories: [ 'live-music', 'cafe' ],
+		sort: 'distance',
+	} );
+
+	it( 'describes every active filter', () => {
+		expect(
+			getActiveFilterChips( filters ).map( ( chip ) => chip.label )
+		).toEqual( [
+			'Open now',
+			'Up to $$',
+			'Within 1 mi',
+			'Live Music',
+			'Cafe',
+			'Sorted: Nearest first',
+		] );
+		expect( hasActiveFilters( filters ) ).toBe( true );
+		expect( hasActiveFilters( DEFAULT_FILTERS ) ).toBe( false );
+	} );
+
+	it( 'clears one filter, one category or everything', () => {
+		expect( clearFilter( filters, 'maxPrice' ).maxPrice ).toBeNull();
+		expect(
+			clearFilter( filters, 'categories', 'cafe' ).categories
+		).toEqual( [ 'live-music' ] );
+		expect( clearFilter( filters, 'all' ) ).toEqual( DEFAULT_FILTERS );
+	} );
+
+	it( 'ignores unknown keys', () => {
+		expect( clearFilter( filters, '__proto__' ) ).toBe( filters );
+		expect( clearFilter( filters, 'toString' ) ).toBe( filters );
+	} );
+} );
+
+describe( 'getPriceLevel', () => {
+	it( 'reads budgets, dollar signs and Google price levels', () => {
+		expect( getPriceLevel( { budget: 'low' } ) ).toBe( 1 );
+		expect( getPriceLevel( { budget: ' HIGH ' } ) ).toBe( 3 );
+		expect( getPriceLevel( { budget: '$$' } ) ).toBe( 2 );
+		expect( getPriceLevel( { price_level: 4 } ) ).toBe( 3 );
+		expect( getPriceLevel( { price_level: 0 } ) ).toBe( 1 );
+		expect( getPriceLevel( { budget: 'cheap' } ) ).toBeNull();
+		expect( getPriceLevel( {} ) ).toBeNull();
+	} );
+} );
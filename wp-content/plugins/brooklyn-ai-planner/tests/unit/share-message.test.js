@@ -0,0 +1,132 @@
+/**
+ * External dependencies
+ */
+import { TextDecoder, TextEncoder } from 'util';
+
+/**
+ * Internal dependencies
+ */
+import {
+	SMS_MAX_LENGTH,
+	buildMailtoUrl,
+	buildSmsBody,
+	describeShareStops,
+} from '../../src/brooklyn-ai-planner/frontend/share-message';
+import {
+	buildShareUrl,
+	encodeShareState,
+} from '../../src/brooklyn-ai-planner/frontend/share-state';
+
+// jsdom does not provide these.
+Object.assign( global, { TextDecoder, TextEncoder } );
+
+const venues = [
+	[ 'brooklyn-roasting-company-dumbo', 'Brooklyn Roasting Company' ],
+	[ 'jane-s-carousel', "Jane's Carousel" ],
+	[ 'brooklyn-bridge-park-pier-1', 'Brooklyn Bridge Park Pier 1' ],
+	[ 'powerhouse-books-arts', 'Powerhouse Books & Arts' ],
+	[ 'time-out-market-new-york', 'Time Out Market New York' ],
+	[ 'st-ann-s-warehouse-theater', "St. Ann's Warehouse" ],
+];
+
+const items = venues.map( ( [ slug, title ], index ) => ( {
+	slug,
+	title,
+	arrival_minute: index * 75,
+	duration_minutes: 60,
+} ) );
+
+const candidateMap = new Map(
+	venues.map( ( [ slug, name ], index ) => [
+		slug,
+		{
+			data: {
+				name,
+				address: `${ 10 + index } Water Street, Brooklyn, NY 11201`,
+				latitude: 40.7033 + index / 1000,
+				longitude: -73.9881,
+			},
+		},
+	] )
+);
+
+const schedule = items.map( ( item ) => ( {
+	start: 600 + item.arrival_minute,
+} ) );
+
+const stops = describeShareStops(
+	items.map( ( item, index ) => ( { item, index } ) ),
+	schedule,
+	candidateMap
+);
+
+const url = buildShareUrl(
+	encodeShareState( {
+		request: {
+			neighborhood: 'DUMBO',
+			interests: [ 'coffee', 'art', 'live-music', 'waterfront' ],
+			budget: 'medium',
+			duration: 8,
+			party_size: 4,
+			accessibility: [ 'wheelchair', 'step_free' ],
+			latitude: 40.70331,
+			longitude: -73.98812,
+			date: '2026-10-24',
+			start_time: '10:00',
+		},
+		items,
+		filters: { categories: [ 'cafe', 'museum' ], sort: 'distance' },
+	} ),
+	'https://example.com/plan-your-brooklyn-day/'
+);
+
+describe( 'buildSmsBody', () => {
+	it( 'lists numbered stops and times even when the link alone is long', () => {
+		expect( url.length ).toBeGreaterThan( SMS_MAX_LENGTH );
+
+		const body = buildSmsBody( stops, url );
+		const [ text, link ] = body.split( '\n\nFull plan: ' );
+
+		expect( link ).toBe( url );
+		expect( text.length ).toBeLessThanOrEqual( SMS_MAX_LENGTH );
+		expect( text ).toContain( '1. Brooklyn Roasting Company - 10:00 AM' );
+		expect( text ).toContain( "6. St. Ann's Warehouse - 4:15 PM" );
+	} );
+
+	it( 'drops detail before dropping stops', () => {
+		const text = buildSmsBody( stops, url ).split( '\n\nFull plan: ' )[ 0 ];
+
+		expect( text ).not.toContain( 'Directions:' );
+		expect( text ).not.toContain( 'more stop' );
+	} );
+
+	it( 'drops trailing stops when even the brief list is too long', () => {
+		const long = stops.map( ( stop ) => ( {
+			...stop,
+			name: stop.name.repeat( 4 ),
+		} ) );
+		const text = buildSmsBody( long, url ).split( '\n\nFull plan: ' )[ 0 ];
+
+		expect( text.length ).toBeLessThanOrEqual( SMS_MAX_LENGTH );
+		expect( text ).toMatch( /\+ \d more stops?$/ );
+	} );
+
+	it( 'keeps full detail for short itineraries', () => {
+		const body = buildSmsBody( stops.slice( 0, 1 ), url );
+
+		expect( body ).toContain( '   10 Water Street, Brooklyn, NY 11201' );
+		expect( body ).toContain( '   Directions: https://www.google.com/' );
+		expect( body.endsWith( `Full plan: ${ url }` ) ).toBe( true );
+	} );
+} );
+
+describe( 'buildMailtoUrl', () => {
+	it( 'keeps the link inside the mailto length limit', () => {
+		const mailto = buildMailtoUrl( stops, url );
+
+		expect( mailto.length ).toBeLessThanOrEqual( 2000 );
+		expect( decodeURIComponent( mailto ) ).toContain(
+			`Full plan: ${ url }`
+		);
+	} );
+} );
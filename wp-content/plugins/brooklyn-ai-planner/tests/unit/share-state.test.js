@@ -0,0 +1,197 @@
+/**
+ * External dependencies
+ */
+import { TextDecoder, TextEncoder } from 'util';
+
+/**
+ * Internal dependencies
+ */
+import {
+	decodeShareState,
+	encodeShareState,
+} from '../../src/brooklyn-ai-planner/frontend/share-state';
+
+// jsdom does not provide these.
+Object.assign( global, { TextDecoder, TextEncoder } );
+
+const DAY = 86400000;
+const NOW = Date.UTC( 2026, 9, 19, 16 );
+
+const request = {
+	neighborhood: 'DUMBO',
+	interests: [ 'coffee', 'art' ],
+	budget: 'low',
+	duration: 3,
+	party_size: 4,
+	accessibility: [ 'wheelchair' ],
+	latitude: 40.7033,
+	longitude: -73.9881,
+	date: '2026-10-24',
+	start_time: '18:30',
+};
+
+const items = [
+	{ slug: 'time-out-market', arrival_minute: 0, duration_minutes: 60 },
+	{ slug: 'st-anns-warehouse', arrival_minute: 75, duration_minutes: 90 },
+];
+
+// Same FNV-1a checksum as the module, so tests can sign hand-built states.
+/* eslint-disable no-bitwise */
+const checksum = ( text ) => {
+	let hash = 0x811c9dc5;
+	for ( let i = 0; i < text.length; i++ ) {
+		hash ^= text.charCodeAt( i );
+		hash = Math.imul( hash, 0x01000193 ) >>> 0;
+	}
+	return hash.toString( 36 );
+};
+/* eslint-enable no-bitwise */
+
+const sign = ( state ) => {
+	const body = Buffer.from( JSON.stringify( state ) ).toString( 'base64url' );
+	return `${ body }.${ checksum( body ) }`;
+};
+
+const compactState = ( overrides = {} ) => ( {
+	v: 1,
+	t: Math.floor( NOW / 1000 ),
+	r: { n: 'DUMBO', i: [ 'coffee' ], b: 'medium', d: 3 },
+	s: [ [ 'time-out-market', 0, 60 ] ],
+	...overrides,
+} );
+
+const errorCode = ( token ) => {
+	try {
+		decodeShareState( token );
+	} catch ( error ) {
+		return error.code;
+	}
+	return null;
+};
+
+describe( 'share state', () => {
+	beforeEach( () => {
+		jest.spyOn( Date, 'now' ).mockReturnValue( NOW );
+	} );
+
+	afterEach( () => {
+		jest.restoreAllMocks();
+	} );
+
+	it( 'round-trips the request, stops and filters', () => {
+		const token = encodeShareState( {
+			request,
+			items,
+			filters: {
+				openNow: true,
+				maxPrice: 2,
+				maxMiles: 1,
+				categories: [ 'cafe' ],
+				sort: 'price',
+			},
+		} );
+
+		expect( token ).toMatch( /^[A-Za-z0-9_-]+\.[a-z0-9]+$/ );
+
+		const shared = decodeShareState( token );
+		expect( shared.request ).toEqual( request );
+		expect(
+			shared.items.map( ( item ) => [
+				item.slug,
+				item.order,
+				item.arrival_minute,
+				item.duration_minutes,
+			] )
+		).toEqual( [
+			[ 'time-out-market', 1, 0, 60 ],
+			[ 'st-anns-warehouse', 2, 75, 90 ],
+		] );
+		expect( shared.filters ).toEqual( {
+			openNow: true,
+			maxPrice: 2,
+			maxMiles: 1,
+			categories: [ 'cafe' ],
+			sort: 'price',
+		} );
+		expect( shared.createdAt ).toEqual( new Date( NOW ) );
+		expect( shared.isStale ).toBe( false );
+	} );
+
+	it( 'rejects an edited body as tampered', () => {
+		const [ body, sum ] = encodeShareState( { request, items } ).split(
+			'.'
+		);
+		const edited = ( body[ 0 ] === 'a' ? 'b' : 'a' ) + body.slice( 1 );
+
+		expect( errorCode( `${ edited }.${ sum }` ) ).toBe( 'tampered' );
+	} );
+
+	it( 'rejects a truncated token as malformed', () => {
+		const token = encodeShareState( { request, items } );
+
+		expect( errorCode( token.slice( 0, token.indexOf( '.' ) ) ) ).toBe(
+			'malformed'
+		);
+		expect( errorCode( '' ) ).toBe( 'malformed' );
+	} );
+
+	it( 'rejects stops with invalid slugs', () => {
+		expect(
+			errorCode(
+				sign(
+					compactState( {
+						s: [
+							[ 'time-out-market', 0, 60 ],
+							[ '../../wp-admin', 0, 60 ],
+						],
+					} )
+				)
+			)
+		).toBe( 'malformed' );
+		expect( errorCode( sign( compactState( { s: [] } ) ) ) ).toBe(
+			'malformed'
+		);
+	} );
+
+	it( 'rejects other state versions', () => {
+		expect( errorCode( sign( compactState( { v: 2 } ) ) ) ).toBe(
+			'version'
+		);
+		expect( errorCode( sign( compactState( { v: '1' } ) ) ) ).toBe(
+			'version'
+		);
+	} );
+
+	it( 'marks links older than 30 days as stale', () => {
+		const at = ( ms ) => Math.floor( ms / 1000 );
+
+		expect(
+			decodeShareState(
+				sign( compactState( { t: at( NOW - 29 * DAY ) } ) )
+			).isStale
+		).toBe( false );
+		expect(
+			decodeShareState(
+				sign( compactState( { t: at( NOW - 31 * DAY ) } ) )
+			).isStale
+		).toBe( true );
+
+		const undated = decodeShareState( sign( compactState( { t: null } ) ) );
+		expect( undated.createdAt ).toBeNull();
+		expect( undated.isStale ).toBe( true );
+	} );
+
+	it( 'falls back to defaults for links made before newer fields', () => {
+		const shared = decodeShareState( sign( compactState() ) );
+
+		expect( shared.request ).toMatchObject( {
+			neighborhood: 'DUMBO',
+			budget: 'medium',
+			party_size: 2,
+			accessibility: [],
+			date: null,
+			start_time: '10:00',
+		} );
+		expect( shared.filters.sort ).toBe( 'itinerary' );
+	} );
+} );
@@ -0,0 +1,133 @@
+/**
+ * Internal dependencies
+ */
+import {
+	STORAGE_KEY,
+	STORAGE_VERSION,
+	TripStorageError,
+	createTripStore,
+	migrateState,
+} from '../../src/brooklyn-ai-planner/frontend/trip-storage';
+
+// In-memory stand-in for localStorage.
+const createStorage = ( initial = {} ) => {
+	const data = { ...initial };
+	return {
+		data,
+		getItem: ( key ) => ( key in data ? data[ key ] : null ),
+		setItem: ( key, value ) => ( data[ key ] = String( value ) ),
+	};
+};
+
+const response = {
+	itinerary: { items: [ { slug: 'time-out-market', title: 'Time Out' } ] },
+	candidates: [],
+};
+
+const request = { neighborhood: 'DUMBO', interests: [ 'coffee' ] };
+
+const v1State = {
+	version: 1,
+	trips: [
+		{
+			id: 'a',
+			name: 'Saturday in DUMBO',
+			createdAt: 1,
+			updatedAt: 2,
+			request,
+			response,
+			filters: { maxPrice: 9, sort: 'distance', categories: [ 'cafe' ] },
+		},
+		{ id: 'b', name: 'Empty', response: { itinerary: { items: [] } } },
+		null,
+	],
+	history: [ { request, searchedAt: 3 }, { searchedAt: 4 }, 'oops' ],
+};
+
+describe( 'migrateState', () => {
+	it( 'keeps renderable v1 trips and normalizes their filters', () => {
+		expect( migrateState( v1State ) ).toEqual( {
+			version: STORAGE_VERSION,
+			trips: [
+				{
+					...v1State.trips[ 0 ],
+					filters: {
+						openNow: false,
+						maxPrice: null,
+						maxMiles: null,
+						categories: [ 'cafe' ],
+						sort: 'distance',
+					},
+				},
+			],
+			history: [ { request, searchedAt: 3 } ],
+		} );
+	} );
+
+	it( 'starts over when there is no upgrade path', () => {
+		expect( migrateState( { trips: v1State.trips } ) ).toEqual( {
+			version: STORAGE_VERSION,
+			trips: [],
+			history: [],
+		} );
+	} );
+
+	it( 'returns null for data from a newer version', () => {
+		expect(
+			migrateState( { ...v1State, version: STORAGE_VERSION + 1 } )
+		).toBeNull();
+	} );
+} );
+
+describe( 'createTripStore', () => {
+	it( 'reads a v1 payload', () => {
+		const store = createTripStore(
+			createStorage( { [ STORAGE_KEY ]: JSON.stringify( v1State ) } )
+		);
+
+		expect( store.listTrips().map( ( trip ) => trip.id ) ).toEqual( [
+			'a',
+		] );
+		expect( store.getTrip( 'a' ).name ).toBe( 'Saturday in DUMBO' );
+		expect( store.listHistory() ).toEqual( [ { request, searchedAt: 3 } ] );
+	} );
+
+	it( 'treats a corrupt payload as empty and replaces it on save', () => {
+		const storage = createStorage( { [ STORAGE_KEY ]: '{"version":1,' } );
+		const store = createTripStore( storage );
+
+		expect( store.listTrips() ).toEqual( [] );
+		expect( store.listHistory() ).toEqual( [] );
+
+		const trip = store.saveTrip( { request, response } );
+		expect( JSON.parse( storage.data[ STORAGE_KEY ] ).trips ).toEqual( [
+			trip,
+		] );
+	} );
+
+	it( 'does not overwrite a payload from an unknown version', () => {
+		const stored = JSON.stringify( { ...v1State, version: 99 } );
+		const storage = createStorage( { [ STORAGE_KEY ]: stored } );
+		const store = createTripStore( storage );
+
+		expect( store.listTrips() ).toEqual( [] );
+		expect( store.getTrip( 'a' ) ).toBeNull();
+		expect( () => store.saveTrip( { request, response } ) ).toThrow(
+			TripStorageError
+		);
+		expect( () => store.addHistory( request ) ).toThrow( 'newer version' );
+		expect( storage.data[ STORAGE_KEY ] ).toBe( stored );
+	} );
+
+	it( 'reports a full storage as a quota error', () => {
+		const storage = createStorage();
+		storage.setItem = () => {
+			throw new Error( 'QuotaExceededError' );
+		};
+		const store = createTripStore( storage );
+
+		expect( () => store.saveTrip( { request, response } ) ).toThrow(
+			expect.objectContaining( { code: 'quota' } )
+		);
+	} );
+} );
@@ -0,0 +1,12 @@
+/**
+ * Adds the Reports admin app to the default block build.
+ */
+const defaultConfig = require( '@wordpress/scripts/config/webpack.config' );
+
+module.exports = {
+	...defaultConfig,
+	entry: () => ( {
+		...defaultConfig.entry(),
+		'admin/reports': './src/admin/reports/index.js',
+	} ),
+};